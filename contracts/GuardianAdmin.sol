@@ -0,0 +1,143 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./GuardianStorage.sol";
+
+/**
+ * @title GuardianAdmin
+ * @notice Owner settings outside the model lifecycle: thresholds, timelock,
+ *         quorum, expiry and decay windows, the guardian set, freezes and
+ *         the allowlist of vault tokens.
+ * @dev Part of GuardianModules and, like GuardianRecovery, only meaningful
+ *      through the guardian's delegatecall stubs. `onlyOwner` reads the
+ *      guardian's owner, since the modules run against its storage.
+ */
+abstract contract GuardianAdmin is GuardianStorage {
+    /// @notice Update the low / high risk thresholds
+    function setThresholds(uint256 _low, uint256 _high) external onlyOwner {
+        if (_low >= _high || _high > MAX_RISK) revert InvalidThresholds();
+        lowThreshold = _low;
+        highThreshold = _high;
+        emit ThresholdsUpdated(_low, _high);
+    }
+
+    /// @notice Update the timelock duration for new medium-risk transfers
+    function setTimelockDuration(uint256 _duration) external onlyOwner {
+        if (_duration >= pendingExpiry) revert InvalidExpiry();
+        timelockDuration = _duration;
+        emit TimelockDurationUpdated(_duration);
+    }
+
+    /// @notice Update the minimum guardian approvals for new high-risk transfers
+    function setMinApprovals(uint256 _min) external onlyOwner {
+        if (_min == 0) revert ZeroAmount();
+        minApprovals = _min;
+        emit MinApprovalsUpdated(_min);
+    }
+
+    /**
+     * @notice Update how long pending transfers and guardian approvals last
+     * @dev The expiry applies to transfers created from now on; the approval
+     *      validity applies to every approval, including existing ones. It
+     *      must outlast the global timelock and the shortest timelock an
+     *      override may set (`policyBounds`).
+     */
+    function setExpiryWindows(uint256 _pendingExpiry, uint256 _approvalValidity) external onlyOwner {
+        if (_pendingExpiry <= timelockDuration || _pendingExpiry <= policyBounds.timelockDuration) {
+            revert InvalidExpiry();
+        }
+        if (_approvalValidity == 0) revert InvalidExpiry();
+        pendingExpiry = _pendingExpiry;
+        approvalValidity = _approvalValidity;
+        emit ExpiryWindowsUpdated(_pendingExpiry, _approvalValidity);
+    }
+
+    /**
+     * @notice Update the half-lives of the decayed amount average and transaction rate
+     * @dev Applies retroactively: stored averages are decayed lazily from each
+     *      user's last transfer using the current half-lives.
+     */
+    function setDecayHalfLives(uint256 _amountHalfLife, uint256 _frequencyHalfLife) external onlyOwner {
+        if (_amountHalfLife == 0 || _frequencyHalfLife == 0) revert InvalidHalfLife();
+        amountHalfLife = _amountHalfLife;
+        frequencyHalfLife = _frequencyHalfLife;
+        emit DecayHalfLivesUpdated(_amountHalfLife, _frequencyHalfLife);
+    }
+
+    /**
+     * @notice Update the delay between proposing and activating a model
+     * @dev A longer delay applies at once and drops any queued change; a
+     *      shorter one is queued until the delay in force has passed. Zero
+     *      re-enables `updateModel`, so the owner cannot lift the delay and
+     *      swap the model in the same block.
+     */
+    function setModelActivationDelay(uint256 _delay) external onlyOwner {
+        _promoteModelActivationDelay();
+        if (_delay >= modelActivationDelay) {
+            modelActivationDelay = _delay;
+            delete _queuedModelDelay;
+            delete _queuedModelDelayAt;
+            emit ModelActivationDelayUpdated(_delay);
+        } else {
+            uint256 effectiveAt = block.timestamp + modelActivationDelay;
+            _queuedModelDelay = _delay;
+            _queuedModelDelayAt = effectiveAt;
+            emit ModelActivationDelayQueued(_delay, effectiveAt);
+        }
+    }
+
+    /// @notice Update the delay between a recovery reaching quorum and executing
+    function setRecoveryDelay(uint256 _delay) external onlyOwner {
+        if (_delay == 0) revert ZeroAmount();
+        recoveryDelay = _delay;
+        emit RecoveryDelayUpdated(_delay);
+    }
+
+    /// @notice Add a guardian for multi-sig approvals
+    function addGuardian(address guardian) external onlyOwner {
+        if (guardian == address(0)) revert ZeroAddress();
+        if (guardians[guardian]) revert AlreadyGuardian();
+        guardians[guardian] = true;
+        guardianCount++;
+        emit GuardianAdded(guardian);
+    }
+
+    /// @notice Remove a guardian
+    function removeGuardian(address guardian) external onlyOwner {
+        if (!guardians[guardian]) revert NotGuardian();
+        if (guardianCount <= minApprovals) revert CannotRemoveLastGuardian();
+        guardians[guardian] = false;
+        guardianCount--;
+        emit GuardianRemoved(guardian);
+    }
+
+    /// @notice Lift a freeze imposed by a guardian veto
+    function unfreezeAccount(address user) external onlyOwner {
+        if (!frozen[user]) revert NotFrozen(user);
+        frozen[user] = false;
+        emit AccountUnfrozen(user);
+    }
+
+    /**
+     * @notice Accept an ERC-20 token in the vault
+     * @dev Its decimals are read now and used to normalise amounts against
+     *      spending limits and the withdrawal-review minimum. Re-adding a
+     *      removed token restores deposits and transfers of it.
+     */
+    function addSupportedToken(address token) external onlyOwner {
+        if (token == address(0)) revert ZeroAddress();
+        if (supportedTokens[token]) revert TokenAlreadySupported(token);
+        _listToken(token);
+    }
+
+    /**
+     * @notice Stop accepting deposits and transfers of a token
+     * @dev Balances stay withdrawable and pending transfers can still
+     *      execute. USDC cannot be removed.
+     */
+    function removeSupportedToken(address token) external onlyOwner {
+        if (!supportedTokens[token] || token == address(usdc)) revert UnsupportedToken(token);
+        supportedTokens[token] = false;
+        emit TokenRemoved(token);
+    }
+}
@@ -0,0 +1,116 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+import "./GuardianStorage.sol";
+
+/// @dev Guardian entry points an intent is relayed to.
+interface IGuardianActions {
+    function transfer(address recipient, uint256 amount) external returns (uint256 txId, uint256 riskScore);
+    function setTrustedRecipient(address recipient, bool trusted) external;
+    function cancelPending(uint256 txId) external;
+}
+
+/**
+ * @title GuardianIntents
+ * @notice EIP-712 signed intents, so a relayer can pay the gas for a user's
+ *         transfer, trust change or cancellation.
+ * @dev Like GuardianRecovery, only meaningful through the guardian's
+ *      delegatecall stubs. Once the signature and deadline check out and the
+ *      signer's nonce is spent, the action is re-entered as an ordinary call
+ *      from the guardian to itself with the signer appended to the calldata
+ *      (as in ERC-2771). The guardian attributes such a call to the signer,
+ *      so risk features, spending limits, pause and reentrancy guard all
+ *      apply exactly as if the signer had sent it.
+ */
+abstract contract GuardianIntents is GuardianStorage {
+    bytes32 public constant TRANSFER_TYPEHASH =
+        keccak256("Transfer(address sender,address recipient,uint256 amount,uint256 nonce,uint256 deadline)");
+    bytes32 public constant SET_TRUSTED_RECIPIENT_TYPEHASH =
+        keccak256("SetTrustedRecipient(address user,address recipient,bool trusted,uint256 nonce,uint256 deadline)");
+    bytes32 public constant CANCEL_PENDING_TYPEHASH =
+        keccak256("CancelPending(address sender,uint256 txId,uint256 nonce,uint256 deadline)");
+
+    /**
+     * @notice Relay `sender`'s signed `Transfer` intent
+     * @return txId      Pending-transaction ID (0 when auto-approved)
+     * @return riskScore Computed risk score [0, 100]
+     */
+    function transferWithSig(
+        address sender,
+        address recipient,
+        uint256 amount,
+        uint256 deadline,
+        bytes calldata signature
+    ) external returns (uint256 txId, uint256 riskScore) {
+        _useIntent(
+            sender,
+            keccak256(abi.encode(TRANSFER_TYPEHASH, sender, recipient, amount, nonces[sender], deadline)),
+            deadline,
+            signature
+        );
+        bytes memory ret = _relay(sender, abi.encodeCall(IGuardianActions.transfer, (recipient, amount)));
+        (txId, riskScore) = abi.decode(ret, (uint256, uint256));
+    }
+
+    /// @notice Relay `user`'s signed `SetTrustedRecipient` intent
+    function setTrustedRecipientWithSig(
+        address user,
+        address recipient,
+        bool trusted,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        _useIntent(
+            user,
+            keccak256(
+                abi.encode(SET_TRUSTED_RECIPIENT_TYPEHASH, user, recipient, trusted, nonces[user], deadline)
+            ),
+            deadline,
+            signature
+        );
+        _relay(user, abi.encodeCall(IGuardianActions.setTrustedRecipient, (recipient, trusted)));
+    }
+
+    /// @notice Relay `sender`'s signed `CancelPending` intent
+    function cancelPendingWithSig(
+        address sender,
+        uint256 txId,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        _useIntent(
+            sender,
+            keccak256(abi.encode(CANCEL_PENDING_TYPEHASH, sender, txId, nonces[sender], deadline)),
+            deadline,
+            signature
+        );
+        _relay(sender, abi.encodeCall(IGuardianActions.cancelPending, (txId)));
+    }
+
+    /// @dev Check `signature` over `structHash` and spend the signer's nonce.
+    function _useIntent(
+        address signer,
+        bytes32 structHash,
+        uint256 deadline,
+        bytes calldata signature
+    ) private {
+        if (block.timestamp > deadline) revert IntentExpired(deadline);
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        (address recovered, ECDSA.RecoverError err, ) = ECDSA.tryRecover(digest, signature);
+        if (err != ECDSA.RecoverError.NoError || recovered != signer) revert InvalidSignature();
+        emit IntentRelayed(signer, msg.sender, nonces[signer]++);
+    }
+
+    /// @dev Call the guardian as `signer`, bubbling up any revert.
+    function _relay(address signer, bytes memory data) private returns (bytes memory ret) {
+        bool ok;
+        (ok, ret) = address(this).call(abi.encodePacked(data, signer));
+        if (!ok) {
+            assembly ("memory-safe") {
+                revert(add(ret, 32), mload(ret))
+            }
+        }
+    }
+}
@@ -0,0 +1,282 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./GuardianStorage.sol";
+
+/**
+ * @title GuardianModels
+ * @notice The model lifecycle: direct updates, staged proposals and their
+ *         activation, rollback and the shadow model.
+ * @dev Part of GuardianModules and, like GuardianRecovery, only meaningful
+ *      through the guardian's delegatecall stubs. The guardian's constructor
+ *      delegatecalls `installDefaultModel` to record version 1, which keeps
+ *      the default weights out of its own bytecode.
+ */
+abstract contract GuardianModels is GuardianStorage {
+    /// @notice Record and activate the built-in model as version 1 (constructor only)
+    function installDefaultModel() external {
+        if (modelVersionCount != 0) revert ModelAlreadyActive(activeModelVersion);
+        (uint256[] memory layers, int256[] memory weights, int256[] memory biases) = _defaultModel();
+        _activateModel(_recordModel(layers, weights, biases, block.timestamp));
+    }
+
+    /**
+     * @notice Record and immediately activate a new model (owner only, rate-limited).
+     *         Only available while `modelActivationDelay` is zero; otherwise
+     *         use `proposeModel` + `activateModel`.
+     * @param _layers  Layer sizes from input to output, e.g. [4, 8, 1]
+     * @param _weights Weights of every layer, see `ModelWeights`
+     * @param _biases  Biases of every layer, see `ModelWeights`
+     */
+    function updateModel(
+        uint256[] calldata _layers,
+        int256[] calldata _weights,
+        int256[] calldata _biases
+    ) external onlyOwner {
+        _promoteModelActivationDelay();
+        if (modelActivationDelay != 0) revert ModelActivationDelayActive(modelActivationDelay);
+        _checkModelCooldown();
+
+        _activateModel(_recordModel(_layers, _weights, _biases, block.timestamp));
+        lastModelUpdate = block.timestamp;
+    }
+
+    /**
+     * @notice Record a new model as a version that can be activated once
+     *         `modelActivationDelay` has passed. Arguments as for `updateModel`.
+     * @return version Id of the new version
+     */
+    function proposeModel(
+        uint256[] calldata _layers,
+        int256[] calldata _weights,
+        int256[] calldata _biases
+    ) external onlyOwner returns (uint256 version) {
+        _promoteModelActivationDelay();
+        return _recordModel(_layers, _weights, _biases, block.timestamp + modelActivationDelay);
+    }
+
+    /**
+     * @notice Load a recorded version into the network (owner only, rate-limited)
+     * @param version Version id; must be past its activation time
+     */
+    function activateModel(uint256 version) external onlyOwner {
+        if (version == 0 || version > modelVersionCount) revert ModelVersionNotFound(version);
+        if (version == activeModelVersion) revert ModelAlreadyActive(version);
+        uint256 activatesAt = _modelVersions[version].activatesAt;
+        if (block.timestamp < activatesAt) revert ModelNotReady(activatesAt);
+        _checkModelCooldown();
+
+        _activateModel(version);
+        lastModelUpdate = block.timestamp;
+    }
+
+    /**
+     * @notice Restore the version that was active before the current one.
+     *         Not rate-limited so a bad model can be backed out immediately.
+     */
+    function rollbackModel() external onlyOwner {
+        uint256 n = _activationHistory.length;
+        if (n < 2) revert NoPreviousModel();
+        uint256 from = _activationHistory[n - 1];
+        uint256 to = _activationHistory[n - 2];
+
+        // Drop both entries; _activateModel pushes `to` back on top
+        _activationHistory.pop();
+        _activationHistory.pop();
+        _activateModel(to);
+
+        emit ModelRolledBack(from, to);
+    }
+
+    /**
+     * @notice Score transfers with a recorded version in addition to the
+     *         active model, for comparison only (0 disables)
+     * @param version Version id, typically a pending proposal
+     */
+    function setShadowModel(uint256 version) external onlyOwner {
+        if (version > modelVersionCount) revert ModelVersionNotFound(version);
+        shadowModelVersion = version;
+        emit ShadowModelSet(version);
+    }
+
+    // ================================================================
+    //                         INTERNALS
+    // ================================================================
+
+    /// @dev Revert if the last model change is younger than MODEL_UPDATE_COOLDOWN
+    function _checkModelCooldown() internal view {
+        if (lastModelUpdate != 0 && block.timestamp < lastModelUpdate + MODEL_UPDATE_COOLDOWN) {
+            revert ModelUpdateTooFrequent(lastModelUpdate + MODEL_UPDATE_COOLDOWN);
+        }
+    }
+
+    /// @dev Revert unless `_layers` is within limits and the arrays match it
+    function _checkModelShape(
+        uint256[] memory _layers,
+        uint256 weightCount,
+        uint256 biasCount
+    ) internal pure {
+        uint256 n = _layers.length;
+        if (n < 3 || n > MAX_LAYERS) revert InvalidTopology();
+        if (_layers[0] == 0 || _layers[0] > INPUT_SIZE || _layers[n - 1] != 1) {
+            revert InvalidTopology();
+        }
+
+        uint256 expectedWeights;
+        uint256 expectedBiases;
+        for (uint256 l = 1; l < n; l++) {
+            if (l < n - 1 && (_layers[l] == 0 || _layers[l] > MAX_LAYER_SIZE)) {
+                revert InvalidTopology();
+            }
+            expectedWeights += _layers[l] * _layers[l - 1];
+            expectedBiases += _layers[l];
+        }
+        if (expectedWeights + expectedBiases > MAX_PARAMETERS) revert InvalidTopology();
+        if (weightCount != expectedWeights || biasCount != expectedBiases) {
+            revert ModelShapeMismatch(expectedWeights, expectedBiases);
+        }
+    }
+
+    /// @dev Store a model as the next version without activating it
+    function _recordModel(
+        uint256[] memory _layers,
+        int256[] memory _weights,
+        int256[] memory _biases,
+        uint256 activatesAt
+    ) internal returns (uint256 version) {
+        _checkModelShape(_layers, _weights.length, _biases.length);
+
+        version = ++modelVersionCount;
+        ModelWeights storage m = _modelWeights[version];
+        m.layers = _layers;
+        m.weights = _weights;
+        m.biases = _biases;
+
+        bytes32 weightsHash = keccak256(abi.encode(_layers, _weights, _biases));
+        _modelVersions[version] = ModelVersion({
+            weightsHash: weightsHash,
+            proposedAt: block.timestamp,
+            activatesAt: activatesAt,
+            activatedAt: 0
+        });
+        emit ModelProposed(version, weightsHash, activatesAt);
+    }
+
+    /// @dev Make a recorded version the one that scores transfers
+    function _activateModel(uint256 version) internal {
+        uint256 previous = activeModelVersion;
+        activeModelVersion = version;
+        _modelVersions[version].activatedAt = block.timestamp;
+        _activationHistory.push(version);
+
+        emit ModelUpdated(version, previous, _modelVersions[version].weightsHash);
+
+        // A promoted shadow model has nothing left to be compared against
+        if (shadowModelVersion == version) {
+            shadowModelVersion = 0;
+            emit ShadowModelSet(0);
+        }
+    }
+
+    // ================================================================
+    //                  DEFAULT MODEL WEIGHTS
+    // ================================================================
+
+    /**
+     * @dev Hand-tuned 4-8-1 model recorded as version 1 by `installDefaultModel`.
+     *
+     *  Hidden neurons and their roles:
+     *    0 - Large-amount detector       (fires when amountRatio > 1.0)
+     *    1 - High-frequency detector     (fires when txFrequency > 0.5)
+     *    2 - Unknown-recipient alarm     (fires when recipient is NOT trusted)
+     *    3 - Recent-transaction alarm    (fires when recency > 0.5)
+     *    4 - Amount + frequency combo    (cross-feature interaction)
+     *    5 - Untrusted + recent combo    (cross-feature interaction)
+     *    6 - Trust safety net            (fires when recipient IS trusted, reduces risk)
+     *    7 - General suspicion baseline
+     *
+     *  Output weights are tuned so that:
+     *    - Normal trusted tx           -> risk ~16-21 (auto-approve)
+     *    - First tx to untrusted       -> risk ~56-66 (timelock)
+     *    - Large amount to untrusted   -> risk ~85+   (multi-sig)
+     */
+    function _defaultModel()
+        internal
+        pure
+        returns (uint256[] memory layers, int256[] memory w, int256[] memory b)
+    {
+        layers = new uint256[](3);
+        layers[0] = 4;             // features 0-3
+        layers[1] = 8;
+        layers[2] = 1;
+        w = new int256[](40);      // 32 hidden, then 8 output
+        b = new int256[](9);       // 8 hidden, then 1 output
+
+        // --- Neuron 0: Large-amount detector ---
+        w[0]  = 2 * SCALE;     // amountRatio
+        w[1]  = 0;             // txFrequency
+        w[2]  = 0;             // recipientTrust
+        w[3]  = 0;             // recency
+        b[0]  = -2 * SCALE;    // fires when amountRatio > 1.0
+
+        // --- Neuron 1: High-frequency detector ---
+        w[4]  = 0;
+        w[5]  = 3 * SCALE;
+        w[6]  = 0;
+        w[7]  = 0;
+        b[1]  = -15e17;        // -1.5, fires when freq > 0.5
+
+        // --- Neuron 2: Unknown-recipient alarm ---
+        w[8]  = 0;
+        w[9]  = 0;
+        w[10] = -2 * SCALE;
+        w[11] = 0;
+        b[2]  = 2 * SCALE;     // fires when trust = 0
+
+        // --- Neuron 3: Recent-transaction alarm ---
+        w[12] = 0;
+        w[13] = 0;
+        w[14] = 0;
+        w[15] = 2 * SCALE;
+        b[3]  = -1 * SCALE;    // fires when recency > 0.5
+
+        // --- Neuron 4: Amount + frequency combo ---
+        w[16] = 15e17;         // 1.5
+        w[17] = 15e17;         // 1.5
+        w[18] = 0;
+        w[19] = 0;
+        b[4]  = -3 * SCALE;
+
+        // --- Neuron 5: Untrusted + recent combo ---
+        w[20] = 0;
+        w[21] = 0;
+        w[22] = -15e17;        // -1.5
+        w[23] = 15e17;         //  1.5
+        b[5]  = -5e17;         // -0.5
+
+        // --- Neuron 6: Trust safety net (REDUCES risk) ---
+        w[24] = 0;
+        w[25] = 0;
+        w[26] = 3 * SCALE;
+        w[27] = 0;
+        b[6]  = -1 * SCALE;    // fires when trust > 0.33
+
+        // --- Neuron 7: General suspicion baseline ---
+        w[28] = 5e17;          //  0.5
+        w[29] = 3e17;          //  0.3
+        w[30] = -5e17;         // -0.5
+        w[31] = 3e17;          //  0.3
+        b[7]  = -3e17;         // -0.3
+
+        // --- Output layer (weights 32..39, bias 8) ---
+        w[32] = 15e16;         //  0.15  (large amount)
+        w[33] = 12e16;         //  0.12  (high frequency)
+        w[34] = 20e16;         //  0.20  (unknown recipient)
+        w[35] = 12e16;         //  0.12  (recent tx)
+        w[36] = 20e16;         //  0.20  (amount+freq combo)
+        w[37] = 25e16;         //  0.25  (untrusted+recent)
+        w[38] = -70e16;        // -0.70  (trust safety net)
+        w[39] = 12e16;         //  0.12  (general suspicion)
+        b[8]  = -3e17;         // -0.30
+    }
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./GuardianRecovery.sol";
+import "./GuardianIntents.sol";
+import "./GuardianReview.sol";
+import "./GuardianPolicy.sol";
+import "./GuardianAdmin.sol";
+import "./GuardianModels.sol";
+
+/**
+ * @title GuardianModules
+ * @notice Code the guardian runs via delegatecall, deployed as one contract.
+ * @dev Every module inherits GuardianStorage, public getters included, so
+ *      deploying them together keeps a single copy of that code in the
+ *      guardian's initcode.
+ */
+contract GuardianModules is GuardianRecovery, GuardianIntents, GuardianReview, GuardianPolicy, GuardianAdmin, GuardianModels {
+    constructor(address _usdc) GuardianStorage(_usdc) {}
+}
@@ -0,0 +1,244 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./GuardianStorage.sol";
+
+/**
+ * @title GuardianPolicy
+ * @notice Per-account settings that shape routing: spending limits,
+ *         withdrawal review, the risk policy (thresholds, timelock and
+ *         quorum) and bulk trust changes, plus the owner's per-account
+ *         overrides of the risk policy.
+ * @dev Part of GuardianModules and, like GuardianRecovery, only meaningful
+ *      through the guardian's delegatecall stubs. The guardian reads the
+ *      settings through GuardianStorage's shared internals.
+ *
+ *   Effective policy of an account = its override (or the global settings),
+ *   tightened field by field by the user's personal policy. A user can thus
+ *   only make their own routing stricter, and only the owner can loosen it,
+ *   no further than `policyBounds`.
+ */
+abstract contract GuardianPolicy is GuardianStorage {
+    /**
+     * @notice Set the caller's outbound limits (0 disables a limit)
+     * @dev Changes that only tighten the limits in force apply immediately and
+     *      drop any queued change. Anything looser is queued and takes effect
+     *      SPENDING_LIMIT_COOLDOWN later, so a compromised key cannot lift the
+     *      limits and drain the vault in one go.
+     * @param dailyLimit       Max amount per 1-day window
+     * @param weeklyLimit      Max amount per 7-day window
+     * @param maxTxPerWindow   Max transfers per `velocityWindow`
+     * @param velocityWindow   Velocity window in seconds (required with `maxTxPerWindow`)
+     * @param multiSigOnBreach Route breaches to multi-sig instead of the timelock
+     */
+    function setSpendingLimits(
+        uint256 dailyLimit,
+        uint256 weeklyLimit,
+        uint256 maxTxPerWindow,
+        uint256 velocityWindow,
+        bool multiSigOnBreach
+    ) external {
+        if ((maxTxPerWindow == 0) != (velocityWindow == 0)) revert InvalidSpendingLimits();
+        SpendingLimits memory next = SpendingLimits({
+            dailyLimit: dailyLimit,
+            weeklyLimit: weeklyLimit,
+            maxTxPerWindow: maxTxPerWindow,
+            velocityWindow: velocityWindow,
+            multiSigOnBreach: multiSigOnBreach
+        });
+
+        _promoteSpendingLimits(msg.sender);
+        if (_atLeastAsStrict(next, _spendingLimits[msg.sender])) {
+            _spendingLimits[msg.sender] = next;
+            delete _queuedSpendingLimits[msg.sender];
+            delete _queuedLimitsAt[msg.sender];
+            emit SpendingLimitsUpdated(
+                msg.sender, dailyLimit, weeklyLimit, maxTxPerWindow, velocityWindow, multiSigOnBreach
+            );
+        } else {
+            uint256 effectiveAt = block.timestamp + SPENDING_LIMIT_COOLDOWN;
+            _queuedSpendingLimits[msg.sender] = next;
+            _queuedLimitsAt[msg.sender] = effectiveAt;
+            emit SpendingLimitsQueued(
+                msg.sender, dailyLimit, weeklyLimit, maxTxPerWindow, velocityWindow, multiSigOnBreach, effectiveAt
+            );
+        }
+    }
+
+    /**
+     * @notice Risk-assess the caller's withdrawals of at least `minAmount`
+     *         (0 turns review off)
+     * @dev Like spending limits, a lower minimum applies immediately and a
+     *      higher one (or turning review off) waits SPENDING_LIMIT_COOLDOWN.
+     */
+    function setWithdrawalReview(uint256 minAmount) external {
+        _promoteWithdrawalReview(msg.sender);
+        if (_capAtMost(minAmount, withdrawalReviewMin[msg.sender])) {
+            withdrawalReviewMin[msg.sender] = minAmount;
+            delete _queuedReviewMin[msg.sender];
+            delete _queuedReviewAt[msg.sender];
+            emit WithdrawalReviewUpdated(msg.sender, minAmount);
+        } else {
+            uint256 effectiveAt = block.timestamp + SPENDING_LIMIT_COOLDOWN;
+            _queuedReviewMin[msg.sender] = minAmount;
+            _queuedReviewAt[msg.sender] = effectiveAt;
+            emit WithdrawalReviewQueued(msg.sender, minAmount, effectiveAt);
+        }
+    }
+
+    /**
+     * @notice Set the caller's personal risk policy (all zero clears it)
+     * @dev Each field applies only where it is stricter than the caller's
+     *      override or the global setting. Tightening the personal policy
+     *      applies immediately; loosening or clearing it waits
+     *      SPENDING_LIMIT_COOLDOWN, as with spending limits.
+     * @param _low       Scores below this auto-approve
+     * @param _high      Scores at or above this need multi-sig
+     * @param _timelock  Timelock of held transfers, in seconds
+     * @param _approvals Guardian quorum for multi-sig transfers
+     */
+    function setRiskPolicy(uint256 _low, uint256 _high, uint256 _timelock, uint256 _approvals) external {
+        RiskPolicy memory next = RiskPolicy(_low, _high, _timelock, _approvals);
+        if (_high != 0 || _low != 0 || _timelock != 0 || _approvals != 0) _checkRiskPolicy(next);
+
+        _promoteRiskPolicy(msg.sender);
+        if (_policyAtLeastAsStrict(next, _riskPolicies[msg.sender])) {
+            _riskPolicies[msg.sender] = next;
+            delete _queuedRiskPolicies[msg.sender];
+            delete _queuedPolicyAt[msg.sender];
+            emit RiskPolicyUpdated(msg.sender, _low, _high, _timelock, _approvals);
+        } else {
+            uint256 effectiveAt = block.timestamp + SPENDING_LIMIT_COOLDOWN;
+            _queuedRiskPolicies[msg.sender] = next;
+            _queuedPolicyAt[msg.sender] = effectiveAt;
+            emit RiskPolicyQueued(msg.sender, _low, _high, _timelock, _approvals, effectiveAt);
+        }
+    }
+
+    /**
+     * @notice Route `user`'s transfers by this policy instead of the global
+     *         one (all zero removes the override)
+     * @dev Must be no looser than `policyBounds`; it may be stricter. The
+     *      user's personal policy still tightens it. Takes effect at once.
+     */
+    function setPolicyOverride(
+        address user,
+        uint256 _low,
+        uint256 _high,
+        uint256 _timelock,
+        uint256 _approvals
+    ) external onlyOwner {
+        if (user == address(0)) revert ZeroAddress();
+        RiskPolicy memory next = RiskPolicy(_low, _high, _timelock, _approvals);
+        if (_high != 0 || _low != 0 || _timelock != 0 || _approvals != 0) {
+            _checkRiskPolicy(next);
+            if (!_policyAtLeastAsStrict(next, policyBounds)) revert InvalidRiskPolicy();
+        }
+        policyOverrides[user] = next;
+        emit PolicyOverrideSet(user, _low, _high, _timelock, _approvals);
+    }
+
+    /**
+     * @notice Set the loosest override the owner may grant
+     * @dev Existing overrides are not re-checked against new bounds. The
+     *      timelock must stay shorter than `pendingExpiry`.
+     */
+    function setPolicyBounds(uint256 _low, uint256 _high, uint256 _timelock, uint256 _approvals) external onlyOwner {
+        if (_low >= _high || _high > MAX_RISK || _approvals == 0) revert InvalidRiskPolicy();
+        if (_timelock >= pendingExpiry) revert InvalidExpiry();
+        policyBounds = RiskPolicy(_low, _high, _timelock, _approvals);
+        emit PolicyBoundsUpdated(_low, _high, _timelock, _approvals);
+    }
+
+    /**
+     * @notice Trust (or revoke trust in) every address in `recipients`
+     * @dev Same as calling `setTrustedRecipient` for each; up to
+     *      MAX_BATCH_SIZE addresses.
+     */
+    function setTrustedRecipients(address[] calldata recipients, bool trusted) external {
+        uint256 n = recipients.length;
+        if (n == 0 || n > MAX_BATCH_SIZE) revert InvalidBatchSize(n, MAX_BATCH_SIZE);
+        for (uint256 i = 0; i < n; i++) {
+            _updateTrust(msg.sender, recipients[i], trusted);
+        }
+    }
+
+    /**
+     * @notice Set how long newly trusted recipients wait before they count
+     *         as trusted in scoring (0 = immediately)
+     * @dev Applies to trust granted from now on. A longer delay applies at
+     *      once and drops any queued change; a shorter one is queued until
+     *      the delay in force has passed, so the owner cannot shorten it to
+     *      let freshly added trust count straight away.
+     */
+    function setTrustActivationDelay(uint256 _delay) external onlyOwner {
+        _promoteTrustActivationDelay();
+        if (_delay >= trustActivationDelay) {
+            trustActivationDelay = _delay;
+            delete _queuedTrustDelay;
+            delete _queuedTrustDelayAt;
+            emit TrustActivationDelayUpdated(_delay);
+        } else {
+            uint256 effectiveAt = block.timestamp + trustActivationDelay;
+            _queuedTrustDelay = _delay;
+            _queuedTrustDelayAt = effectiveAt;
+            emit TrustActivationDelayQueued(_delay, effectiveAt);
+        }
+    }
+
+    // ================================================================
+    //                         INTERNALS
+    // ================================================================
+
+    /// @dev Move a queued personal policy into force once its cooldown has passed.
+    function _promoteRiskPolicy(address user) internal {
+        uint256 at = _queuedPolicyAt[user];
+        if (at == 0 || block.timestamp < at) return;
+        RiskPolicy memory queued = _queuedRiskPolicies[user];
+        _riskPolicies[user] = queued;
+        delete _queuedRiskPolicies[user];
+        delete _queuedPolicyAt[user];
+        emit RiskPolicyUpdated(
+            user, queued.lowThreshold, queued.highThreshold, queued.timelockDuration, queued.minApprovals
+        );
+    }
+
+    /// @dev A policy a held transfer can actually satisfy.
+    function _checkRiskPolicy(RiskPolicy memory p) internal view {
+        if (p.lowThreshold >= p.highThreshold || p.highThreshold > MAX_RISK) revert InvalidRiskPolicy();
+        if (p.timelockDuration >= pendingExpiry) revert InvalidRiskPolicy();
+        if (p.minApprovals == 0 || p.minApprovals > guardianCount) revert InvalidRiskPolicy();
+    }
+
+    /// @dev Whether `next` routes every score at least as strictly as `current` (unset = anything goes).
+    function _policyAtLeastAsStrict(
+        RiskPolicy memory next,
+        RiskPolicy memory current
+    ) internal pure returns (bool) {
+        if (current.highThreshold == 0) return true;
+        if (next.highThreshold == 0) return false;
+        return next.lowThreshold <= current.lowThreshold
+            && next.highThreshold <= current.highThreshold
+            && next.timelockDuration >= current.timelockDuration
+            && next.minApprovals >= current.minApprovals;
+    }
+
+    /// @dev Whether every limit in `next` is at least as strict as in `current`.
+    function _atLeastAsStrict(
+        SpendingLimits memory next,
+        SpendingLimits memory current
+    ) internal pure returns (bool) {
+        if (!_capAtMost(next.dailyLimit, current.dailyLimit)) return false;
+        if (!_capAtMost(next.weeklyLimit, current.weeklyLimit)) return false;
+        if (current.maxTxPerWindow != 0) {
+            if (!_capAtMost(next.maxTxPerWindow, current.maxTxPerWindow)) return false;
+            if (next.velocityWindow < current.velocityWindow) return false;
+        }
+        return next.multiSigOnBreach || !current.multiSigOnBreach;
+    }
+
+    /// @dev `next` caps at or below `current`, where 0 means uncapped.
+    function _capAtMost(uint256 next, uint256 current) internal pure returns (bool) {
+        return current == 0 || (next != 0 && next <= current);
+    }
+}
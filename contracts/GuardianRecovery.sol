@@ -0,0 +1,165 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./GuardianStorage.sol";
+
+/**
+ * @title GuardianRecovery
+ * @notice Social recovery of a guardian account whose key was lost.
+ * @dev Part of GuardianModules, which the NeuralUSDCGuardian constructor
+ *      deploys. Only meaningful through the guardian's delegatecall stubs,
+ *      which run this code against the guardian's storage. Called directly
+ *      it only sees its own, empty storage and holds no funds.
+ *
+ *   1. The user names recovery guardians and a threshold, or relies on the
+ *      global guardians with a quorum of `minApprovals`.
+ *   2. Recovery guardians vote for a new, unregistered address; at quorum
+ *      the recovery is scheduled `recoveryDelay` ahead.
+ *   3. Until then the original key can cancel, which also discards votes.
+ *   4. Afterwards anyone can execute it, moving balance, profile, trusted
+ *      recipients, spending limits and risk settings to the new address.
+ */
+abstract contract GuardianRecovery is GuardianStorage {
+    /**
+     * @notice Choose who can recover the caller's account if the key is lost
+     * @dev An empty list falls back to the global guardians with a quorum of
+     *      `minApprovals`. Votes already cast are discarded.
+     * @param recoveryGuardians Up to MAX_RECOVERY_GUARDIANS distinct addresses
+     * @param threshold         Supporters needed; 0 with an empty list
+     */
+    function setRecoveryGuardians(address[] calldata recoveryGuardians, uint256 threshold) external {
+        if (!profiles[msg.sender].isRegistered) revert NotRegistered();
+        Recovery storage r = _recoveries[msg.sender];
+        if (r.readyAt != 0) revert RecoveryInProgress(r.newAddress, r.readyAt);
+
+        uint256 n = recoveryGuardians.length;
+        if (n > MAX_RECOVERY_GUARDIANS || threshold > n || (n != 0 && threshold == 0)) {
+            revert InvalidRecoveryConfig();
+        }
+        for (uint256 i = 0; i < n; i++) {
+            address g = recoveryGuardians[i];
+            if (g == address(0) || g == msg.sender) revert InvalidRecoveryConfig();
+            for (uint256 j = 0; j < i; j++) {
+                if (recoveryGuardians[j] == g) revert InvalidRecoveryConfig();
+            }
+        }
+
+        _recoveryGuardians[msg.sender] = recoveryGuardians;
+        _recoveryThreshold[msg.sender] = threshold;
+        recoveryRound[msg.sender]++;
+        emit RecoveryGuardiansSet(msg.sender, recoveryGuardians, threshold);
+    }
+
+    /**
+     * @notice Recovery guardian votes to move `user`'s account to `newAddress`
+     * @dev Once a new address has the user's quorum, the recovery is
+     *      scheduled for `recoveryDelay` later. One vote per guardian per round.
+     * @param user       Account whose key was lost
+     * @param newAddress Unregistered address that takes over the account
+     */
+    function supportRecovery(address user, address newAddress) external {
+        if (!isRecoveryGuardian(user, msg.sender)) revert NotRecoveryGuardian();
+        if (!profiles[user].isRegistered) revert NotRegistered();
+        if (
+            newAddress == address(0) || newAddress == user || profiles[newAddress].isRegistered
+                || recoveredTo[newAddress] != address(0)
+        ) revert InvalidRecoveryAddress();
+        Recovery storage r = _recoveries[user];
+        if (r.readyAt != 0) revert RecoveryInProgress(r.newAddress, r.readyAt);
+
+        uint256 round = recoveryRound[user];
+        if (_recoveryVotes[user][round][msg.sender] != address(0)) revert AlreadySupported();
+        _recoveryVotes[user][round][msg.sender] = newAddress;
+        uint256 supporters = ++_recoverySupport[user][round][newAddress];
+        emit RecoverySupported(user, newAddress, msg.sender, supporters);
+
+        (, uint256 threshold) = getRecoveryGuardians(user);
+        if (supporters < threshold) return;
+        r.newAddress = newAddress;
+        r.readyAt = block.timestamp + recoveryDelay;
+        emit RecoveryScheduled(user, newAddress, r.readyAt);
+    }
+
+    /// @notice Cancel the caller's scheduled recovery and discard every vote
+    function cancelRecovery() external {
+        delete _recoveries[msg.sender];
+        recoveryRound[msg.sender]++;
+        emit RecoveryCancelled(msg.sender);
+    }
+
+    /**
+     * @notice Move a recovered account to its new address once the delay has passed
+     * @dev Callable by anyone. Moves the vault balance of every listed
+     *      token, the behavioural profile, the trusted recipients, spending
+     *      limits and their usage, withdrawal review and risk policies
+     *      (queued changes included), so a recovery cannot shed them.
+     *      Transfer counts move for trusted recipients only: the others are
+     *      not enumerable and read as new recipients again, which can only
+     *      raise risk scores. Recovery guardians start afresh. Later refunds
+     *      and transfers to the old address are credited to the new one.
+     * @param user Account being recovered
+     */
+    function executeRecovery(address user) external nonReentrant whenNotPaused {
+        Recovery memory r = _recoveries[user];
+        if (r.readyAt == 0) revert NoRecoveryScheduled();
+        if (block.timestamp < r.readyAt) revert RecoveryNotReady(r.readyAt);
+        if (frozen[user]) revert SenderFrozen(user);
+        // The new address may have registered since the vote
+        if (profiles[r.newAddress].isRegistered) revert InvalidRecoveryAddress();
+
+        delete _recoveries[user];
+        recoveryRound[user]++;
+        recoveredTo[user] = r.newAddress;
+
+        uint256 balance = balances[user];
+        for (uint256 i = 0; i < _tokenList.length; i++) {
+            address token = _tokenList[i];
+            mapping(address => uint256) storage vault = _vault(token);
+            vault[r.newAddress] += vault[user];
+            vault[user] = 0;
+            _tokenActivity[r.newAddress][token] = _tokenActivity[user][token];
+            delete _tokenActivity[user][token];
+        }
+
+        profiles[r.newAddress] = profiles[user];
+        delete profiles[user];
+        _copySettings(user, r.newAddress);
+
+        address[] storage trusted = _trustedList[user];
+        while (trusted.length > 0) {
+            address recipient = trusted[trusted.length - 1];
+            uint256 activeAt = trustActiveAt[user][recipient];
+            _setTrust(user, recipient, false);
+            _setTrust(r.newAddress, recipient, true);
+            // Moved trust keeps its activation time instead of restarting the delay
+            if (trustActiveAt[r.newAddress][recipient] > activeAt) trustActiveAt[r.newAddress][recipient] = activeAt;
+            recipientTransferCount[r.newAddress][recipient] = recipientTransferCount[user][recipient];
+            delete recipientTransferCount[user][recipient];
+        }
+
+        emit AccountRecovered(user, r.newAddress, balance);
+    }
+
+    // ================================================================
+    //                          INTERNALS
+    // ================================================================
+
+    /**
+     * @dev Copy spending limits, withdrawal review and risk policies, queued
+     *      changes included. The old address keeps a stale copy: it can
+     *      never register again, so nothing reads it.
+     */
+    function _copySettings(address from, address to) internal {
+        _spendingLimits[to] = _spendingLimits[from];
+        _queuedSpendingLimits[to] = _queuedSpendingLimits[from];
+        _queuedLimitsAt[to] = _queuedLimitsAt[from];
+        _spendingUsage[to] = _spendingUsage[from];
+        withdrawalReviewMin[to] = withdrawalReviewMin[from];
+        _queuedReviewMin[to] = _queuedReviewMin[from];
+        _queuedReviewAt[to] = _queuedReviewAt[from];
+        policyOverrides[to] = policyOverrides[from];
+        _riskPolicies[to] = _riskPolicies[from];
+        _queuedRiskPolicies[to] = _queuedRiskPolicies[from];
+        _queuedPolicyAt[to] = _queuedPolicyAt[from];
+    }
+}
@@ -0,0 +1,166 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./GuardianStorage.sol";
+
+/**
+ * @title GuardianReview
+ * @notice Life of a held transfer: guardian approval and veto, the sender's
+ *         escalation to multi-sig, and execution, cancellation or expiry.
+ * @dev Part of GuardianModules and, like GuardianRecovery, only meaningful
+ *      through the guardian's delegatecall stubs. Funds move in the token
+ *      the transfer was made in.
+ */
+abstract contract GuardianReview is GuardianStorage {
+    /**
+     * @notice Guardian approves a high-risk pending transfer
+     * @dev An approval lapses after `approvalValidity`; the guardian can
+     *      then approve again.
+     * @param txId Pending-transaction identifier
+     */
+    function approvePending(uint256 txId) external {
+        if (!guardians[msg.sender]) revert NotGuardian();
+
+        PendingTx storage ptx = _openPendingTx(txId);
+        if (hasApproved(txId, msg.sender)) revert AlreadyApproved();
+        if (hasVetoed[txId][msg.sender]) revert AlreadyVetoed();
+
+        if (approvedAt[txId][msg.sender] == 0) {
+            _approvers[txId].push(msg.sender);
+            ptx.approvalCount++;
+        }
+        approvedAt[txId][msg.sender] = block.timestamp;
+
+        emit GuardianApproval(txId, msg.sender);
+    }
+
+    /**
+     * @notice Guardian votes to block a pending transfer before it executes
+     * @dev The first vote holds execution until a full approval quorum
+     *      overrides it. Once the transfer's `requiredApprovals` guardians
+     *      have vetoed, the funds return to the sender's vault balance; the
+     *      sender is frozen if that many asked for it. A guardian cannot veto
+     *      while their approval stands.
+     * @param txId         Pending-transaction identifier
+     * @param freezeSender Also vote to freeze the sender's account
+     */
+    function vetoPending(uint256 txId, bool freezeSender) external nonReentrant {
+        if (!guardians[msg.sender]) revert NotGuardian();
+
+        PendingTx storage ptx = _pendingTxs[txId];
+        if (ptx.sender == address(0)) revert TxDoesNotExist();
+        if (ptx.executed) revert TxAlreadyExecuted();
+        if (ptx.cancelled) revert TxAlreadyCancelled();
+        if (hasVetoed[txId][msg.sender]) revert AlreadyVetoed();
+        if (hasApproved(txId, msg.sender)) revert AlreadyApproved();
+
+        hasVetoed[txId][msg.sender] = true;
+        ptx.vetoCount++;
+        if (freezeSender) _freezeVotes[txId]++;
+        emit VetoCast(txId, msg.sender, freezeSender);
+
+        if (ptx.vetoCount < ptx.requiredApprovals) return;
+
+        ptx.cancelled = true;
+        ptx.vetoed = true;
+        _vault(ptx.token)[_currentAccount(ptx.sender)] += ptx.amount;
+
+        bool freeze = _freezeVotes[txId] >= ptx.requiredApprovals;
+        if (freeze && !frozen[ptx.sender]) {
+            frozen[ptx.sender] = true;
+            emit AccountFrozen(ptx.sender, txId);
+        }
+        emit TransferVetoed(txId, freeze);
+    }
+
+    /**
+     * @notice Sender moves their own time-locked transfer to guardian approval
+     * @dev The quorum is the sender's effective `minApprovals` as of the escalation.
+     * @param txId Pending-transaction identifier
+     */
+    function escalatePending(uint256 txId) external {
+        PendingTx storage ptx = _pendingTxs[txId];
+        if (ptx.sender != msg.sender) revert NotPendingTxSender();
+        if (ptx.executed) revert TxAlreadyExecuted();
+        if (ptx.cancelled) revert TxAlreadyCancelled();
+        if (ptx.requiresMultiSig) revert AlreadyMultiSig();
+
+        ptx.requiresMultiSig = true;
+        ptx.requiredApprovals = _effectiveRiskPolicy(msg.sender).minApprovals;
+        emit TransferEscalated(txId);
+    }
+
+    /**
+     * @notice Execute a pending transfer after its security gate clears
+     * @dev A single guardian veto holds the transfer until a full quorum
+     *      of approvals overrides it, so one guardian cannot freeze funds
+     *      alone. Blocked while the sender is frozen; the sender can still
+     *      cancel. Only approvals younger than `approvalValidity` count.
+     * @param txId Pending-transaction identifier
+     */
+    function executePending(uint256 txId) external nonReentrant {
+        PendingTx storage ptx = _openPendingTx(txId);
+        uint256 approvals = validApprovals(txId);
+        if (ptx.vetoCount > 0 && approvals < ptx.requiredApprovals) {
+            revert VetoInProgress(ptx.vetoCount, ptx.requiredApprovals);
+        }
+        if (frozen[ptx.sender]) revert SenderFrozen(ptx.sender);
+
+        if (ptx.requiresMultiSig) {
+            // High risk or escalated -> verify guardian quorum
+            if (approvals < ptx.requiredApprovals) {
+                revert InsufficientApprovals(approvals, ptx.requiredApprovals);
+            }
+        } else {
+            // Medium risk -> verify timelock
+            if (block.timestamp < ptx.readyAt) {
+                revert TimelockNotExpired(ptx.readyAt);
+            }
+        }
+
+        ptx.executed = true;
+        if (ptx.withdrawal) {
+            _release(ptx.token, ptx.recipient, ptx.amount);
+        } else {
+            _vault(ptx.token)[_currentAccount(ptx.recipient)] += ptx.amount;
+        }
+
+        emit TransferExecuted(txId);
+    }
+
+    /**
+     * @notice Cancel a pending transfer and refund the sender
+     * @dev Refunds of a recovered account go to the address it moved to.
+     * @param txId Pending-transaction identifier
+     */
+    function cancelPending(uint256 txId) external nonReentrant {
+        PendingTx storage ptx = _pendingTxs[txId];
+        if (ptx.sender != _sender()) revert NotPendingTxSender();
+        if (ptx.executed) revert TxAlreadyExecuted();
+        if (ptx.cancelled) revert TxAlreadyCancelled();
+
+        ptx.cancelled = true;
+        _vault(ptx.token)[_currentAccount(ptx.sender)] += ptx.amount;
+
+        emit TransferCancelled(txId);
+    }
+
+    /**
+     * @notice Return an expired pending transfer to the sender's vault balance
+     * @dev Callable by anyone, so funds are not stranded when the sender is
+     *      unavailable or guardians never reach quorum.
+     * @param txId Pending-transaction identifier
+     */
+    function reclaimExpired(uint256 txId) external nonReentrant {
+        PendingTx storage ptx = _pendingTxs[txId];
+        if (ptx.sender == address(0)) revert TxDoesNotExist();
+        if (ptx.executed) revert TxAlreadyExecuted();
+        if (ptx.cancelled) revert TxAlreadyCancelled();
+        if (block.timestamp < ptx.expiresAt) revert TxNotExpired(ptx.expiresAt);
+
+        ptx.cancelled = true;
+        _vault(ptx.token)[_currentAccount(ptx.sender)] += ptx.amount;
+
+        emit TransferExpired(txId);
+    }
+}
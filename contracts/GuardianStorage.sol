@@ -0,0 +1,880 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+
+/**
+ * @title GuardianStorage
+ * @notice State, errors and events of NeuralUSDCGuardian.
+ * @dev Shared by the guardian and the modules it delegatecalls into (see
+ *      GuardianRecovery), so they all see one storage layout. New state is
+ *      only ever appended here.
+ */
+abstract contract GuardianStorage is Ownable, ReentrancyGuard, Pausable {
+    using SafeERC20 for IERC20;
+
+    // ================================================================
+    //                          CONSTANTS
+    // ================================================================
+
+    /// @dev Fixed-point scale factor (18 decimals)
+    int256 public constant SCALE = 1e18;
+
+    /// @dev Number of extracted input features
+    uint256 public constant INPUT_SIZE = 8;
+
+    /// @dev Maximum layers in a model, counting input and output
+    uint256 public constant MAX_LAYERS = 5;
+
+    /// @dev Maximum neurons in a hidden layer
+    uint256 public constant MAX_LAYER_SIZE = 16;
+
+    /// @dev Maximum weights + biases in a model; bounds the gas of a forward pass
+    uint256 public constant MAX_PARAMETERS = 512;
+
+    /// @dev Maximum representable risk score
+    uint256 public constant MAX_RISK = 100;
+
+    /// @dev Minimum cooldown between model-weight updates
+    uint256 public constant MODEL_UPDATE_COOLDOWN = 1 hours;
+
+    /// @dev Cap on the amount-ratio feature to bound NN input
+    int256 public constant MAX_AMOUNT_RATIO = 10e18; // 10.0
+
+    /// @dev Cap on the frequency feature
+    int256 public constant MAX_FREQUENCY = 2e18; // 2.0
+
+    /// @dev Account age at which the age feature saturates at 1.0
+    uint256 public constant ACCOUNT_AGE_HORIZON = 30 days;
+
+    /// @dev Delay before a user's own spending-limit increase takes effect
+    uint256 public constant SPENDING_LIMIT_COOLDOWN = 1 days;
+
+    /// @dev Maximum rows in a `batchTransfer`; bounds its gas
+    uint256 public constant MAX_BATCH_SIZE = 100;
+
+    /// @dev Maximum recovery guardians a user can designate
+    uint256 public constant MAX_RECOVERY_GUARDIANS = 10;
+
+    // ================================================================
+    //                       CONFIGURATION
+    // ================================================================
+
+    /// @notice USDC token contract (immutable after deployment)
+    IERC20 public immutable usdc;
+
+    /// @notice Risk score below which transfers auto-approve
+    uint256 public lowThreshold = 30;
+
+    /// @notice Risk score at or above which transfers require multi-sig
+    uint256 public highThreshold = 70;
+
+    /// @notice Duration of the timelock for medium-risk transfers
+    uint256 public timelockDuration = 1 hours;
+
+    /// @notice Minimum guardian approvals for high-risk transfers
+    uint256 public minApprovals = 2;
+
+    /// @notice Time after creation from which a pending transfer can no longer
+    ///         execute and anyone can return it to the sender
+    uint256 public pendingExpiry = 7 days;
+
+    /// @notice How long a guardian approval counts towards quorum
+    uint256 public approvalValidity = 3 days;
+
+    /// @notice Timestamp of the last model-weight update
+    uint256 public lastModelUpdate;
+
+    /// @notice Delay between proposing a model version and activating it (set by the guardian's constructor)
+    uint256 public modelActivationDelay;
+
+    /// @dev Shorter modelActivationDelay waiting out the one in force
+    uint256 internal _queuedModelDelay;
+
+    /// @dev When `_queuedModelDelay` takes effect (0 = nothing queued)
+    uint256 internal _queuedModelDelayAt;
+
+    /// @notice Half-life of the decayed average transfer amount (amountRatio)
+    uint256 public amountHalfLife = 7 days;
+
+    /// @notice Half-life of the decayed transaction rate (txFrequency)
+    uint256 public frequencyHalfLife = 1 hours;
+
+    /// @notice Time between a recovery reaching quorum and it becoming executable
+    uint256 public recoveryDelay = 3 days;
+
+    /// @notice Time before a newly trusted recipient counts as trusted in scoring
+    uint256 public trustActivationDelay = 1 days;
+
+    /// @dev Shorter trustActivationDelay waiting out the one in force
+    uint256 internal _queuedTrustDelay;
+
+    /// @dev When `_queuedTrustDelay` takes effect (0 = nothing queued)
+    uint256 internal _queuedTrustDelayAt;
+
+    // ================================================================
+    //                      MODEL VERSIONS
+    // ================================================================
+
+    /**
+     * @notice Topology and weights of one model version, in the `updateModel` layout
+     * @dev Layer l (1-based) has `layers[l]` neurons fed by `layers[l - 1]` inputs.
+     *      Its weights follow those of layer l - 1, flattened [neuron * fanIn + input],
+     *      and its biases follow those of layer l - 1.
+     */
+    struct ModelWeights {
+        uint256[] layers;      // input, hidden..., output (always 1)
+        int256[] weights;
+        int256[] biases;
+    }
+
+    /// @notice Metadata of a recorded model version
+    struct ModelVersion {
+        bytes32 weightsHash;   // keccak256(abi.encode(layers, weights, biases))
+        uint256 proposedAt;
+        uint256 activatesAt;   // earliest activation time
+        uint256 activatedAt;   // most recent activation, 0 if never active
+    }
+
+    /// @notice Number of recorded versions; ids start at 1 (constructor default)
+    uint256 public modelVersionCount;
+
+    /// @notice Version that scores transfers
+    uint256 public activeModelVersion;
+
+    /// @dev version -> weights
+    mapping(uint256 => ModelWeights) internal _modelWeights;
+
+    /// @dev version -> metadata
+    mapping(uint256 => ModelVersion) internal _modelVersions;
+
+    /// @dev Versions in activation order; `rollbackModel` pops the top
+    uint256[] internal _activationHistory;
+
+    /// @notice Version scored alongside the active model in `transfer()`
+    ///         without affecting routing (0 = no shadow model)
+    uint256 public shadowModelVersion;
+
+    // ================================================================
+    //                        USER DATA
+    // ================================================================
+
+    /// @notice Behavioural profile built from transaction history
+    struct UserProfile {
+        uint256 totalTransactions;
+        uint256 totalVolume;
+        uint256 lastTransactionTime;
+        uint256 decayedVolume;     // amounts decayed by amountHalfLife, as of lastTransactionTime
+        uint256 decayedTxCount;    // SCALE per transfer, decayed by amountHalfLife
+        uint256 decayedTxRate;     // SCALE per transfer, decayed by frequencyHalfLife
+        uint256 registeredAt;
+        uint256 activeHours;       // bit h set = has transacted in UTC hour h
+        bool isRegistered;
+    }
+
+    /// @notice Address -> profile
+    mapping(address => UserProfile) public profiles;
+
+    /// @notice USDC balances held inside the guardian vault (other tokens: `tokenBalance`)
+    mapping(address => uint256) public balances;
+
+    /// @notice Per-user trusted-recipient whitelist, including entries whose
+    ///         activation delay has not passed yet (see `trustActiveAt`)
+    mapping(address => mapping(address => bool)) public trustedRecipients;
+
+    /// @notice user -> recipient -> when the trust starts to lower risk (0 = not trusted)
+    mapping(address => mapping(address => uint256)) public trustActiveAt;
+
+    /// @dev user -> recipients currently trusted, for enumeration and recovery
+    mapping(address => address[]) internal _trustedList;
+
+    /// @dev user -> recipient -> 1-based position in `_trustedList` (0 = absent)
+    mapping(address => mapping(address => uint256)) internal _trustedIndex;
+
+    /// @notice sender -> recipient -> number of transfers initiated
+    mapping(address => mapping(address => uint256)) public recipientTransferCount;
+
+    // ================================================================
+    //                      SPENDING LIMITS
+    // ================================================================
+
+    /// @notice Why a transfer was held rather than auto-approved
+    enum PendingReason {
+        None,           // not held
+        RiskScore,      // model score at or above lowThreshold
+        DailyLimit,     // would exceed SpendingLimits.dailyLimit
+        WeeklyLimit,    // would exceed SpendingLimits.weeklyLimit
+        VelocityLimit   // would exceed SpendingLimits.maxTxPerWindow
+    }
+
+    /// @notice User-configured outbound limits; 0 disables a limit
+    struct SpendingLimits {
+        uint256 dailyLimit;        // amount per 1-day window
+        uint256 weeklyLimit;       // amount per 7-day window
+        uint256 maxTxPerWindow;    // transfers per velocityWindow
+        uint256 velocityWindow;    // seconds
+        bool multiSigOnBreach;     // breaches need guardian approval, not just the timelock
+    }
+
+    /// @notice Outbound usage in the current limit windows. A window opens
+    ///         with the first transfer after the previous one has expired.
+    struct SpendingUsage {
+        uint256 dayStart;
+        uint256 daySpent;
+        uint256 weekStart;
+        uint256 weekSpent;
+        uint256 velocityStart;
+        uint256 velocityCount;
+    }
+
+    /// @dev user -> limits in force
+    mapping(address => SpendingLimits) internal _spendingLimits;
+
+    /// @dev user -> looser limits waiting out SPENDING_LIMIT_COOLDOWN
+    mapping(address => SpendingLimits) internal _queuedSpendingLimits;
+
+    /// @dev user -> when the queued limits take effect (0 = nothing queued)
+    mapping(address => uint256) internal _queuedLimitsAt;
+
+    /// @dev user -> usage counted against the limits
+    mapping(address => SpendingUsage) internal _spendingUsage;
+
+    /// @notice user -> withdrawals of at least this amount are risk-assessed (0 = never)
+    mapping(address => uint256) public withdrawalReviewMin;
+
+    /// @dev user -> looser review minimum waiting out SPENDING_LIMIT_COOLDOWN
+    mapping(address => uint256) internal _queuedReviewMin;
+
+    /// @dev user -> when the queued review minimum takes effect (0 = nothing queued)
+    mapping(address => uint256) internal _queuedReviewAt;
+
+    // ================================================================
+    //                         GUARDIANS
+    // ================================================================
+
+    /// @notice Whether an address is a guardian
+    mapping(address => bool) public guardians;
+
+    /// @notice Current number of active guardians
+    uint256 public guardianCount;
+
+    // ================================================================
+    //                    PENDING TRANSACTIONS
+    // ================================================================
+
+    /**
+     * @notice A transfer that is awaiting timelock expiry or multi-sig approval
+     * @dev The security gate is fixed at creation (or escalation), so later
+     *      threshold, timelock or quorum changes do not reclassify it.
+     */
+    struct PendingTx {
+        address sender;
+        address recipient;
+        uint256 amount;
+        uint256 riskScore;
+        uint256 modelVersion;
+        uint256 createdAt;
+        uint256 readyAt;           // end of the timelock (timelock gate only)
+        uint256 expiresAt;         // from here on it can only be refunded
+        uint256 requiredApprovals; // multi-sig quorum, and the veto quorum
+        uint256 approvalCount;     // guardians who approved, including lapsed approvals
+        uint256 vetoCount;
+        PendingReason reason;
+        bool requiresMultiSig;
+        bool withdrawal;           // pays `recipient` in tokens rather than a vault balance
+        bool executed;
+        bool cancelled;        // refunded to the sender, by cancellation or veto
+        bool vetoed;
+        address token;             // ERC-20 being moved; `amount` is in its base units
+    }
+
+    /// @dev txId -> pending transaction; read through `pendingTxs` or `getPendingTx`
+    mapping(uint256 => PendingTx) internal _pendingTxs;
+
+    /// @notice txId -> guardian address -> time of their latest approval (0 = none)
+    mapping(uint256 => mapping(address => uint256)) public approvedAt;
+
+    /// @dev txId -> guardians who have approved, in order
+    mapping(uint256 => address[]) internal _approvers;
+
+    /// @notice txId -> guardian address -> has vetoed
+    mapping(uint256 => mapping(address => bool)) public hasVetoed;
+
+    /// @dev txId -> veto votes that also asked to freeze the sender
+    mapping(uint256 => uint256) internal _freezeVotes;
+
+    /// @notice Senders frozen by a guardian veto; cleared by the owner
+    mapping(address => bool) public frozen;
+
+    /// @notice Auto-incrementing pending-transaction counter
+    uint256 public pendingTxCount;
+
+    /// @notice Auto-incrementing batch counter
+    uint256 public batchCount;
+
+    // ================================================================
+    //                      ACCOUNT RECOVERY
+    // ================================================================
+
+    /// @notice A recovery that reached quorum and waits out `recoveryDelay`
+    struct Recovery {
+        address newAddress;
+        uint256 readyAt;           // 0 = no recovery scheduled
+    }
+
+    /// @dev user -> guardians the user chose; empty = the global guardian set
+    mapping(address => address[]) internal _recoveryGuardians;
+
+    /// @dev user -> supporters needed among `_recoveryGuardians`
+    mapping(address => uint256) internal _recoveryThreshold;
+
+    /// @dev user -> scheduled recovery
+    mapping(address => Recovery) internal _recoveries;
+
+    /// @notice user -> voting round; bumped by cancellation, reconfiguration
+    ///         and execution, which discards every earlier vote
+    mapping(address => uint256) public recoveryRound;
+
+    /// @dev user -> round -> guardian -> address they support
+    mapping(address => mapping(uint256 => mapping(address => address))) internal _recoveryVotes;
+
+    /// @dev user -> round -> new address -> supporters
+    mapping(address => mapping(uint256 => mapping(address => uint256))) internal _recoverySupport;
+
+    /// @notice Recovered account -> the address its funds moved to
+    mapping(address => address) public recoveredTo;
+
+    // ================================================================
+    //                       SIGNED INTENTS
+    // ================================================================
+
+    /// @notice signer -> nonce their next EIP-712 intent must carry
+    mapping(address => uint256) public nonces;
+
+    // ================================================================
+    //                        RISK POLICY
+    // ================================================================
+
+    /**
+     * @notice Routing parameters: the global ones, a per-account override or
+     *         a user's personal policy. All zero means "not set".
+     */
+    struct RiskPolicy {
+        uint256 lowThreshold;      // scores below this auto-approve
+        uint256 highThreshold;     // scores at or above this need multi-sig
+        uint256 timelockDuration;  // seconds
+        uint256 minApprovals;      // guardian quorum
+    }
+
+    /// @notice Loosest policy the owner may grant an account as an override
+    RiskPolicy public policyBounds = RiskPolicy(30, 70, 1 hours, 2);
+
+    /// @notice user -> owner-granted policy used in place of the global one
+    mapping(address => RiskPolicy) public policyOverrides;
+
+    /// @dev user -> personal policy; it can only make routing stricter
+    mapping(address => RiskPolicy) internal _riskPolicies;
+
+    /// @dev user -> looser personal policy waiting out SPENDING_LIMIT_COOLDOWN
+    mapping(address => RiskPolicy) internal _queuedRiskPolicies;
+
+    /// @dev user -> when the queued personal policy takes effect (0 = nothing queued)
+    mapping(address => uint256) internal _queuedPolicyAt;
+
+    // ================================================================
+    //                          TOKENS
+    // ================================================================
+
+    /// @notice Amount statistics behind amountRatio for a token other than USDC
+    ///         (USDC's live in the UserProfile)
+    struct TokenActivity {
+        uint256 decayedVolume;     // token base units, decayed by amountHalfLife
+        uint256 decayedTxCount;    // SCALE per transfer, decayed by amountHalfLife
+        uint256 lastTransactionTime;
+    }
+
+    /// @notice Tokens that can be deposited and transferred; USDC always can
+    mapping(address => bool) public supportedTokens;
+
+    /// @notice Decimals of every token ever listed, read when it was added
+    mapping(address => uint8) public tokenDecimals;
+
+    /// @dev Every token ever listed, delisted ones included, in listing order
+    address[] internal _tokenList;
+
+    /// @dev Whether a token is in `_tokenList`
+    mapping(address => bool) internal _tokenListed;
+
+    /// @dev token -> user -> vault balance, for tokens other than USDC (see `_vault`)
+    mapping(address => mapping(address => uint256)) internal _tokenBalances;
+
+    /// @dev user -> token -> amount statistics, for tokens other than USDC
+    mapping(address => mapping(address => TokenActivity)) internal _tokenActivity;
+
+    /// @notice token -> what the vault owes in it: every user balance plus the
+    ///         amounts locked in open pending transfers. Never above the
+    ///         guardian's own balance of the token (see `isSolvent`).
+    mapping(address => uint256) public vaultLiabilities;
+
+    // ================================================================
+    //                       CUSTOM ERRORS
+    // ================================================================
+
+    error ZeroAmount();
+    error ZeroAddress();
+    error InsufficientBalance(uint256 available, uint256 required);
+    error NotRegistered();
+    error AlreadyRegistered();
+    error NotGuardian();
+    error AlreadyGuardian();
+    error NotPendingTxSender();
+    error TxAlreadyExecuted();
+    error TxAlreadyCancelled();
+    error TxDoesNotExist();
+    error TimelockNotExpired(uint256 readyAt);
+    error TxExpired(uint256 expiredAt);
+    error TxNotExpired(uint256 expiresAt);
+    error InvalidExpiry();
+    error InsufficientApprovals(uint256 current, uint256 required);
+    error AlreadyApproved();
+    error AlreadyVetoed();
+    error VetoInProgress(uint256 vetoCount, uint256 required);
+    error AlreadyMultiSig();
+    error SenderFrozen(address sender);
+    error NotFrozen(address user);
+    error ModelUpdateTooFrequent(uint256 nextAllowedAt);
+    error ModelVersionNotFound(uint256 version);
+    error ModelNotReady(uint256 activatesAt);
+    error ModelAlreadyActive(uint256 version);
+    error NoPreviousModel();
+    error ModelActivationDelayActive(uint256 delay);
+    error InvalidTopology();
+    error ModelShapeMismatch(uint256 expectedWeights, uint256 expectedBiases);
+    error InvalidThresholds();
+    error InvalidHalfLife();
+    error InvalidSpendingLimits();
+    error CannotRemoveLastGuardian();
+    error SelfTransferNotAllowed();
+    error BatchLengthMismatch(uint256 recipients, uint256 amounts);
+    error InvalidBatchSize(uint256 size, uint256 max);
+    error InvalidRecoveryConfig();
+    error NotRecoveryGuardian();
+    error InvalidRecoveryAddress();
+    error AlreadySupported();
+    error RecoveryInProgress(address newAddress, uint256 readyAt);
+    error NoRecoveryScheduled();
+    error RecoveryNotReady(uint256 readyAt);
+    error AccountMigrated(address newAddress);
+    error InvalidSignature();
+    error IntentExpired(uint256 deadline);
+    error InvalidRiskPolicy();
+    error UnsupportedToken(address token);
+    error TokenAlreadySupported(address token);
+    error VaultInsolvent(address token, uint256 liabilities, uint256 held);
+
+    // ================================================================
+    //                          EVENTS
+    // ================================================================
+
+    event Registered(address indexed user);
+    event Deposited(address indexed user, address indexed token, uint256 amount);
+    event Withdrawn(address indexed user, address indexed token, uint256 amount);
+    event WithdrawnTo(address indexed user, address indexed to, address indexed token, uint256 amount);
+
+    event TransferAutoApproved(
+        address indexed sender,
+        address indexed recipient,
+        address indexed token,
+        uint256 amount,
+        uint256 riskScore
+    );
+
+    event TransferPending(
+        uint256 indexed txId,
+        address indexed sender,
+        address indexed recipient,
+        address token,
+        uint256 amount,
+        uint256 riskScore,
+        bool requiresMultiSig,
+        PendingReason reason
+    );
+
+    event BatchSubmitted(
+        uint256 indexed batchId,
+        address indexed sender,
+        uint256 rows,
+        uint256 totalAmount,
+        uint256 autoApproved
+    );
+
+    event WithdrawalPending(
+        uint256 indexed txId,
+        address indexed user,
+        address indexed to,
+        address token,
+        uint256 amount,
+        uint256 riskScore,
+        bool requiresMultiSig,
+        PendingReason reason
+    );
+
+    event TransferExecuted(uint256 indexed txId);
+    event TransferCancelled(uint256 indexed txId);
+    event TransferExpired(uint256 indexed txId);
+    event GuardianApproval(uint256 indexed txId, address indexed guardian);
+    event VetoCast(uint256 indexed txId, address indexed guardian, bool freezeSender);
+    event TransferVetoed(uint256 indexed txId, bool senderFrozen);
+    event TransferEscalated(uint256 indexed txId);
+
+    event AccountFrozen(address indexed user, uint256 indexed txId);
+    event AccountUnfrozen(address indexed user);
+
+    event GuardianAdded(address indexed guardian);
+    event GuardianRemoved(address indexed guardian);
+
+    event TrustedRecipientSet(
+        address indexed user,
+        address indexed recipient,
+        bool trusted,
+        uint256 activeAt
+    );
+
+    event SpendingLimitsUpdated(
+        address indexed user,
+        uint256 dailyLimit,
+        uint256 weeklyLimit,
+        uint256 maxTxPerWindow,
+        uint256 velocityWindow,
+        bool multiSigOnBreach
+    );
+    event SpendingLimitsQueued(
+        address indexed user,
+        uint256 dailyLimit,
+        uint256 weeklyLimit,
+        uint256 maxTxPerWindow,
+        uint256 velocityWindow,
+        bool multiSigOnBreach,
+        uint256 effectiveAt
+    );
+
+    event WithdrawalReviewUpdated(address indexed user, uint256 minAmount);
+    event WithdrawalReviewQueued(address indexed user, uint256 minAmount, uint256 effectiveAt);
+
+    event RiskPolicyUpdated(
+        address indexed user,
+        uint256 lowThreshold,
+        uint256 highThreshold,
+        uint256 timelockDuration,
+        uint256 minApprovals
+    );
+    event RiskPolicyQueued(
+        address indexed user,
+        uint256 lowThreshold,
+        uint256 highThreshold,
+        uint256 timelockDuration,
+        uint256 minApprovals,
+        uint256 effectiveAt
+    );
+    event PolicyOverrideSet(
+        address indexed user,
+        uint256 lowThreshold,
+        uint256 highThreshold,
+        uint256 timelockDuration,
+        uint256 minApprovals
+    );
+    event PolicyBoundsUpdated(
+        uint256 lowThreshold,
+        uint256 highThreshold,
+        uint256 timelockDuration,
+        uint256 minApprovals
+    );
+
+    event RecoveryGuardiansSet(address indexed user, address[] guardians, uint256 threshold);
+    event RecoverySupported(
+        address indexed user,
+        address indexed newAddress,
+        address indexed guardian,
+        uint256 supporters
+    );
+    event RecoveryScheduled(address indexed user, address indexed newAddress, uint256 readyAt);
+    event RecoveryCancelled(address indexed user);
+    event AccountRecovered(address indexed user, address indexed newAddress, uint256 balance);
+
+    event ModelProposed(uint256 indexed version, bytes32 weightsHash, uint256 activatesAt);
+    event ModelUpdated(uint256 indexed version, uint256 indexed previousVersion, bytes32 weightsHash);
+    event ModelRolledBack(uint256 indexed fromVersion, uint256 indexed toVersion);
+    event ModelActivationDelayUpdated(uint256 newDelay);
+    event ModelActivationDelayQueued(uint256 newDelay, uint256 effectiveAt);
+    event ShadowModelSet(uint256 indexed version);
+
+    event ShadowRiskAssessed(
+        address indexed sender,
+        address indexed recipient,
+        uint256 modelVersion,
+        uint256 shadowVersion,
+        uint256 riskScore,
+        uint256 shadowRiskScore
+    );
+    event ThresholdsUpdated(uint256 lowThreshold, uint256 highThreshold);
+    event TimelockDurationUpdated(uint256 newDuration);
+    event MinApprovalsUpdated(uint256 newMinApprovals);
+    event ExpiryWindowsUpdated(uint256 pendingExpiry, uint256 approvalValidity);
+    event DecayHalfLivesUpdated(uint256 amountHalfLife, uint256 frequencyHalfLife);
+    event RecoveryDelayUpdated(uint256 newDelay);
+    event TrustActivationDelayUpdated(uint256 newDelay);
+    event TrustActivationDelayQueued(uint256 newDelay, uint256 effectiveAt);
+    event TokenAdded(address indexed token, uint8 decimals);
+    event TokenRemoved(address indexed token);
+
+    event IntentRelayed(address indexed signer, address indexed relayer, uint256 nonce);
+
+    event RiskAssessed(
+        address indexed sender,
+        address indexed recipient,
+        uint256 amount,
+        uint256 riskScore,
+        uint256 modelVersion,
+        int256[8] features
+    );
+
+    // ================================================================
+    //                        CONSTRUCTOR
+    // ================================================================
+
+    /**
+     * @param _usdc Address of the USDC (or any ERC-20) token contract
+     */
+    constructor(address _usdc) Ownable(msg.sender) {
+        if (_usdc == address(0)) revert ZeroAddress();
+        usdc = IERC20(_usdc);
+        _listToken(_usdc);
+    }
+
+    // ================================================================
+    //                      SHARED INTERNALS
+    // ================================================================
+
+    /**
+     * @dev Who an action is for: the signer GuardianIntents appends when it
+     *      relays an intent through the guardian, otherwise the caller.
+     *      Modules see the same msg.sender and calldata under delegatecall.
+     */
+    function _sender() internal view returns (address) {
+        if (msg.sender != address(this)) return msg.sender;
+        return address(bytes20(msg.data[msg.data.length - 20:]));
+    }
+
+    /// @dev Accept `token` for deposits and transfers, recording its decimals on first listing.
+    function _listToken(address token) internal {
+        if (!_tokenListed[token]) {
+            _tokenListed[token] = true;
+            _tokenList.push(token);
+        }
+        supportedTokens[token] = true;
+        tokenDecimals[token] = IERC20Metadata(token).decimals();
+        emit TokenAdded(token, tokenDecimals[token]);
+    }
+
+    /// @dev Vault balances of `token`: `balances` for USDC, `_tokenBalances` otherwise.
+    function _vault(address token) internal view returns (mapping(address => uint256) storage) {
+        return token == address(usdc) ? balances : _tokenBalances[token];
+    }
+
+    /// @notice Whether the guardian holds at least `vaultLiabilities` of `token`
+    function isSolvent(address token) public view returns (bool) {
+        return IERC20(token).balanceOf(address(this)) >= vaultLiabilities[token];
+    }
+
+    /// @dev Send `amount` of `token` out of the vault; the caller has already debited it.
+    function _release(address token, address to, uint256 amount) internal {
+        vaultLiabilities[token] -= amount;
+        IERC20(token).safeTransfer(to, amount);
+    }
+
+    /**
+     * @dev `amount` of `token` expressed in USDC base units, so spending
+     *      limits, review minimums and volume totals compare across tokens.
+     *      Tokens are treated as worth one USDC per whole unit.
+     */
+    function _normalize(address token, uint256 amount) internal view returns (uint256) {
+        uint8 from = tokenDecimals[token];
+        uint8 to = tokenDecimals[address(usdc)];
+        if (from == to) return amount;
+        return from > to ? amount / 10 ** (from - to) : amount * 10 ** (to - from);
+    }
+
+    /// @dev Trust or revoke `recipient` for `user` and announce it.
+    function _updateTrust(address user, address recipient, bool trusted) internal {
+        if (recipient == address(0)) revert ZeroAddress();
+        _setTrust(user, recipient, trusted);
+        emit TrustedRecipientSet(user, recipient, trusted, trustActiveAt[user][recipient]);
+    }
+
+    /**
+     * @dev Record trust in the lookup mapping and the enumerable list. New
+     *      trust takes effect after `trustActivationDelay`; trusting an
+     *      address again keeps its activation time, revoking is immediate.
+     */
+    function _setTrust(address user, address recipient, bool trusted) internal {
+        trustedRecipients[user][recipient] = trusted;
+        address[] storage list = _trustedList[user];
+        uint256 index = _trustedIndex[user][recipient];
+        if (trusted && index == 0) {
+            _promoteTrustActivationDelay();
+            list.push(recipient);
+            _trustedIndex[user][recipient] = list.length;
+            trustActiveAt[user][recipient] = block.timestamp + trustActivationDelay;
+        } else if (!trusted && index != 0) {
+            // Swap-and-pop; order is not preserved
+            address last = list[list.length - 1];
+            list[index - 1] = last;
+            _trustedIndex[user][last] = index;
+            list.pop();
+            delete _trustedIndex[user][recipient];
+            delete trustActiveAt[user][recipient];
+        }
+    }
+
+    /// @dev Whether `user` trusts `recipient` and the activation delay has passed.
+    function _isTrusted(address user, address recipient) internal view returns (bool) {
+        return trustedRecipients[user][recipient] && block.timestamp >= trustActiveAt[user][recipient];
+    }
+
+    /// @dev Move queued limits into force once their cooldown has passed.
+    function _promoteSpendingLimits(address user) internal {
+        uint256 at = _queuedLimitsAt[user];
+        if (at == 0 || block.timestamp < at) return;
+        SpendingLimits memory queued = _queuedSpendingLimits[user];
+        _spendingLimits[user] = queued;
+        delete _queuedSpendingLimits[user];
+        delete _queuedLimitsAt[user];
+        emit SpendingLimitsUpdated(
+            user,
+            queued.dailyLimit,
+            queued.weeklyLimit,
+            queued.maxTxPerWindow,
+            queued.velocityWindow,
+            queued.multiSigOnBreach
+        );
+    }
+
+    /// @dev Move a queued, shorter model activation delay into force once it is due.
+    function _promoteModelActivationDelay() internal {
+        uint256 at = _queuedModelDelayAt;
+        if (at == 0 || block.timestamp < at) return;
+        modelActivationDelay = _queuedModelDelay;
+        delete _queuedModelDelay;
+        delete _queuedModelDelayAt;
+        emit ModelActivationDelayUpdated(modelActivationDelay);
+    }
+
+    /// @dev Move a queued, shorter trust activation delay into force once it is due.
+    function _promoteTrustActivationDelay() internal {
+        uint256 at = _queuedTrustDelayAt;
+        if (at == 0 || block.timestamp < at) return;
+        trustActivationDelay = _queuedTrustDelay;
+        delete _queuedTrustDelay;
+        delete _queuedTrustDelayAt;
+        emit TrustActivationDelayUpdated(trustActivationDelay);
+    }
+
+    /// @dev Move a queued withdrawal-review minimum into force once its cooldown has passed.
+    function _promoteWithdrawalReview(address user) internal {
+        uint256 at = _queuedReviewAt[user];
+        if (at == 0 || block.timestamp < at) return;
+        withdrawalReviewMin[user] = _queuedReviewMin[user];
+        delete _queuedReviewMin[user];
+        delete _queuedReviewAt[user];
+        emit WithdrawalReviewUpdated(user, withdrawalReviewMin[user]);
+    }
+
+    /**
+     * @dev Policy that routes `user`'s transfers: their override, or else the
+     *      global settings, tightened by their personal policy (counting a
+     *      queued one whose cooldown has passed) where that is stricter.
+     */
+    function _effectiveRiskPolicy(address user) internal view returns (RiskPolicy memory p) {
+        p = policyOverrides[user];
+        if (p.highThreshold == 0) p = RiskPolicy(lowThreshold, highThreshold, timelockDuration, minApprovals);
+
+        uint256 at = _queuedPolicyAt[user];
+        RiskPolicy memory own = at != 0 && block.timestamp >= at ? _queuedRiskPolicies[user] : _riskPolicies[user];
+        if (own.highThreshold == 0) return p;
+        if (own.lowThreshold < p.lowThreshold) p.lowThreshold = own.lowThreshold;
+        if (own.highThreshold < p.highThreshold) p.highThreshold = own.highThreshold;
+        if (own.timelockDuration > p.timelockDuration) p.timelockDuration = own.timelockDuration;
+        if (own.minApprovals > p.minApprovals) p.minApprovals = own.minApprovals;
+    }
+
+    /// @dev Follow recoveries from `account` to the address that now holds its funds.
+    function _currentAccount(address account) internal view returns (address) {
+        while (recoveredTo[account] != address(0)) account = recoveredTo[account];
+        return account;
+    }
+
+    /// @dev Load a pending transfer that can still be approved or executed.
+    function _openPendingTx(uint256 txId) internal view returns (PendingTx storage ptx) {
+        ptx = _pendingTxs[txId];
+        if (ptx.sender == address(0)) revert TxDoesNotExist();
+        if (ptx.executed) revert TxAlreadyExecuted();
+        if (ptx.cancelled) revert TxAlreadyCancelled();
+        if (block.timestamp >= ptx.expiresAt) revert TxExpired(ptx.expiresAt);
+    }
+
+    /// @notice Approvals of `txId` that still count towards its quorum
+    function validApprovals(uint256 txId) public view returns (uint256 count) {
+        address[] storage approvers = _approvers[txId];
+        for (uint256 i = 0; i < approvers.length; i++) {
+            if (hasApproved(txId, approvers[i])) count++;
+        }
+    }
+
+    /// @notice Whether `guardian` has an approval of `txId` that has not lapsed
+    function hasApproved(uint256 txId, address guardian) public view returns (bool) {
+        uint256 at = approvedAt[txId][guardian];
+        return at != 0 && block.timestamp < at + approvalValidity;
+    }
+
+    /**
+     * @notice Who can recover `user` and how many of them must agree
+     * @return recoveryGuardians The user's list; empty = any global guardian
+     * @return threshold         Supporters needed (`minApprovals` for the global set)
+     */
+    function getRecoveryGuardians(address user)
+        public
+        view
+        returns (address[] memory recoveryGuardians, uint256 threshold)
+    {
+        recoveryGuardians = _recoveryGuardians[user];
+        threshold = recoveryGuardians.length == 0 ? minApprovals : _recoveryThreshold[user];
+    }
+
+    /// @notice EIP-712 domain of signed intents; the name and version are fixed
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+                keccak256("NeuralUSDCGuardian"),
+                keccak256("1"),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+
+    /// @notice Whether `guardian` may vote on recovering `user`
+    function isRecoveryGuardian(address user, address guardian) public view returns (bool) {
+        address[] storage list = _recoveryGuardians[user];
+        if (list.length == 0) return guardians[guardian];
+        for (uint256 i = 0; i < list.length; i++) {
+            if (list[i] == guardian) return true;
+        }
+        return false;
+    }
+}
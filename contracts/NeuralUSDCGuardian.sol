@@ -2,27 +2,37 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
+
+import "./GuardianStorage.sol";
+import "./GuardianModules.sol";
 
 /**
  * @title NeuralUSDCGuardian
  * @notice On-chain neural network that evaluates USDC transfer risk in real-time.
- * @dev Implements a 3-layer feedforward neural network (4-8-1) directly in Solidity
- *      using fixed-point arithmetic (18 decimal scale). Transactions are classified
+ * @dev Implements a feedforward neural network directly in Solidity using
+ *      fixed-point arithmetic (18 decimal scale). Transactions are classified
  *      into low / medium / high risk and routed through the appropriate security gate.
  *
  * Architecture
  * ============
- *   Input Layer  (4 features)
- *     0 - amountRatio   : tx amount / sender's historical average
- *     1 - txFrequency   : recent tx count in rolling 1-hour window, normalised
- *     2 - recipientTrust: 1.0 if sender has marked recipient trusted, else 0.0
- *     3 - recency       : 1.0 if last tx was seconds ago, 0.0 if >= 1 hour ago
+ *   The layer sizes are part of each model version (`layers`, e.g. [4, 8, 1]).
+ *   The default model is 4-8-1 and reads features 0-3:
+ *
+ *   Input Layer  (8 features; a model reads the first `layers[0]`)
+ *     0 - amountRatio     : tx amount / sender's average, decayed by amountHalfLife
+ *     1 - txFrequency     : tx count decayed by frequencyHalfLife, / 5
+ *     2 - recipientTrust  : 1.0 if sender has trusted recipient for at least
+ *                           `trustActivationDelay`, else 0.0
+ *     3 - recency         : 1.0 if last tx was seconds ago, 0.0 if >= 1 hour ago
+ *     4 - recipientNovelty: 1.0 if sender has never paid recipient before, else 0.0
+ *     5 - balanceFraction : tx amount / sender's vault balance, clamped [0, 1]
+ *     6 - accountAge      : time since register() / 30 days, clamped [0, 1]
+ *     7 - hourDeviation   : hours from the nearest hour of day (UTC) the sender
+ *                           has transacted in before, / 12; 0.0 without history
  *
- *   Hidden Layer (8 neurons, ReLU activation)
+ *   Hidden Layers (1 to MAX_LAYERS - 2, ReLU activation)
  *     Specialised pattern detectors for anomalous behaviour
  *
  *   Output Layer (1 neuron, fast-sigmoid activation)
@@ -33,393 +43,820 @@ import "@openzeppelin/contracts/utils/Pausable.sol";
  *   [0,  lowThreshold)            -> Auto-approved (immediate transfer)
  *   [lowThreshold, highThreshold) -> Time-locked   (default 1 hour)
  *   [highThreshold, 100]          -> Multi-sig     (guardian approval required)
+ *
+ *   A transfer that breaches the sender's own spending limits (daily / weekly
+ *   amount, transfers per window) is held in the timelock - or multi-sig, if
+ *   the sender opted in - whatever its score.
+ *
+ *   `batchTransfer` routes each row the same way, scoring every row against
+ *   the sender's profile as it stood before the batch.
+ *
+ *   The thresholds, timelock and quorum above are the global defaults. The
+ *   owner can override them per account within `policyBounds`, and users can
+ *   tighten their own (GuardianPolicy); routing uses the sender's effective
+ *   policy, fixed into a transfer when it is held.
+ *
+ *   Until it executes, guardians can veto any pending transfer: a quorum of
+ *   vetoes refunds the sender and can freeze their account. A sender can
+ *   escalate their own time-locked transfer to multi-sig. Approval, veto
+ *   and escalation live in GuardianReview, run via delegatecall.
+ *
+ *   The gate, quorum and timelock end are fixed when a transfer is held.
+ *   Guardian approvals lapse after `approvalValidity`, and after
+ *   `pendingExpiry` anyone can return an unexecuted transfer to the sender.
+ *
+ *   Withdrawals count against the same spending limits. They skip the
+ *   network unless they would breach a limit or the user opts into
+ *   withdrawal review, which holds large withdrawals in the same gates.
+ *   `withdrawTo` pays an external address, which is scored as the recipient.
+ *
+ *   `depositWithPermit` takes an EIP-2612 permit in place of a separate
+ *   `approve`, for tokens that support it (USDC does).
+ *
+ * Tokens
+ * ======
+ *   Besides USDC the vault holds any ERC-20 on the owner's allowlist
+ *   (`addSupportedToken`), each with its own balances: `depositToken`,
+ *   `transferToken` and `withdrawToken` take the token explicitly, and the
+ *   USDC-only functions are shorthands for them. amountRatio compares an
+ *   amount with the sender's average in the same token; spending limits,
+ *   the withdrawal-review minimum and profile volume count every token in
+ *   USDC units after normalising decimals. Batches and signed intents are
+ *   USDC only.
+ *
+ *   Deposits are credited with the balance the guardian actually gained, so
+ *   a fee-on-transfer token credits less than was sent. `vaultLiabilities`
+ *   tracks what the vault owes in each token; a deposit that leaves it
+ *   above the guardian's holdings (say, after a negative rebase) reverts.
+ *   Withdrawals are never blocked on it, so users can still exit.
+ *
+ * Account Recovery
+ * ================
+ *   A user's recovery guardians (the global guardian set by default) can move
+ *   their balance, profile and trusted recipients to a new address after
+ *   `recoveryDelay`. The logic lives in GuardianRecovery, which this contract
+ *   delegatecalls into; both inherit the storage layout of GuardianStorage.
+ *
+ * Signed Intents
+ * ==============
+ *   `transfer`, `setTrustedRecipient` and `cancelPending` can also be
+ *   authorised by an EIP-712 signature and submitted by a relayer that pays
+ *   the gas (GuardianIntents). The action is attributed to the signer, so
+ *   their profile, limits and policy apply as usual.
  */
-contract NeuralUSDCGuardian is Ownable, ReentrancyGuard, Pausable {
+contract NeuralUSDCGuardian is GuardianStorage {
     using SafeERC20 for IERC20;
 
+    /// @dev GuardianModules instance the stubs delegatecall into
+    address private immutable _modules;
+
     // ================================================================
-    //                          CONSTANTS
+    //                        CONSTRUCTOR
     // ================================================================
 
-    /// @dev Fixed-point scale factor (18 decimals)
-    int256 public constant SCALE = 1e18;
-
-    /// @dev Number of input features
-    uint256 public constant INPUT_SIZE = 4;
+    /**
+     * @param _usdc                 Address of the USDC (or any ERC-20) token contract
+     * @param _modelActivationDelay Initial `modelActivationDelay`; 0 lets `updateModel` swap weights at once
+     */
+    constructor(address _usdc, uint256 _modelActivationDelay) GuardianStorage(_usdc) {
+        address modules = address(new GuardianModules(_usdc));
+        _modules = modules;
+        (bool ok, bytes memory err) = modules.delegatecall(abi.encodeCall(GuardianModels.installDefaultModel, ()));
+        if (!ok) {
+            assembly ("memory-safe") {
+                revert(add(err, 32), mload(err))
+            }
+        }
+        modelActivationDelay = _modelActivationDelay;
+    }
 
-    /// @dev Number of hidden-layer neurons
-    uint256 public constant HIDDEN_SIZE = 8;
+    // ================================================================
+    //                      USER FUNCTIONS
+    // ================================================================
 
-    /// @dev Maximum representable risk score
-    uint256 public constant MAX_RISK = 100;
+    /// @notice Register the caller so the guardian can build a behavioural profile
+    function register() external {
+        if (profiles[msg.sender].isRegistered) revert AlreadyRegistered();
+        if (recoveredTo[msg.sender] != address(0)) revert AccountMigrated(recoveredTo[msg.sender]);
+        profiles[msg.sender].isRegistered = true;
+        profiles[msg.sender].registeredAt = block.timestamp;
+        emit Registered(msg.sender);
+    }
 
-    /// @dev Minimum cooldown between model-weight updates
-    uint256 public constant MODEL_UPDATE_COOLDOWN = 1 hours;
+    /**
+     * @notice Deposit USDC into the guardian vault
+     * @param amount Amount in USDC base units (6 decimals)
+     */
+    function deposit(uint256 amount) external nonReentrant whenNotPaused {
+        _deposit(address(usdc), amount);
+    }
 
-    /// @dev Cap on the amount-ratio feature to bound NN input
-    int256 public constant MAX_AMOUNT_RATIO = 10e18; // 10.0
+    /**
+     * @notice Deposit a supported token into the guardian vault
+     * @param token  Token on the allowlist (`supportedTokens`)
+     * @param amount Amount in the token's base units
+     */
+    function depositToken(address token, uint256 amount) external nonReentrant whenNotPaused {
+        if (!supportedTokens[token]) revert UnsupportedToken(token);
+        _deposit(token, amount);
+    }
 
-    /// @dev Cap on the frequency feature
-    int256 public constant MAX_FREQUENCY = 2e18; // 2.0
+    /**
+     * @notice Deposit with an EIP-2612 permit instead of a prior `approve`
+     * @dev A failed `permit` is ignored: if someone front-ran it from the
+     *      mempool the allowance is already in place, and if not the
+     *      transfer below reverts on the missing allowance.
+     * @param amount   Amount in USDC base units, also the permitted value
+     * @param deadline Permit deadline (unix seconds)
+     */
+    function depositWithPermit(
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused {
+        try IERC20Permit(address(usdc)).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+        _deposit(address(usdc), amount);
+    }
 
-    // ================================================================
-    //                       CONFIGURATION
-    // ================================================================
+    function _deposit(address token, uint256 amount) private {
+        if (amount == 0) revert ZeroAmount();
+        if (!profiles[msg.sender].isRegistered) revert NotRegistered();
 
-    /// @notice USDC token contract (immutable after deployment)
-    IERC20 public immutable usdc;
+        // Credit what actually arrived: a fee-on-transfer token delivers less than `amount`
+        IERC20 t = IERC20(token);
+        uint256 before = t.balanceOf(address(this));
+        t.safeTransferFrom(msg.sender, address(this), amount);
+        uint256 received = t.balanceOf(address(this)) - before;
+        if (received == 0) revert ZeroAmount();
 
-    /// @notice Risk score below which transfers auto-approve
-    uint256 public lowThreshold = 30;
+        _vault(token)[msg.sender] += received;
+        vaultLiabilities[token] += received;
+        if (!isSolvent(token)) revert VaultInsolvent(token, vaultLiabilities[token], t.balanceOf(address(this)));
 
-    /// @notice Risk score at or above which transfers require multi-sig
-    uint256 public highThreshold = 70;
+        emit Deposited(msg.sender, token, received);
+    }
 
-    /// @notice Duration of the timelock for medium-risk transfers
-    uint256 public timelockDuration = 1 hours;
+    /**
+     * @notice Withdraw USDC from the vault
+     * @dev Counts against the caller's spending limits. Bypasses neural
+     *      assessment unless the caller opted into withdrawal review and
+     *      `amount` reaches their `withdrawalReviewMin` or would breach a
+     *      limit, or it breaches a limit they route to multi-sig. Such a
+     *      withdrawal needs a registered caller, is scored and routed like a
+     *      transfer to the caller and, when held, pays out from `executePending`.
+     * @param amount Amount to withdraw
+     * @return txId  Pending-transaction ID (0 when paid out immediately)
+     */
+    function withdraw(uint256 amount) external nonReentrant whenNotPaused returns (uint256 txId) {
+        return _withdraw(address(usdc), msg.sender, amount);
+    }
 
-    /// @notice Minimum guardian approvals for high-risk transfers
-    uint256 public minApprovals = 2;
+    /**
+     * @notice Withdraw USDC from the vault straight to another address
+     * @dev Same review rule as `withdraw`. A reviewed withdrawal is scored
+     *      with `to` as the recipient, so trusting `to` and paying it before
+     *      both lower the score.
+     * @param to     External address that receives the tokens
+     * @param amount Amount to withdraw
+     * @return txId  Pending-transaction ID (0 when paid out immediately)
+     */
+    function withdrawTo(
+        address to,
+        uint256 amount
+    ) external nonReentrant whenNotPaused returns (uint256 txId) {
+        if (to == address(0)) revert ZeroAddress();
+        return _withdraw(address(usdc), to, amount);
+    }
 
-    /// @notice Timestamp of the last model-weight update
-    uint256 public lastModelUpdate;
+    /**
+     * @notice Withdraw any token held in the vault, to the caller or another address
+     * @dev Same review rule as `withdraw`, comparing the amount in USDC
+     *      units. Works for tokens that have since been removed from the
+     *      allowlist.
+     * @param token  Token to withdraw
+     * @param to     Address that receives the tokens
+     * @param amount Amount in the token's base units
+     * @return txId  Pending-transaction ID (0 when paid out immediately)
+     */
+    function withdrawToken(
+        address token,
+        address to,
+        uint256 amount
+    ) external nonReentrant whenNotPaused returns (uint256 txId) {
+        if (to == address(0)) revert ZeroAddress();
+        return _withdraw(token, to, amount);
+    }
 
-    // ================================================================
-    //                    NEURAL NETWORK WEIGHTS
-    // ================================================================
+    /**
+     * @notice Transfer USDC through the neural risk-assessment pipeline
+     * @param recipient Destination address
+     * @param amount    USDC amount (6 decimals)
+     * @return txId     Pending-transaction ID (0 when auto-approved)
+     * @return riskScore Computed risk score [0, 100]
+     */
+    function transfer(
+        address recipient,
+        uint256 amount
+    ) external nonReentrant whenNotPaused returns (uint256 txId, uint256 riskScore) {
+        return _transfer(address(usdc), recipient, amount);
+    }
 
-    /// @notice Hidden-layer weights, flattened [neuron * INPUT_SIZE + input]
-    int256[32] public weightsHidden;
+    /**
+     * @notice Transfer a supported token through the neural risk-assessment pipeline
+     * @param token     Token on the allowlist (`supportedTokens`)
+     * @param recipient Destination address
+     * @param amount    Amount in the token's base units
+     * @return txId     Pending-transaction ID (0 when auto-approved)
+     * @return riskScore Computed risk score [0, 100]
+     */
+    function transferToken(
+        address token,
+        address recipient,
+        uint256 amount
+    ) external nonReentrant whenNotPaused returns (uint256 txId, uint256 riskScore) {
+        if (!supportedTokens[token]) revert UnsupportedToken(token);
+        return _transfer(token, recipient, amount);
+    }
 
-    /// @notice Hidden-layer biases
-    int256[8] public biasesHidden;
+    /**
+     * @notice Pay several recipients at once (e.g. payroll) through the risk pipeline
+     * @dev Every row is scored against the sender's profile as it was before
+     *      the batch, so earlier rows do not make later ones look
+     *      high-frequency or recent. Amount ratio, trust and novelty are
+     *      per row; balanceFraction is the whole batch's share of the vault.
+     *      The batch counts as one transaction towards the frequency feature
+     *      and the velocity limit, while each row counts towards the amount
+     *      average and the daily / weekly limits.
+     * @param recipients Destination addresses
+     * @param amounts    USDC amounts (6 decimals), one per recipient
+     * @return batchId   Identifier emitted in `BatchSubmitted`
+     * @return txIds     Pending-transaction ID per row (0 when auto-approved)
+     * @return riskScores Risk score per row
+     * @return reasons   Why each row was held; None when auto-approved
+     */
+    function batchTransfer(
+        address[] calldata recipients,
+        uint256[] calldata amounts
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        returns (
+            uint256 batchId,
+            uint256[] memory txIds,
+            uint256[] memory riskScores,
+            PendingReason[] memory reasons
+        )
+    {
+        uint256 rows = recipients.length;
+        if (amounts.length != rows) revert BatchLengthMismatch(rows, amounts.length);
+        if (rows == 0 || rows > MAX_BATCH_SIZE) revert InvalidBatchSize(rows, MAX_BATCH_SIZE);
+        if (!profiles[msg.sender].isRegistered) revert NotRegistered();
+        if (frozen[msg.sender]) revert SenderFrozen(msg.sender);
+
+        (int256[8][] memory features, uint256 total) = _batchFeatures(recipients, amounts);
+
+        batchId = batchCount++;
+        txIds = new uint256[](rows);
+        riskScores = new uint256[](rows);
+        reasons = new PendingReason[](rows);
+        uint256 autoApproved;
+        for (uint256 i = 0; i < rows; i++) {
+            riskScores[i] = _scoreTransfer(msg.sender, recipients[i], amounts[i], features[i]);
+            _updateProfile(msg.sender, address(usdc), recipients[i], amounts[i], i == 0);
+            (txIds[i], reasons[i]) =
+                _routeTransfer(msg.sender, address(usdc), recipients[i], amounts[i], riskScores[i], i == 0, false);
+            if (reasons[i] == PendingReason.None) autoApproved++;
+        }
 
-    /// @notice Output-layer weights
-    int256[8] public weightsOutput;
+        emit BatchSubmitted(batchId, msg.sender, rows, total, autoApproved);
+    }
 
-    /// @notice Output-layer bias
-    int256 public biasOutput;
+    /**
+     * @notice Mark a recipient as trusted (or revoke trust)
+     * @dev New trust only lowers risk once `trustActivationDelay` has passed,
+     *      so a stolen key cannot trust an address and pay it at a discount
+     *      straight away. Revocation is immediate.
+     * @param recipient Target address
+     * @param trusted   true = trust, false = revoke
+     */
+    function setTrustedRecipient(address recipient, bool trusted) external {
+        _updateTrust(_sender(), recipient, trusted);
+    }
 
     // ================================================================
-    //                        USER DATA
+    //                      ACCOUNT POLICY
     // ================================================================
+    // Implemented in GuardianPolicy and run against this contract's storage
+    // (see GuardianModules). The stubs carry no modifiers: the module applies
+    // its own, and a second nonReentrant here would trip over the shared lock
+    // slot.
+
+    /// @notice Set the caller's outbound limits (0 disables a limit); see GuardianPolicy
+    function setSpendingLimits(
+        uint256 /* dailyLimit */,
+        uint256 /* weeklyLimit */,
+        uint256 /* maxTxPerWindow */,
+        uint256 /* velocityWindow */,
+        bool /* multiSigOnBreach */
+    ) external {
+        _delegate(_modules);
+    }
 
-    /// @notice Behavioural profile built from transaction history
-    struct UserProfile {
-        uint256 totalTransactions;
-        uint256 totalVolume;
-        uint256 lastTransactionTime;
-        uint256 recentTxCount;
-        uint256 recentWindowStart;
-        bool isRegistered;
+    /// @notice Risk-assess the caller's withdrawals of at least `minAmount`; see GuardianPolicy
+    function setWithdrawalReview(uint256 /* minAmount */) external {
+        _delegate(_modules);
     }
 
-    /// @notice Address -> profile
-    mapping(address => UserProfile) public profiles;
+    /// @notice Tighten the caller's thresholds, timelock or quorum; see GuardianPolicy
+    function setRiskPolicy(
+        uint256 /* low */,
+        uint256 /* high */,
+        uint256 /* timelock */,
+        uint256 /* approvals */
+    ) external {
+        _delegate(_modules);
+    }
 
-    /// @notice USDC balances held inside the guardian vault
-    mapping(address => uint256) public balances;
+    /// @notice Owner: route `user` by a policy within `policyBounds`; see GuardianPolicy
+    function setPolicyOverride(
+        address /* user */,
+        uint256 /* low */,
+        uint256 /* high */,
+        uint256 /* timelock */,
+        uint256 /* approvals */
+    ) external {
+        _delegate(_modules);
+    }
 
-    /// @notice Per-user trusted-recipient whitelist
-    mapping(address => mapping(address => bool)) public trustedRecipients;
+    /// @notice Owner: set the loosest override that may be granted; see GuardianPolicy
+    function setPolicyBounds(
+        uint256 /* low */,
+        uint256 /* high */,
+        uint256 /* timelock */,
+        uint256 /* approvals */
+    ) external {
+        _delegate(_modules);
+    }
+
+    /// @notice Trust or revoke several recipients at once; see GuardianPolicy
+    function setTrustedRecipients(address[] calldata /* recipients */, bool /* trusted */) external {
+        _delegate(_modules);
+    }
+
+    /// @notice Owner: set the delay before new trust counts in scoring; see GuardianPolicy
+    function setTrustActivationDelay(uint256 /* delay */) external {
+        _delegate(_modules);
+    }
 
     // ================================================================
-    //                         GUARDIANS
+    //                      GUARDIAN REVIEW
     // ================================================================
+    // Implemented in GuardianReview, behind the same kind of stubs.
+
+    /// @notice Guardian approves a high-risk pending transfer; see GuardianReview
+    function approvePending(uint256 /* txId */) external {
+        _delegate(_modules);
+    }
 
-    /// @notice Whether an address is a guardian
-    mapping(address => bool) public guardians;
+    /// @notice Guardian votes to block a pending transfer; see GuardianReview
+    function vetoPending(uint256 /* txId */, bool /* freezeSender */) external {
+        _delegate(_modules);
+    }
 
-    /// @notice Current number of active guardians
-    uint256 public guardianCount;
+    /// @notice Sender moves their time-locked transfer to guardian approval; see GuardianReview
+    function escalatePending(uint256 /* txId */) external {
+        _delegate(_modules);
+    }
+
+    /// @notice Execute a pending transfer once its gate clears; see GuardianReview
+    function executePending(uint256 /* txId */) external {
+        _delegate(_modules);
+    }
+
+    /// @notice Cancel the caller's pending transfer and refund it; see GuardianReview
+    function cancelPending(uint256 /* txId */) external {
+        _delegate(_modules);
+    }
+
+    /// @notice Refund an expired pending transfer to its sender; see GuardianReview
+    function reclaimExpired(uint256 /* txId */) external {
+        _delegate(_modules);
+    }
 
     // ================================================================
-    //                    PENDING TRANSACTIONS
+    //                      ACCOUNT RECOVERY
     // ================================================================
+    // Implemented in GuardianRecovery, behind the same kind of stubs.
 
-    /// @notice A transfer that is awaiting timelock expiry or multi-sig approval
-    struct PendingTx {
-        address sender;
-        address recipient;
-        uint256 amount;
-        uint256 riskScore;
-        uint256 createdAt;
-        uint256 approvalCount;
-        bool executed;
-        bool cancelled;
+    /// @notice Choose who may recover the caller's account; see GuardianRecovery
+    function setRecoveryGuardians(address[] calldata /* list */, uint256 /* threshold */) external {
+        _delegate(_modules);
     }
 
-    /// @notice txId -> pending transaction
-    mapping(uint256 => PendingTx) public pendingTxs;
+    /// @notice Vote to move `user`'s account to `newAddress`; see GuardianRecovery
+    function supportRecovery(address /* user */, address /* newAddress */) external {
+        _delegate(_modules);
+    }
 
-    /// @notice txId -> guardian address -> has approved
-    mapping(uint256 => mapping(address => bool)) public hasApproved;
+    /// @notice Abort a recovery of the caller's account during its delay
+    function cancelRecovery() external {
+        _delegate(_modules);
+    }
 
-    /// @notice Auto-incrementing pending-transaction counter
-    uint256 public pendingTxCount;
+    /// @notice Complete a recovery of `user` once its delay has passed
+    function executeRecovery(address /* user */) external {
+        _delegate(_modules);
+    }
 
     // ================================================================
-    //                       CUSTOM ERRORS
+    //                       SIGNED INTENTS
     // ================================================================
+    // Implemented in GuardianIntents. Each verifies an EIP-712 signature over
+    // the action plus the signer's nonce and a deadline, then performs the
+    // action for the signer; the relayer only pays the gas.
+
+    /// @notice Transfer for `sender` with their signed intent; see GuardianIntents
+    function transferWithSig(
+        address /* sender */,
+        address /* recipient */,
+        uint256 /* amount */,
+        uint256 /* deadline */,
+        bytes calldata /* signature */
+    ) external returns (uint256 /* txId */, uint256 /* riskScore */) {
+        _delegate(_modules);
+    }
 
-    error ZeroAmount();
-    error ZeroAddress();
-    error InsufficientBalance(uint256 available, uint256 required);
-    error NotRegistered();
-    error AlreadyRegistered();
-    error NotGuardian();
-    error AlreadyGuardian();
-    error NotPendingTxSender();
-    error TxAlreadyExecuted();
-    error TxAlreadyCancelled();
-    error TxDoesNotExist();
-    error TimelockNotExpired(uint256 readyAt);
-    error InsufficientApprovals(uint256 current, uint256 required);
-    error AlreadyApproved();
-    error ModelUpdateTooFrequent(uint256 nextAllowedAt);
-    error InvalidThresholds();
-    error CannotRemoveLastGuardian();
-    error SelfTransferNotAllowed();
+    /// @notice Set trust for `user` with their signed intent; see GuardianIntents
+    function setTrustedRecipientWithSig(
+        address /* user */,
+        address /* recipient */,
+        bool /* trusted */,
+        uint256 /* deadline */,
+        bytes calldata /* signature */
+    ) external {
+        _delegate(_modules);
+    }
+
+    /// @notice Cancel `sender`'s pending transfer with their signed intent; see GuardianIntents
+    function cancelPendingWithSig(
+        address /* sender */,
+        uint256 /* txId */,
+        uint256 /* deadline */,
+        bytes calldata /* signature */
+    ) external {
+        _delegate(_modules);
+    }
 
     // ================================================================
-    //                          EVENTS
+    //                      OWNER SETTINGS
     // ================================================================
+    // Implemented in GuardianAdmin, behind the same kind of stubs; the
+    // module applies `onlyOwner`.
 
-    event Registered(address indexed user);
-    event Deposited(address indexed user, uint256 amount);
-    event Withdrawn(address indexed user, uint256 amount);
+    /// @notice Owner: update the low / high risk thresholds; see GuardianAdmin
+    function setThresholds(uint256 /* low */, uint256 /* high */) external {
+        _delegate(_modules);
+    }
 
-    event TransferAutoApproved(
-        address indexed sender,
-        address indexed recipient,
-        uint256 amount,
-        uint256 riskScore
-    );
+    /// @notice Owner: update the timelock for new medium-risk transfers; see GuardianAdmin
+    function setTimelockDuration(uint256 /* duration */) external {
+        _delegate(_modules);
+    }
 
-    event TransferPending(
-        uint256 indexed txId,
-        address indexed sender,
-        address indexed recipient,
-        uint256 amount,
-        uint256 riskScore,
-        bool requiresMultiSig
-    );
-
-    event TransferExecuted(uint256 indexed txId);
-    event TransferCancelled(uint256 indexed txId);
-    event GuardianApproval(uint256 indexed txId, address indexed guardian);
-
-    event GuardianAdded(address indexed guardian);
-    event GuardianRemoved(address indexed guardian);
-
-    event TrustedRecipientSet(
-        address indexed user,
-        address indexed recipient,
-        bool trusted
-    );
-
-    event ModelUpdated(uint256 timestamp);
-    event ThresholdsUpdated(uint256 lowThreshold, uint256 highThreshold);
-    event TimelockDurationUpdated(uint256 newDuration);
-    event MinApprovalsUpdated(uint256 newMinApprovals);
-
-    event RiskAssessed(
-        address indexed sender,
-        address indexed recipient,
-        uint256 amount,
-        uint256 riskScore,
-        int256[4] features
-    );
+    /// @notice Owner: update the quorum for new high-risk transfers; see GuardianAdmin
+    function setMinApprovals(uint256 /* min */) external {
+        _delegate(_modules);
+    }
 
-    // ================================================================
-    //                        CONSTRUCTOR
-    // ================================================================
+    /// @notice Owner: update how long pending transfers and approvals last; see GuardianAdmin
+    function setExpiryWindows(uint256 /* pendingExpiry */, uint256 /* approvalValidity */) external {
+        _delegate(_modules);
+    }
 
-    /**
-     * @param _usdc Address of the USDC (or any ERC-20) token contract
-     */
-    constructor(address _usdc) Ownable(msg.sender) {
-        if (_usdc == address(0)) revert ZeroAddress();
-        usdc = IERC20(_usdc);
-        _initializeDefaultModel();
+    /// @notice Owner: update the decay half-lives of the profile averages; see GuardianAdmin
+    function setDecayHalfLives(uint256 /* amountHalfLife */, uint256 /* frequencyHalfLife */) external {
+        _delegate(_modules);
     }
 
-    // ================================================================
-    //                      USER FUNCTIONS
-    // ================================================================
+    /// @notice Owner: update the delay between proposing and activating a model; see GuardianAdmin
+    function setModelActivationDelay(uint256 /* delay */) external {
+        _delegate(_modules);
+    }
 
-    /// @notice Register the caller so the guardian can build a behavioural profile
-    function register() external {
-        if (profiles[msg.sender].isRegistered) revert AlreadyRegistered();
-        profiles[msg.sender].isRegistered = true;
-        profiles[msg.sender].recentWindowStart = block.timestamp;
-        emit Registered(msg.sender);
+    /// @notice Owner: update the delay before a recovery can execute; see GuardianAdmin
+    function setRecoveryDelay(uint256 /* delay */) external {
+        _delegate(_modules);
     }
 
-    /**
-     * @notice Deposit USDC into the guardian vault
-     * @param amount Amount in USDC base units (6 decimals)
-     */
-    function deposit(uint256 amount) external nonReentrant whenNotPaused {
-        if (amount == 0) revert ZeroAmount();
-        if (!profiles[msg.sender].isRegistered) revert NotRegistered();
+    /// @notice Owner: add a guardian for multi-sig approvals; see GuardianAdmin
+    function addGuardian(address /* guardian */) external {
+        _delegate(_modules);
+    }
 
-        balances[msg.sender] += amount;
-        usdc.safeTransferFrom(msg.sender, address(this), amount);
+    /// @notice Owner: remove a guardian; see GuardianAdmin
+    function removeGuardian(address /* guardian */) external {
+        _delegate(_modules);
+    }
 
-        emit Deposited(msg.sender, amount);
+    /// @notice Owner: lift a freeze imposed by a guardian veto; see GuardianAdmin
+    function unfreezeAccount(address /* user */) external {
+        _delegate(_modules);
     }
 
-    /**
-     * @notice Withdraw USDC from the vault (bypasses neural assessment)
-     * @param amount Amount to withdraw
-     */
-    function withdraw(uint256 amount) external nonReentrant whenNotPaused {
-        if (amount == 0) revert ZeroAmount();
-        if (balances[msg.sender] < amount) {
-            revert InsufficientBalance(balances[msg.sender], amount);
-        }
+    /// @notice Owner: accept an ERC-20 token in the vault; see GuardianAdmin
+    function addSupportedToken(address /* token */) external {
+        _delegate(_modules);
+    }
 
-        balances[msg.sender] -= amount;
-        usdc.safeTransfer(msg.sender, amount);
+    /// @notice Owner: stop deposits and transfers of a token; see GuardianAdmin
+    function removeSupportedToken(address /* token */) external {
+        _delegate(_modules);
+    }
 
-        emit Withdrawn(msg.sender, amount);
+    /// @dev Forward the calldata to `module` and bubble up its return or revert data
+    function _delegate(address module) private {
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let ok := delegatecall(gas(), module, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            if iszero(ok) { revert(ptr, returndatasize()) }
+            return(ptr, returndatasize())
+        }
     }
 
-    /**
-     * @notice Transfer USDC through the neural risk-assessment pipeline
-     * @param recipient Destination address
-     * @param amount    USDC amount (6 decimals)
-     * @return txId     Pending-transaction ID (0 when auto-approved)
-     * @return riskScore Computed risk score [0, 100]
-     */
-    function transfer(
+    // ================================================================
+    //                    TRANSFER INTERNALS
+    // ================================================================
+
+    /// @dev Checks shared by `transfer` and `transferToken`, then score and route.
+    function _transfer(
+        address token,
         address recipient,
         uint256 amount
-    ) external nonReentrant whenNotPaused returns (uint256 txId, uint256 riskScore) {
+    ) internal returns (uint256 txId, uint256 riskScore) {
+        address sender = _sender();
+        _checkTransferRow(sender, recipient, amount);
+        if (!profiles[sender].isRegistered) revert NotRegistered();
+        if (frozen[sender]) revert SenderFrozen(sender);
+        uint256 balance = _vault(token)[sender];
+        if (balance < amount) revert InsufficientBalance(balance, amount);
+
+        return _assessAndRoute(sender, token, recipient, amount, false);
+    }
+
+    /// @dev Withdraw the caller's `amount` of `token` to `to`, through review if it applies.
+    function _withdraw(address token, address to, uint256 amount) internal returns (uint256 txId) {
         if (amount == 0) revert ZeroAmount();
-        if (recipient == address(0)) revert ZeroAddress();
-        if (recipient == msg.sender) revert SelfTransferNotAllowed();
-        if (!profiles[msg.sender].isRegistered) revert NotRegistered();
-        if (balances[msg.sender] < amount) {
-            revert InsufficientBalance(balances[msg.sender], amount);
+        if (frozen[msg.sender]) revert SenderFrozen(msg.sender);
+        mapping(address => uint256) storage vault = _vault(token);
+        if (vault[msg.sender] < amount) {
+            revert InsufficientBalance(vault[msg.sender], amount);
         }
 
-        // --- Neural risk assessment ---
-        int256[4] memory features = _extractFeatures(msg.sender, recipient, amount);
-        riskScore = _forwardPass(features);
-
-        emit RiskAssessed(msg.sender, recipient, amount, riskScore, features);
-
-        // Update behavioural profile *after* feature extraction
-        _updateProfile(msg.sender, amount);
+        _promoteWithdrawalReview(msg.sender);
+        uint256 reviewMin = withdrawalReviewMin[msg.sender];
+        uint256 normalized = _normalize(token, amount);
+        // Small withdrawals still add up: with review on, or breaches routed to
+        // multi-sig, one that would breach a limit is reviewed as well
+        SpendingLimits memory limits = _effectiveSpendingLimits(msg.sender);
+        bool breach = _limitBreach(limits, _currentSpendingUsage(msg.sender, limits.velocityWindow), normalized)
+            != PendingReason.None;
+        if ((reviewMin != 0 && (normalized >= reviewMin || breach)) || (breach && limits.multiSigOnBreach)) {
+            if (!profiles[msg.sender].isRegistered) revert NotRegistered();
+            (txId, ) = _assessAndRoute(msg.sender, token, to, amount, true);
+            return txId;
+        }
 
-        if (riskScore < lowThreshold) {
-            // Low risk -> instant transfer
-            balances[msg.sender] -= amount;
-            balances[recipient] += amount;
+        _consumeSpendingLimits(msg.sender, normalized, true);
+        vault[msg.sender] -= amount;
+        _payOut(token, msg.sender, to, amount);
+    }
 
-            emit TransferAutoApproved(msg.sender, recipient, amount, riskScore);
-            return (0, riskScore);
+    /// @dev Send `amount` of `token` out of the vault to `to` on behalf of `user`.
+    function _payOut(address token, address user, address to, uint256 amount) internal {
+        _release(token, to, amount);
+        if (to == user) {
+            emit Withdrawn(user, token, amount);
+        } else {
+            emit WithdrawnTo(user, to, token, amount);
         }
+    }
 
-        // Medium or high risk -> lock funds and create pending tx
-        balances[msg.sender] -= amount;
-
-        txId = pendingTxCount++;
-        pendingTxs[txId] = PendingTx({
-            sender: msg.sender,
-            recipient: recipient,
-            amount: amount,
-            riskScore: riskScore,
-            createdAt: block.timestamp,
-            approvalCount: 0,
-            executed: false,
-            cancelled: false
-        });
-
-        bool requiresMultiSig = riskScore >= highThreshold;
-
-        emit TransferPending(
-            txId, msg.sender, recipient, amount, riskScore, requiresMultiSig
-        );
+    /// @dev Per-row argument checks shared by `transfer` and `batchTransfer`.
+    function _checkTransferRow(address sender, address recipient, uint256 amount) internal pure {
+        if (amount == 0) revert ZeroAmount();
+        if (recipient == address(0)) revert ZeroAddress();
+        if (recipient == sender) revert SelfTransferNotAllowed();
+    }
 
-        return (txId, riskScore);
+    /**
+     * @dev Validate a batch and extract every row's features before any row
+     *      touches the profile. balanceFraction is the batch total's share.
+     */
+    function _batchFeatures(
+        address[] calldata recipients,
+        uint256[] calldata amounts
+    ) internal view returns (int256[8][] memory features, uint256 total) {
+        for (uint256 i = 0; i < amounts.length; i++) {
+            _checkTransferRow(msg.sender, recipients[i], amounts[i]);
+            total += amounts[i];
+        }
+        uint256 balance = balances[msg.sender];
+        if (balance < total) revert InsufficientBalance(balance, total);
+
+        features = new int256[8][](amounts.length);
+        int256 batchFraction = _balanceFraction(total, balance);
+        for (uint256 i = 0; i < amounts.length; i++) {
+            features[i] = _extractFeatures(msg.sender, address(usdc), recipients[i], amounts[i]);
+            features[i][5] = batchFraction;
+        }
     }
 
     /**
-     * @notice Execute a pending transfer after its security gate clears
-     * @param txId Pending-transaction identifier
+     * @dev Score a single transfer (or withdrawal) by `sender`, then update
+     *      their profile and route it.
      */
-    function executePending(uint256 txId) external nonReentrant {
-        PendingTx storage ptx = pendingTxs[txId];
-        if (ptx.sender == address(0)) revert TxDoesNotExist();
-        if (ptx.executed) revert TxAlreadyExecuted();
-        if (ptx.cancelled) revert TxAlreadyCancelled();
+    function _assessAndRoute(
+        address sender,
+        address token,
+        address recipient,
+        uint256 amount,
+        bool withdrawal
+    ) internal returns (uint256 txId, uint256 riskScore) {
+        // --- Neural risk assessment ---
+        int256[8] memory features = _extractFeatures(sender, token, recipient, amount);
+        riskScore = _scoreTransfer(sender, recipient, amount, features);
 
-        if (ptx.riskScore >= highThreshold) {
-            // High risk -> verify guardian quorum
-            if (ptx.approvalCount < minApprovals) {
-                revert InsufficientApprovals(ptx.approvalCount, minApprovals);
-            }
-        } else {
-            // Medium risk -> verify timelock
-            uint256 readyAt = ptx.createdAt + timelockDuration;
-            if (block.timestamp < readyAt) {
-                revert TimelockNotExpired(readyAt);
-            }
-        }
+        // Update behavioural profile *after* feature extraction
+        _updateProfile(sender, token, recipient, amount, true);
 
-        ptx.executed = true;
-        balances[ptx.recipient] += ptx.amount;
+        (txId, ) = _routeTransfer(sender, token, recipient, amount, riskScore, true, withdrawal);
+    }
 
-        emit TransferExecuted(txId);
+    /// @dev Score `features` with the active model, plus the shadow model if set.
+    function _scoreTransfer(
+        address sender,
+        address recipient,
+        uint256 amount,
+        int256[8] memory features
+    ) internal returns (uint256 riskScore) {
+        riskScore = _forwardPass(features);
+        emit RiskAssessed(sender, recipient, amount, riskScore, activeModelVersion, features);
+
+        // Shadow model is scored for comparison only; routing ignores it
+        uint256 shadow = shadowModelVersion;
+        if (shadow != 0) {
+            (, , , uint256 shadowScore) = _forward(_modelWeights[shadow], features);
+            emit ShadowRiskAssessed(
+                sender, recipient, activeModelVersion, shadow, riskScore, shadowScore
+            );
+        }
     }
 
     /**
-     * @notice Cancel a pending transfer and refund the sender
-     * @param txId Pending-transaction identifier
+     * @dev Debit the sender and either credit the recipient or open a pending
+     *      transfer. A spending-limit breach holds a transfer the model would
+     *      pass, or escalates it to multi-sig if the user asked for that.
+     *      Limits count `amount` in USDC units.
+     * @param newTransaction Whether this counts towards the velocity limit
+     * @param withdrawal     Pay `recipient` in tokens instead of a vault balance
+     * @return txId   Pending-transaction ID (0 when auto-approved)
+     * @return reason Why it was held; None when auto-approved
      */
-    function cancelPending(uint256 txId) external nonReentrant {
-        PendingTx storage ptx = pendingTxs[txId];
-        if (ptx.sender != msg.sender) revert NotPendingTxSender();
-        if (ptx.executed) revert TxAlreadyExecuted();
-        if (ptx.cancelled) revert TxAlreadyCancelled();
+    function _routeTransfer(
+        address sender,
+        address token,
+        address recipient,
+        uint256 amount,
+        uint256 riskScore,
+        bool newTransaction,
+        bool withdrawal
+    ) internal returns (uint256 txId, PendingReason reason) {
+        (PendingReason breach, bool breachMultiSig) =
+            _consumeSpendingLimits(sender, _normalize(token, amount), newTransaction);
+        RiskPolicy memory policy = _effectiveRiskPolicy(sender);
+        reason = riskScore < policy.lowThreshold ? PendingReason.None : PendingReason.RiskScore;
+        bool requiresMultiSig = riskScore >= policy.highThreshold;
+        if (breach != PendingReason.None && (reason == PendingReason.None || (breachMultiSig && !requiresMultiSig))) {
+            reason = breach;
+            requiresMultiSig = requiresMultiSig || breachMultiSig;
+        }
+
+        mapping(address => uint256) storage vault = _vault(token);
+        vault[sender] -= amount;
 
-        ptx.cancelled = true;
-        balances[msg.sender] += ptx.amount;
+        if (reason == PendingReason.None) {
+            // Low risk -> instant transfer
+            if (withdrawal) {
+                _payOut(token, sender, recipient, amount);
+            } else {
+                vault[_currentAccount(recipient)] += amount;
+                emit TransferAutoApproved(sender, recipient, token, amount, riskScore);
+            }
+            return (0, reason);
+        }
 
-        emit TransferCancelled(txId);
+        // Medium or high risk -> funds stay locked in a pending tx
+        txId = pendingTxCount++;
+        PendingTx storage ptx = _pendingTxs[txId];
+        ptx.sender = sender;
+        ptx.recipient = recipient;
+        ptx.amount = amount;
+        ptx.riskScore = riskScore;
+        ptx.modelVersion = activeModelVersion;
+        ptx.createdAt = block.timestamp;
+        ptx.readyAt = block.timestamp + policy.timelockDuration;
+        ptx.expiresAt = block.timestamp + pendingExpiry;
+        ptx.requiredApprovals = policy.minApprovals;
+        ptx.reason = reason;
+        ptx.requiresMultiSig = requiresMultiSig;
+        ptx.withdrawal = withdrawal;
+        ptx.token = token;
+
+        if (withdrawal) {
+            emit WithdrawalPending(txId, sender, recipient, token, amount, riskScore, requiresMultiSig, reason);
+        } else {
+            emit TransferPending(txId, sender, recipient, token, amount, riskScore, requiresMultiSig, reason);
+        }
     }
 
-    /**
-     * @notice Guardian approves a high-risk pending transfer
-     * @param txId Pending-transaction identifier
-     */
-    function approvePending(uint256 txId) external {
-        if (!guardians[msg.sender]) revert NotGuardian();
+    // ================================================================
+    //                  SPENDING LIMIT INTERNALS
+    // ================================================================
 
-        PendingTx storage ptx = pendingTxs[txId];
-        if (ptx.sender == address(0)) revert TxDoesNotExist();
-        if (ptx.executed) revert TxAlreadyExecuted();
-        if (ptx.cancelled) revert TxAlreadyCancelled();
-        if (hasApproved[txId][msg.sender]) revert AlreadyApproved();
+    /// @dev Limits in force for `user`, counting queued limits whose cooldown has passed.
+    function _effectiveSpendingLimits(address user) internal view returns (SpendingLimits memory) {
+        uint256 at = _queuedLimitsAt[user];
+        if (at != 0 && block.timestamp >= at) return _queuedSpendingLimits[user];
+        return _spendingLimits[user];
+    }
 
-        hasApproved[txId][msg.sender] = true;
-        ptx.approvalCount++;
+    /// @dev Usage as of now: expired windows read as empty, starting now.
+    function _currentSpendingUsage(
+        address user,
+        uint256 velocityWindow
+    ) internal view returns (SpendingUsage memory usage) {
+        usage = _spendingUsage[user];
+        if (block.timestamp - usage.dayStart >= 1 days) {
+            usage.dayStart = block.timestamp;
+            usage.daySpent = 0;
+        }
+        if (block.timestamp - usage.weekStart >= 7 days) {
+            usage.weekStart = block.timestamp;
+            usage.weekSpent = 0;
+        }
+        if (block.timestamp - usage.velocityStart >= velocityWindow) {
+            usage.velocityStart = block.timestamp;
+            usage.velocityCount = 0;
+        }
+    }
 
-        emit GuardianApproval(txId, msg.sender);
+    /// @dev First limit a transfer of `amount` would exceed, or None.
+    function _limitBreach(
+        SpendingLimits memory limits,
+        SpendingUsage memory usage,
+        uint256 amount
+    ) internal pure returns (PendingReason) {
+        if (limits.dailyLimit != 0 && usage.daySpent + amount > limits.dailyLimit) {
+            return PendingReason.DailyLimit;
+        }
+        if (limits.weeklyLimit != 0 && usage.weekSpent + amount > limits.weeklyLimit) {
+            return PendingReason.WeeklyLimit;
+        }
+        if (limits.maxTxPerWindow != 0 && usage.velocityCount + 1 > limits.maxTxPerWindow) {
+            return PendingReason.VelocityLimit;
+        }
+        return PendingReason.None;
     }
 
     /**
-     * @notice Mark a recipient as trusted (or revoke trust)
-     * @param recipient Target address
-     * @param trusted   true = trust, false = revoke
+     * @dev Check a transfer against the sender's limits and count it. Every
+     *      initiated transfer counts, including held and later cancelled ones;
+     *      rows after the first of a batch do not count towards velocity.
+     * @return breach        First limit exceeded, or None
+     * @return breachMultiSig Whether the user routes breaches to multi-sig
      */
-    function setTrustedRecipient(address recipient, bool trusted) external {
-        if (recipient == address(0)) revert ZeroAddress();
-        trustedRecipients[msg.sender][recipient] = trusted;
-        emit TrustedRecipientSet(msg.sender, recipient, trusted);
+    function _consumeSpendingLimits(
+        address user,
+        uint256 amount,
+        bool newTransaction
+    ) internal returns (PendingReason breach, bool breachMultiSig) {
+        _promoteSpendingLimits(user);
+        SpendingLimits memory limits = _spendingLimits[user];
+        SpendingUsage memory usage = _currentSpendingUsage(user, limits.velocityWindow);
+        // Later rows of a batch re-check the slot the first row took
+        if (!newTransaction && usage.velocityCount > 0) usage.velocityCount--;
+        breach = _limitBreach(limits, usage, amount);
+        breachMultiSig = limits.multiSigOnBreach;
+
+        usage.daySpent += amount;
+        usage.weekSpent += amount;
+        usage.velocityCount++;
+        _spendingUsage[user] = usage;
     }
 
     // ================================================================
@@ -427,33 +864,93 @@ contract NeuralUSDCGuardian is Ownable, ReentrancyGuard, Pausable {
     // ================================================================
 
     /**
-     * @dev Run the 4-8-1 feedforward network and return a risk score [0, 100].
+     * @dev Run the active model and return a risk score [0, 100].
      * @param features Fixed-point input vector
      */
     function _forwardPass(
-        int256[4] memory features
-    ) internal view returns (uint256) {
-        // ---- Hidden layer (ReLU) ----
-        int256[8] memory hidden;
-        for (uint256 i = 0; i < HIDDEN_SIZE; i++) {
-            int256 sum = biasesHidden[i];
-            uint256 base = i * INPUT_SIZE;
-            for (uint256 j = 0; j < INPUT_SIZE; j++) {
-                sum += _mulFP(features[j], weightsHidden[base + j]);
-            }
-            hidden[i] = sum > 0 ? sum : int256(0); // ReLU
+        int256[8] memory features
+    ) internal view returns (uint256 risk) {
+        (, , , risk) = _forward(_modelWeights[activeModelVersion], features);
+    }
+
+    /**
+     * @dev Forward pass of any stored model, exposing the last hidden layer.
+     * @param model    Topology and weights to run
+     * @param features Fixed-point input vector; the first `layers[0]` are used
+     * @return hidden        Post-ReLU activations of the last hidden layer
+     * @return contributions Each of those neurons' term in the output sum
+     * @return output        Output pre-activation (output bias + sum of contributions)
+     * @return risk          Risk score [0, 100]
+     */
+    function _forward(
+        ModelWeights storage model,
+        int256[8] memory features
+    )
+        internal
+        view
+        returns (
+            int256[] memory hidden,
+            int256[] memory contributions,
+            int256 output,
+            uint256 risk
+        )
+    {
+        uint256[] memory layers = model.layers;
+        int256[] memory weights = model.weights;
+        int256[] memory biases = model.biases;
+
+        // Start from the inputs; each hidden layer replaces `hidden` with its output
+        hidden = new int256[](layers[0]);
+        for (uint256 j = 0; j < layers[0]; j++) hidden[j] = features[j];
+
+        // ---- Hidden layers (ReLU) ----
+        uint256 w;
+        uint256 b;
+        for (uint256 l = 1; l < layers.length - 1; l++) {
+            hidden = _denseReLU(hidden, weights, biases, layers[l], w, b);
+            w += layers[l] * layers[l - 1];
+            b += layers[l];
         }
 
-        // ---- Output layer (sigmoid) ----
-        int256 output = biasOutput;
-        for (uint256 i = 0; i < HIDDEN_SIZE; i++) {
-            output += _mulFP(hidden[i], weightsOutput[i]);
+        // ---- Output neuron (sigmoid) ----
+        contributions = new int256[](hidden.length);
+        output = biases[b];
+        for (uint256 i = 0; i < hidden.length; i++) {
+            contributions[i] = _mulFP(hidden[i], weights[w + i]);
+            output += contributions[i];
         }
 
         // Map sigmoid [0, SCALE] -> [0, 100]
         int256 sig = _sigmoid(output);
-        uint256 risk = uint256((sig * int256(MAX_RISK)) / SCALE);
-        return risk > MAX_RISK ? MAX_RISK : risk;
+        risk = uint256((sig * int256(MAX_RISK)) / SCALE);
+        if (risk > MAX_RISK) risk = MAX_RISK;
+    }
+
+    /**
+     * @dev One fully connected ReLU layer.
+     * @param input      Activations of the previous layer
+     * @param size       Neurons in this layer
+     * @param weightBase Offset of this layer's first weight in `weights`
+     * @param biasBase   Offset of this layer's first bias in `biases`
+     */
+    function _denseReLU(
+        int256[] memory input,
+        int256[] memory weights,
+        int256[] memory biases,
+        uint256 size,
+        uint256 weightBase,
+        uint256 biasBase
+    ) internal pure returns (int256[] memory out) {
+        out = new int256[](size);
+        uint256 fanIn = input.length;
+        for (uint256 i = 0; i < size; i++) {
+            int256 sum = biases[biasBase + i];
+            uint256 base = weightBase + i * fanIn;
+            for (uint256 j = 0; j < fanIn; j++) {
+                sum += _mulFP(input[j], weights[base + j]);
+            }
+            out[i] = sum > 0 ? sum : int256(0); // ReLU
+        }
     }
 
     /**
@@ -468,18 +965,53 @@ contract NeuralUSDCGuardian is Ownable, ReentrancyGuard, Pausable {
         address sender,
         address recipient,
         uint256 amount
-    ) external view returns (uint256 riskScore, int256[4] memory features) {
-        features = _extractFeatures(sender, recipient, amount);
+    ) external view returns (uint256 riskScore, int256[8] memory features) {
+        features = _extractFeatures(sender, address(usdc), recipient, amount);
         riskScore = _forwardPass(features);
     }
 
+    /**
+     * @notice Explain the risk score of a hypothetical transfer (view-only)
+     * @dev `hidden` is the last hidden layer and `contributions[i]` its neuron
+     *      i's share of the output pre-activation, so
+     *      `output == output bias + sum(contributions)`.
+     *      Neuron roles of the default model are documented in `_defaultModel`.
+     * @param sender    Sender address
+     * @param recipient Recipient address
+     * @param amount    Transfer amount
+     * @return riskScore     Computed risk [0, 100]
+     * @return features      Extracted feature vector
+     * @return hidden        Post-ReLU hidden activations
+     * @return contributions Per-neuron output contributions
+     * @return output        Output pre-activation (before sigmoid)
+     */
+    function explainRisk(
+        address sender,
+        address recipient,
+        uint256 amount
+    )
+        external
+        view
+        returns (
+            uint256 riskScore,
+            int256[8] memory features,
+            int256[] memory hidden,
+            int256[] memory contributions,
+            int256 output
+        )
+    {
+        features = _extractFeatures(sender, address(usdc), recipient, amount);
+        (hidden, contributions, output, riskScore) =
+            _forward(_modelWeights[activeModelVersion], features);
+    }
+
     /**
      * @notice Run the NN on arbitrary features (useful for off-chain testing)
-     * @param features 4-element fixed-point vector
+     * @param features 8-element fixed-point vector
      * @return riskScore Computed risk [0, 100]
      */
     function computeRisk(
-        int256[4] memory features
+        int256[8] memory features
     ) external view returns (uint256 riskScore) {
         return _forwardPass(features);
     }
@@ -489,31 +1021,43 @@ contract NeuralUSDCGuardian is Ownable, ReentrancyGuard, Pausable {
     // ================================================================
 
     /**
-     * @dev Build the 4-feature input vector from on-chain state.
+     * @dev Build the 8-feature input vector from on-chain state. `amount` is
+     *      in base units of `token`.
      */
     function _extractFeatures(
         address sender,
+        address token,
         address recipient,
         uint256 amount
-    ) internal view returns (int256[4] memory features) {
+    ) internal view returns (int256[8] memory features) {
         UserProfile storage profile = profiles[sender];
 
-        // Feature 0: amountRatio = currentAmount / historicalAverage
-        if (profile.totalTransactions > 0 && profile.totalVolume > 0) {
-            uint256 avg = profile.totalVolume / profile.totalTransactions;
-            int256 ratio = int256((amount * uint256(SCALE)) / avg);
+        // Feature 0: amountRatio = currentAmount / decayed average amount in
+        // the same token. Volume and count decay by the same factor, so the
+        // stored values give the average as of now.
+        (uint256 volume, uint256 count) = (profile.decayedVolume, profile.decayedTxCount);
+        if (token != address(usdc)) {
+            TokenActivity storage activity = _tokenActivity[sender][token];
+            (volume, count) = (activity.decayedVolume, activity.decayedTxCount);
+        }
+        if (count > 0 && volume > 0) {
+            int256 ratio = int256((amount * count) / volume);
             features[0] = ratio > MAX_AMOUNT_RATIO ? MAX_AMOUNT_RATIO : ratio;
         } else {
             features[0] = 2 * SCALE; // conservative default for new users
         }
 
-        // Feature 1: txFrequency = recentTxCount / 5 (normalised)
-        uint256 recentCount = _getRecentTxCount(sender);
-        int256 freq = int256((recentCount * uint256(SCALE)) / 5);
+        // Feature 1: txFrequency = decayed transaction rate / 5 (normalised)
+        uint256 rate = _decay(
+            profile.decayedTxRate,
+            block.timestamp - profile.lastTransactionTime,
+            frequencyHalfLife
+        );
+        int256 freq = int256(rate / 5);
         features[1] = freq > MAX_FREQUENCY ? MAX_FREQUENCY : freq;
 
-        // Feature 2: recipientTrust (binary)
-        features[2] = trustedRecipients[sender][recipient]
+        // Feature 2: recipientTrust (binary, once the activation delay has passed)
+        features[2] = _isTrusted(sender, recipient)
             ? SCALE
             : int256(0);
 
@@ -528,31 +1072,98 @@ contract NeuralUSDCGuardian is Ownable, ReentrancyGuard, Pausable {
         } else {
             features[3] = 0; // first tx is not "recent"
         }
+
+        // Feature 4: recipientNovelty (binary; independent of trust)
+        features[4] = recipientTransferCount[sender][recipient] == 0
+            ? SCALE
+            : int256(0);
+
+        // Feature 5: balanceFraction = amount / vault balance (clamped [0, 1])
+        features[5] = _balanceFraction(amount, _vault(token)[sender]);
+
+        // Feature 6: accountAge = time since register() / 30 days (clamped [0, 1])
+        if (profile.registeredAt > 0) {
+            uint256 age = block.timestamp - profile.registeredAt;
+            features[6] = age >= ACCOUNT_AGE_HORIZON
+                ? SCALE
+                : int256((age * uint256(SCALE)) / ACCOUNT_AGE_HORIZON);
+        }
+
+        // Feature 7: hourDeviation from the sender's usual hours of day
+        features[7] = _hourDeviation(profile.activeHours, block.timestamp);
     }
 
-    /// @dev Return the number of transactions in the current 1-hour rolling window.
-    function _getRecentTxCount(address user) internal view returns (uint256) {
-        UserProfile storage p = profiles[user];
-        if (block.timestamp - p.recentWindowStart > 1 hours) return 0;
-        return p.recentTxCount;
+    /// @dev `amount / balance`, clamped to [0, 1].
+    function _balanceFraction(uint256 amount, uint256 balance) internal pure returns (int256) {
+        if (balance == 0 || amount >= balance) return SCALE; // moving everything (or more than there is)
+        return int256((amount * uint256(SCALE)) / balance);
+    }
+
+    /**
+     * @dev Circular distance in hours from the UTC hour of `timestamp` to the
+     *      nearest hour set in `activeHours`, scaled so 12 hours = 1.0.
+     *      Returns 0 when there is no history yet.
+     */
+    function _hourDeviation(uint256 activeHours, uint256 timestamp) internal pure returns (int256) {
+        if (activeHours == 0) return 0;
+        uint256 hour = (timestamp / 1 hours) % 24;
+        for (uint256 d = 0; d < 12; d++) {
+            if (activeHours & (1 << ((hour + d) % 24)) != 0) return int256((d * uint256(SCALE)) / 12);
+            if (activeHours & (1 << ((hour + 24 - d) % 24)) != 0) return int256((d * uint256(SCALE)) / 12);
+        }
+        return SCALE; // only the opposite hour is set
     }
 
-    /// @dev Update the sender's behavioural profile after a transfer.
-    function _updateProfile(address user, uint256 amount) internal {
+    /**
+     * @dev `value * 2^(-elapsed / halfLife)`: exact at whole half-lives and
+     *      linear in between, so a value never drops by more than half
+     *      within one half-life.
+     */
+    function _decay(uint256 value, uint256 elapsed, uint256 halfLife) internal pure returns (uint256) {
+        uint256 halvings = elapsed / halfLife;
+        if (halvings >= 256) return 0;
+        value >>= halvings;
+        return value - (value * (elapsed % halfLife)) / (2 * halfLife);
+    }
+
+    /**
+     * @dev Update the sender's behavioural profile after a transfer. Rows
+     *      after the first of a batch (`newTransaction` false) add to the
+     *      amount average but not to the transaction rate. The amount
+     *      average is kept per token: USDC's in the profile, others in
+     *      `_tokenActivity`; the profile's is decayed to now either way.
+     */
+    function _updateProfile(
+        address user,
+        address token,
+        address recipient,
+        uint256 amount,
+        bool newTransaction
+    ) internal {
         UserProfile storage p = profiles[user];
+        bool isUsdc = token == address(usdc);
 
         p.totalTransactions++;
-        p.totalVolume += amount;
+        p.totalVolume += _normalize(token, amount);
+        p.activeHours |= 1 << ((block.timestamp / 1 hours) % 24);
+        recipientTransferCount[user][recipient]++;
 
-        // Rolling 1-hour window
-        if (block.timestamp - p.recentWindowStart > 1 hours) {
-            p.recentTxCount = 1;
-            p.recentWindowStart = block.timestamp;
-        } else {
-            p.recentTxCount++;
-        }
+        // Decay the running averages to now, then add this transfer
+        uint256 elapsed = block.timestamp - p.lastTransactionTime;
+        p.decayedVolume = _decay(p.decayedVolume, elapsed, amountHalfLife) + (isUsdc ? amount : 0);
+        p.decayedTxCount = _decay(p.decayedTxCount, elapsed, amountHalfLife) + (isUsdc ? uint256(SCALE) : 0);
+        p.decayedTxRate = _decay(p.decayedTxRate, elapsed, frequencyHalfLife)
+            + (newTransaction ? uint256(SCALE) : 0);
 
         p.lastTransactionTime = block.timestamp;
+
+        if (!isUsdc) {
+            TokenActivity storage a = _tokenActivity[user][token];
+            uint256 since = block.timestamp - a.lastTransactionTime;
+            a.decayedVolume = _decay(a.decayedVolume, since, amountHalfLife) + amount;
+            a.decayedTxCount = _decay(a.decayedTxCount, since, amountHalfLife) + uint256(SCALE);
+            a.lastTransactionTime = block.timestamp;
+        }
     }
 
     // ================================================================
@@ -577,68 +1188,40 @@ contract NeuralUSDCGuardian is Ownable, ReentrancyGuard, Pausable {
     // ================================================================
     //                     ADMIN FUNCTIONS
     // ================================================================
+    // The model lifecycle is implemented in GuardianModels, behind the same
+    // kind of stubs; the module applies `onlyOwner`.
 
-    /**
-     * @notice Replace all neural-network weights (owner only, rate-limited)
-     */
+    /// @notice Owner: record and immediately activate a new model; see GuardianModels
     function updateModel(
-        int256[32] calldata _wH,
-        int256[8]  calldata _bH,
-        int256[8]  calldata _wO,
-        int256 _bO
-    ) external onlyOwner {
-        if (lastModelUpdate != 0 && block.timestamp < lastModelUpdate + MODEL_UPDATE_COOLDOWN) {
-            revert ModelUpdateTooFrequent(lastModelUpdate + MODEL_UPDATE_COOLDOWN);
-        }
-
-        for (uint256 i = 0; i < 32; i++) weightsHidden[i] = _wH[i];
-        for (uint256 i = 0; i < 8; i++) {
-            biasesHidden[i] = _bH[i];
-            weightsOutput[i] = _wO[i];
-        }
-        biasOutput = _bO;
-        lastModelUpdate = block.timestamp;
-
-        emit ModelUpdated(block.timestamp);
-    }
-
-    /// @notice Add a guardian for multi-sig approvals
-    function addGuardian(address guardian) external onlyOwner {
-        if (guardian == address(0)) revert ZeroAddress();
-        if (guardians[guardian]) revert AlreadyGuardian();
-        guardians[guardian] = true;
-        guardianCount++;
-        emit GuardianAdded(guardian);
+        uint256[] calldata /* layers */,
+        int256[] calldata /* weights */,
+        int256[] calldata /* biases */
+    ) external {
+        _delegate(_modules);
     }
 
-    /// @notice Remove a guardian
-    function removeGuardian(address guardian) external onlyOwner {
-        if (!guardians[guardian]) revert NotGuardian();
-        if (guardianCount <= minApprovals) revert CannotRemoveLastGuardian();
-        guardians[guardian] = false;
-        guardianCount--;
-        emit GuardianRemoved(guardian);
+    /// @notice Owner: record a model to activate after `modelActivationDelay`; see GuardianModels
+    function proposeModel(
+        uint256[] calldata /* layers */,
+        int256[] calldata /* weights */,
+        int256[] calldata /* biases */
+    ) external returns (uint256 /* version */) {
+        _delegate(_modules);
     }
 
-    /// @notice Update the low / high risk thresholds
-    function setThresholds(uint256 _low, uint256 _high) external onlyOwner {
-        if (_low >= _high || _high > MAX_RISK) revert InvalidThresholds();
-        lowThreshold = _low;
-        highThreshold = _high;
-        emit ThresholdsUpdated(_low, _high);
+    /// @notice Owner: load a recorded version into the network; see GuardianModels
+    function activateModel(uint256 /* version */) external {
+        _delegate(_modules);
     }
 
-    /// @notice Update the timelock duration for medium-risk transfers
-    function setTimelockDuration(uint256 _duration) external onlyOwner {
-        timelockDuration = _duration;
-        emit TimelockDurationUpdated(_duration);
+    /// @notice Owner: restore the previously active version; see GuardianModels
+    function rollbackModel() external {
+        _delegate(_modules);
     }
 
-    /// @notice Update the minimum guardian approvals for high-risk transfers
-    function setMinApprovals(uint256 _min) external onlyOwner {
-        if (_min == 0) revert ZeroAmount();
-        minApprovals = _min;
-        emit MinApprovalsUpdated(_min);
+    /// @notice Owner: score transfers with a second version for comparison; see GuardianModels
+    function setShadowModel(uint256 /* version */) external {
+        _delegate(_modules);
     }
 
     /// @notice Pause all deposits and transfers
@@ -651,23 +1234,63 @@ contract NeuralUSDCGuardian is Ownable, ReentrancyGuard, Pausable {
     //                    VIEW HELPERS
     // ================================================================
 
-    /// @notice Return the full set of model weights for transparency
+    /// @notice Return the topology and weights of the active model for transparency
     function getModelWeights()
         external
         view
         returns (
-            int256[32] memory wH,
-            int256[8]  memory bH,
-            int256[8]  memory wO,
-            int256 bO
+            uint256[] memory layers,
+            int256[] memory weights,
+            int256[] memory biases
         )
     {
-        for (uint256 i = 0; i < 32; i++) wH[i] = weightsHidden[i];
-        for (uint256 i = 0; i < 8; i++) {
-            bH[i] = biasesHidden[i];
-            wO[i] = weightsOutput[i];
-        }
-        bO = biasOutput;
+        ModelWeights storage m = _modelWeights[activeModelVersion];
+        return (m.layers, m.weights, m.biases);
+    }
+
+    /// @notice Return the metadata of a recorded model version
+    function getModelVersion(uint256 version) external view returns (ModelVersion memory) {
+        if (version == 0 || version > modelVersionCount) revert ModelVersionNotFound(version);
+        return _modelVersions[version];
+    }
+
+    /// @notice Return the topology and weights of a recorded model version
+    function getModelVersionWeights(uint256 version)
+        external
+        view
+        returns (
+            uint256[] memory layers,
+            int256[] memory weights,
+            int256[] memory biases
+        )
+    {
+        if (version == 0 || version > modelVersionCount) revert ModelVersionNotFound(version);
+        ModelWeights storage m = _modelWeights[version];
+        return (m.layers, m.weights, m.biases);
+    }
+
+    /// @notice Version `rollbackModel` would restore (0 if none)
+    function previousModelVersion() external view returns (uint256) {
+        uint256 n = _activationHistory.length;
+        return n < 2 ? 0 : _activationHistory[n - 2];
+    }
+
+    /// @notice Vault balance of `user` in `token` (for USDC the same as `balances`)
+    function tokenBalance(address user, address token) external view returns (uint256) {
+        return _vault(token)[user];
+    }
+
+    /// @notice Every token ever listed, removed ones included; see `supportedTokens`
+    function getTokens() external view returns (address[] memory) {
+        return _tokenList;
+    }
+
+    /**
+     * @notice A user's amount statistics in a token other than USDC
+     *         (USDC's are in `getProfile`)
+     */
+    function getTokenActivity(address user, address token) external view returns (TokenActivity memory) {
+        return _tokenActivity[user][token];
     }
 
     /// @notice Return a user's full profile
@@ -675,99 +1298,185 @@ contract NeuralUSDCGuardian is Ownable, ReentrancyGuard, Pausable {
         return profiles[user];
     }
 
+    /// @notice Recipients `user` trusts, including those still waiting out `trustActivationDelay`
+    function getTrustedRecipients(address user) external view returns (address[] memory) {
+        return _trustedList[user];
+    }
+
+    /// @notice Model activation delay in force and any shorter one queued
+    function getModelActivationDelay()
+        external
+        view
+        returns (uint256 delay, uint256 queuedDelay, uint256 effectiveAt)
+    {
+        delay = modelActivationDelay;
+        effectiveAt = _queuedModelDelayAt;
+        queuedDelay = _queuedModelDelay;
+        if (effectiveAt != 0 && block.timestamp >= effectiveAt) {
+            (delay, queuedDelay, effectiveAt) = (queuedDelay, 0, 0);
+        }
+    }
+
+    /// @notice Trust activation delay in force and any shorter one queued
+    function getTrustActivationDelay()
+        external
+        view
+        returns (uint256 delay, uint256 queuedDelay, uint256 effectiveAt)
+    {
+        delay = trustActivationDelay;
+        effectiveAt = _queuedTrustDelayAt;
+        queuedDelay = _queuedTrustDelay;
+        if (effectiveAt != 0 && block.timestamp >= effectiveAt) {
+            (delay, queuedDelay, effectiveAt) = (queuedDelay, 0, 0);
+        }
+    }
+
+    /// @notice Withdrawal-review minimum in force and any looser one queued
+    function getWithdrawalReview(address user)
+        external
+        view
+        returns (uint256 minAmount, uint256 queuedMinAmount, uint256 effectiveAt)
+    {
+        minAmount = withdrawalReviewMin[user];
+        effectiveAt = _queuedReviewAt[user];
+        queuedMinAmount = _queuedReviewMin[user];
+        if (effectiveAt != 0 && block.timestamp >= effectiveAt) {
+            (minAmount, queuedMinAmount, effectiveAt) = (queuedMinAmount, 0, 0);
+        }
+    }
+
+    /**
+     * @notice The user's scheduled recovery, if any
+     * @return newAddress Address that takes over (zero when none is scheduled)
+     * @return readyAt    When `executeRecovery` opens (0 when none is scheduled)
+     */
+    function getRecovery(address user) external view returns (address newAddress, uint256 readyAt) {
+        Recovery storage r = _recoveries[user];
+        return (r.newAddress, r.readyAt);
+    }
+
+    /// @notice Supporters of moving `user` to `newAddress` in the current round
+    function recoverySupport(address user, address newAddress) external view returns (uint256) {
+        return _recoverySupport[user][recoveryRound[user]][newAddress];
+    }
+
+    /**
+     * @notice txId -> pending transaction, one field per return value.
+     * @dev Written out here rather than as a public mapping so the getter is
+     *      not also compiled into the modules contract.
+     */
+    function pendingTxs(uint256 txId)
+        external
+        view
+        returns (
+            address sender,
+            address recipient,
+            uint256 amount,
+            uint256 riskScore,
+            uint256 modelVersion,
+            uint256 createdAt,
+            uint256 readyAt,
+            uint256 expiresAt,
+            uint256 requiredApprovals,
+            uint256 approvalCount,
+            uint256 vetoCount,
+            PendingReason reason,
+            bool requiresMultiSig,
+            bool withdrawal,
+            bool executed,
+            bool cancelled,
+            bool vetoed,
+            address token
+        )
+    {
+        PendingTx storage p = _pendingTxs[txId];
+        return (
+            p.sender,
+            p.recipient,
+            p.amount,
+            p.riskScore,
+            p.modelVersion,
+            p.createdAt,
+            p.readyAt,
+            p.expiresAt,
+            p.requiredApprovals,
+            p.approvalCount,
+            p.vetoCount,
+            p.reason,
+            p.requiresMultiSig,
+            p.withdrawal,
+            p.executed,
+            p.cancelled,
+            p.vetoed,
+            p.token
+        );
+    }
+
     /// @notice Return a pending transaction
     function getPendingTx(uint256 txId) external view returns (PendingTx memory) {
-        return pendingTxs[txId];
+        return _pendingTxs[txId];
     }
 
-    // ================================================================
-    //                  DEFAULT MODEL WEIGHTS
-    // ================================================================
+    /**
+     * @notice Return a user's spending limits
+     * @return active      Limits in force now
+     * @return queued      Looser limits waiting out the cooldown
+     * @return effectiveAt When `queued` takes effect (0 = nothing queued)
+     */
+    function getSpendingLimits(address user)
+        external
+        view
+        returns (SpendingLimits memory active, SpendingLimits memory queued, uint256 effectiveAt)
+    {
+        active = _effectiveSpendingLimits(user);
+        effectiveAt = _queuedLimitsAt[user];
+        if (effectiveAt != 0 && block.timestamp < effectiveAt) {
+            queued = _queuedSpendingLimits[user];
+        } else {
+            effectiveAt = 0;
+        }
+    }
+
+    /// @notice Outbound usage counted in the user's current limit windows
+    function getSpendingUsage(address user)
+        external
+        view
+        returns (uint256 daySpent, uint256 weekSpent, uint256 velocityCount)
+    {
+        SpendingUsage memory usage =
+            _currentSpendingUsage(user, _effectiveSpendingLimits(user).velocityWindow);
+        return (usage.daySpent, usage.weekSpent, usage.velocityCount);
+    }
+
+    /**
+     * @notice Which spending limit a transfer would breach
+     * @return reason None, DailyLimit, WeeklyLimit or VelocityLimit
+     */
+    function checkSpendingLimits(address user, uint256 amount) external view returns (PendingReason reason) {
+        SpendingLimits memory limits = _effectiveSpendingLimits(user);
+        return _limitBreach(limits, _currentSpendingUsage(user, limits.velocityWindow), amount);
+    }
 
     /**
-     * @dev Initialise the neural network with hand-tuned weights.
-     *
-     *  Hidden neurons and their roles:
-     *    0 - Large-amount detector       (fires when amountRatio > 1.0)
-     *    1 - High-frequency detector     (fires when txFrequency > 0.5)
-     *    2 - Unknown-recipient alarm     (fires when recipient is NOT trusted)
-     *    3 - Recent-transaction alarm    (fires when recency > 0.5)
-     *    4 - Amount + frequency combo    (cross-feature interaction)
-     *    5 - Untrusted + recent combo    (cross-feature interaction)
-     *    6 - Trust safety net            (fires when recipient IS trusted, reduces risk)
-     *    7 - General suspicion baseline
-     *
-     *  Output weights are tuned so that:
-     *    - Normal trusted tx           -> risk ~16-21 (auto-approve)
-     *    - First tx to untrusted       -> risk ~56-66 (timelock)
-     *    - Large amount to untrusted   -> risk ~85+   (multi-sig)
-     */
-    function _initializeDefaultModel() internal {
-        // --- Neuron 0: Large-amount detector ---
-        weightsHidden[0]  = 2 * SCALE;     // amountRatio
-        weightsHidden[1]  = 0;             // txFrequency
-        weightsHidden[2]  = 0;             // recipientTrust
-        weightsHidden[3]  = 0;             // recency
-        biasesHidden[0]   = -2 * SCALE;    // fires when amountRatio > 1.0
-
-        // --- Neuron 1: High-frequency detector ---
-        weightsHidden[4]  = 0;
-        weightsHidden[5]  = 3 * SCALE;
-        weightsHidden[6]  = 0;
-        weightsHidden[7]  = 0;
-        biasesHidden[1]   = -15e17;        // -1.5, fires when freq > 0.5
-
-        // --- Neuron 2: Unknown-recipient alarm ---
-        weightsHidden[8]  = 0;
-        weightsHidden[9]  = 0;
-        weightsHidden[10] = -2 * SCALE;
-        weightsHidden[11] = 0;
-        biasesHidden[2]   = 2 * SCALE;     // fires when trust = 0
-
-        // --- Neuron 3: Recent-transaction alarm ---
-        weightsHidden[12] = 0;
-        weightsHidden[13] = 0;
-        weightsHidden[14] = 0;
-        weightsHidden[15] = 2 * SCALE;
-        biasesHidden[3]   = -1 * SCALE;    // fires when recency > 0.5
-
-        // --- Neuron 4: Amount + frequency combo ---
-        weightsHidden[16] = 15e17;         // 1.5
-        weightsHidden[17] = 15e17;         // 1.5
-        weightsHidden[18] = 0;
-        weightsHidden[19] = 0;
-        biasesHidden[4]   = -3 * SCALE;
-
-        // --- Neuron 5: Untrusted + recent combo ---
-        weightsHidden[20] = 0;
-        weightsHidden[21] = 0;
-        weightsHidden[22] = -15e17;        // -1.5
-        weightsHidden[23] = 15e17;         //  1.5
-        biasesHidden[5]   = -5e17;         // -0.5
-
-        // --- Neuron 6: Trust safety net (REDUCES risk) ---
-        weightsHidden[24] = 0;
-        weightsHidden[25] = 0;
-        weightsHidden[26] = 3 * SCALE;
-        weightsHidden[27] = 0;
-        biasesHidden[6]   = -1 * SCALE;    // fires when trust > 0.33
-
-        // --- Neuron 7: General suspicion baseline ---
-        weightsHidden[28] = 5e17;          //  0.5
-        weightsHidden[29] = 3e17;          //  0.3
-        weightsHidden[30] = -5e17;         // -0.5
-        weightsHidden[31] = 3e17;          //  0.3
-        biasesHidden[7]   = -3e17;         // -0.3
-
-        // --- Output layer ---
-        weightsOutput[0] = 15e16;          //  0.15  (large amount)
-        weightsOutput[1] = 12e16;          //  0.12  (high frequency)
-        weightsOutput[2] = 20e16;          //  0.20  (unknown recipient)
-        weightsOutput[3] = 12e16;          //  0.12  (recent tx)
-        weightsOutput[4] = 20e16;          //  0.20  (amount+freq combo)
-        weightsOutput[5] = 25e16;          //  0.25  (untrusted+recent)
-        weightsOutput[6] = -70e16;         // -0.70  (trust safety net)
-        weightsOutput[7] = 12e16;          //  0.12  (general suspicion)
-        biasOutput        = -3e17;         // -0.30
+     * @notice Return the risk policy that routes `user`'s transfers
+     * @return effective   Override or global policy, tightened by the personal one
+     * @return personal    The user's own policy in force (all zero = none)
+     * @return queued      Looser personal policy waiting out the cooldown
+     * @return effectiveAt When `queued` takes effect (0 = nothing queued)
+     */
+    function getRiskPolicy(address user)
+        external
+        view
+        returns (RiskPolicy memory effective, RiskPolicy memory personal, RiskPolicy memory queued, uint256 effectiveAt)
+    {
+        effective = _effectiveRiskPolicy(user);
+        effectiveAt = _queuedPolicyAt[user];
+        if (effectiveAt != 0 && block.timestamp < effectiveAt) {
+            personal = _riskPolicies[user];
+            queued = _queuedRiskPolicies[user];
+        } else {
+            personal = effectiveAt == 0 ? _riskPolicies[user] : _queuedRiskPolicies[user];
+            effectiveAt = 0;
+        }
     }
 }
@@ -0,0 +1,63 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+
+import "./MockUSDC.sol";
+
+/**
+ * @title MockUSDCPermit
+ * @notice MockUSDC with EIP-2612 `permit`, signed against the same domain
+ *         name and version ("USD Coin", "2") as Circle's USDC (testnet only)
+ * @dev OpenZeppelin's ERC20Permit needs a newer compiler than this repo
+ *      pins, so the permit is implemented here directly.
+ */
+contract MockUSDCPermit is MockUSDC, IERC20Permit, Nonces {
+    bytes32 private constant PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+
+    error ERC2612ExpiredSignature(uint256 deadline);
+    error ERC2612InvalidSigner(address signer, address owner);
+
+    /// @notice EIP-712 domain version, as exposed by USDC
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        if (block.timestamp > deadline) revert ERC2612ExpiredSignature(deadline);
+
+        bytes32 structHash = keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, _useNonce(owner), deadline));
+        address signer = ECDSA.recover(keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash)), v, r, s);
+        if (signer != owner) revert ERC2612InvalidSigner(signer, owner);
+
+        _approve(owner, spender, value);
+    }
+
+    function nonces(address owner) public view override(IERC20Permit, Nonces) returns (uint256) {
+        return super.nonces(owner);
+    }
+
+    /// @notice EIP-712 domain of permits
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+                keccak256(bytes(name())),
+                keccak256("2"),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+}
@@ -1,4 +1,12 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks/train");
+require("./tasks/indexer");
+require("./tasks/guardian");
+require("./tasks/explain");
+require("./tasks/model");
+require("./tasks/batch");
+require("./tasks/relayer");
+require("./tasks/addressBook");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -9,12 +17,21 @@ module.exports = {
         enabled: true,
         runs: 200,
       },
-      viaIR: false,
+      viaIR: true,
     },
   },
   networks: {
     hardhat: {
       chainId: 31337,
     },
+    localhost: {
+      url: "http://127.0.0.1:8545",
+      chainId: 31337,
+    },
+    sepolia: {
+      url: process.env.SEPOLIA_RPC_URL || "",
+      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
+      chainId: 11155111,
+    },
   },
 };
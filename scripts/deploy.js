@@ -0,0 +1,37 @@
+/**
+ * npx hardhat run scripts/deploy.js --network <name>
+ *
+ * Environment:
+ *   DEPLOY_CONFIG    config file   (default config/<network>.json)
+ *   DEPLOY_MANIFEST  manifest file (default deployments/<network>.json)
+ */
+const path = require("path");
+const hre = require("hardhat");
+
+const { loadConfig, deploy } = require("../src/deployment");
+
+async function main() {
+  const root = path.join(__dirname, "..");
+  const configPath =
+    process.env.DEPLOY_CONFIG || path.join(root, "config", `${hre.network.name}.json`);
+  const manifestPath =
+    process.env.DEPLOY_MANIFEST || path.join(root, "deployments", `${hre.network.name}.json`);
+
+  console.log(`Network:  ${hre.network.name}`);
+  console.log(`Config:   ${path.relative(root, configPath)}`);
+
+  const config = loadConfig(configPath);
+  const manifest = await deploy(hre, config, {
+    manifest: manifestPath,
+    log: (msg) => console.log(`  ${msg}`),
+  });
+
+  console.log(`Manifest: ${path.relative(root, manifestPath)}`);
+  console.log(`Guardian: ${manifest.contracts.NeuralUSDCGuardian.address}`);
+  console.log(`Config hash: ${manifest.configHash}`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,270 @@
+/**
+ * @file Human-readable ABI of NeuralUSDCGuardian used by the off-chain
+ * tooling, so it works without compiled artifacts. Kept in sync with the
+ * contract by test/SDK.test.js.
+ */
+
+const PENDING_TX_TUPLE =
+  "tuple(address sender, address recipient, uint256 amount, uint256 riskScore, uint256 modelVersion, uint256 createdAt, uint256 readyAt, uint256 expiresAt, uint256 requiredApprovals, uint256 approvalCount, uint256 vetoCount, uint8 reason, bool requiresMultiSig, bool withdrawal, bool executed, bool cancelled, bool vetoed, address token)";
+
+const PROFILE_TUPLE =
+  "tuple(uint256 totalTransactions, uint256 totalVolume, uint256 lastTransactionTime, uint256 decayedVolume, uint256 decayedTxCount, uint256 decayedTxRate, uint256 registeredAt, uint256 activeHours, bool isRegistered)";
+
+const SPENDING_LIMITS_TUPLE =
+  "tuple(uint256 dailyLimit, uint256 weeklyLimit, uint256 maxTxPerWindow, uint256 velocityWindow, bool multiSigOnBreach)";
+
+const RISK_POLICY_TUPLE =
+  "tuple(uint256 lowThreshold, uint256 highThreshold, uint256 timelockDuration, uint256 minApprovals)";
+
+const MODEL_VERSION_TUPLE =
+  "tuple(bytes32 weightsHash, uint256 proposedAt, uint256 activatesAt, uint256 activatedAt)";
+
+const GUARDIAN_ABI = [
+  // ---- User functions ----
+  "function register()",
+  "function deposit(uint256 amount)",
+  "function depositToken(address token, uint256 amount)",
+  "function depositWithPermit(uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+  "function withdraw(uint256 amount) returns (uint256 txId)",
+  "function withdrawTo(address to, uint256 amount) returns (uint256 txId)",
+  "function withdrawToken(address token, address to, uint256 amount) returns (uint256 txId)",
+  "function transfer(address recipient, uint256 amount) returns (uint256 txId, uint256 riskScore)",
+  "function transferToken(address token, address recipient, uint256 amount) returns (uint256 txId, uint256 riskScore)",
+  "function batchTransfer(address[] recipients, uint256[] amounts) returns (uint256 batchId, uint256[] txIds, uint256[] riskScores, uint8[] reasons)",
+  "function executePending(uint256)",
+  "function cancelPending(uint256)",
+  "function approvePending(uint256)",
+  "function vetoPending(uint256, bool)",
+  "function escalatePending(uint256)",
+  "function reclaimExpired(uint256)",
+  "function setTrustedRecipient(address recipient, bool trusted)",
+  "function setTrustedRecipients(address[], bool)",
+  "function setSpendingLimits(uint256, uint256, uint256, uint256, bool)",
+  "function setWithdrawalReview(uint256)",
+  "function setRiskPolicy(uint256, uint256, uint256, uint256)",
+  "function setRecoveryGuardians(address[], uint256)",
+  "function supportRecovery(address, address)",
+  "function cancelRecovery()",
+  "function executeRecovery(address)",
+  "function transferWithSig(address, address, uint256, uint256, bytes) returns (uint256, uint256)",
+  "function setTrustedRecipientWithSig(address, address, bool, uint256, bytes)",
+  "function cancelPendingWithSig(address, uint256, uint256, bytes)",
+
+  // ---- Views ----
+  "function usdc() view returns (address)",
+  "function owner() view returns (address)",
+  "function paused() view returns (bool)",
+  "function lowThreshold() view returns (uint256)",
+  "function highThreshold() view returns (uint256)",
+  "function timelockDuration() view returns (uint256)",
+  "function minApprovals() view returns (uint256)",
+  "function pendingExpiry() view returns (uint256)",
+  "function approvalValidity() view returns (uint256)",
+  "function lastModelUpdate() view returns (uint256)",
+  "function modelActivationDelay() view returns (uint256)",
+  "function getModelActivationDelay() view returns (uint256 delay, uint256 queuedDelay, uint256 effectiveAt)",
+  "function amountHalfLife() view returns (uint256)",
+  "function frequencyHalfLife() view returns (uint256)",
+  "function modelVersionCount() view returns (uint256)",
+  "function activeModelVersion() view returns (uint256)",
+  "function previousModelVersion() view returns (uint256)",
+  "function shadowModelVersion() view returns (uint256)",
+  "function guardians(address) view returns (bool)",
+  "function guardianCount() view returns (uint256)",
+  "function balances(address) view returns (uint256)",
+  "function tokenBalance(address user, address token) view returns (uint256)",
+  "function supportedTokens(address) view returns (bool)",
+  "function tokenDecimals(address) view returns (uint8)",
+  "function vaultLiabilities(address) view returns (uint256)",
+  "function isSolvent(address token) view returns (bool)",
+  "function getTokens() view returns (address[])",
+  "function getTokenActivity(address user, address token) view returns (tuple(uint256 decayedVolume, uint256 decayedTxCount, uint256 lastTransactionTime))",
+  "function trustedRecipients(address, address) view returns (bool)",
+  "function trustActiveAt(address, address) view returns (uint256)",
+  "function recipientTransferCount(address, address) view returns (uint256)",
+  "function hasApproved(uint256 txId, address guardian) view returns (bool)",
+  "function approvedAt(uint256, address) view returns (uint256)",
+  "function validApprovals(uint256 txId) view returns (uint256 count)",
+  "function hasVetoed(uint256, address) view returns (bool)",
+  "function frozen(address) view returns (bool)",
+  "function pendingTxCount() view returns (uint256)",
+  "function batchCount() view returns (uint256)",
+  "function MAX_BATCH_SIZE() view returns (uint256)",
+  "function assessRisk(address sender, address recipient, uint256 amount) view returns (uint256 riskScore, int256[8] features)",
+  "function explainRisk(address sender, address recipient, uint256 amount) view returns (uint256 riskScore, int256[8] features, int256[] hidden, int256[] contributions, int256 output)",
+  "function computeRisk(int256[8] features) view returns (uint256 riskScore)",
+  "function getModelWeights() view returns (uint256[] layers, int256[] weights, int256[] biases)",
+  `function getModelVersion(uint256 version) view returns (${MODEL_VERSION_TUPLE})`,
+  "function getModelVersionWeights(uint256 version) view returns (uint256[] layers, int256[] weights, int256[] biases)",
+  `function getProfile(address user) view returns (${PROFILE_TUPLE})`,
+  `function getPendingTx(uint256 txId) view returns (${PENDING_TX_TUPLE})`,
+  `function getSpendingLimits(address user) view returns (${SPENDING_LIMITS_TUPLE} active, ${SPENDING_LIMITS_TUPLE} queued, uint256 effectiveAt)`,
+  "function getSpendingUsage(address user) view returns (uint256 daySpent, uint256 weekSpent, uint256 velocityCount)",
+  "function checkSpendingLimits(address user, uint256 amount) view returns (uint8 reason)",
+  "function getTrustedRecipients(address user) view returns (address[])",
+  "function withdrawalReviewMin(address) view returns (uint256)",
+  "function getWithdrawalReview(address user) view returns (uint256 minAmount, uint256 queuedMinAmount, uint256 effectiveAt)",
+  "function recoveryDelay() view returns (uint256)",
+  "function trustActivationDelay() view returns (uint256)",
+  "function getTrustActivationDelay() view returns (uint256 delay, uint256 queuedDelay, uint256 effectiveAt)",
+  "function recoveredTo(address) view returns (address)",
+  "function recoveryRound(address) view returns (uint256)",
+  "function getRecoveryGuardians(address user) view returns (address[] recoveryGuardians, uint256 threshold)",
+  "function isRecoveryGuardian(address user, address guardian) view returns (bool)",
+  "function getRecovery(address user) view returns (address newAddress, uint256 readyAt)",
+  "function recoverySupport(address user, address newAddress) view returns (uint256)",
+  "function nonces(address) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  `function getRiskPolicy(address user) view returns (${RISK_POLICY_TUPLE} effective, ${RISK_POLICY_TUPLE} personal, ${RISK_POLICY_TUPLE} queued, uint256 effectiveAt)`,
+  "function policyOverrides(address) view returns (uint256 lowThreshold, uint256 highThreshold, uint256 timelockDuration, uint256 minApprovals)",
+  "function policyBounds() view returns (uint256 lowThreshold, uint256 highThreshold, uint256 timelockDuration, uint256 minApprovals)",
+
+  // ---- Admin ----
+  "function updateModel(uint256[], int256[], int256[])",
+  "function proposeModel(uint256[], int256[], int256[]) returns (uint256)",
+  "function activateModel(uint256)",
+  "function rollbackModel()",
+  "function setModelActivationDelay(uint256)",
+  "function setShadowModel(uint256)",
+  "function addGuardian(address)",
+  "function removeGuardian(address)",
+  "function setThresholds(uint256, uint256)",
+  "function setTimelockDuration(uint256)",
+  "function setMinApprovals(uint256)",
+  "function setExpiryWindows(uint256, uint256)",
+  "function unfreezeAccount(address)",
+  "function setRecoveryDelay(uint256)",
+  "function setDecayHalfLives(uint256, uint256)",
+  "function addSupportedToken(address)",
+  "function removeSupportedToken(address)",
+  "function setPolicyOverride(address, uint256, uint256, uint256, uint256)",
+  "function setPolicyBounds(uint256, uint256, uint256, uint256)",
+  "function setTrustActivationDelay(uint256)",
+  "function pause()",
+  "function unpause()",
+
+  // ---- Events ----
+  "event Registered(address indexed user)",
+  "event Deposited(address indexed user, address indexed token, uint256 amount)",
+  "event Withdrawn(address indexed user, address indexed token, uint256 amount)",
+  "event WithdrawnTo(address indexed user, address indexed to, address indexed token, uint256 amount)",
+  "event TransferAutoApproved(address indexed sender, address indexed recipient, address indexed token, uint256 amount, uint256 riskScore)",
+  "event TransferPending(uint256 indexed txId, address indexed sender, address indexed recipient, address token, uint256 amount, uint256 riskScore, bool requiresMultiSig, uint8 reason)",
+  "event WithdrawalPending(uint256 indexed txId, address indexed user, address indexed to, address token, uint256 amount, uint256 riskScore, bool requiresMultiSig, uint8 reason)",
+  "event BatchSubmitted(uint256 indexed batchId, address indexed sender, uint256 rows, uint256 totalAmount, uint256 autoApproved)",
+  "event TransferExecuted(uint256 indexed txId)",
+  "event TransferCancelled(uint256 indexed txId)",
+  "event TransferExpired(uint256 indexed txId)",
+  "event GuardianApproval(uint256 indexed txId, address indexed guardian)",
+  "event VetoCast(uint256 indexed txId, address indexed guardian, bool freezeSender)",
+  "event TransferVetoed(uint256 indexed txId, bool senderFrozen)",
+  "event TransferEscalated(uint256 indexed txId)",
+  "event AccountFrozen(address indexed user, uint256 indexed txId)",
+  "event AccountUnfrozen(address indexed user)",
+  "event GuardianAdded(address indexed guardian)",
+  "event GuardianRemoved(address indexed guardian)",
+  "event TrustedRecipientSet(address indexed user, address indexed recipient, bool trusted, uint256 activeAt)",
+  "event SpendingLimitsUpdated(address indexed user, uint256 dailyLimit, uint256 weeklyLimit, uint256 maxTxPerWindow, uint256 velocityWindow, bool multiSigOnBreach)",
+  "event SpendingLimitsQueued(address indexed user, uint256 dailyLimit, uint256 weeklyLimit, uint256 maxTxPerWindow, uint256 velocityWindow, bool multiSigOnBreach, uint256 effectiveAt)",
+  "event WithdrawalReviewUpdated(address indexed user, uint256 minAmount)",
+  "event WithdrawalReviewQueued(address indexed user, uint256 minAmount, uint256 effectiveAt)",
+  "event RiskPolicyUpdated(address indexed user, uint256 lowThreshold, uint256 highThreshold, uint256 timelockDuration, uint256 minApprovals)",
+  "event RiskPolicyQueued(address indexed user, uint256 lowThreshold, uint256 highThreshold, uint256 timelockDuration, uint256 minApprovals, uint256 effectiveAt)",
+  "event PolicyOverrideSet(address indexed user, uint256 lowThreshold, uint256 highThreshold, uint256 timelockDuration, uint256 minApprovals)",
+  "event PolicyBoundsUpdated(uint256 lowThreshold, uint256 highThreshold, uint256 timelockDuration, uint256 minApprovals)",
+  "event RecoveryGuardiansSet(address indexed user, address[] guardians, uint256 threshold)",
+  "event RecoverySupported(address indexed user, address indexed newAddress, address indexed guardian, uint256 supporters)",
+  "event RecoveryScheduled(address indexed user, address indexed newAddress, uint256 readyAt)",
+  "event RecoveryCancelled(address indexed user)",
+  "event AccountRecovered(address indexed user, address indexed newAddress, uint256 balance)",
+  "event RecoveryDelayUpdated(uint256 newDelay)",
+  "event TrustActivationDelayUpdated(uint256 newDelay)",
+  "event TrustActivationDelayQueued(uint256 newDelay, uint256 effectiveAt)",
+  "event TokenAdded(address indexed token, uint8 decimals)",
+  "event TokenRemoved(address indexed token)",
+  "event IntentRelayed(address indexed signer, address indexed relayer, uint256 nonce)",
+  "event ModelProposed(uint256 indexed version, bytes32 weightsHash, uint256 activatesAt)",
+  "event ModelUpdated(uint256 indexed version, uint256 indexed previousVersion, bytes32 weightsHash)",
+  "event ModelRolledBack(uint256 indexed fromVersion, uint256 indexed toVersion)",
+  "event ModelActivationDelayUpdated(uint256 newDelay)",
+  "event ModelActivationDelayQueued(uint256 newDelay, uint256 effectiveAt)",
+  "event ShadowModelSet(uint256 indexed version)",
+  "event ShadowRiskAssessed(address indexed sender, address indexed recipient, uint256 modelVersion, uint256 shadowVersion, uint256 riskScore, uint256 shadowRiskScore)",
+  "event ThresholdsUpdated(uint256 lowThreshold, uint256 highThreshold)",
+  "event TimelockDurationUpdated(uint256 newDuration)",
+  "event MinApprovalsUpdated(uint256 newMinApprovals)",
+  "event ExpiryWindowsUpdated(uint256 pendingExpiry, uint256 approvalValidity)",
+  "event DecayHalfLivesUpdated(uint256 amountHalfLife, uint256 frequencyHalfLife)",
+  "event RiskAssessed(address indexed sender, address indexed recipient, uint256 amount, uint256 riskScore, uint256 modelVersion, int256[8] features)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  "event Paused(address account)",
+  "event Unpaused(address account)",
+
+  // ---- Errors ----
+  "error ZeroAmount()",
+  "error ZeroAddress()",
+  "error InsufficientBalance(uint256 available, uint256 required)",
+  "error NotRegistered()",
+  "error AlreadyRegistered()",
+  "error NotGuardian()",
+  "error AlreadyGuardian()",
+  "error NotPendingTxSender()",
+  "error TxAlreadyExecuted()",
+  "error TxAlreadyCancelled()",
+  "error TxDoesNotExist()",
+  "error TimelockNotExpired(uint256 readyAt)",
+  "error TxExpired(uint256 expiredAt)",
+  "error TxNotExpired(uint256 expiresAt)",
+  "error InvalidExpiry()",
+  "error InsufficientApprovals(uint256 current, uint256 required)",
+  "error AlreadyApproved()",
+  "error AlreadyVetoed()",
+  "error VetoInProgress(uint256 vetoCount, uint256 required)",
+  "error AlreadyMultiSig()",
+  "error SenderFrozen(address sender)",
+  "error NotFrozen(address user)",
+  "error ModelUpdateTooFrequent(uint256 nextAllowedAt)",
+  "error ModelVersionNotFound(uint256 version)",
+  "error ModelNotReady(uint256 activatesAt)",
+  "error ModelAlreadyActive(uint256 version)",
+  "error NoPreviousModel()",
+  "error ModelActivationDelayActive(uint256 delay)",
+  "error InvalidTopology()",
+  "error ModelShapeMismatch(uint256 expectedWeights, uint256 expectedBiases)",
+  "error InvalidThresholds()",
+  "error InvalidHalfLife()",
+  "error InvalidSpendingLimits()",
+  "error CannotRemoveLastGuardian()",
+  "error SelfTransferNotAllowed()",
+  "error BatchLengthMismatch(uint256 recipients, uint256 amounts)",
+  "error InvalidBatchSize(uint256 size, uint256 max)",
+  "error InvalidRecoveryConfig()",
+  "error NotRecoveryGuardian()",
+  "error InvalidRecoveryAddress()",
+  "error AlreadySupported()",
+  "error RecoveryInProgress(address newAddress, uint256 readyAt)",
+  "error NoRecoveryScheduled()",
+  "error RecoveryNotReady(uint256 readyAt)",
+  "error AccountMigrated(address newAddress)",
+  "error InvalidSignature()",
+  "error IntentExpired(uint256 deadline)",
+  "error InvalidRiskPolicy()",
+  "error UnsupportedToken(address token)",
+  "error TokenAlreadySupported(address token)",
+  "error VaultInsolvent(address token, uint256 liabilities, uint256 held)",
+  // Inherited from OpenZeppelin
+  "error OwnableUnauthorizedAccount(address account)",
+  "error OwnableInvalidOwner(address owner)",
+  "error EnforcedPause()",
+  "error ExpectedPause()",
+  "error ReentrancyGuardReentrantCall()",
+  "error SafeERC20FailedOperation(address token)",
+  // Bubbled up from an OpenZeppelin ERC-20 token during deposit
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+];
+
+/** `PendingReason` names by enum value, as emitted in `TransferPending` */
+const PENDING_REASONS = ["none", "riskScore", "dailyLimit", "weeklyLimit", "velocityLimit"];
+
+module.exports = { GUARDIAN_ABI, PENDING_REASONS };
@@ -0,0 +1,149 @@
+/**
+ * @file Trusted-recipient address book: export a user's on-chain trusted
+ * list as JSON or CSV, import one back (only the differences are sent) and
+ * show which entries still wait out the guardian's `trustActivationDelay`.
+ *
+ *   address,status,activeAt
+ *   0x70997970C51812dc3A010C7d01b50e0d17dc79C8,active,1735689600
+ *   0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC,pending,1735776000
+ *
+ * On import only the `address` column (or field) is read, so an exported
+ * book can be edited and imported as is.
+ */
+
+const { getAddress, isAddress } = require("ethers");
+
+/** Recipients per `setTrustedRecipients` call; the contract's MAX_BATCH_SIZE */
+const CHUNK_SIZE = 100;
+
+/** "json" or "csv", from an explicit format or the file extension. */
+function bookFormat(file, format) {
+  const f = (format || file.split(".").pop() || "").toLowerCase();
+  if (f !== "json" && f !== "csv") throw new Error(`Unknown address book format "${f}" (use json or csv)`);
+  return f;
+}
+
+/**
+ * Parse an address book. JSON is an array of addresses or of objects with
+ * an `address` field; CSV has an `address` column (first by default), with
+ * an optional header line, blank lines and `#` comments.
+ *
+ * @param {string} text
+ * @param {"json"|"csv"} format
+ * @returns {string[]} checksummed addresses in file order
+ * @throws {Error} naming the first malformed or duplicate entry
+ */
+function parseAddressBook(text, format) {
+  const rows = format === "json" ? jsonRows(text) : csvRows(text);
+  const seen = new Set();
+  const out = [];
+  for (const { where, value } of rows) {
+    if (typeof value !== "string" || !isAddress(value)) throw new Error(`${where}: invalid address "${value}"`);
+    const address = getAddress(value);
+    if (seen.has(address)) throw new Error(`${where}: duplicate address ${address}`);
+    seen.add(address);
+    out.push(address);
+  }
+  return out;
+}
+
+function jsonRows(text) {
+  const data = JSON.parse(text);
+  if (!Array.isArray(data)) throw new Error("Address book JSON must be an array");
+  return data.map((e, i) => ({ where: `entry ${i}`, value: e && typeof e === "object" ? e.address : e }));
+}
+
+function csvRows(text) {
+  const rows = [];
+  let column = 0;
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line === "" || line.startsWith("#")) continue;
+    const cells = line.split(",").map((c) => c.trim());
+    if (rows.length === 0 && cells.some((c) => c.toLowerCase() === "address")) {
+      column = cells.findIndex((c) => c.toLowerCase() === "address");
+      continue;
+    }
+    rows.push({ where: `line ${i + 1}`, value: cells[column] });
+  }
+  return rows;
+}
+
+/**
+ * Render entries from `GuardianClient.getTrustedRecipients` as a book.
+ * @param {import("./sdk").TrustedRecipient[]} entries
+ * @param {"json"|"csv"} format
+ */
+function serializeAddressBook(entries, format) {
+  const status = (e) => (e.active ? "active" : "pending");
+  if (format === "json") {
+    const rows = entries.map((e) => ({ address: e.address, status: status(e), activeAt: Number(e.activeAt) }));
+    return `${JSON.stringify(rows, null, 2)}\n`;
+  }
+  const lines = ["address,status,activeAt", ...entries.map((e) => `${e.address},${status(e)},${e.activeAt}`)];
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * What importing `desired` over the `current` trusted list would send.
+ * Without `prune`, addresses missing from the book stay trusted.
+ *
+ * @param {{address: string}[]} current
+ * @param {string[]} desired
+ * @returns {{trust: string[], revoke: string[]}}
+ */
+function planImport(current, desired, { prune = false } = {}) {
+  const have = new Set(current.map((e) => e.address.toLowerCase()));
+  const want = new Set(desired.map((a) => a.toLowerCase()));
+  return {
+    trust: desired.filter((a) => !have.has(a.toLowerCase())),
+    revoke: prune ? current.map((e) => e.address).filter((a) => !want.has(a.toLowerCase())) : [],
+  };
+}
+
+/**
+ * Bring the client signer's trusted list in line with `desired`, in
+ * batches of up to CHUNK_SIZE. Revocations go first.
+ *
+ * @param {import("./sdk").GuardianClient} client
+ * @param {string[]} desired
+ * @param {object} [opts]
+ * @param {boolean} [opts.prune=false] Also revoke trusted addresses not in the book
+ * @returns {Promise<{trust: string[], revoke: string[], receipts: object[]}>}
+ */
+async function importAddressBook(client, desired, opts = {}) {
+  const user = await client.contract.runner.getAddress();
+  const plan = planImport(await client.getTrustedRecipients(user), desired, opts);
+  const receipts = [];
+  for (const [list, trusted] of [
+    [plan.revoke, false],
+    [plan.trust, true],
+  ]) {
+    for (let i = 0; i < list.length; i += CHUNK_SIZE) {
+      receipts.push(await client.setTrustedRecipients(list.slice(i, i + CHUNK_SIZE), trusted));
+    }
+  }
+  return { ...plan, receipts };
+}
+
+/** Plain-text listing of trusted recipients, pending ones with their activation time. */
+function formatAddressBook(entries) {
+  const pending = entries.filter((e) => !e.active);
+  const lines = [`${entries.length} trusted (${entries.length - pending.length} active, ${pending.length} pending)`];
+  for (const e of entries) {
+    const when = new Date(Number(e.activeAt) * 1000).toISOString();
+    lines.push(`  ${e.address}  ${e.active ? "active" : `pending until ${when}`}`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  CHUNK_SIZE,
+  bookFormat,
+  parseAddressBook,
+  serializeAddressBook,
+  planImport,
+  importAddressBook,
+  formatAddressBook,
+};
@@ -0,0 +1,91 @@
+/**
+ * @file Payroll-style batch transfers: parse a CSV of payees and simulate
+ * `batchTransfer` with staticCall to see which rows the guardian would hold
+ * before anything is sent.
+ *
+ *   recipient,amount
+ *   0x70997970C51812dc3A010C7d01b50e0d17dc79C8,1250.00
+ *   0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC,980.50
+ */
+
+const { formatUnits, getAddress, isAddress, parseUnits } = require("ethers");
+
+const { PENDING_REASONS } = require("./abi");
+const { withDecodedErrors } = require("./errors");
+
+/**
+ * Parse `recipient,amount` rows. A header line, blank lines and `#`
+ * comments are skipped; amounts are decimal token units.
+ *
+ * @param {string} text CSV contents
+ * @param {object} [opts]
+ * @param {number} [opts.decimals=6] Token decimals
+ * @returns {{line: number, recipient: string, amount: bigint}[]}
+ * @throws {Error} naming the first malformed line
+ */
+function parsePayees(text, { decimals = 6 } = {}) {
+  const payees = [];
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line === "" || line.startsWith("#")) continue;
+    const cells = line.split(",").map((c) => c.trim());
+    if (payees.length === 0 && cells[0].toLowerCase() === "recipient") continue;
+
+    const where = `line ${i + 1}`;
+    if (cells.length !== 2) throw new Error(`${where}: expected "recipient,amount", got "${line}"`);
+    if (!isAddress(cells[0])) throw new Error(`${where}: invalid recipient "${cells[0]}"`);
+    let amount;
+    try {
+      amount = parseUnits(cells[1], decimals);
+    } catch {
+      throw new Error(`${where}: invalid amount "${cells[1]}"`);
+    }
+    if (amount <= 0n) throw new Error(`${where}: amount must be positive`);
+    payees.push({ line: i + 1, recipient: getAddress(cells[0]), amount });
+  }
+  if (payees.length === 0) throw new Error("No payees found");
+  return payees;
+}
+
+/**
+ * Run `batchTransfer` as a staticCall from the contract's signer and report
+ * each row's outcome. Nothing is sent; a revert is rethrown as a typed error.
+ *
+ * @param {import("ethers").Contract} contract Guardian bound to the paying signer
+ * @param {{recipient: string, amount: bigint}[]} payees
+ * @returns {Promise<{batchId: bigint, total: bigint, rows: object[]}>} one row per
+ *          payee with `riskScore`, `reason` ("none" when auto-approved) and `held`
+ */
+async function simulateBatch(contract, payees) {
+  const [batchId, , riskScores, reasons] = await withDecodedErrors(() =>
+    contract.batchTransfer.staticCall(
+      payees.map((p) => p.recipient),
+      payees.map((p) => p.amount)
+    )
+  );
+  const rows = payees.map((p, i) => {
+    const reason = PENDING_REASONS[Number(reasons[i])];
+    return { ...p, riskScore: Number(riskScores[i]), reason, held: reason !== "none" };
+  });
+  return { batchId, total: payees.reduce((sum, p) => sum + p.amount, 0n), rows };
+}
+
+/** Plain-text rendering of a `simulateBatch` report. */
+function formatBatchReport(report, { decimals = 6, symbol = "USDC" } = {}) {
+  const held = report.rows.filter((r) => r.held);
+  const lines = [
+    `Batch #${report.batchId}: ${report.rows.length} rows, ${formatUnits(report.total, decimals)} ${symbol}, ` +
+      `${report.rows.length - held.length} auto-approved, ${held.length} held`,
+  ];
+  for (const r of report.rows) {
+    const outcome = r.held ? `HELD (${r.reason})` : "auto-approved";
+    const where = r.line !== undefined ? `line ${r.line}  ` : "";
+    lines.push(
+      `  ${where}${r.recipient}  ${formatUnits(r.amount, decimals)} ${symbol}  risk ${r.riskScore}  ${outcome}`
+    );
+  }
+  return lines.join("\n");
+}
+
+module.exports = { parsePayees, simulateBatch, formatBatchReport };
@@ -0,0 +1,344 @@
+/**
+ * @file Idempotent deployment of NeuralUSDCGuardian from a JSON config.
+ *
+ * Config (all fields optional except where noted):
+ *   {
+ *     "usdc": "0x...",            // required outside dev networks
+ *     "guardians": ["0x...", ...], // at least minApprovals of them outside dev networks
+ *     "tokens": ["0x...", ...],   // ERC-20s accepted besides USDC
+ *     "lowThreshold": 30,
+ *     "highThreshold": 70,
+ *     "timelockDuration": 3600,
+ *     "minApprovals": 2,
+ *     "pendingExpiry": 604800,    // seconds; set together with approvalValidity
+ *     "approvalValidity": 259200,
+ *     "amountHalfLife": 604800,   // seconds; set together with frequencyHalfLife
+ *     "frequencyHalfLife": 3600,
+ *     "recoveryDelay": 259200,    // seconds between a recovery quorum and execution
+ *     "trustActivationDelay": 86400, // seconds before new trust lowers risk
+ *     "policyBounds": {           // loosest per-account override the owner may grant
+ *       "lowThreshold": 40, "highThreshold": 80, "timelockDuration": 600, "minApprovals": 1
+ *     },
+ *     "weights": "weights.json",  // serialised model, relative to the config
+ *     "modelActivationDelay": 86400 // seconds; a new guardian starts with it, 1 day if unset
+ *   }
+ *
+ * Re-running against an existing manifest reuses the deployed contracts and
+ * only sends the transactions needed to bring on-chain state in line with
+ * the config. Unless the activation delay is 0, changed weights are proposed
+ * as a new model version and activated by the first run after the delay.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { parseModel, serializeModel, toUpdateModelArgs, fromContractWeights } = require("./model");
+const { modelHash } = require("./versions");
+
+/** Networks on which a MockUSDC is deployed when no `usdc` is configured */
+const DEV_NETWORKS = ["hardhat", "localhost"];
+
+/** Model activation delay a new guardian is deployed with when the config sets none */
+const DEFAULT_MODEL_ACTIVATION_DELAY = 86400;
+
+/** The contract's `minApprovals` until the config changes it */
+const DEFAULT_MIN_APPROVALS = 2;
+
+const CONFIG_KEYS = [
+  "usdc",
+  "guardians",
+  "tokens",
+  "lowThreshold",
+  "highThreshold",
+  "timelockDuration",
+  "minApprovals",
+  "pendingExpiry",
+  "approvalValidity",
+  "amountHalfLife",
+  "frequencyHalfLife",
+  "recoveryDelay",
+  "trustActivationDelay",
+  "policyBounds",
+  "weights",
+  "modelActivationDelay",
+];
+
+/**
+ * Read and validate a deploy config. The weights file, if any, is loaded
+ * and attached as `model`.
+ */
+function loadConfig(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  for (const key of Object.keys(raw)) {
+    if (!CONFIG_KEYS.includes(key)) throw new Error(`Unknown config key "${key}" in ${file}`);
+  }
+  const config = { ...raw, guardians: raw.guardians || [], tokens: raw.tokens || [] };
+  if ((config.lowThreshold === undefined) !== (config.highThreshold === undefined)) {
+    throw new Error("lowThreshold and highThreshold must be set together");
+  }
+  if ((config.amountHalfLife === undefined) !== (config.frequencyHalfLife === undefined)) {
+    throw new Error("amountHalfLife and frequencyHalfLife must be set together");
+  }
+  if ((config.pendingExpiry === undefined) !== (config.approvalValidity === undefined)) {
+    throw new Error("pendingExpiry and approvalValidity must be set together");
+  }
+  if (config.policyBounds) {
+    const fields = ["lowThreshold", "highThreshold", "timelockDuration", "minApprovals"];
+    const keys = Object.keys(config.policyBounds);
+    if (keys.length !== fields.length || !fields.every((f) => keys.includes(f))) {
+      throw new Error(`policyBounds must set exactly ${fields.join(", ")}`);
+    }
+  }
+  if (config.weights) {
+    const weightsPath = path.resolve(path.dirname(file), config.weights);
+    config.model = parseModel(JSON.parse(fs.readFileSync(weightsPath, "utf8")));
+  }
+  return config;
+}
+
+/**
+ * Deterministic hash of the effective configuration, including the weights
+ * themselves rather than their file name.
+ */
+function configHash(ethers, config) {
+  const canonical = {};
+  for (const key of CONFIG_KEYS) {
+    if (key === "weights") continue;
+    if (config[key] !== undefined) canonical[key] = config[key];
+  }
+  if (canonical.guardians) canonical.guardians = canonical.guardians.map((g) => g.toLowerCase()).sort();
+  if (canonical.tokens) canonical.tokens = canonical.tokens.map((t) => t.toLowerCase()).sort();
+  if (canonical.usdc) canonical.usdc = canonical.usdc.toLowerCase();
+  if (config.model) canonical.model = serializeModel(config.model);
+  return ethers.id(JSON.stringify(canonical));
+}
+
+function readManifest(file) {
+  if (!file || !fs.existsSync(file)) return undefined;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeManifest(file, manifest) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+}
+
+async function hasCode(ethers, address) {
+  return (await ethers.provider.getCode(address)) !== "0x";
+}
+
+function sameModel(a, b) {
+  return JSON.stringify(serializeModel(a)) === JSON.stringify(serializeModel(b));
+}
+
+/** Propose `model`, or activate an earlier proposal of it once it is ready. */
+async function stageModel(ethers, guardian, model, send, log) {
+  const hash = modelHash(model);
+  for (let v = await guardian.modelVersionCount(); v > 0n; v--) {
+    const version = await guardian.getModelVersion(v);
+    if (version.weightsHash !== hash) continue;
+    const now = BigInt((await ethers.provider.getBlock("latest")).timestamp);
+    if (now < version.activatesAt) {
+      log(`Model v${v} is proposed; re-run after ${new Date(Number(version.activatesAt) * 1000).toISOString()} to activate`);
+    } else {
+      await send(`activateModel(${v})`, guardian.activateModel(v));
+    }
+    return;
+  }
+  await send("proposeModel(...)", guardian.proposeModel(...toUpdateModelArgs(model)));
+  log(`Model v${await guardian.modelVersionCount()} proposed; re-run after the activation delay to activate`);
+}
+
+/**
+ * Deploy (or reuse) the guardian and apply `config`.
+ *
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} config           Result of `loadConfig`
+ * @param {object} [opts]
+ * @param {string} [opts.manifest]  Manifest path to read / write
+ * @param {(msg: string) => void} [opts.log]
+ * @returns {Promise<object>} The manifest that was written
+ */
+async function deploy(hre, config, opts = {}) {
+  const { ethers, network } = hre;
+  const log = opts.log || (() => {});
+  const [deployer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+  const isDev = DEV_NETWORKS.includes(network.name);
+
+  // A live guardian whose quorum can never be reached would hold high-risk transfers forever
+  const quorum = config.minApprovals ?? DEFAULT_MIN_APPROVALS;
+  if (!isDev && config.guardians.length < quorum) {
+    throw new Error(`Config must list at least ${quorum} guardians (minApprovals) on network ${network.name}`);
+  }
+
+  let manifest = readManifest(opts.manifest);
+  if (manifest && BigInt(manifest.chainId) !== chainId) {
+    throw new Error(`Manifest ${opts.manifest} is for chain ${manifest.chainId}, connected to ${chainId}`);
+  }
+  if (!manifest) manifest = { network: network.name, chainId: chainId.toString(), contracts: {} };
+
+  const reuse = async (name) => {
+    const entry = manifest.contracts[name];
+    if (entry && (await hasCode(ethers, entry.address))) {
+      log(`${name}: reusing ${entry.address}`);
+      return ethers.getContractAt(name, entry.address);
+    }
+    return undefined;
+  };
+
+  const deployContract = async (name, args) => {
+    const factory = await ethers.getContractFactory(name);
+    const contract = await factory.deploy(...args);
+    const receipt = await contract.deploymentTransaction().wait();
+    const address = await contract.getAddress();
+    manifest.contracts[name] = {
+      address,
+      block: receipt.blockNumber,
+      txHash: receipt.hash,
+    };
+    log(`${name}: deployed at ${address} (block ${receipt.blockNumber})`);
+    // Persist immediately so a failure later in the run doesn't orphan it
+    if (opts.manifest) writeManifest(opts.manifest, manifest);
+    return contract;
+  };
+
+  // ---- Token ----
+  let usdcAddress = config.usdc;
+  if (!usdcAddress) {
+    if (!isDev) throw new Error(`Config must set "usdc" on network ${network.name}`);
+    const mock = (await reuse("MockUSDC")) || (await deployContract("MockUSDC", []));
+    usdcAddress = await mock.getAddress();
+  }
+
+  // ---- Guardian ----
+  let guardian = await reuse("NeuralUSDCGuardian");
+  if (guardian && (await guardian.usdc()).toLowerCase() !== usdcAddress.toLowerCase()) {
+    throw new Error("Deployed guardian uses a different token than the config; remove the manifest to redeploy");
+  }
+  if (!guardian) {
+    const delay = config.modelActivationDelay ?? DEFAULT_MODEL_ACTIVATION_DELAY;
+    guardian = await deployContract("NeuralUSDCGuardian", [usdcAddress, delay]);
+  }
+
+  const send = async (label, txPromise) => {
+    const receipt = await (await txPromise).wait();
+    log(`${label} (tx ${receipt.hash})`);
+  };
+
+  // ---- Guardians ----
+  for (const g of config.guardians) {
+    if (!(await guardian.guardians(g))) await send(`addGuardian(${g})`, guardian.addGuardian(g));
+  }
+
+  // ---- Vault tokens (USDC is always accepted) ----
+  for (const t of config.tokens) {
+    if (!(await guardian.supportedTokens(t))) await send(`addSupportedToken(${t})`, guardian.addSupportedToken(t));
+  }
+
+  // ---- Thresholds / timelock / approvals ----
+  if (config.lowThreshold !== undefined) {
+    const low = BigInt(config.lowThreshold);
+    const high = BigInt(config.highThreshold);
+    if ((await guardian.lowThreshold()) !== low || (await guardian.highThreshold()) !== high) {
+      await send(`setThresholds(${low}, ${high})`, guardian.setThresholds(low, high));
+    }
+  }
+  // The timelock must stay shorter than the expiry, so order the two updates
+  const setTimelock = async () => {
+    if (config.timelockDuration === undefined) return;
+    const d = BigInt(config.timelockDuration);
+    if ((await guardian.timelockDuration()) !== d) {
+      await send(`setTimelockDuration(${d})`, guardian.setTimelockDuration(d));
+    }
+  };
+  const setExpiry = async () => {
+    if (config.pendingExpiry === undefined) return;
+    const e = BigInt(config.pendingExpiry);
+    const v = BigInt(config.approvalValidity);
+    if ((await guardian.pendingExpiry()) !== e || (await guardian.approvalValidity()) !== v) {
+      await send(`setExpiryWindows(${e}, ${v})`, guardian.setExpiryWindows(e, v));
+    }
+  };
+  if (config.pendingExpiry !== undefined && BigInt(config.pendingExpiry) > (await guardian.timelockDuration())) {
+    await setExpiry();
+    await setTimelock();
+  } else {
+    await setTimelock();
+    await setExpiry();
+  }
+  if (config.minApprovals !== undefined) {
+    const m = BigInt(config.minApprovals);
+    if ((await guardian.minApprovals()) !== m) {
+      await send(`setMinApprovals(${m})`, guardian.setMinApprovals(m));
+    }
+  }
+  if (config.amountHalfLife !== undefined) {
+    const a = BigInt(config.amountHalfLife);
+    const f = BigInt(config.frequencyHalfLife);
+    if ((await guardian.amountHalfLife()) !== a || (await guardian.frequencyHalfLife()) !== f) {
+      await send(`setDecayHalfLives(${a}, ${f})`, guardian.setDecayHalfLives(a, f));
+    }
+  }
+
+  if (config.recoveryDelay !== undefined) {
+    const d = BigInt(config.recoveryDelay);
+    if ((await guardian.recoveryDelay()) !== d) {
+      await send(`setRecoveryDelay(${d})`, guardian.setRecoveryDelay(d));
+    }
+  }
+
+  if (config.trustActivationDelay !== undefined) {
+    const d = BigInt(config.trustActivationDelay);
+    // A shorter delay is queued behind the current one; don't queue it again
+    const [delay, queuedDelay, effectiveAt] = await guardian.getTrustActivationDelay();
+    if (delay !== d && !(effectiveAt !== 0n && queuedDelay === d)) {
+      await send(`setTrustActivationDelay(${d})`, guardian.setTrustActivationDelay(d));
+    }
+  }
+
+  if (config.policyBounds) {
+    const { lowThreshold, highThreshold, timelockDuration, minApprovals } = config.policyBounds;
+    const next = [lowThreshold, highThreshold, timelockDuration, minApprovals].map(BigInt);
+    const current = await guardian.policyBounds();
+    if (next.some((v, i) => v !== current[i])) {
+      await send(`setPolicyBounds(${next.join(", ")})`, guardian.setPolicyBounds(...next));
+    }
+  }
+
+  // ---- Weights ----
+  if (config.model && !sameModel(fromContractWeights(await guardian.getModelWeights()), config.model)) {
+    const [delay] = await guardian.getModelActivationDelay();
+    if (delay === 0n) {
+      await send("updateModel(...)", guardian.updateModel(...toUpdateModelArgs(config.model)));
+    } else {
+      await stageModel(ethers, guardian, config.model, send, log);
+    }
+  }
+
+  // ---- Activation delay (after weights, so they go through the delay already in force) ----
+  if (config.modelActivationDelay !== undefined) {
+    const d = BigInt(config.modelActivationDelay);
+    const [delay, queuedDelay, effectiveAt] = await guardian.getModelActivationDelay();
+    if (delay !== d && !(effectiveAt !== 0n && queuedDelay === d)) {
+      await send(`setModelActivationDelay(${d})`, guardian.setModelActivationDelay(d));
+    }
+  }
+
+  manifest.network = network.name;
+  manifest.deployer = deployer.address;
+  manifest.configHash = configHash(ethers, config);
+  manifest.updatedAtBlock = await ethers.provider.getBlockNumber();
+
+  if (opts.manifest) writeManifest(opts.manifest, manifest);
+  return manifest;
+}
+
+module.exports = {
+  DEV_NETWORKS,
+  DEFAULT_MODEL_ACTIVATION_DELAY,
+  loadConfig,
+  configHash,
+  readManifest,
+  deploy,
+};
@@ -0,0 +1,184 @@
+export declare class GuardianError extends Error {
+  /** Solidity error name, e.g. "TimelockNotExpired" */
+  readonly errorName: string;
+  /** Revert arguments keyed by parameter name */
+  readonly args: Record<string, unknown>;
+  constructor(errorName: string, args?: Record<string, unknown>, cause?: unknown);
+}
+
+type Positional = readonly unknown[];
+
+export declare class ZeroAmountError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class ZeroAddressError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class InsufficientBalanceError extends GuardianError {
+  readonly available: bigint;
+  readonly required: bigint;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class NotRegisteredError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class AlreadyRegisteredError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class NotGuardianError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class AlreadyGuardianError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class NotPendingTxSenderError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class TxAlreadyExecutedError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class TxAlreadyCancelledError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class TxDoesNotExistError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class TimelockNotExpiredError extends GuardianError {
+  readonly readyAt: bigint;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class TxExpiredError extends GuardianError {
+  readonly expiredAt: bigint;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class TxNotExpiredError extends GuardianError {
+  readonly expiresAt: bigint;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class InvalidExpiryError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class InsufficientApprovalsError extends GuardianError {
+  readonly current: bigint;
+  readonly required: bigint;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class AlreadyApprovedError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class AlreadyVetoedError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class VetoInProgressError extends GuardianError {
+  readonly vetoCount: bigint;
+  readonly required: bigint;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class AlreadyMultiSigError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class SenderFrozenError extends GuardianError {
+  readonly sender: string;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class NotFrozenError extends GuardianError {
+  readonly user: string;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class ModelUpdateTooFrequentError extends GuardianError {
+  readonly nextAllowedAt: bigint;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class ModelVersionNotFoundError extends GuardianError {
+  readonly version: bigint;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class ModelNotReadyError extends GuardianError {
+  readonly activatesAt: bigint;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class ModelAlreadyActiveError extends GuardianError {
+  readonly version: bigint;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class NoPreviousModelError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class ModelActivationDelayActiveError extends GuardianError {
+  readonly delay: bigint;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class InvalidTopologyError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class ModelShapeMismatchError extends GuardianError {
+  readonly expectedWeights: bigint;
+  readonly expectedBiases: bigint;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class InvalidThresholdsError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class InvalidHalfLifeError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class InvalidSpendingLimitsError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class CannotRemoveLastGuardianError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class SelfTransferNotAllowedError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class BatchLengthMismatchError extends GuardianError {
+  readonly recipients: bigint;
+  readonly amounts: bigint;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class InvalidBatchSizeError extends GuardianError {
+  readonly size: bigint;
+  readonly max: bigint;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class InvalidRecoveryConfigError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class NotRecoveryGuardianError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class InvalidRecoveryAddressError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class AlreadySupportedError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class RecoveryInProgressError extends GuardianError {
+  readonly newAddress: string;
+  readonly readyAt: bigint;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class NoRecoveryScheduledError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class RecoveryNotReadyError extends GuardianError {
+  readonly readyAt: bigint;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class AccountMigratedError extends GuardianError {
+  readonly newAddress: string;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class InvalidSignatureError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class IntentExpiredError extends GuardianError {
+  readonly deadline: bigint;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class InvalidRiskPolicyError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class UnsupportedTokenError extends GuardianError {
+  readonly token: string;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class TokenAlreadySupportedError extends GuardianError {
+  readonly token: string;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class VaultInsolventError extends GuardianError {
+  readonly token: string;
+  readonly liabilities: bigint;
+  readonly held: bigint;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class OwnableUnauthorizedAccountError extends GuardianError {
+  readonly account: string;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class OwnableInvalidOwnerError extends GuardianError {
+  readonly owner: string;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class EnforcedPauseError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class ExpectedPauseError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class ReentrancyGuardReentrantCallError extends GuardianError { constructor(values?: Positional, cause?: unknown); }
+export declare class SafeERC20FailedOperationError extends GuardianError {
+  readonly token: string;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class ERC20InsufficientAllowanceError extends GuardianError {
+  readonly spender: string;
+  readonly allowance: bigint;
+  readonly needed: bigint;
+  constructor(values?: Positional, cause?: unknown);
+}
+export declare class ERC20InsufficientBalanceError extends GuardianError {
+  readonly sender: string;
+  readonly balance: bigint;
+  readonly needed: bigint;
+  constructor(values?: Positional, cause?: unknown);
+}
+
+export declare class WaitTimeoutError extends Error {
+  readonly txId: bigint | number;
+  readonly timeoutMs: number;
+}
+
+export declare class PendingTxClosedError extends Error {
+  readonly txId: bigint | number;
+  readonly status: "executed" | "cancelled" | "missing";
+}
+
+export declare const errorClasses: Record<string, typeof GuardianError>;
+
+/** Decode an ethers error into a typed GuardianError, or undefined. */
+export declare function decodeGuardianError(err: unknown): GuardianError | undefined;
+
+/** Run `fn`, rethrowing known reverts as typed errors. */
+export declare function withDecodedErrors<T>(fn: () => Promise<T>): Promise<T>;
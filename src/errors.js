@@ -0,0 +1,121 @@
+/**
+ * @file Typed JS errors for every custom error the guardian can revert with.
+ *
+ * `decodeGuardianError(err)` turns an ethers call/transaction failure into
+ * an instance of the matching class, with the revert arguments exposed as
+ * named properties, e.g. `TimelockNotExpiredError#readyAt`.
+ */
+
+const { Interface } = require("ethers");
+
+const { GUARDIAN_ABI } = require("./abi");
+
+const iface = new Interface(GUARDIAN_ABI);
+
+/** Base class for all decoded guardian reverts. */
+class GuardianError extends Error {
+  /**
+   * @param {string} errorName Solidity error name
+   * @param {Record<string, unknown>} args Named revert arguments
+   * @param {unknown} [cause] Original ethers error
+   */
+  constructor(errorName, args = {}, cause) {
+    const detail = Object.entries(args)
+      .map(([k, v]) => `${k}=${v}`)
+      .join(", ");
+    super(detail ? `${errorName}(${detail})` : errorName, cause ? { cause } : undefined);
+    this.name = `${errorName}Error`;
+    this.errorName = errorName;
+    this.args = args;
+    Object.assign(this, args);
+  }
+}
+
+/** Raised by `waitUntilExecutable` when its deadline passes. */
+class WaitTimeoutError extends Error {
+  constructor(txId, timeoutMs) {
+    super(`Pending tx ${txId} not executable within ${timeoutMs} ms`);
+    this.name = "WaitTimeoutError";
+    this.txId = txId;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/** Raised when a pending tx was executed or cancelled while waiting on it. */
+class PendingTxClosedError extends Error {
+  constructor(txId, status) {
+    super(`Pending tx ${txId} is already ${status}`);
+    this.name = "PendingTxClosedError";
+    this.txId = txId;
+    this.status = status;
+  }
+}
+
+/** errorName -> subclass of GuardianError */
+const errorClasses = {};
+for (const fragment of iface.fragments) {
+  if (fragment.type !== "error") continue;
+  const errorName = fragment.name;
+  const inputs = fragment.inputs.map((p) => p.name);
+  const cls = {
+    [`${errorName}Error`]: class extends GuardianError {
+      constructor(values = [], cause) {
+        const args = {};
+        inputs.forEach((name, i) => (args[name] = values[i]));
+        super(errorName, args, cause);
+      }
+    },
+  }[`${errorName}Error`];
+  errorClasses[errorName] = cls;
+}
+
+function findRevertData(err) {
+  const seen = new Set();
+  let cur = err;
+  while (cur && typeof cur === "object" && !seen.has(cur)) {
+    seen.add(cur);
+    if (typeof cur.data === "string" && cur.data.startsWith("0x") && cur.data.length >= 10) {
+      return cur.data;
+    }
+    cur = cur.error || cur.info?.error || cur.cause;
+  }
+  return undefined;
+}
+
+/**
+ * Decode an ethers error into a typed GuardianError.
+ * @param {unknown} err
+ * @returns {GuardianError | undefined} undefined when `err` is not a known revert
+ */
+function decodeGuardianError(err) {
+  if (err instanceof GuardianError) return err;
+  const data = findRevertData(err);
+  if (!data) return undefined;
+  let parsed;
+  try {
+    parsed = iface.parseError(data);
+  } catch {
+    return undefined;
+  }
+  if (!parsed) return undefined;
+  return new errorClasses[parsed.name]([...parsed.args], err);
+}
+
+/** Run `fn`, rethrowing known reverts as typed errors. */
+async function withDecodedErrors(fn) {
+  try {
+    return await fn();
+  } catch (err) {
+    throw decodeGuardianError(err) || err;
+  }
+}
+
+module.exports = {
+  GuardianError,
+  WaitTimeoutError,
+  PendingTxClosedError,
+  errorClasses,
+  decodeGuardianError,
+  withDecodedErrors,
+  ...Object.fromEntries(Object.values(errorClasses).map((c) => [c.name, c])),
+};
@@ -0,0 +1,155 @@
+/**
+ * @file Attribution of risk scores to hidden neurons and input features.
+ *
+ * An explanation has the shape returned by `explainRisk()` on-chain:
+ *   { riskScore, features[8], hidden[], contributions[], output }
+ * with fixed-point bigints, where `hidden` is the last hidden layer.
+ * `explainFeatures` produces the same thing off-chain from the bit-exact
+ * reference, so either source feeds `attribute`.
+ *
+ * With the set of active (non-zero) ReLU neurons fixed, the output
+ * pre-activation is an affine function of the inputs, so it decomposes
+ * exactly. Propagating that affine map layer by layer gives every feature
+ * a coefficient; feature j is credited with coefficient * x[j], and the
+ * biases that reach the output through active neurons form the baseline.
+ * For a single hidden layer this is
+ *   output = bO + sum_i wO[i] * (bH[i] + sum_j wH[i][j] * x[j])   (i active)
+ */
+
+const { FEATURE_NAMES, layerShapes, neuronLabels, fromFixed, routeFor } = require("./model");
+const { forward } = require("./reference");
+
+/**
+ * Off-chain equivalent of `explainRisk` for an already-extracted feature vector.
+ * @returns {{riskScore: number, features: bigint[], hidden: bigint[], contributions: bigint[], output: bigint}}
+ */
+function explainFeatures(model, features) {
+  const x = features.map(BigInt);
+  const { riskScore, hidden, contributions, output } = forward(model, x);
+  return { riskScore, features: x, hidden, contributions, output };
+}
+
+/** Normalise the raw `explainRisk` result (ethers Result) to an explanation. */
+function fromExplainRisk([riskScore, features, hidden, contributions, output]) {
+  return {
+    riskScore: Number(riskScore),
+    features: [...features],
+    hidden: [...hidden],
+    contributions: [...contributions],
+    output,
+  };
+}
+
+/**
+ * Map an explanation back to human-readable neuron roles and input features.
+ *
+ * @param {{layers: number[], weights: bigint[], biases: bigint[]}} model  Model that produced it
+ * @param {object} explanation
+ * @returns {{riskScore: number, output: number, baseline: number,
+ *            neurons: {index: number, label: string, active: boolean, activation: number, contribution: number}[],
+ *            features: {name: string, value: number, contribution: number}[]}}
+ *          `neurons` (last hidden layer) and `features` are sorted by
+ *          |contribution|, largest first.
+ */
+function attribute(model, explanation) {
+  const { hidden, contributions, features } = explanation;
+  const { activations } = forward(model, features.map(BigInt));
+  const labels = neuronLabels(model.layers);
+
+  // Affine form of every neuron over the inputs: value = constant + sum_j coeffs[j] * x[j]
+  const nIn = model.layers[0];
+  let affine = Array.from({ length: nIn }, (_, j) => ({
+    constant: 0,
+    coeffs: Array.from({ length: nIn }, (_, k) => (k === j ? 1 : 0)),
+  }));
+  layerShapes(model.layers).forEach(({ fanIn, size, weightOffset, biasOffset }, l) => {
+    const active = l < activations.length ? activations[l].map((a) => a > 0n) : [true];
+    const next = [];
+    for (let i = 0; i < size; i++) {
+      const node = { constant: 0, coeffs: new Array(nIn).fill(0) };
+      if (active[i]) {
+        node.constant = fromFixed(model.biases[biasOffset + i]);
+        for (let k = 0; k < fanIn; k++) {
+          const w = fromFixed(model.weights[weightOffset + i * fanIn + k]);
+          node.constant += w * affine[k].constant;
+          for (let j = 0; j < nIn; j++) node.coeffs[j] += w * affine[k].coeffs[j];
+        }
+      }
+      next.push(node);
+    }
+    affine = next;
+  });
+  const [out] = affine;
+
+  const neurons = hidden.map((h, i) => ({
+    index: i,
+    label: labels[i],
+    active: h > 0n,
+    activation: fromFixed(h),
+    contribution: fromFixed(contributions[i]),
+  }));
+
+  const byMagnitude = (a, b) => Math.abs(b.contribution) - Math.abs(a.contribution);
+  return {
+    riskScore: explanation.riskScore,
+    output: fromFixed(explanation.output),
+    baseline: out.constant,
+    neurons: neurons.sort(byMagnitude),
+    features: FEATURE_NAMES.slice(0, nIn).map((name, j) => ({
+      name,
+      value: fromFixed(features[j]),
+      contribution: out.coeffs[j] * fromFixed(features[j]),
+    })).sort(byMagnitude),
+  };
+}
+
+/** Plain-text rendering of `attribute()` output. */
+function formatAttribution(report) {
+  const sign = (v) => (v >= 0 ? "+" : "") + v.toFixed(4);
+  const lines = [`Risk ${report.riskScore}  (pre-activation ${sign(report.output)})`, "", "Hidden neurons:"];
+  for (const n of report.neurons) {
+    if (!n.active) continue;
+    lines.push(`  H${n.index} ${n.label.padEnd(28)} act ${n.activation.toFixed(3).padStart(7)}  ${sign(n.contribution)}`);
+  }
+  const silent = report.neurons.filter((n) => !n.active).map((n) => `H${n.index}`);
+  if (silent.length) lines.push(`  inactive: ${silent.sort().join(" ")}`);
+  lines.push("", "Input features:");
+  for (const f of report.features) {
+    lines.push(`  ${f.name.padEnd(15)} ${f.value.toFixed(3).padStart(7)}  ${sign(f.contribution)}`);
+  }
+  lines.push(`  ${"baseline".padEnd(15)} ${"".padStart(7)}  ${sign(report.baseline)}`);
+  return lines.join("\n");
+}
+
+/**
+ * Float JSON consumed by the landing page's network animation
+ * (`GuardianViz.show(view)` or `index.html?explain=<file>`).
+ *
+ * @param {object} explanation
+ * @param {object} [meta]
+ * @param {string} [meta.from]    Sender label
+ * @param {string} [meta.to]      Recipient label
+ * @param {string} [meta.amount]  Display amount, e.g. "500 USDC"
+ * @param {number} [meta.lowThreshold=30]
+ * @param {number} [meta.highThreshold=70]
+ * @param {number[]} [meta.layers]  Topology of the model that produced it; the page
+ *        sizes its input and hidden columns from this (default: one input per
+ *        feature and one hidden layer the size of `hidden`)
+ */
+function toView(explanation, meta = {}) {
+  const { from = "", to = "", amount = "", lowThreshold = 30, highThreshold = 70 } = meta;
+  const { layers = [explanation.features.length, explanation.hidden.length, 1] } = meta;
+  return {
+    from,
+    to,
+    amount,
+    riskScore: explanation.riskScore,
+    route: routeFor(explanation.riskScore, lowThreshold, highThreshold),
+    layers: [...layers],
+    features: explanation.features.map(fromFixed),
+    hidden: explanation.hidden.map(fromFixed),
+    contributions: explanation.contributions.map(fromFixed),
+  };
+}
+
+module.exports = { explainFeatures, fromExplainRisk, attribute, formatAttribution, toView };
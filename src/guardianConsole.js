@@ -0,0 +1,172 @@
+/**
+ * @file Guardian approval console: the high-risk multi-sig queue with the
+ * context a guardian needs (feature vector, hidden-neuron activations,
+ * quorum progress) and bulk approve / execute with staticCall simulation.
+ */
+
+const { Contract, formatUnits } = require("ethers");
+
+const { FEATURE_NAMES, neuronLabels, fromFixed } = require("./model");
+const { forward } = require("./reference");
+const { versionWeights } = require("./versions");
+const { decodeGuardianError } = require("./errors");
+
+/**
+ * Build the multi-sig queue from the indexer and current on-chain state.
+ *
+ * @param {object} opts
+ * @param {import("ethers").Contract} opts.contract  Guardian contract
+ * @param {import("./indexer").GuardianIndexer} opts.indexer  Synced indexer
+ * @param {string} opts.caller   Guardian whose approvals are reported
+ * @param {boolean} [opts.includeApproved=true]  Keep txs the caller already approved
+ * @returns {Promise<object[]>} one row per open, unexpired tx that was routed
+ *          to multi-sig at creation or escalated there by its sender, with
+ *          its token's decimals and symbol; its activations come from the
+ *          model version that scored it
+ */
+async function loadQueue({ contract, indexer, caller, includeApproved = true }) {
+  const models = new Map(); // version -> model
+  const tokens = new Map(); // address -> { decimals, symbol }
+  const now = BigInt((await indexer.provider.getBlock("latest")).timestamp);
+
+  const rows = [];
+  for (const p of indexer.openPending()) {
+    if (!p.requiresMultiSig) continue;
+
+    // Indexer may lag; trust the chain for anything that can change
+    const ptx = await contract.getPendingTx(p.txId);
+    if (ptx.executed || ptx.cancelled) continue;
+    if (now >= ptx.expiresAt) continue;
+    const hasApproved = await contract.hasApproved(p.txId, caller);
+    if (hasApproved && !includeApproved) continue;
+
+    // A batch assesses several rows in one tx; take the one just before this row
+    const assessed = indexer
+      .riskHistory(p.sender)
+      .filter((r) => r.transactionHash === p.transactionHash && (p.logIndex === undefined || r.logIndex < p.logIndex))
+      .at(-1);
+    const features = assessed ? assessed.features : undefined;
+    if (!models.has(ptx.modelVersion)) models.set(ptx.modelVersion, await versionWeights(contract, ptx.modelVersion));
+    const model = models.get(ptx.modelVersion);
+    if (!tokens.has(ptx.token)) tokens.set(ptx.token, await tokenInfo(contract, ptx.token));
+    const { decimals, symbol } = tokens.get(ptx.token);
+    const { hidden, contributions } = features ? forward(model, features) : {};
+
+    // Lapsed approvals no longer count towards the quorum fixed at creation
+    const approvalCount = Number(await contract.validApprovals(p.txId));
+    const requiredApprovals = Number(ptx.requiredApprovals);
+    rows.push({
+      txId: p.txId,
+      sender: p.sender,
+      recipient: p.recipient,
+      withdrawal: Boolean(p.withdrawal),
+      token: ptx.token,
+      decimals,
+      symbol,
+      amount: p.amount,
+      riskScore: Number(ptx.riskScore),
+      modelVersion: Number(ptx.modelVersion),
+      reason: p.reason,
+      createdAt: p.createdAt,
+      expiresAt: ptx.expiresAt,
+      features,
+      hidden,
+      contributions,
+      labels: neuronLabels(model.layers),
+      approvalCount,
+      vetoCount: Number(ptx.vetoCount),
+      requiredApprovals,
+      hasApproved,
+      // A full quorum overrides an early veto; executePending still refuses a frozen sender
+      executable: approvalCount >= requiredApprovals && !(await contract.frozen(p.sender)),
+    });
+  }
+  return rows;
+}
+
+/** Decimals and symbol of a vault token; the symbol falls back to its address. */
+async function tokenInfo(contract, token) {
+  const erc20 = new Contract(token, ["function symbol() view returns (string)"], contract.runner);
+  const [decimals, symbol] = await Promise.all([contract.tokenDecimals(token), erc20.symbol().catch(() => token)]);
+  return { decimals: Number(decimals), symbol };
+}
+
+/**
+ * Simulate `action` for every id with staticCall, then (unless dryRun)
+ * send only the ones that simulated cleanly.
+ *
+ * @param {import("ethers").Contract} contract Guardian bound to the acting signer
+ * @param {"approvePending"|"executePending"} action
+ * @param {Array<bigint|number>} ids
+ * @param {object} [opts]
+ * @param {boolean} [opts.dryRun=false]
+ * @returns {Promise<{txId: bigint, simulated: boolean, sent: boolean, hash?: string, error?: Error}[]>}
+ */
+async function runBulk(contract, action, ids, { dryRun = false } = {}) {
+  const results = [];
+  for (const id of ids) {
+    const txId = BigInt(id);
+    const result = { txId, simulated: false, sent: false };
+    try {
+      await contract[action].staticCall(txId);
+      result.simulated = true;
+    } catch (err) {
+      result.error = decodeGuardianError(err) || err;
+    }
+    if (result.simulated && !dryRun) {
+      try {
+        const receipt = await (await contract[action](txId)).wait();
+        result.sent = true;
+        result.hash = receipt.hash;
+      } catch (err) {
+        result.error = decodeGuardianError(err) || err;
+      }
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+/** Plain-text rendering of `loadQueue` rows, each amount in its own token. */
+function formatQueue(rows) {
+  if (rows.length === 0) return "No high-risk transfers awaiting approval.";
+  const lines = [];
+  for (const r of rows) {
+    const mark = r.hasApproved ? "approved by you" : "not approved by you";
+    const held = r.reason && r.reason !== "riskScore" ? `  (held: ${r.reason})` : "";
+    const vetoes = r.vetoCount ? `  vetoes ${r.vetoCount}/${r.requiredApprovals}` : "";
+    lines.push(
+      `#${r.txId}  risk ${r.riskScore}${held}  ${formatUnits(r.amount, r.decimals)} ${r.symbol}  ` +
+        `approvals ${r.approvalCount}/${r.requiredApprovals}${r.executable ? " (ready)" : ""}${vetoes}  [${mark}]`
+    );
+    lines.push(r.withdrawal ? `    ${r.sender} withdrawing to ${r.recipient}` : `    ${r.sender} -> ${r.recipient}`);
+    if (r.features) {
+      const f = r.features.map((v, i) => `${FEATURE_NAMES[i]}=${fromFixed(v).toFixed(3)}`);
+      lines.push(`    features: ${f.join("  ")}`);
+      for (let i = 0; i < r.hidden.length; i++) {
+        if (r.hidden[i] === 0n) continue;
+        const c = fromFixed(r.contributions[i]);
+        lines.push(
+          `      H${i} ${r.labels[i].padEnd(28)} act ${fromFixed(r.hidden[i]).toFixed(3)}  ` +
+            `${c >= 0 ? "+" : ""}${c.toFixed(3)}`
+        );
+      }
+    } else {
+      lines.push("    features: (RiskAssessed event not indexed)");
+    }
+  }
+  return lines.join("\n");
+}
+
+/** Plain-text rendering of `runBulk` results. */
+function formatBulk(action, results, { dryRun = false } = {}) {
+  return results
+    .map((r) => {
+      if (r.error) return `#${r.txId}  ${action} would fail: ${r.error.message}`;
+      if (dryRun) return `#${r.txId}  ${action} ok (dry run, not sent)`;
+      return `#${r.txId}  ${action} sent (tx ${r.hash})`;
+    })
+    .join("\n");
+}
+
+module.exports = { loadQueue, runBulk, formatQueue, formatBulk };
@@ -0,0 +1,651 @@
+/**
+ * @file Event indexer that rebuilds guardian state from logs.
+ *
+ * Raw decoded events are persisted (JSON file or memory) together with the
+ * hashes of recently indexed blocks. Derived state - pending transfers,
+ * vault balances per token, risk history, trusted lists, guardians, model
+ * versions, account recoveries, risk policies - is rebuilt by
+ * replaying those events, so a reorg is handled by dropping every event
+ * above the last block whose hash still matches and re-syncing from there.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { Contract } = require("ethers");
+
+const { GUARDIAN_ABI, PENDING_REASONS } = require("./abi");
+
+const STORE_VERSION = 3;
+
+/** Events the indexer consumes; anything else is ignored. */
+const INDEXED_EVENTS = [
+  "Deposited",
+  "Withdrawn",
+  "WithdrawnTo",
+  "TransferAutoApproved",
+  "TransferPending",
+  "WithdrawalPending",
+  "TransferExecuted",
+  "TransferCancelled",
+  "TransferExpired",
+  "GuardianApproval",
+  "VetoCast",
+  "TransferVetoed",
+  "TransferEscalated",
+  "AccountFrozen",
+  "AccountUnfrozen",
+  "RiskAssessed",
+  "TrustedRecipientSet",
+  "GuardianAdded",
+  "GuardianRemoved",
+  "ModelProposed",
+  "ModelUpdated",
+  "RecoveryScheduled",
+  "RecoveryCancelled",
+  "AccountRecovered",
+  "RiskPolicyUpdated",
+  "RiskPolicyQueued",
+  "PolicyOverrideSet",
+  "PolicyBoundsUpdated",
+  "TokenAdded",
+  "TokenRemoved",
+  "ExpiryWindowsUpdated",
+];
+
+// ================================================================
+//                          STORES
+// ================================================================
+
+// bigint <-> JSON without losing precision
+const encode = (value) =>
+  JSON.stringify(value, (_k, v) => (typeof v === "bigint" ? { $big: v.toString() } : v), 2);
+const decode = (text) =>
+  JSON.parse(text, (_k, v) => (v && typeof v === "object" && "$big" in v ? BigInt(v.$big) : v));
+
+/** Keeps indexer data in memory only (tests, short-lived processes). */
+class MemoryStore {
+  constructor() {
+    this.data = undefined;
+  }
+
+  load() {
+    return this.data === undefined ? undefined : decode(this.data);
+  }
+
+  save(data) {
+    this.data = encode(data);
+  }
+}
+
+/** Persists indexer data to a JSON file, written atomically. */
+class JsonStore {
+  constructor(file) {
+    this.file = file;
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return undefined;
+    return decode(fs.readFileSync(this.file, "utf8"));
+  }
+
+  save(data) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, encode(data));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+// ================================================================
+//                        DERIVED STATE
+// ================================================================
+
+function emptyState() {
+  return {
+    pending: new Map(), // txId -> record
+    balances: new Map(), // token -> Map(user -> bigint)
+    tokens: new Map(), // token -> { address, decimals, supported }
+    usdc: undefined, // first token listed, by the constructor
+    riskHistory: new Map(), // sender -> assessments[]
+    trusted: new Map(), // user -> Map(recipient -> { address, trusted, activeAt })
+    guardians: new Set(),
+    frozen: new Set(),
+    models: new Map(), // version -> record
+    activeModel: undefined,
+    recoveries: new Map(), // user -> latest recovery record
+    recoveredTo: new Map(), // old address -> new address
+    policies: new Map(), // user -> { personal, queued, override }
+    policyBounds: undefined,
+    pendingExpiry: 7 * 86400, // contract defaults until ExpiryWindowsUpdated
+    approvalValidity: 3 * 86400,
+  };
+}
+
+const key = (addr) => addr.toLowerCase();
+
+/** Where the contract credits `user` now: follows recovered accounts. */
+function currentAccount(state, user) {
+  let k = key(user);
+  while (state.recoveredTo.has(k)) k = state.recoveredTo.get(k);
+  return k;
+}
+
+/** Risk policy from an event's fields; all zero means "not set". */
+function policyFromArgs(a) {
+  if (a.highThreshold === 0n) return undefined;
+  return {
+    lowThreshold: Number(a.lowThreshold),
+    highThreshold: Number(a.highThreshold),
+    timelockDuration: a.timelockDuration,
+    minApprovals: Number(a.minApprovals),
+  };
+}
+
+function addBalance(state, token, user, delta) {
+  const t = key(token);
+  if (!state.balances.has(t)) state.balances.set(t, new Map());
+  const balances = state.balances.get(t);
+  const k = currentAccount(state, user);
+  balances.set(k, (balances.get(k) || 0n) + delta);
+}
+
+/** Apply one stored event to the derived state. */
+function applyEvent(state, ev) {
+  const a = ev.args;
+  switch (ev.name) {
+    case "Deposited":
+      addBalance(state, a.token, a.user, a.amount);
+      break;
+    case "Withdrawn":
+    case "WithdrawnTo":
+      addBalance(state, a.token, a.user, -a.amount);
+      break;
+    case "TransferAutoApproved":
+      addBalance(state, a.token, a.sender, -a.amount);
+      addBalance(state, a.token, a.recipient, a.amount);
+      break;
+    case "TransferPending":
+    case "WithdrawalPending": {
+      const withdrawal = ev.name === "WithdrawalPending";
+      const sender = withdrawal ? a.user : a.sender;
+      addBalance(state, a.token, sender, -a.amount);
+      // RiskAssessed is emitted earlier in the same transaction
+      const assessed = state.riskHistory.get(key(sender))?.at(-1);
+      state.pending.set(a.txId, {
+        txId: a.txId,
+        sender,
+        recipient: withdrawal ? a.to : a.recipient,
+        withdrawal,
+        token: a.token,
+        amount: a.amount,
+        riskScore: Number(a.riskScore),
+        modelVersion: assessed?.transactionHash === ev.transactionHash ? assessed.modelVersion : undefined,
+        requiresMultiSig: a.requiresMultiSig,
+        reason: PENDING_REASONS[Number(a.reason)],
+        createdAt: ev.timestamp,
+        expiresAt: ev.timestamp + state.pendingExpiry,
+        blockNumber: ev.blockNumber,
+        transactionHash: ev.transactionHash,
+        logIndex: ev.logIndex,
+        approvals: [],
+        approvedAt: {}, // guardian -> time of their latest approval
+        vetoes: [],
+        status: "open",
+      });
+      break;
+    }
+    case "TransferExecuted": {
+      const p = state.pending.get(a.txId);
+      if (p) {
+        p.status = "executed";
+        // A held withdrawal leaves the vault
+        if (!p.withdrawal) addBalance(state, p.token, p.recipient, p.amount);
+      }
+      break;
+    }
+    case "TransferCancelled":
+    case "TransferExpired": {
+      const p = state.pending.get(a.txId);
+      if (p) {
+        p.status = ev.name === "TransferExpired" ? "expired" : "cancelled";
+        addBalance(state, p.token, p.sender, p.amount);
+      }
+      break;
+    }
+    case "GuardianApproval": {
+      // A guardian re-approves once their earlier approval has lapsed
+      const p = state.pending.get(a.txId);
+      if (!p) break;
+      if (!p.approvals.some((g) => key(g) === key(a.guardian))) p.approvals.push(a.guardian);
+      p.approvedAt[key(a.guardian)] = ev.timestamp;
+      break;
+    }
+    case "VetoCast": {
+      const p = state.pending.get(a.txId);
+      if (p) p.vetoes.push(a.guardian);
+      break;
+    }
+    case "TransferVetoed": {
+      const p = state.pending.get(a.txId);
+      if (p) {
+        p.status = "vetoed";
+        addBalance(state, p.token, p.sender, p.amount);
+      }
+      break;
+    }
+    case "TransferEscalated": {
+      const p = state.pending.get(a.txId);
+      if (p) {
+        p.requiresMultiSig = true;
+        p.escalated = true;
+      }
+      break;
+    }
+    case "AccountFrozen":
+      state.frozen.add(key(a.user));
+      break;
+    case "AccountUnfrozen":
+      state.frozen.delete(key(a.user));
+      break;
+    case "RiskAssessed": {
+      const k = key(a.sender);
+      if (!state.riskHistory.has(k)) state.riskHistory.set(k, []);
+      state.riskHistory.get(k).push({
+        sender: a.sender,
+        recipient: a.recipient,
+        amount: a.amount,
+        riskScore: Number(a.riskScore),
+        modelVersion: a.modelVersion,
+        features: a.features,
+        timestamp: ev.timestamp,
+        blockNumber: ev.blockNumber,
+        logIndex: ev.logIndex,
+        transactionHash: ev.transactionHash,
+      });
+      break;
+    }
+    case "TrustedRecipientSet": {
+      const k = key(a.user);
+      if (!state.trusted.has(k)) state.trusted.set(k, new Map());
+      state.trusted.get(k).set(key(a.recipient), { address: a.recipient, trusted: a.trusted, activeAt: a.activeAt });
+      break;
+    }
+    case "GuardianAdded":
+      state.guardians.add(key(a.guardian));
+      break;
+    case "GuardianRemoved":
+      state.guardians.delete(key(a.guardian));
+      break;
+    case "ModelProposed":
+      state.models.set(a.version, {
+        version: a.version,
+        weightsHash: a.weightsHash,
+        proposedAt: ev.timestamp,
+        activatesAt: a.activatesAt,
+        activations: [],
+      });
+      break;
+    case "ModelUpdated": {
+      const m = state.models.get(a.version);
+      if (m) m.activations.push(ev.timestamp);
+      state.activeModel = a.version;
+      break;
+    }
+    case "RecoveryScheduled":
+      state.recoveries.set(key(a.user), {
+        user: a.user,
+        newAddress: a.newAddress,
+        readyAt: a.readyAt,
+        scheduledAt: ev.timestamp,
+        status: "scheduled",
+      });
+      break;
+    case "RecoveryCancelled": {
+      // Also emitted with nothing scheduled, to discard votes
+      const r = state.recoveries.get(key(a.user));
+      if (r && r.status === "scheduled") r.status = "cancelled";
+      break;
+    }
+    case "AccountRecovered": {
+      const from = key(a.user);
+      const to = key(a.newAddress);
+      const r = state.recoveries.get(from);
+      if (r) r.status = "executed";
+      // Every token's balance moves; the event only reports USDC's
+      for (const balances of state.balances.values()) {
+        const moved = balances.get(from) || 0n;
+        balances.delete(from);
+        if (moved !== 0n) balances.set(to, (balances.get(to) || 0n) + moved);
+      }
+      state.recoveredTo.set(from, to);
+      const trusted = state.trusted.get(from);
+      if (trusted) {
+        if (!state.trusted.has(to)) state.trusted.set(to, new Map());
+        for (const [k, e] of trusted) if (e.trusted) state.trusted.get(to).set(k, e);
+        state.trusted.delete(from);
+      }
+      break;
+    }
+    case "RiskPolicyUpdated":
+    case "RiskPolicyQueued":
+    case "PolicyOverrideSet": {
+      const k = key(a.user);
+      if (!state.policies.has(k)) state.policies.set(k, {});
+      const record = state.policies.get(k);
+      const policy = policyFromArgs(a);
+      if (ev.name === "PolicyOverrideSet") {
+        record.override = policy;
+      } else if (ev.name === "RiskPolicyQueued") {
+        record.queued = { ...(policy || { cleared: true }), effectiveAt: a.effectiveAt };
+      } else {
+        // Applying a policy, or promoting the queued one, clears the queue
+        record.personal = policy;
+        record.queued = undefined;
+      }
+      break;
+    }
+    case "PolicyBoundsUpdated":
+      state.policyBounds = policyFromArgs(a);
+      break;
+    case "TokenAdded":
+      if (state.usdc === undefined) state.usdc = key(a.token);
+      state.tokens.set(key(a.token), { address: a.token, decimals: Number(a.decimals), supported: true });
+      break;
+    case "TokenRemoved": {
+      const t = state.tokens.get(key(a.token));
+      if (t) t.supported = false;
+      break;
+    }
+    case "ExpiryWindowsUpdated":
+      state.pendingExpiry = Number(a.pendingExpiry);
+      state.approvalValidity = Number(a.approvalValidity);
+      break;
+  }
+}
+
+// ================================================================
+//                          INDEXER
+// ================================================================
+
+class GuardianIndexer {
+  /**
+   * @param {object} opts
+   * @param {string} opts.address            Guardian contract address
+   * @param {import("ethers").Provider} opts.provider
+   * @param {MemoryStore|JsonStore} [opts.store]
+   * @param {number} [opts.fromBlock=0]      First block to scan (deployment block)
+   * @param {number} [opts.confirmations=0]  Only index blocks this deep
+   * @param {number} [opts.batchSize=2000]   Blocks per getLogs request
+   * @param {number} [opts.reorgDepth=64]    Recent block hashes kept for reorg detection
+   */
+  constructor(opts) {
+    this.address = opts.address;
+    this.provider = opts.provider;
+    this.store = opts.store || new MemoryStore();
+    this.fromBlock = opts.fromBlock || 0;
+    this.confirmations = opts.confirmations || 0;
+    this.batchSize = opts.batchSize || 2000;
+    this.reorgDepth = opts.reorgDepth || 64;
+    this.contract = new Contract(opts.address, GUARDIAN_ABI, opts.provider);
+
+    const saved = this.store.load();
+    if (saved && saved.address && key(saved.address) !== key(this.address)) {
+      throw new Error(`Store belongs to ${saved.address}, not ${this.address}`);
+    }
+    this.data =
+      saved && saved.version === STORE_VERSION
+        ? saved
+        : { version: STORE_VERSION, address: this.address, lastBlock: this.fromBlock - 1, blockHashes: {}, events: [] };
+    this._rebuild();
+  }
+
+  /** Highest block whose events are included. */
+  get lastBlock() {
+    return this.data.lastBlock;
+  }
+
+  /** Timestamp of `lastBlock`, once a sync has reached it. */
+  get lastTimestamp() {
+    return this.data.lastTimestamp;
+  }
+
+  _rebuild() {
+    this.state = emptyState();
+    for (const ev of this.data.events) applyEvent(this.state, ev);
+  }
+
+  /**
+   * Drop everything indexed above `block`.
+   * @returns {number} number of events removed
+   */
+  rollback(block) {
+    const before = this.data.events.length;
+    this.data.events = this.data.events.filter((ev) => ev.blockNumber <= block);
+    for (const n of Object.keys(this.data.blockHashes)) {
+      if (Number(n) > block) delete this.data.blockHashes[n];
+    }
+    this.data.lastBlock = block;
+    this._rebuild();
+    return before - this.data.events.length;
+  }
+
+  /** Walk back from lastBlock to the newest block whose hash still matches. */
+  async _findCommonAncestor() {
+    const known = Object.keys(this.data.blockHashes)
+      .map(Number)
+      .sort((x, y) => y - x);
+    for (const n of known) {
+      const block = await this.provider.getBlock(n);
+      if (block && block.hash === this.data.blockHashes[n]) return n;
+    }
+    // Deeper than we track: start over
+    return this.fromBlock - 1;
+  }
+
+  /**
+   * Index new blocks up to the confirmed head.
+   * @returns {Promise<{fromBlock: number, toBlock: number, events: number, reorged: number}>}
+   */
+  async sync() {
+    let reorged = 0;
+    const lastHash = this.data.blockHashes[this.data.lastBlock];
+    if (lastHash !== undefined) {
+      const block = await this.provider.getBlock(this.data.lastBlock);
+      if (!block || block.hash !== lastHash) {
+        reorged = this.rollback(await this._findCommonAncestor());
+      }
+    }
+
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const start = this.data.lastBlock + 1;
+    let added = 0;
+    const timestamps = new Map();
+
+    for (let from = start; from <= head; from += this.batchSize) {
+      const to = Math.min(head, from + this.batchSize - 1);
+      const logs = await this.provider.getLogs({ address: this.address, fromBlock: from, toBlock: to });
+      for (const log of logs) {
+        const parsed = this.contract.interface.parseLog(log);
+        if (!parsed || !INDEXED_EVENTS.includes(parsed.name)) continue;
+        if (!timestamps.has(log.blockNumber)) {
+          timestamps.set(log.blockNumber, (await this.provider.getBlock(log.blockNumber)).timestamp);
+        }
+        const args = {};
+        parsed.fragment.inputs.forEach((input, i) => {
+          const v = parsed.args[i];
+          args[input.name] = Array.isArray(v) || (v && typeof v.toArray === "function") ? [...v] : v;
+        });
+        const ev = {
+          name: parsed.name,
+          args,
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          transactionHash: log.transactionHash,
+          logIndex: log.index,
+          timestamp: timestamps.get(log.blockNumber),
+        };
+        this.data.events.push(ev);
+        applyEvent(this.state, ev);
+        added++;
+      }
+      this.data.lastBlock = to;
+    }
+
+    if (head >= start) {
+      await this._rememberHashes(head);
+      this.data.lastTimestamp = (await this.provider.getBlock(head)).timestamp;
+    }
+    this.store.save(this.data);
+    return { fromBlock: start, toBlock: head, events: added, reorged };
+  }
+
+  async _rememberHashes(head) {
+    const oldest = Math.max(this.fromBlock, head - this.reorgDepth + 1);
+    for (let n = oldest; n <= head; n++) {
+      if (this.data.blockHashes[n] === undefined) {
+        this.data.blockHashes[n] = (await this.provider.getBlock(n)).hash;
+      }
+    }
+    for (const n of Object.keys(this.data.blockHashes)) {
+      if (Number(n) < oldest) delete this.data.blockHashes[n];
+    }
+  }
+
+  // ================================================================
+  //                          QUERIES
+  // ================================================================
+
+  /**
+   * Pending transfers that are neither executed, cancelled, vetoed nor
+   * reclaimed. One past its expiry stays open here until someone reclaims it.
+   */
+  openPending() {
+    return [...this.state.pending.values()].filter((p) => p.status === "open");
+  }
+
+  /** Look up one pending transfer (any status). */
+  getPending(txId) {
+    return this.state.pending.get(BigInt(txId));
+  }
+
+  /**
+   * Unexpired multi-sig transfers the given guardian has not vetoed and has
+   * no approval standing on: one lapsed past `approvalValidity` is due again.
+   * @param {string} guardian
+   * @param {number} [now=this.lastTimestamp] Time to judge expiry and lapse at
+   */
+  awaitingApproval(guardian, now = this.lastTimestamp) {
+    const g = key(guardian);
+    return this.openPending().filter((p) => {
+      if (!p.requiresMultiSig || now >= p.expiresAt) return false;
+      if (p.vetoes.some((v) => key(v) === g)) return false;
+      const approvedAt = p.approvedAt[g];
+      return approvedAt === undefined || now >= approvedAt + this.state.approvalValidity;
+    });
+  }
+
+  /** Every RiskAssessed record for a sender, oldest first. */
+  riskHistory(user) {
+    return this.state.riskHistory.get(key(user)) || [];
+  }
+
+  /** Recipients the user currently trusts, whether or not the trust is active yet. */
+  trustedList(user) {
+    return this.trustedEntries(user).map((e) => e.address);
+  }
+
+  /** Trusted recipients of the user with the time each trust becomes active. */
+  trustedEntries(user) {
+    const m = this.state.trusted.get(key(user));
+    if (!m) return [];
+    return [...m.values()].filter((e) => e.trusted).map((e) => ({ address: e.address, activeAt: e.activeAt }));
+  }
+
+  /** Every RiskAssessed record, oldest first, optionally for one model version. */
+  assessments({ modelVersion } = {}) {
+    const all = [...this.state.riskHistory.values()].flat();
+    all.sort((x, y) => x.blockNumber - y.blockNumber || x.logIndex - y.logIndex);
+    if (modelVersion === undefined) return all;
+    return all.filter((r) => r.modelVersion === BigInt(modelVersion));
+  }
+
+  /** Recorded model versions, oldest first. */
+  modelVersions() {
+    return [...this.state.models.values()];
+  }
+
+  /** Version that was active at the last indexed block. */
+  activeModelVersion() {
+    return this.state.activeModel;
+  }
+
+  /**
+   * Vault balance implied by the indexed events, in `token` or else USDC
+   * (the token listed in the deployment block, so index from there).
+   */
+  balanceOf(user, token = this.state.usdc) {
+    const balances = token === undefined ? undefined : this.state.balances.get(key(token));
+    return (balances && balances.get(key(user))) || 0n;
+  }
+
+  /** Tokens listed by the owner, in listing order, with whether they are still accepted. */
+  tokens() {
+    return [...this.state.tokens.values()];
+  }
+
+  /** Accounts currently frozen by a guardian veto (lower-case addresses). */
+  frozenAccounts() {
+    return [...this.state.frozen];
+  }
+
+  /**
+   * Account recoveries, latest per user; `status` is "scheduled",
+   * "cancelled" or "executed".
+   */
+  recoveries({ status } = {}) {
+    const all = [...this.state.recoveries.values()];
+    return status === undefined ? all : all.filter((r) => r.status === status);
+  }
+
+  /** Address now holding `user`'s account (lower-case; `user` itself if never recovered). */
+  currentAccount(user) {
+    return currentAccount(this.state, user);
+  }
+
+  /**
+   * A user's risk-policy settings as last emitted: `personal`, the owner's
+   * `override` and a `queued` change, each present only when set. A queued
+   * change is in force once its `effectiveAt` has passed, even before the
+   * contract records it. The global policy is not indexed.
+   */
+  riskPolicy(user) {
+    const record = this.state.policies.get(key(user)) || {};
+    const out = {};
+    for (const field of ["personal", "override", "queued"]) if (record[field]) out[field] = record[field];
+    return out;
+  }
+
+  /** Accounts (lower-case) with an owner policy override, and the override. */
+  policyOverrides() {
+    const out = [];
+    for (const [user, record] of this.state.policies) if (record.override) out.push({ user, ...record.override });
+    return out;
+  }
+
+  /** Last `policyBounds` set by the owner; undefined before the first change. */
+  policyBounds() {
+    return this.state.policyBounds;
+  }
+
+  /** Current guardian set (lower-case addresses). */
+  guardians() {
+    return [...this.state.guardians];
+  }
+}
+
+module.exports = {
+  INDEXED_EVENTS,
+  MemoryStore,
+  JsonStore,
+  GuardianIndexer,
+};
@@ -0,0 +1,138 @@
+/**
+ * @file EIP-712 signed intents: a user signs a transfer, trust change or
+ * cancellation off-chain and anyone (see ./relayer) submits it, paying the
+ * gas. The guardian attributes the action to the signer.
+ *
+ *   const domain = intentDomain(guardianAddress, chainId);
+ *   const intent = await signIntent(user, domain, "Transfer", {
+ *     sender: user.address, recipient, amount, nonce, deadline,
+ *   });
+ *   await guardian[INTENT_METHODS.Transfer](...intentArgs(intent));
+ */
+
+const { verifyTypedData } = require("ethers");
+
+/** Typed-data structs, matching the typehashes in GuardianIntents.sol */
+const INTENT_TYPES = {
+  Transfer: [
+    { name: "sender", type: "address" },
+    { name: "recipient", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+  SetTrustedRecipient: [
+    { name: "user", type: "address" },
+    { name: "recipient", type: "address" },
+    { name: "trusted", type: "bool" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+  CancelPending: [
+    { name: "sender", type: "address" },
+    { name: "txId", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/** Guardian method that relays each intent type */
+const INTENT_METHODS = {
+  Transfer: "transferWithSig",
+  SetTrustedRecipient: "setTrustedRecipientWithSig",
+  CancelPending: "cancelPendingWithSig",
+};
+
+/** Field holding the signer in each intent type */
+const SIGNER_FIELD = { Transfer: "sender", SetTrustedRecipient: "user", CancelPending: "sender" };
+
+/** EIP-712 domain of a guardian deployment (see DOMAIN_SEPARATOR()) */
+function intentDomain(verifyingContract, chainId) {
+  return { name: "NeuralUSDCGuardian", version: "1", chainId: BigInt(chainId), verifyingContract };
+}
+
+function checkType(type) {
+  if (!INTENT_TYPES[type]) throw new Error(`Unknown intent type "${type}"`);
+}
+
+/**
+ * Sign an intent. `message` must carry every field of the type, including
+ * the signer's current `nonces()` value and a unix-seconds `deadline`.
+ *
+ * @param {import("ethers").Signer} signer
+ * @returns {Promise<{type: string, message: object, signature: string}>}
+ */
+async function signIntent(signer, domain, type, message) {
+  checkType(type);
+  const signature = await signer.signTypedData(domain, { [type]: INTENT_TYPES[type] }, message);
+  return { type, message, signature };
+}
+
+/** Address that signed `intent`, recovered locally. */
+function recoverIntentSigner(domain, intent) {
+  checkType(intent.type);
+  return verifyTypedData(domain, { [intent.type]: INTENT_TYPES[intent.type] }, intent.message, intent.signature);
+}
+
+/** The address the intent claims to act for. */
+function intentSigner(intent) {
+  checkType(intent.type);
+  return intent.message[SIGNER_FIELD[intent.type]];
+}
+
+/** Arguments of the `INTENT_METHODS[intent.type]` call; the nonce is implied. */
+function intentArgs(intent) {
+  checkType(intent.type);
+  const m = intent.message;
+  const fields = INTENT_TYPES[intent.type].map((f) => f.name).filter((n) => n !== "nonce" && n !== "deadline");
+  return [...fields.map((n) => m[n]), m.deadline, intent.signature];
+}
+
+/** JSON-safe copy of an intent (bigints as decimal strings). */
+function encodeIntent(intent) {
+  const message = {};
+  for (const [k, v] of Object.entries(intent.message)) message[k] = typeof v === "bigint" ? v.toString() : v;
+  return { type: intent.type, message, signature: intent.signature };
+}
+
+/**
+ * Inverse of `encodeIntent`, validating the shape of untrusted input.
+ * @throws {Error} on an unknown type or missing / malformed field
+ */
+function decodeIntent(json) {
+  if (!json || typeof json !== "object") throw new Error("Intent must be an object");
+  checkType(json.type);
+  if (typeof json.signature !== "string" || !/^0x[0-9a-fA-F]*$/.test(json.signature)) {
+    throw new Error("Intent signature must be a hex string");
+  }
+  const message = {};
+  for (const { name, type } of INTENT_TYPES[json.type]) {
+    const v = json.message?.[name];
+    if (v === undefined) throw new Error(`Intent field "${name}" is missing`);
+    if (type === "uint256") {
+      if (!/^\d+$/.test(String(v))) throw new Error(`Intent field "${name}" must be an unsigned integer`);
+      message[name] = BigInt(v);
+    } else if (type === "bool") {
+      if (typeof v !== "boolean") throw new Error(`Intent field "${name}" must be a boolean`);
+      message[name] = v;
+    } else {
+      if (typeof v !== "string" || !/^0x[0-9a-fA-F]{40}$/.test(v)) {
+        throw new Error(`Intent field "${name}" must be an address`);
+      }
+      message[name] = v;
+    }
+  }
+  return { type: json.type, message, signature: json.signature };
+}
+
+module.exports = {
+  INTENT_TYPES,
+  INTENT_METHODS,
+  intentDomain,
+  signIntent,
+  recoverIntentSigner,
+  intentSigner,
+  intentArgs,
+  encodeIntent,
+  decodeIntent,
+};
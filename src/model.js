@@ -0,0 +1,273 @@
+/**
+ * @file Off-chain view of the NeuralUSDCGuardian model.
+ *
+ * Models use the exact layout of `updateModel()` / `getModelWeights()`:
+ *   layers  - layer sizes from input to output, e.g. [4, 8, 1]
+ *   weights - every layer's weights in order, each flattened [neuron * fanIn + input]
+ *   biases  - every layer's biases in order
+ * All values are 1e18-scaled bigints ("fixed") unless noted as floats;
+ * `layers` holds plain numbers.
+ */
+
+const SCALE = 10n ** 18n;
+const INPUT_SIZE = 8;
+const MAX_RISK = 100;
+
+/** Topology limits enforced by `_checkModelShape()` */
+const MAX_LAYERS = 5;
+const MAX_LAYER_SIZE = 16;
+const MAX_PARAMETERS = 512;
+
+const FEATURE_NAMES = [
+  "amountRatio",
+  "txFrequency",
+  "recipientTrust",
+  "recency",
+  "recipientNovelty",
+  "balanceFraction",
+  "accountAge",
+  "hourDeviation",
+];
+
+/** Neuron roles as documented in `_defaultModel()` */
+const NEURON_LABELS = [
+  "Large-amount detector",
+  "High-frequency detector",
+  "Unknown-recipient alarm",
+  "Recent-transaction alarm",
+  "Amount + frequency combo",
+  "Untrusted + recent combo",
+  "Trust safety net",
+  "General suspicion baseline",
+];
+
+const e17 = (n) => BigInt(n) * 10n ** 17n;
+const e16 = (n) => BigInt(n) * 10n ** 16n;
+
+/** Hand-tuned 4-8-1 weights deployed by the constructor (reads features 0-3) */
+const DEFAULT_MODEL = Object.freeze({
+  layers: [4, 8, 1],
+  weights: [
+    // hidden layer
+    e17(20), 0n, 0n, 0n,
+    0n, e17(30), 0n, 0n,
+    0n, 0n, e17(-20), 0n,
+    0n, 0n, 0n, e17(20),
+    e17(15), e17(15), 0n, 0n,
+    0n, 0n, e17(-15), e17(15),
+    0n, 0n, e17(30), 0n,
+    e17(5), e17(3), e17(-5), e17(3),
+    // output
+    e16(15), e16(12), e16(20), e16(12), e16(20), e16(25), e16(-70), e16(12),
+  ],
+  biases: [e17(-20), e17(-15), e17(20), e17(-10), e17(-30), e17(-5), e17(-10), e17(-3), e17(-3)],
+});
+
+/**
+ * Where each non-input layer's parameters live in the flattened arrays.
+ * @param {number[]} layers
+ * @returns {{fanIn: number, size: number, weightOffset: number, biasOffset: number}[]}
+ */
+function layerShapes(layers) {
+  const shapes = [];
+  let weightOffset = 0;
+  let biasOffset = 0;
+  for (let l = 1; l < layers.length; l++) {
+    shapes.push({ fanIn: layers[l - 1], size: layers[l], weightOffset, biasOffset });
+    weightOffset += layers[l] * layers[l - 1];
+    biasOffset += layers[l];
+  }
+  return shapes;
+}
+
+/** @returns {{weights: number, biases: number}} array lengths a topology needs */
+function parameterCounts(layers) {
+  const shapes = layerShapes(layers);
+  return {
+    weights: shapes.reduce((n, s) => n + s.size * s.fanIn, 0),
+    biases: shapes.reduce((n, s) => n + s.size, 0),
+  };
+}
+
+/** Throw unless `layers` passes the contract's topology checks. */
+function assertTopology(layers) {
+  if (!Array.isArray(layers) || layers.length < 3 || layers.length > MAX_LAYERS) {
+    throw new Error(`Model needs 3 to ${MAX_LAYERS} layers (input, hidden..., output)`);
+  }
+  if (!layers.every((n) => Number.isInteger(n))) throw new Error("Layer sizes must be integers");
+  if (layers[0] < 1 || layers[0] > INPUT_SIZE) {
+    throw new Error(`Input layer must have 1 to ${INPUT_SIZE} neurons`);
+  }
+  if (layers[layers.length - 1] !== 1) throw new Error("Output layer must have exactly 1 neuron");
+  for (const n of layers.slice(1, -1)) {
+    if (n < 1 || n > MAX_LAYER_SIZE) throw new Error(`Hidden layers must have 1 to ${MAX_LAYER_SIZE} neurons`);
+  }
+  const { weights, biases } = parameterCounts(layers);
+  if (weights + biases > MAX_PARAMETERS) {
+    throw new Error(`Topology ${formatTopology(layers)} has ${weights + biases} parameters (max ${MAX_PARAMETERS})`);
+  }
+}
+
+/** "4-8-1" */
+function formatTopology(layers) {
+  return layers.join("-");
+}
+
+/** Parse "4,16,8,1" or "4-16-8-1" into layer sizes. */
+function parseTopology(text) {
+  const layers = String(text)
+    .split(/[,-]/)
+    .map((s) => Number(s.trim()));
+  assertTopology(layers);
+  return layers;
+}
+
+/**
+ * Labels of the last hidden layer's neurons: the documented roles for the
+ * default 4-8-1 topology, positional names otherwise.
+ */
+function neuronLabels(layers) {
+  const size = layers[layers.length - 2];
+  if (layers.length === 3 && size === NEURON_LABELS.length) return NEURON_LABELS;
+  return Array.from({ length: size }, (_, i) => `L${layers.length - 2} N${i}`);
+}
+
+/** Output-layer bias of a model */
+function outputBias(model) {
+  return model.biases[model.biases.length - 1];
+}
+
+/**
+ * Convert a float to a 1e18-scaled bigint. Precision is limited to 9
+ * decimals, which is well below anything a trained model can resolve.
+ * @param {number} x
+ * @returns {bigint}
+ */
+function toFixed(x) {
+  if (!Number.isFinite(x)) throw new RangeError(`Cannot convert ${x} to fixed point`);
+  return BigInt(Math.round(x * 1e9)) * 10n ** 9n;
+}
+
+/**
+ * @param {bigint} x 1e18-scaled value
+ * @returns {number}
+ */
+function fromFixed(x) {
+  return Number(x) / 1e18;
+}
+
+/** @returns {{layers: number[], weights: number[], biases: number[]}} */
+function toFloatModel(model) {
+  return {
+    layers: [...model.layers],
+    weights: model.weights.map(fromFixed),
+    biases: model.biases.map(fromFixed),
+  };
+}
+
+/** @returns {{layers: number[], weights: bigint[], biases: bigint[]}} */
+function toFixedModel(floatModel) {
+  return {
+    layers: [...floatModel.layers],
+    weights: floatModel.weights.map(toFixed),
+    biases: floatModel.biases.map(toFixed),
+  };
+}
+
+/** Throw unless `model` has the topology and array lengths `updateModel()` accepts. */
+function assertModelShape(model) {
+  assertTopology(model.layers);
+  const want = parameterCounts(model.layers);
+  for (const key of ["weights", "biases"]) {
+    if (!Array.isArray(model[key]) || model[key].length !== want[key]) {
+      throw new Error(`Model field ${key} must have ${want[key]} entries for ${formatTopology(model.layers)}`);
+    }
+  }
+}
+
+/**
+ * Convert a model in the pre-topology `{wH, bH, wO, bO}` layout (weights
+ * files written before layer sizes became configurable) to a 4-8-1 model.
+ */
+function fromLegacyModel({ wH, bH, wO, bO }) {
+  return { layers: [wH.length / bH.length, bH.length, 1], weights: [...wH, ...wO], biases: [...bH, bO] };
+}
+
+/**
+ * Serialise a fixed-point model to plain JSON (bigints become decimal strings).
+ */
+function serializeModel(model) {
+  assertModelShape(model);
+  return {
+    layers: [...model.layers],
+    weights: model.weights.map(String),
+    biases: model.biases.map(String),
+  };
+}
+
+/**
+ * Parse a model previously written by `serializeModel` (or any object with
+ * numeric-string / bigint entries in the updateModel layout). Legacy
+ * `{wH, bH, wO, bO}` files are read as 4-8-1 models.
+ */
+function parseModel(json) {
+  const raw = "wH" in json ? fromLegacyModel(json) : json;
+  const model = {
+    layers: (raw.layers || []).map(Number),
+    weights: (raw.weights || []).map(BigInt),
+    biases: (raw.biases || []).map(BigInt),
+  };
+  assertModelShape(model);
+  return model;
+}
+
+/** Positional arguments for `guardian.updateModel(...)` / `proposeModel(...)`. */
+function toUpdateModelArgs(model) {
+  assertModelShape(model);
+  return [model.layers, model.weights, model.biases];
+}
+
+/** Build a model from the tuple returned by `guardian.getModelWeights()`. */
+function fromContractWeights([layers, weights, biases]) {
+  return { layers: [...layers].map(Number), weights: [...weights], biases: [...biases] };
+}
+
+/**
+ * Classify a risk score the same way `transfer()` routes it.
+ * @returns {"low" | "medium" | "high"}
+ */
+function routeFor(riskScore, lowThreshold = 30, highThreshold = 70) {
+  if (riskScore < lowThreshold) return "low";
+  if (riskScore < highThreshold) return "medium";
+  return "high";
+}
+
+module.exports = {
+  SCALE,
+  INPUT_SIZE,
+  MAX_RISK,
+  MAX_LAYERS,
+  MAX_LAYER_SIZE,
+  MAX_PARAMETERS,
+  FEATURE_NAMES,
+  NEURON_LABELS,
+  DEFAULT_MODEL,
+  layerShapes,
+  parameterCounts,
+  assertTopology,
+  formatTopology,
+  parseTopology,
+  neuronLabels,
+  outputBias,
+  toFixed,
+  fromFixed,
+  toFloatModel,
+  toFixedModel,
+  assertModelShape,
+  fromLegacyModel,
+  serializeModel,
+  parseModel,
+  toUpdateModelArgs,
+  fromContractWeights,
+  routeFor,
+};
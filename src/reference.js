@@ -0,0 +1,359 @@
+/**
+ * @file Bit-exact JavaScript port of the guardian's scoring path.
+ *
+ * Mirrors `_extractFeatures`, `_forward`, `_mulFP`, `_sigmoid` and
+ * `_updateProfile` using bigint arithmetic. BigInt division truncates toward
+ * zero exactly like Solidity's signed division, so every intermediate value
+ * matches the contract and `riskScore` equals `computeRisk` / `assessRisk`.
+ */
+
+const { SCALE, INPUT_SIZE, MAX_RISK, DEFAULT_MODEL, layerShapes } = require("./model");
+
+/** `MAX_AMOUNT_RATIO` (10.0) */
+const MAX_AMOUNT_RATIO = 10n * SCALE;
+
+/** `MAX_FREQUENCY` (2.0) */
+const MAX_FREQUENCY = 2n * SCALE;
+
+/** Span of the recency feature and of one hour-of-day bucket */
+const ONE_HOUR = 3600n;
+
+/** Amount ratio assumed for senders without history */
+const NEW_USER_AMOUNT_RATIO = 2n * SCALE;
+
+/** `ACCOUNT_AGE_HORIZON` (30 days) */
+const ACCOUNT_AGE_HORIZON = 30n * 24n * ONE_HOUR;
+
+/** Deployment defaults of `amountHalfLife` and `frequencyHalfLife` */
+const DEFAULT_HALF_LIVES = { amountHalfLife: 7n * 24n * ONE_HOUR, frequencyHalfLife: ONE_HOUR };
+
+const HALF = SCALE / 2n;
+
+/** `tokenDecimals[usdc]`: `totalVolume` is kept in USDC base units */
+const USDC_DECIMALS = 6n;
+
+/** `_normalize`: convert `amount` from `decimals` to USDC base units. */
+function normalize(amount, decimals = USDC_DECIMALS) {
+  const value = BigInt(amount);
+  const from = BigInt(decimals);
+  if (from === USDC_DECIMALS) return value;
+  return from > USDC_DECIMALS ? value / 10n ** (from - USDC_DECIMALS) : value * 10n ** (USDC_DECIMALS - from);
+}
+
+/** `_mulFP`: multiply two SCALE-denominated numbers. */
+function mulFP(a, b) {
+  return (a * b) / SCALE;
+}
+
+/** `_sigmoid`: fast sigmoid 0.5 + 0.5 * x / (1 + |x|), in [0, SCALE]. */
+function sigmoid(x) {
+  const absX = x >= 0n ? x : -x;
+  return HALF + (x * HALF) / (SCALE + absX);
+}
+
+/**
+ * Run the network and expose every intermediate value.
+ *
+ * @param {{layers: number[], weights: bigint[], biases: bigint[]}} model
+ * @param {bigint[]} features Fixed-point vector; the first `layers[0]` are used
+ * @returns {{activations: bigint[][], hidden: bigint[], contributions: bigint[], output: bigint,
+ *            sigmoid: bigint, riskScore: number}}
+ *          `activations` are the post-ReLU outputs of every hidden layer and
+ *          `hidden` the last of them; `contributions` are each of its neurons'
+ *          terms in the output sum and `output` the pre-sigmoid sum - the
+ *          same values `_forward` / `explainRisk` return.
+ */
+function forward(model, features) {
+  if (features.length < model.layers[0] || features.length > INPUT_SIZE) {
+    throw new Error(`Expected ${model.layers[0]} to ${INPUT_SIZE} features, got ${features.length}`);
+  }
+  const shapes = layerShapes(model.layers);
+  const out = shapes.pop();
+
+  let hidden = features.slice(0, model.layers[0]).map(BigInt);
+  const activations = [];
+  for (const { fanIn, size, weightOffset, biasOffset } of shapes) {
+    const next = new Array(size);
+    for (let i = 0; i < size; i++) {
+      let sum = model.biases[biasOffset + i];
+      const base = weightOffset + i * fanIn;
+      for (let j = 0; j < fanIn; j++) {
+        sum += mulFP(hidden[j], model.weights[base + j]);
+      }
+      next[i] = sum > 0n ? sum : 0n;
+    }
+    activations.push(next);
+    hidden = next;
+  }
+
+  const contributions = new Array(hidden.length);
+  let output = model.biases[out.biasOffset];
+  for (let i = 0; i < hidden.length; i++) {
+    contributions[i] = mulFP(hidden[i], model.weights[out.weightOffset + i]);
+    output += contributions[i];
+  }
+
+  const sig = sigmoid(output);
+  // uint256(...) of a non-negative value; sigmoid never goes below zero
+  const risk = (sig * BigInt(MAX_RISK)) / SCALE;
+  const riskScore = risk > BigInt(MAX_RISK) ? MAX_RISK : Number(risk);
+  return { activations, hidden, contributions, output, sigmoid: sig, riskScore };
+}
+
+/**
+ * `_forwardPass`: risk score in [0, 100].
+ * @returns {number}
+ */
+function forwardPass(model, features) {
+  return forward(model, features).riskScore;
+}
+
+/** `_decay`: value * 2^(-elapsed / halfLife), linear between whole half-lives. */
+function decay(value, elapsed, halfLife) {
+  const v = BigInt(value);
+  const t = BigInt(elapsed);
+  const h = BigInt(halfLife);
+  const halvings = t / h;
+  if (halvings >= 256n) return 0n;
+  const shifted = v >> halvings;
+  return shifted - (shifted * (t % h)) / (2n * h);
+}
+
+/** Decayed transaction rate as of `now` (SCALE per transfer). */
+function txRate(profile, now, frequencyHalfLife = DEFAULT_HALF_LIVES.frequencyHalfLife) {
+  return decay(profile.decayedTxRate, BigInt(now) - BigInt(profile.lastTransactionTime), frequencyHalfLife);
+}
+
+/** `_hourDeviation`: distance to the nearest active hour of day, 12 h = SCALE. */
+function hourDeviation(activeHours, now) {
+  const mask = BigInt(activeHours);
+  if (mask === 0n) return 0n;
+  const hour = (BigInt(now) / ONE_HOUR) % 24n;
+  const has = (h) => (mask & (1n << (h % 24n))) !== 0n;
+  for (let d = 0n; d < 12n; d++) {
+    if (has(hour + d) || has(hour + 24n - d)) return (d * SCALE) / 12n;
+  }
+  return SCALE;
+}
+
+/**
+ * `_extractFeatures`.
+ *
+ * @param {object} profile  As returned by `getProfile()` (bigint or numeric fields)
+ * @param {object} tx
+ * @param {bigint|number} tx.amount          Transfer amount in token base units
+ * @param {boolean} tx.trusted               Trust in force: listed and past `trustActiveAt`
+ * @param {bigint|number} tx.now             `block.timestamp` of the scoring block
+ * @param {bigint|number} tx.balance         `balances[sender]` before the transfer
+ * @param {bigint|number} [tx.priorTransfers=0]  `recipientTransferCount[sender][recipient]`
+ * @param {bigint|number} [tx.frequencyHalfLife]  Defaults to the deployment default
+ * @param {bigint|number} [tx.batchTotal]  Total of the `batchTransfer` this row is part of;
+ *                                         balanceFraction is taken from it instead of `amount`
+ * @param {{activity?: object}} [tx.token]  Omit for USDC. For other tokens, `activity` is
+ *        `getTokenActivity(sender, token)`, whose average sets amountRatio; `balance` and
+ *        `amount` are then in that token's base units
+ * @returns {bigint[]} [amountRatio, txFrequency, recipientTrust, recency,
+ *                      recipientNovelty, balanceFraction, accountAge, hourDeviation]
+ */
+function extractFeatures(profile, tx) {
+  const { amount, trusted, now, balance, priorTransfers = 0 } = tx;
+  const { frequencyHalfLife = DEFAULT_HALF_LIVES.frequencyHalfLife } = tx;
+  // The amount average is per token: USDC's is in the profile
+  const stats = tx.token ? tx.token.activity || {} : profile;
+  const decayedVolume = BigInt(stats.decayedVolume || 0);
+  const decayedTxCount = BigInt(stats.decayedTxCount || 0);
+  const lastTransactionTime = BigInt(profile.lastTransactionTime);
+  const registeredAt = BigInt(profile.registeredAt);
+  const ts = BigInt(now);
+  const value = BigInt(amount);
+  const vault = BigInt(balance);
+  const features = new Array(INPUT_SIZE).fill(0n);
+
+  if (decayedTxCount > 0n && decayedVolume > 0n) {
+    const ratio = (value * decayedTxCount) / decayedVolume;
+    features[0] = ratio > MAX_AMOUNT_RATIO ? MAX_AMOUNT_RATIO : ratio;
+  } else {
+    features[0] = NEW_USER_AMOUNT_RATIO;
+  }
+
+  const freq = txRate(profile, ts, frequencyHalfLife) / 5n;
+  features[1] = freq > MAX_FREQUENCY ? MAX_FREQUENCY : freq;
+
+  features[2] = trusted ? SCALE : 0n;
+
+  if (lastTransactionTime > 0n) {
+    const delta = ts - lastTransactionTime;
+    features[3] = delta >= ONE_HOUR ? 0n : SCALE - (delta * SCALE) / ONE_HOUR;
+  }
+
+  features[4] = BigInt(priorTransfers) === 0n ? SCALE : 0n;
+
+  const outgoing = tx.batchTotal !== undefined ? BigInt(tx.batchTotal) : value;
+  features[5] = vault === 0n || outgoing >= vault ? SCALE : (outgoing * SCALE) / vault;
+
+  if (registeredAt > 0n) {
+    const age = ts - registeredAt;
+    features[6] = age >= ACCOUNT_AGE_HORIZON ? SCALE : (age * SCALE) / ACCOUNT_AGE_HORIZON;
+  }
+
+  features[7] = hourDeviation(profile.activeHours, ts);
+
+  return features;
+}
+
+/**
+ * `_updateProfile`: return the profile as it will be after a transfer of
+ * `amount` at `now`. The input is not modified; the caller tracks
+ * `recipientTransferCount` separately.
+ *
+ * A transfer in another token adds its normalised amount to `totalVolume`
+ * and only decays the profile's USDC average; pass its result through
+ * `updateTokenActivity` as well, as `_updateProfile` does.
+ *
+ * @param {{amountHalfLife?: bigint|number, frequencyHalfLife?: bigint|number}} [halfLives]
+ *        Defaults to the deployment defaults
+ * @param {boolean} [newTransaction=true]  false for the second and later rows
+ *        of a batch, which do not add to the transaction rate
+ * @param {{decimals: bigint|number}} [token]  Omit for USDC; otherwise
+ *        `tokenDecimals(token)` of the token transferred
+ */
+function updateProfile(profile, amount, now, halfLives = {}, newTransaction = true, token = undefined) {
+  const { amountHalfLife, frequencyHalfLife } = { ...DEFAULT_HALF_LIVES, ...halfLives };
+  const ts = BigInt(now);
+  const value = BigInt(amount);
+  const usdcValue = token ? 0n : value;
+  const elapsed = ts - BigInt(profile.lastTransactionTime);
+  return {
+    totalTransactions: BigInt(profile.totalTransactions) + 1n,
+    totalVolume: BigInt(profile.totalVolume) + (token ? normalize(value, token.decimals) : value),
+    lastTransactionTime: ts,
+    decayedVolume: decay(profile.decayedVolume, elapsed, amountHalfLife) + usdcValue,
+    decayedTxCount: decay(profile.decayedTxCount, elapsed, amountHalfLife) + (token ? 0n : SCALE),
+    decayedTxRate: decay(profile.decayedTxRate, elapsed, frequencyHalfLife) + (newTransaction ? SCALE : 0n),
+    registeredAt: BigInt(profile.registeredAt),
+    activeHours: BigInt(profile.activeHours) | (1n << ((ts / ONE_HOUR) % 24n)),
+    isRegistered: Boolean(profile.isRegistered),
+  };
+}
+
+/**
+ * The `_tokenActivity` half of `_updateProfile`: return a sender's amount
+ * average in a token other than USDC after a transfer of `amount` at `now`.
+ *
+ * @param {object} [activity]  As returned by `getTokenActivity()`; omit before the first transfer
+ * @param {{amountHalfLife?: bigint|number}} [halfLives]  Defaults to the deployment defaults
+ * @returns {{decayedVolume: bigint, decayedTxCount: bigint, lastTransactionTime: bigint}}
+ */
+function updateTokenActivity(activity, amount, now, halfLives = {}) {
+  const { amountHalfLife } = { ...DEFAULT_HALF_LIVES, ...halfLives };
+  const { decayedVolume = 0n, decayedTxCount = 0n, lastTransactionTime = 0n } = activity || {};
+  const ts = BigInt(now);
+  const since = ts - BigInt(lastTransactionTime);
+  return {
+    decayedVolume: decay(decayedVolume, since, amountHalfLife) + BigInt(amount),
+    decayedTxCount: decay(decayedTxCount, since, amountHalfLife) + SCALE,
+    lastTransactionTime: ts,
+  };
+}
+
+/**
+ * `assessRisk` without the RPC round-trip: score a hypothetical transfer
+ * from already-fetched state.
+ *
+ * @returns {{riskScore: number, features: bigint[]}}
+ */
+function assessRisk(model, profile, tx) {
+  const features = extractFeatures(profile, tx);
+  return { riskScore: forwardPass(model, features), features };
+}
+
+/**
+ * Replay a scripted history from a freshly registered profile and return
+ * the features and score `transfer()` would see at each step. Every
+ * transfer is debited from the vault, as auto-approved and pending ones are.
+ *
+ * @param {{amount: bigint|number, at: bigint|number, recipient?: string, trusted?: boolean,
+ *          token?: {address: string, decimals: bigint|number}}[]} transfers
+ *        In time order; `at` is the block timestamp. `token` is omitted for
+ *        USDC and `amount` is in the transfer token's base units
+ * @param {object} [opts]
+ * @param {object} [opts.model]           Defaults to the guardian's default model
+ * @param {bigint|number} [opts.registeredAt]  Defaults to the first transfer's time
+ * @param {bigint|number} [opts.balance]  USDC vault balance before the first transfer
+ *                                        (default: the sum of all USDC amounts)
+ * @param {Object<string, bigint|number>} [opts.tokenBalances]  The same for other
+ *        tokens, by address (default: the sum of each token's amounts)
+ * @param {bigint|number} [opts.amountHalfLife]
+ * @param {bigint|number} [opts.frequencyHalfLife]
+ * @returns {{features: bigint[], riskScore: number, profile: object}[]}
+ *          `profile` is the state the transfer was scored against
+ */
+function replay(transfers, opts = {}) {
+  const { model = DEFAULT_MODEL } = opts;
+  const halfLives = { ...DEFAULT_HALF_LIVES };
+  if (opts.amountHalfLife !== undefined) halfLives.amountHalfLife = BigInt(opts.amountHalfLife);
+  if (opts.frequencyHalfLife !== undefined) halfLives.frequencyHalfLife = BigInt(opts.frequencyHalfLife);
+
+  // Vault balances and amount averages per token; USDC's average lives in the profile
+  const key = (t) => (t.token ? t.token.address : "usdc");
+  const balances = new Map();
+  for (const t of transfers) balances.set(key(t), (balances.get(key(t)) || 0n) + BigInt(t.amount));
+  if (opts.balance !== undefined) balances.set("usdc", BigInt(opts.balance));
+  for (const [address, amount] of Object.entries(opts.tokenBalances || {})) balances.set(address, BigInt(amount));
+  const activities = new Map();
+  let profile = {
+    totalTransactions: 0n,
+    totalVolume: 0n,
+    lastTransactionTime: 0n,
+    decayedVolume: 0n,
+    decayedTxCount: 0n,
+    decayedTxRate: 0n,
+    registeredAt: BigInt(opts.registeredAt ?? (transfers.length ? transfers[0].at : 0)),
+    activeHours: 0n,
+    isRegistered: true,
+  };
+  const sent = new Map();
+  const steps = [];
+  for (const t of transfers) {
+    const recipient = t.recipient || "recipient";
+    const token = t.token && { ...t.token, activity: activities.get(key(t)) };
+    const features = extractFeatures(profile, {
+      amount: t.amount,
+      trusted: Boolean(t.trusted),
+      now: t.at,
+      balance: balances.get(key(t)),
+      priorTransfers: sent.get(recipient) || 0,
+      frequencyHalfLife: halfLives.frequencyHalfLife,
+      token,
+    });
+    steps.push({ features, riskScore: forwardPass(model, features), profile });
+    profile = updateProfile(profile, t.amount, t.at, halfLives, true, token);
+    if (token) activities.set(key(t), updateTokenActivity(token.activity, t.amount, t.at, halfLives));
+    sent.set(recipient, (sent.get(recipient) || 0) + 1);
+    balances.set(key(t), balances.get(key(t)) - BigInt(t.amount));
+  }
+  return steps;
+}
+
+module.exports = {
+  MAX_AMOUNT_RATIO,
+  MAX_FREQUENCY,
+  ONE_HOUR,
+  NEW_USER_AMOUNT_RATIO,
+  ACCOUNT_AGE_HORIZON,
+  DEFAULT_HALF_LIVES,
+  USDC_DECIMALS,
+  normalize,
+  mulFP,
+  sigmoid,
+  forward,
+  forwardPass,
+  decay,
+  txRate,
+  hourDeviation,
+  extractFeatures,
+  updateProfile,
+  updateTokenActivity,
+  assessRisk,
+  replay,
+};
@@ -0,0 +1,167 @@
+/**
+ * @file Minimal HTTP relayer for signed intents (see ./intents).
+ *
+ *   POST /intents        body: encodeIntent(intent)  -> submits it, paying gas
+ *   GET  /nonce/<addr>   -> { address, nonce }       for signing the next intent
+ *   GET  /domain         -> the EIP-712 domain to sign against
+ *
+ * Intents are checked locally (signature, nonce, deadline) before any gas is
+ * spent and submitted one at a time from the relayer's signer. A guardian
+ * revert is answered with 422 and the decoded error name and arguments.
+ */
+
+const http = require("http");
+
+const { intentDomain, recoverIntentSigner, intentSigner, encodeIntent, decodeIntent } = require("./intents");
+const { decodeGuardianError } = require("./errors");
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+const stringify = (value) => JSON.stringify(value, (_k, v) => (typeof v === "bigint" ? v.toString() : v));
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    let chunks = [];
+    req.on("data", (chunk) => {
+      if (!chunks) return; // too large: discard the rest while the 413 goes out
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        chunks = undefined;
+        reject(new HttpError(413, "Request body too large"));
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on("end", () => chunks && resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Build (but do not start) the relayer's HTTP server.
+ *
+ * @param {object} opts
+ * @param {import("./sdk").GuardianClient} opts.client Guardian client bound to the relayer's signer
+ * @param {(line: string) => void} [opts.log]
+ * @returns {Promise<import("http").Server>} call `.listen(port)` on it
+ */
+async function createRelayer({ client, log = () => {} }) {
+  const { chainId } = await client.provider.getNetwork();
+  const domain = intentDomain(client.contract.target, chainId);
+  // Submit one intent at a time so the relayer's own nonces stay in order
+  let queue = Promise.resolve();
+  const serialize = (fn) => {
+    const run = queue.then(fn, fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  async function relay(body) {
+    let intent;
+    try {
+      intent = decodeIntent(JSON.parse(body));
+    } catch (err) {
+      throw new HttpError(400, err.message);
+    }
+
+    const signer = intentSigner(intent);
+    let recovered;
+    try {
+      recovered = recoverIntentSigner(domain, intent);
+    } catch {
+      recovered = undefined;
+    }
+    if (!recovered || recovered.toLowerCase() !== signer.toLowerCase()) {
+      throw new HttpError(400, "Signature does not match the intent's signer");
+    }
+    const latest = await client.provider.getBlock("latest");
+    if (intent.message.deadline <= BigInt(latest.timestamp)) throw new HttpError(400, "Intent deadline has passed");
+
+    return serialize(async () => {
+      const nonce = await client.contract.nonces(signer);
+      if (intent.message.nonce !== nonce) {
+        throw new HttpError(409, `Stale nonce: expected ${nonce}`, { expectedNonce: nonce });
+      }
+      let result;
+      try {
+        result = await client.relayIntent(intent);
+      } catch (err) {
+        const decoded = decodeGuardianError(err);
+        if (!decoded) throw err;
+        throw new HttpError(422, decoded.message, { error: decoded.errorName, args: decoded.args });
+      }
+      const receipt = result.receipt || result;
+      log(`${intent.type} for ${signer} relayed in ${receipt.hash}`);
+      const out = { type: intent.type, signer, transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+      if (result.kind) {
+        out.kind = result.kind;
+        out.riskScore = result.riskScore;
+        if (result.txId !== undefined) out.txId = result.txId;
+      }
+      return out;
+    });
+  }
+
+  async function handle(req) {
+    const url = new URL(req.url, "http://relayer");
+    const nonceMatch = url.pathname.match(/^\/nonce\/(0x[0-9a-fA-F]{40})$/);
+    if (req.method === "GET" && nonceMatch) {
+      return { address: nonceMatch[1], nonce: await client.contract.nonces(nonceMatch[1]) };
+    }
+    if (req.method === "GET" && url.pathname === "/domain") return domain;
+    if (url.pathname === "/intents") {
+      if (req.method !== "POST") throw new HttpError(405, "Use POST");
+      return relay(await readBody(req));
+    }
+    throw new HttpError(404, `No route for ${req.method} ${url.pathname}`);
+  }
+
+  return http.createServer((req, res) => {
+    handle(req)
+      .then((body) => {
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(stringify(body));
+      })
+      .catch((err) => {
+        const status = err instanceof HttpError ? err.status : 500;
+        if (status === 500) log(`Relay failed: ${err.message}`);
+        const headers = { "content-type": "application/json" };
+        // Part of an oversized body may still be unread; do not reuse the connection
+        if (status === 413) headers.connection = "close";
+        res.writeHead(status, headers);
+        res.end(stringify({ message: err.message, ...(err.extra || {}) }));
+      });
+  });
+}
+
+/**
+ * Send a signed intent to a relayer.
+ * @returns {Promise<object>} the relayer's JSON answer
+ * @throws {Error} with `status` and the relayer's answer as `body` on failure
+ */
+async function postIntent(url, intent) {
+  const res = await fetch(new URL("/intents", url), {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(encodeIntent(intent)),
+  });
+  const body = await res.json();
+  if (!res.ok) {
+    const err = new Error(`Relayer answered ${res.status}: ${body.message}`);
+    err.status = res.status;
+    err.body = body;
+    throw err;
+  }
+  return body;
+}
+
+module.exports = { createRelayer, postIntent };
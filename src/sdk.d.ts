@@ -0,0 +1,295 @@
+import type { Contract, ContractRunner, Interface, Provider, TransactionReceipt } from "ethers";
+
+export * from "./errors";
+
+interface TransferBase {
+  receipt: TransactionReceipt;
+  riskScore: number;
+  /** Feature vector from the RiskAssessed event (1e18 fixed point) */
+  features: bigint[] | undefined;
+  /** Model version that produced the score */
+  modelVersion: bigint | undefined;
+  /** Score of the shadow model, when one is configured (not used for routing) */
+  shadow?: { version: bigint; riskScore: number };
+}
+
+export interface AutoApprovedTransfer extends TransferBase {
+  kind: "autoApproved";
+}
+
+/** Why a transfer was held: the model score or one of the sender's spending limits */
+export type PendingReason = "riskScore" | "dailyLimit" | "weeklyLimit" | "velocityLimit";
+
+export interface TimelockedTransfer extends TransferBase {
+  kind: "timelocked";
+  txId: bigint;
+  reason: PendingReason;
+  /** Unix timestamp from which executePending succeeds */
+  readyAt: bigint;
+  /** Unix timestamp from which it can only be reclaimed */
+  expiresAt: bigint;
+}
+
+export interface MultisigTransfer extends TransferBase {
+  kind: "multisig";
+  txId: bigint;
+  reason: PendingReason;
+  approvals: number;
+  approvalsRequired: number;
+  /** Unix timestamp from which it can only be reclaimed */
+  expiresAt: bigint;
+}
+
+export type TransferResult = AutoApprovedTransfer | TimelockedTransfer | MultisigTransfer;
+
+/** A withdrawal paid out without review, or one routed like a transfer */
+export type WithdrawalResult = { kind: "withdrawn"; receipt: TransactionReceipt } | TransferResult;
+
+export interface WithdrawalReview {
+  /** Withdrawals of at least this much are risk-assessed; 0 = off */
+  minAmount: bigint;
+  /** A higher minimum (or 0) waiting out the cooldown, if any */
+  queued?: { minAmount: bigint; effectiveAt: bigint };
+}
+
+export interface TrustedRecipient {
+  address: string;
+  /** When the trust starts to lower risk (after trustActivationDelay) */
+  activeAt: bigint;
+  /** Whether `activeAt` has passed as of the latest block */
+  active: boolean;
+}
+
+/** A token the vault has listed; see `getTokens` */
+export interface VaultToken {
+  address: string;
+  decimals: number;
+  /** False once the owner removed it: balances can still be withdrawn */
+  supported: boolean;
+}
+
+export interface RecoveryStatus {
+  /** The user's own recovery guardians; empty means the global guardian set */
+  guardians: string[];
+  /** Supporters needed to schedule a recovery */
+  threshold: number;
+  /** Set once the account has been recovered to a new address */
+  recoveredTo?: string;
+  /** A recovery waiting out `recoveryDelay` */
+  scheduled?: { newAddress: string; readyAt: bigint };
+}
+
+export interface BatchResult {
+  receipt: TransactionReceipt;
+  batchId: bigint;
+  totalAmount: bigint;
+  /** Rows that went straight through */
+  autoApproved: number;
+  /** One result per payee, in order; each shares the batch receipt */
+  rows: TransferResult[];
+}
+
+interface PendingBase {
+  txId: bigint;
+  sender: string;
+  recipient: string;
+  /** Token being moved; `amount` is in its base units */
+  token: string;
+  amount: bigint;
+  riskScore: number;
+  modelVersion: bigint;
+  createdAt: bigint;
+  /** After this the transfer can only be reclaimed */
+  expiresAt: bigint;
+  /** Guardians who ever approved, including lapsed approvals */
+  approvalCount: number;
+  /** Guardian veto votes; any vote holds execution until a full approval quorum overrides it */
+  vetoCount: number;
+  reason: PendingReason | "none";
+  /** Held withdrawal: pays out of the vault to `recipient` */
+  withdrawal: boolean;
+}
+
+/** Outbound limits; 0 disables a limit */
+export interface SpendingLimits {
+  dailyLimit: bigint;
+  weeklyLimit: bigint;
+  maxTxPerWindow: bigint;
+  /** Seconds */
+  velocityWindow: bigint;
+  multiSigOnBreach: boolean;
+}
+
+export interface SpendingLimitsStatus {
+  active: SpendingLimits;
+  /** Looser limits waiting out the cooldown, if any */
+  queued?: SpendingLimits & { effectiveAt: bigint };
+  usage: { daySpent: bigint; weekSpent: bigint; velocityCount: bigint };
+}
+
+/** Routing parameters; see the contract's `RiskPolicy` */
+export interface RiskPolicy {
+  /** Scores below this auto-approve */
+  lowThreshold: number;
+  /** Scores at or above this need multi-sig */
+  highThreshold: number;
+  /** Seconds */
+  timelockDuration: bigint;
+  minApprovals: number;
+}
+
+export interface RiskPolicyStatus {
+  /** What routes the user's transfers now */
+  effective: RiskPolicy;
+  /** Owner-granted policy used in place of the global one, if any */
+  override?: RiskPolicy;
+  /** The user's own stricter settings, if any */
+  personal?: RiskPolicy;
+  /** A looser personal policy, or its removal, waiting out the cooldown */
+  queued?: (RiskPolicy | { cleared: true }) & { effectiveAt: bigint };
+}
+
+export type PendingStatus =
+  | (PendingBase & {
+      status: "missing" | "executed" | "cancelled" | "vetoed" | "expired";
+      executable: false;
+      gate?: undefined;
+    })
+  | (PendingBase & {
+      gate: "timelock";
+      status: "timelocked" | "ready" | "vetoInProgress" | "senderFrozen";
+      readyAt: bigint;
+      executable: boolean;
+    })
+  | (PendingBase & {
+      gate: "multisig";
+      status: "awaitingApprovals" | "ready" | "vetoInProgress" | "senderFrozen";
+      /** Approvals that have not lapsed */
+      validApprovals: number;
+      approvalsRequired: number;
+      executable: boolean;
+    });
+
+/** Output of `explainRisk()`; all vectors are 1e18 fixed point */
+export interface RiskExplanation {
+  riskScore: number;
+  features: bigint[];
+  /** Post-ReLU activations of the last hidden layer */
+  hidden: bigint[];
+  /** Each of those neurons' term in the output pre-activation */
+  contributions: bigint[];
+  /** Output pre-activation (before sigmoid) */
+  output: bigint;
+}
+
+export type IntentType = "Transfer" | "SetTrustedRecipient" | "CancelPending";
+
+/** An EIP-712 intent as produced by `signIntent` and accepted by the relayer */
+export interface SignedIntent {
+  type: IntentType;
+  /** Struct fields, including the signer, `nonce` and `deadline` */
+  message: Record<string, string | bigint | boolean>;
+  signature: string;
+}
+
+export interface SignIntentOptions {
+  /** Seconds from the latest block until the intent lapses (default 3600) */
+  ttl?: number;
+  deadline?: bigint;
+  nonce?: bigint;
+}
+
+/** EIP-2612 permit for the vault token, as taken by `depositWithPermit` */
+export interface SignedPermit {
+  value: bigint;
+  deadline: bigint;
+  v: number;
+  r: string;
+  s: string;
+}
+
+export interface PermitOptions {
+  /** Seconds from the latest block until the permit lapses (default 3600) */
+  ttl?: number;
+  deadline?: bigint;
+}
+
+export interface WaitOptions {
+  /** Milliseconds between checks (default 15000) */
+  pollInterval?: number;
+  /** Give up with WaitTimeoutError after this many milliseconds */
+  timeout?: number;
+  onPoll?: (status: PendingStatus) => void;
+}
+
+export declare class GuardianClient {
+  readonly contract: Contract;
+  readonly interface: Interface;
+  readonly provider: Provider;
+
+  constructor(contract: Contract);
+  static connect(address: string, runner: ContractRunner): GuardianClient;
+
+  register(): Promise<TransactionReceipt>;
+  deposit(amount: bigint): Promise<TransactionReceipt>;
+  /** Deposit a token on the vault's allowlist; approve it first */
+  depositToken(token: string, amount: bigint): Promise<TransactionReceipt>;
+  /** Sign a permit and deposit in one transaction, with no prior approve */
+  depositWithPermit(amount: bigint, opts?: PermitOptions): Promise<TransactionReceipt>;
+  signPermit(amount: bigint, opts?: PermitOptions): Promise<SignedPermit>;
+  withdraw(amount: bigint, overrides?: object): Promise<WithdrawalResult>;
+  /** Under withdrawal review `to` is scored as the recipient */
+  withdrawTo(to: string, amount: bigint, overrides?: object): Promise<WithdrawalResult>;
+  withdrawToken(token: string, to: string, amount: bigint, overrides?: object): Promise<WithdrawalResult>;
+  /** 0 turns review off; raising the minimum is queued behind the cooldown */
+  setWithdrawalReview(minAmount: bigint): Promise<TransactionReceipt>;
+  getWithdrawalReview(user: string): Promise<WithdrawalReview>;
+  /** New trust waits out trustActivationDelay before it counts; revoking is immediate */
+  setTrustedRecipient(recipient: string, trusted: boolean): Promise<TransactionReceipt>;
+  setTrustedRecipients(recipients: string[], trusted: boolean): Promise<TransactionReceipt>;
+  getTrustedRecipients(user: string): Promise<TrustedRecipient[]>;
+  /** Omitted fields are 0 (no limit) / false */
+  setSpendingLimits(limits: Partial<SpendingLimits>): Promise<TransactionReceipt>;
+  getSpendingLimits(user: string): Promise<SpendingLimitsStatus>;
+  /** The limit a transfer of `amount` would breach, or "none" */
+  checkSpendingLimits(user: string, amount: bigint): Promise<PendingReason | "none">;
+  /** Only ever tightens routing; `null` clears it. Loosening is queued behind the cooldown */
+  setRiskPolicy(policy: RiskPolicy | null): Promise<TransactionReceipt>;
+  getRiskPolicy(user: string): Promise<RiskPolicyStatus>;
+
+  /** An empty list falls back to the global guardians and minApprovals */
+  setRecoveryGuardians(guardians: string[], threshold: bigint | number): Promise<TransactionReceipt>;
+  supportRecovery(user: string, newAddress: string): Promise<TransactionReceipt>;
+  cancelRecovery(): Promise<TransactionReceipt>;
+  executeRecovery(user: string): Promise<TransactionReceipt>;
+  getRecovery(user: string): Promise<RecoveryStatus>;
+
+  signIntent(type: "Transfer", fields: { recipient: string; amount: bigint }, opts?: SignIntentOptions): Promise<SignedIntent>;
+  signIntent(
+    type: "SetTrustedRecipient",
+    fields: { recipient: string; trusted: boolean },
+    opts?: SignIntentOptions
+  ): Promise<SignedIntent>;
+  signIntent(type: "CancelPending", fields: { txId: bigint }, opts?: SignIntentOptions): Promise<SignedIntent>;
+  /** Submit a signed intent, paying its gas; a Transfer reports its routing */
+  relayIntent(intent: SignedIntent & { type: "Transfer" }, overrides?: object): Promise<TransferResult>;
+  relayIntent(intent: SignedIntent, overrides?: object): Promise<TransactionReceipt>;
+
+  transfer(recipient: string, amount: bigint, overrides?: object): Promise<TransferResult>;
+  transferToken(token: string, recipient: string, amount: bigint, overrides?: object): Promise<TransferResult>;
+  batchTransfer(payees: { recipient: string; amount: bigint }[], overrides?: object): Promise<BatchResult>;
+  getPending(txId: bigint | number): Promise<PendingStatus>;
+  waitUntilExecutable(txId: bigint | number, opts?: WaitOptions): Promise<PendingStatus>;
+  executePending(txId: bigint | number): Promise<TransactionReceipt>;
+  cancelPending(txId: bigint | number): Promise<TransactionReceipt>;
+  approvePending(txId: bigint | number): Promise<TransactionReceipt>;
+  vetoPending(txId: bigint | number, opts?: { freezeSender?: boolean }): Promise<TransactionReceipt>;
+  escalatePending(txId: bigint | number): Promise<TransactionReceipt>;
+  reclaimExpired(txId: bigint | number): Promise<TransactionReceipt>;
+
+  assessRisk(sender: string, recipient: string, amount: bigint): Promise<{ riskScore: number; features: bigint[] }>;
+  explainRisk(sender: string, recipient: string, amount: bigint): Promise<RiskExplanation>;
+  /** USDC balance, or the balance in `token` */
+  balanceOf(user: string, token?: string): Promise<bigint>;
+  getTokens(): Promise<VaultToken[]>;
+}
@@ -0,0 +1,662 @@
+/**
+ * @file Client SDK around the guardian's transfer lifecycle.
+ *
+ *   const client = GuardianClient.connect(address, signer);
+ *   const result = await client.transfer(recipient, amount);
+ *   if (result.kind !== "autoApproved") {
+ *     await client.waitUntilExecutable(result.txId);
+ *     await client.executePending(result.txId);
+ *   }
+ *
+ * Every contract revert is rethrown as a typed error from ./errors.
+ */
+
+const { Contract, Signature, ZeroAddress } = require("ethers");
+
+const { GUARDIAN_ABI, PENDING_REASONS } = require("./abi");
+const errors = require("./errors");
+const { fromExplainRisk } = require("./explain");
+const { INTENT_METHODS, INTENT_TYPES, intentDomain, signIntent, intentArgs } = require("./intents");
+
+const { WaitTimeoutError, PendingTxClosedError, withDecodedErrors } = errors;
+
+/** Just enough of an EIP-2612 token to sign a permit for it */
+const PERMIT_TOKEN_ABI = [
+  "function name() view returns (string)",
+  "function version() view returns (string)",
+  "function nonces(address owner) view returns (uint256)",
+];
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class GuardianClient {
+  /**
+   * @param {import("ethers").Contract} contract Guardian contract bound to a signer
+   *        (for writes) or provider (read-only)
+   */
+  constructor(contract) {
+    this.contract = contract;
+  }
+
+  /**
+   * @param {string} address Guardian address
+   * @param {import("ethers").ContractRunner} runner Signer or provider
+   */
+  static connect(address, runner) {
+    return new GuardianClient(new Contract(address, GUARDIAN_ABI, runner));
+  }
+
+  get interface() {
+    return this.contract.interface;
+  }
+
+  get provider() {
+    return this.contract.runner.provider || this.contract.runner;
+  }
+
+  async _send(method, ...args) {
+    return withDecodedErrors(async () => {
+      const tx = await this.contract[method](...args);
+      return tx.wait();
+    });
+  }
+
+  _parseLogs(receipt) {
+    const address = this.contract.target.toLowerCase();
+    const out = [];
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== address) continue;
+      const parsed = this.interface.parseLog(log);
+      if (parsed) out.push(parsed);
+    }
+    return out;
+  }
+
+  // ================================================================
+  //                      ACCOUNT ACTIONS
+  // ================================================================
+
+  register() {
+    return this._send("register");
+  }
+
+  deposit(amount) {
+    return this._send("deposit", amount);
+  }
+
+  /** Deposit a token on the vault's allowlist (see `getTokens`); approve it first. */
+  depositToken(token, amount) {
+    return this._send("depositToken", token, amount);
+  }
+
+  /**
+   * Deposit without a prior `approve`: sign an EIP-2612 permit for the vault
+   * token and spend it in the same transaction.
+   *
+   * @param {bigint} amount
+   * @param {object} [opts] See `signPermit`
+   */
+  async depositWithPermit(amount, opts = {}) {
+    const { deadline, v, r, s } = await this.signPermit(amount, opts);
+    return this._send("depositWithPermit", amount, deadline, v, r, s);
+  }
+
+  /**
+   * Sign a permit letting the guardian pull `amount` of the vault token from
+   * the connected signer. Tokens without `version()` are signed as version "1".
+   *
+   * @throws {Error} if the token has no permit `nonces()`
+   *
+   * @param {bigint} amount
+   * @param {object} [opts]
+   * @param {number} [opts.ttl=3600]  Seconds from the latest block until the permit lapses
+   * @param {bigint} [opts.deadline]  Absolute deadline, instead of `ttl`
+   * @returns {Promise<{value: bigint, deadline: bigint, v: number, r: string, s: string}>}
+   */
+  async signPermit(amount, { ttl = 3600, deadline } = {}) {
+    const signer = this.contract.runner;
+    const owner = await signer.getAddress();
+    const token = new Contract(await this.contract.usdc(), PERMIT_TOKEN_ABI, this.provider);
+    const [network, latest, name, version, nonce] = await Promise.all([
+      this.provider.getNetwork(),
+      this.provider.getBlock("latest"),
+      token.name(),
+      token.version().catch(() => "1"),
+      token.nonces(owner).catch(() => {
+        throw new Error(`Token ${token.target} does not support EIP-2612 permits`);
+      }),
+    ]);
+    if (deadline === undefined) deadline = BigInt(latest.timestamp + ttl);
+
+    const domain = { name, version, chainId: network.chainId, verifyingContract: token.target };
+    const message = { owner, spender: this.contract.target, value: amount, nonce, deadline };
+    const { v, r, s } = Signature.from(await signer.signTypedData(domain, PERMIT_TYPES, message));
+    return { value: amount, deadline, v, r, s };
+  }
+
+  /**
+   * Withdraw from the vault. Plain withdrawals pay out at once; one caught by
+   * the caller's withdrawal review is routed like a transfer to themselves.
+   *
+   * @returns {Promise<import("./sdk").WithdrawalResult>}
+   */
+  async withdraw(amount, overrides = {}) {
+    return this._withdrawalResult(await this._send("withdraw", amount, overrides));
+  }
+
+  /**
+   * Withdraw from the vault to an external address. Under withdrawal review
+   * `to` is scored as the recipient, so it can be trusted like a payee.
+   *
+   * @returns {Promise<import("./sdk").WithdrawalResult>}
+   */
+  async withdrawTo(to, amount, overrides = {}) {
+    return this._withdrawalResult(await this._send("withdrawTo", to, amount, overrides));
+  }
+
+  /**
+   * Withdraw any token held in the vault to `to` (the caller's own address
+   * for a plain withdrawal). Review compares the amount in USDC units.
+   *
+   * @returns {Promise<import("./sdk").WithdrawalResult>}
+   */
+  async withdrawToken(token, to, amount, overrides = {}) {
+    return this._withdrawalResult(await this._send("withdrawToken", token, to, amount, overrides));
+  }
+
+  /** Unreviewed withdrawals emit no RiskAssessed and need no routing report. */
+  _withdrawalResult(receipt) {
+    const logs = this._parseLogs(receipt);
+    if (!logs.some((l) => l.name === "RiskAssessed")) return { kind: "withdrawn", receipt };
+    return this._transferResult(receipt, logs);
+  }
+
+  /**
+   * New trust lowers risk only once the contract's `trustActivationDelay`
+   * has passed; revoking is immediate.
+   */
+  setTrustedRecipient(recipient, trusted) {
+    return this._send("setTrustedRecipient", recipient, trusted);
+  }
+
+  /** Trust (or revoke) up to MAX_BATCH_SIZE recipients in one transaction. */
+  setTrustedRecipients(recipients, trusted) {
+    return this._send("setTrustedRecipients", recipients, trusted);
+  }
+
+  /**
+   * Tightening applies at once; anything looser is queued behind the
+   * contract's SPENDING_LIMIT_COOLDOWN.
+   *
+   * @param {Partial<import("./sdk").SpendingLimits>} limits Omitted fields are 0 (no limit) / false
+   */
+  setSpendingLimits(limits) {
+    const { dailyLimit = 0n, weeklyLimit = 0n, maxTxPerWindow = 0n, velocityWindow = 0n } = limits;
+    return this._send(
+      "setSpendingLimits",
+      dailyLimit,
+      weeklyLimit,
+      maxTxPerWindow,
+      velocityWindow,
+      Boolean(limits.multiSigOnBreach)
+    );
+  }
+
+  /**
+   * Review withdrawals of at least `minAmount` (0 turns review off). Lowering
+   * the minimum applies at once; raising it or turning review off is queued
+   * behind SPENDING_LIMIT_COOLDOWN.
+   */
+  setWithdrawalReview(minAmount) {
+    return this._send("setWithdrawalReview", minAmount);
+  }
+
+  /**
+   * Set the caller's personal risk policy, or clear it with `null`. It can
+   * only make routing stricter than the global policy (or the caller's
+   * override). Tightening applies at once; loosening or clearing is queued
+   * behind SPENDING_LIMIT_COOLDOWN.
+   *
+   * @param {import("./sdk").RiskPolicy | null} policy
+   */
+  setRiskPolicy(policy) {
+    const p = policy || { lowThreshold: 0, highThreshold: 0, timelockDuration: 0n, minApprovals: 0 };
+    return this._send("setRiskPolicy", p.lowThreshold, p.highThreshold, p.timelockDuration, p.minApprovals);
+  }
+
+  // ================================================================
+  //                      ACCOUNT RECOVERY
+  // ================================================================
+
+  /**
+   * Name the addresses that may recover the caller's account; an empty list
+   * falls back to the global guardians and `minApprovals`.
+   *
+   * @param {string[]} guardians
+   * @param {bigint|number} threshold Supporters needed to schedule a recovery
+   */
+  setRecoveryGuardians(guardians, threshold) {
+    return this._send("setRecoveryGuardians", guardians, threshold);
+  }
+
+  /** Recovery-guardian vote to move `user`'s account to `newAddress`. */
+  supportRecovery(user, newAddress) {
+    return this._send("supportRecovery", user, newAddress);
+  }
+
+  /** Abort a recovery of the caller's own account during its delay. */
+  cancelRecovery() {
+    return this._send("cancelRecovery");
+  }
+
+  /** Move `user`'s account once its recovery delay has passed; anyone may call it. */
+  executeRecovery(user) {
+    return this._send("executeRecovery", user);
+  }
+
+  // ================================================================
+  //                      SIGNED INTENTS
+  // ================================================================
+
+  /**
+   * Sign an intent for the connected signer to hand to a relayer; the nonce
+   * and signer field are filled in.
+   *
+   * @param {"Transfer"|"SetTrustedRecipient"|"CancelPending"} type
+   * @param {object} fields e.g. `{ recipient, amount }` for a Transfer
+   * @param {object} [opts]
+   * @param {number} [opts.ttl=3600]  Seconds from the latest block until the intent lapses
+   * @param {bigint} [opts.deadline]  Absolute deadline, instead of `ttl`
+   * @param {bigint} [opts.nonce]     Defaults to the signer's current `nonces()` value
+   */
+  async signIntent(type, fields, { ttl = 3600, deadline, nonce } = {}) {
+    const signer = this.contract.runner;
+    const from = await signer.getAddress();
+    const [network, latest] = await Promise.all([this.provider.getNetwork(), this.provider.getBlock("latest")]);
+    if (nonce === undefined) nonce = await this.contract.nonces(from);
+    if (deadline === undefined) deadline = BigInt(latest.timestamp + ttl);
+    const signerField = INTENT_TYPES[type]?.[0].name;
+    const message = { [signerField]: from, ...fields, nonce, deadline };
+    return signIntent(signer, intentDomain(this.contract.target, network.chainId), type, message);
+  }
+
+  /**
+   * Submit someone's signed intent, paying its gas. A Transfer reports how
+   * it was routed, like `transfer()`; the others resolve to the receipt.
+   */
+  async relayIntent(intent, overrides = {}) {
+    const receipt = await this._send(INTENT_METHODS[intent.type], ...intentArgs(intent), overrides);
+    if (intent.type !== "Transfer") return receipt;
+    return this._transferResult(receipt, this._parseLogs(receipt));
+  }
+
+  // ================================================================
+  //                     TRANSFER LIFECYCLE
+  // ================================================================
+
+  /**
+   * Transfer through the risk pipeline and report how it was routed.
+   *
+   * @returns {Promise<import("./sdk").TransferResult>}
+   */
+  async transfer(recipient, amount, overrides = {}) {
+    const receipt = await this._send("transfer", recipient, amount, overrides);
+    return this._transferResult(receipt, this._parseLogs(receipt));
+  }
+
+  /**
+   * `transfer` in a token on the vault's allowlist; `amount` is in its base
+   * units and amountRatio compares it with the sender's average in it.
+   *
+   * @returns {Promise<import("./sdk").TransferResult>}
+   */
+  async transferToken(token, recipient, amount, overrides = {}) {
+    const receipt = await this._send("transferToken", token, recipient, amount, overrides);
+    return this._transferResult(receipt, this._parseLogs(receipt));
+  }
+
+  /**
+   * Pay several recipients in one transaction and report how each row was
+   * routed. Rows are scored against the profile as it was before the batch.
+   *
+   * @param {{recipient: string, amount: bigint}[]} payees
+   * @returns {Promise<import("./sdk").BatchResult>}
+   */
+  async batchTransfer(payees, overrides = {}) {
+    const receipt = await this._send(
+      "batchTransfer",
+      payees.map((p) => p.recipient),
+      payees.map((p) => p.amount),
+      overrides
+    );
+    const logs = this._parseLogs(receipt);
+    const submitted = logs.find((l) => l.name === "BatchSubmitted");
+    if (!submitted) throw new Error(`Batch ${receipt.hash} emitted no BatchSubmitted event`);
+
+    // Each row emits RiskAssessed, then its shadow score and outcome
+    const groups = [];
+    for (const log of logs) {
+      if (log.name === "RiskAssessed") groups.push([]);
+      if (groups.length > 0) groups.at(-1).push(log);
+    }
+    const rows = [];
+    for (const group of groups) rows.push(await this._transferResult(receipt, group));
+    return {
+      receipt,
+      batchId: submitted.args.batchId,
+      totalAmount: submitted.args.totalAmount,
+      autoApproved: Number(submitted.args.autoApproved),
+      rows,
+    };
+  }
+
+  /** Build a TransferResult from one transfer's RiskAssessed / outcome logs. */
+  async _transferResult(receipt, logs) {
+    const assessed = logs.find((l) => l.name === "RiskAssessed");
+    const features = assessed ? [...assessed.args.features] : undefined;
+    const modelVersion = assessed ? assessed.args.modelVersion : undefined;
+    const base = { receipt, features, modelVersion };
+    const shadow = logs.find((l) => l.name === "ShadowRiskAssessed");
+    if (shadow) {
+      base.shadow = { version: shadow.args.shadowVersion, riskScore: Number(shadow.args.shadowRiskScore) };
+    }
+
+    const auto = logs.find((l) => l.name === "TransferAutoApproved");
+    if (auto) {
+      return { ...base, kind: "autoApproved", riskScore: Number(auto.args.riskScore) };
+    }
+    if (assessed && logs.some((l) => l.name === "Withdrawn" || l.name === "WithdrawnTo")) {
+      return { ...base, kind: "autoApproved", riskScore: Number(assessed.args.riskScore) };
+    }
+
+    const pending = logs.find((l) => l.name === "TransferPending" || l.name === "WithdrawalPending");
+    if (!pending) throw new Error(`Transfer ${receipt.hash} emitted neither outcome event`);
+    const txId = pending.args.txId;
+    const riskScore = Number(pending.args.riskScore);
+    const reason = PENDING_REASONS[Number(pending.args.reason)];
+
+    // The gate is snapshotted into the pending tx at creation
+    const ptx = await this.contract.getPendingTx(txId);
+    const { expiresAt } = ptx;
+    if (pending.args.requiresMultiSig) {
+      const approvalsRequired = Number(ptx.requiredApprovals);
+      return { ...base, kind: "multisig", txId, reason, riskScore, approvals: 0, approvalsRequired, expiresAt };
+    }
+    return { ...base, kind: "timelocked", txId, reason, riskScore, readyAt: ptx.readyAt, expiresAt };
+  }
+
+  /**
+   * Read a pending transfer and work out which gate it is waiting on, using
+   * the same rules as `executePending`. Only approvals that have not lapsed
+   * count towards `approvalsRequired`.
+   *
+   * @returns {Promise<import("./sdk").PendingStatus>}
+   */
+  async getPending(txId) {
+    const ptx = await this.contract.getPendingTx(txId);
+    const info = {
+      txId: BigInt(txId),
+      sender: ptx.sender,
+      recipient: ptx.recipient,
+      token: ptx.token,
+      amount: ptx.amount,
+      riskScore: Number(ptx.riskScore),
+      modelVersion: ptx.modelVersion,
+      createdAt: ptx.createdAt,
+      expiresAt: ptx.expiresAt,
+      approvalCount: Number(ptx.approvalCount),
+      vetoCount: Number(ptx.vetoCount),
+      reason: PENDING_REASONS[Number(ptx.reason)],
+      withdrawal: ptx.withdrawal,
+    };
+    if (ptx.sender === ZeroAddress) {
+      return { ...info, status: "missing", executable: false };
+    }
+    if (ptx.executed) return { ...info, status: "executed", executable: false };
+    if (ptx.vetoed) return { ...info, status: "vetoed", executable: false };
+    if (ptx.cancelled) return { ...info, status: "cancelled", executable: false };
+
+    const latest = await this.provider.getBlock("latest");
+    const now = BigInt(latest.timestamp);
+    if (now >= ptx.expiresAt) return { ...info, status: "expired", executable: false };
+
+    // A veto vote short of an approval quorum, or a frozen sender, holds the tx whatever its gate says
+    const held = async (status) => {
+      if (info.vetoCount > 0) {
+        const approvals = Number(await this.contract.validApprovals(txId));
+        if (approvals < Number(ptx.requiredApprovals)) return { ...status, status: "vetoInProgress", executable: false };
+      }
+      if (status.executable && (await this.contract.frozen(info.sender))) {
+        return { ...status, status: "senderFrozen", executable: false };
+      }
+      return status;
+    };
+
+    if (ptx.requiresMultiSig) {
+      const approvalsRequired = Number(ptx.requiredApprovals);
+      const validApprovals = Number(await this.contract.validApprovals(txId));
+      const executable = validApprovals >= approvalsRequired;
+      return held({
+        ...info,
+        gate: "multisig",
+        status: executable ? "ready" : "awaitingApprovals",
+        validApprovals,
+        approvalsRequired,
+        executable,
+      });
+    }
+
+    const executable = now >= ptx.readyAt;
+    return held({
+      ...info,
+      gate: "timelock",
+      status: executable ? "ready" : "timelocked",
+      readyAt: ptx.readyAt,
+      executable,
+    });
+  }
+
+  /**
+   * Poll until `executePending(txId)` would pass its security gate.
+   *
+   * @param {bigint|number} txId
+   * @param {object} [opts]
+   * @param {number} [opts.pollInterval=15000] ms between checks
+   * @param {number} [opts.timeout]            give up after this many ms
+   * @param {(status: object) => void} [opts.onPoll]
+   * @returns {Promise<object>} the executable status
+   * @throws {PendingTxClosedError} if the tx is executed, cancelled, expired or missing
+   * @throws {WaitTimeoutError}
+   */
+  async waitUntilExecutable(txId, opts = {}) {
+    const { pollInterval = 15000, timeout, onPoll } = opts;
+    const deadline = timeout === undefined ? Infinity : Date.now() + timeout;
+    for (;;) {
+      const status = await this.getPending(txId);
+      if (onPoll) onPoll(status);
+      if (status.executable) return status;
+      if (!status.gate) throw new PendingTxClosedError(txId, status.status);
+      if (Date.now() + pollInterval > deadline) throw new WaitTimeoutError(txId, timeout);
+      await sleep(pollInterval);
+    }
+  }
+
+  executePending(txId) {
+    return this._send("executePending", txId);
+  }
+
+  cancelPending(txId) {
+    return this._send("cancelPending", txId);
+  }
+
+  approvePending(txId) {
+    return this._send("approvePending", txId);
+  }
+
+  /**
+   * Guardian veto; a quorum of vetoes refunds the sender. An outstanding veto
+   * holds execution until a full approval quorum overrides it.
+   *
+   * @param {object} [opts]
+   * @param {boolean} [opts.freezeSender=false] Also vote to freeze the sender
+   */
+  vetoPending(txId, { freezeSender = false } = {}) {
+    return this._send("vetoPending", txId, freezeSender);
+  }
+
+  /** Move the caller's own time-locked transfer to guardian approval. */
+  escalatePending(txId) {
+    return this._send("escalatePending", txId);
+  }
+
+  /** Refund an expired pending transfer to its sender; anyone may call it. */
+  reclaimExpired(txId) {
+    return this._send("reclaimExpired", txId);
+  }
+
+  // ================================================================
+  //                           VIEWS
+  // ================================================================
+
+  /** @returns {Promise<{riskScore: number, features: bigint[]}>} */
+  async assessRisk(sender, recipient, amount) {
+    const [riskScore, features] = await withDecodedErrors(() =>
+      this.contract.assessRisk(sender, recipient, amount)
+    );
+    return { riskScore: Number(riskScore), features: [...features] };
+  }
+
+  /**
+   * Score plus hidden activations and per-neuron contributions; pass the
+   * result to `attribute()` from ./explain for a labelled report.
+   * @returns {Promise<import("./sdk").RiskExplanation>}
+   */
+  async explainRisk(sender, recipient, amount) {
+    return fromExplainRisk(
+      await withDecodedErrors(() => this.contract.explainRisk(sender, recipient, amount))
+    );
+  }
+
+  /** USDC balance of `user`, or their balance in `token`. */
+  balanceOf(user, token) {
+    return token === undefined ? this.contract.balances(user) : this.contract.tokenBalance(user, token);
+  }
+
+  /**
+   * Every token the vault has listed, USDC first. Removed tokens stay in
+   * the list with `supported: false` while balances may remain.
+   * @returns {Promise<import("./sdk").VaultToken[]>}
+   */
+  async getTokens() {
+    const tokens = await this.contract.getTokens();
+    const info = await Promise.all(
+      tokens.map((t) => Promise.all([this.contract.tokenDecimals(t), this.contract.supportedTokens(t)]))
+    );
+    return tokens.map((address, i) => ({ address, decimals: Number(info[i][0]), supported: info[i][1] }));
+  }
+
+  /** @returns {Promise<import("./sdk").SpendingLimitsStatus>} */
+  async getSpendingLimits(user) {
+    const [[active, queued, effectiveAt], usage] = await Promise.all([
+      this.contract.getSpendingLimits(user),
+      this.contract.getSpendingUsage(user),
+    ]);
+    const limits = (l) => ({
+      dailyLimit: l.dailyLimit,
+      weeklyLimit: l.weeklyLimit,
+      maxTxPerWindow: l.maxTxPerWindow,
+      velocityWindow: l.velocityWindow,
+      multiSigOnBreach: l.multiSigOnBreach,
+    });
+    const status = {
+      active: limits(active),
+      usage: { daySpent: usage.daySpent, weekSpent: usage.weekSpent, velocityCount: usage.velocityCount },
+    };
+    if (effectiveAt !== 0n) status.queued = { ...limits(queued), effectiveAt };
+    return status;
+  }
+
+  /**
+   * Policy routing `user`'s transfers, with the owner override and personal
+   * policy it is built from.
+   * @returns {Promise<import("./sdk").RiskPolicyStatus>}
+   */
+  async getRiskPolicy(user) {
+    const [[effective, personal, queued, effectiveAt], override] = await Promise.all([
+      this.contract.getRiskPolicy(user),
+      this.contract.policyOverrides(user),
+    ]);
+    const policy = (p) => ({
+      lowThreshold: Number(p.lowThreshold),
+      highThreshold: Number(p.highThreshold),
+      timelockDuration: p.timelockDuration,
+      minApprovals: Number(p.minApprovals),
+    });
+    // An unset policy reads as all zero; a set one always has highThreshold > 0
+    const status = { effective: policy(effective) };
+    if (override.highThreshold !== 0n) status.override = policy(override);
+    if (personal.highThreshold !== 0n) status.personal = policy(personal);
+    if (effectiveAt !== 0n) {
+      status.queued = queued.highThreshold === 0n ? { cleared: true, effectiveAt } : { ...policy(queued), effectiveAt };
+    }
+    return status;
+  }
+
+  /**
+   * Recipients `user` trusts and when each starts to count in scoring.
+   * @returns {Promise<import("./sdk").TrustedRecipient[]>}
+   */
+  async getTrustedRecipients(user) {
+    const [recipients, block] = await Promise.all([
+      this.contract.getTrustedRecipients(user),
+      this.provider.getBlock("latest"),
+    ]);
+    const activeAts = await Promise.all(recipients.map((r) => this.contract.trustActiveAt(user, r)));
+    return recipients.map((address, i) => ({
+      address,
+      activeAt: activeAts[i],
+      active: activeAts[i] <= BigInt(block.timestamp),
+    }));
+  }
+
+  /** @returns {Promise<import("./sdk").WithdrawalReview>} */
+  async getWithdrawalReview(user) {
+    const [minAmount, queuedMinAmount, effectiveAt] = await this.contract.getWithdrawalReview(user);
+    const review = { minAmount };
+    if (effectiveAt !== 0n) review.queued = { minAmount: queuedMinAmount, effectiveAt };
+    return review;
+  }
+
+  /**
+   * Recovery set-up of `user` and the recovery in flight, if any.
+   * @returns {Promise<import("./sdk").RecoveryStatus>}
+   */
+  async getRecovery(user) {
+    const [[guardians, threshold], [newAddress, readyAt], recoveredTo] = await Promise.all([
+      this.contract.getRecoveryGuardians(user),
+      this.contract.getRecovery(user),
+      this.contract.recoveredTo(user),
+    ]);
+    const status = { guardians: [...guardians], threshold: Number(threshold) };
+    if (recoveredTo !== ZeroAddress) status.recoveredTo = recoveredTo;
+    if (readyAt !== 0n) status.scheduled = { newAddress, readyAt };
+    return status;
+  }
+
+  /** @returns {Promise<string>} the limit a transfer would breach, or "none" */
+  async checkSpendingLimits(user, amount) {
+    return PENDING_REASONS[Number(await this.contract.checkSpendingLimits(user, amount))];
+  }
+}
+
+module.exports = { GuardianClient, ...errors };
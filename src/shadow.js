@@ -0,0 +1,98 @@
+/**
+ * @file Shadow-model evaluation report.
+ *
+ * While `shadowModelVersion` is set, every `transfer()` emits
+ * `ShadowRiskAssessed` with the active and the shadow score. This module
+ * reads those events over a block range and tabulates the low / medium /
+ * high decision of each model against the other.
+ */
+
+const { routeFor } = require("./model");
+
+const ROUTES = ["low", "medium", "high"];
+
+/**
+ * Fetch `ShadowRiskAssessed` events.
+ *
+ * @param {import("ethers").Contract} contract Guardian contract
+ * @param {object} [opts]
+ * @param {number} [opts.fromBlock=0]
+ * @param {number|string} [opts.toBlock="latest"]
+ * @returns {Promise<{sender: string, recipient: string, modelVersion: bigint, shadowVersion: bigint,
+ *                    riskScore: number, shadowRiskScore: number, blockNumber: number, transactionHash: string}[]>}
+ */
+async function fetchShadowScores(contract, { fromBlock = 0, toBlock = "latest" } = {}) {
+  const logs = await contract.queryFilter(contract.filters.ShadowRiskAssessed(), fromBlock, toBlock);
+  return logs.map((log) => ({
+    sender: log.args.sender,
+    recipient: log.args.recipient,
+    modelVersion: log.args.modelVersion,
+    shadowVersion: log.args.shadowVersion,
+    riskScore: Number(log.args.riskScore),
+    shadowRiskScore: Number(log.args.shadowRiskScore),
+    blockNumber: log.blockNumber,
+    transactionHash: log.transactionHash,
+  }));
+}
+
+/**
+ * Confusion matrices of active vs shadow routing, one per
+ * (active version, shadow version) pair seen in `scores`.
+ *
+ * @param {object[]} scores  `fetchShadowScores` output
+ * @param {{lowThreshold?: number, highThreshold?: number}} [thresholds]
+ * @returns {{modelVersion: bigint, shadowVersion: bigint, matrix: object, total: number,
+ *            agreed: number, meanDelta: number}[]}
+ *          `matrix[active][shadow]` counts transfers; `meanDelta` is shadow - active score.
+ */
+function confusionMatrix(scores, thresholds = {}) {
+  const { lowThreshold = 30, highThreshold = 70 } = thresholds;
+  const groups = new Map();
+  for (const s of scores) {
+    const k = `${s.modelVersion}:${s.shadowVersion}`;
+    if (!groups.has(k)) {
+      const matrix = {};
+      for (const a of ROUTES) {
+        matrix[a] = {};
+        for (const b of ROUTES) matrix[a][b] = 0;
+      }
+      groups.set(k, {
+        modelVersion: s.modelVersion,
+        shadowVersion: s.shadowVersion,
+        matrix,
+        total: 0,
+        agreed: 0,
+        deltaSum: 0,
+      });
+    }
+    const g = groups.get(k);
+    const a = routeFor(s.riskScore, lowThreshold, highThreshold);
+    const b = routeFor(s.shadowRiskScore, lowThreshold, highThreshold);
+    g.matrix[a][b]++;
+    g.total++;
+    if (a === b) g.agreed++;
+    g.deltaSum += s.shadowRiskScore - s.riskScore;
+  }
+  return [...groups.values()].map(({ deltaSum, ...g }) => ({ ...g, meanDelta: deltaSum / g.total }));
+}
+
+/** Plain-text rendering of `confusionMatrix` output. */
+function formatConfusionMatrix(reports) {
+  if (reports.length === 0) return "No shadow scores in range.";
+  const pad = (s, n) => String(s).padStart(n);
+  const lines = [];
+  for (const r of reports) {
+    if (lines.length) lines.push("");
+    lines.push(`Active v${r.modelVersion} vs shadow v${r.shadowVersion}: ${r.total} transfer(s)`);
+    lines.push(`${pad("active \\ shadow", 16)}${ROUTES.map((x) => pad(x, 8)).join("")}`);
+    for (const a of ROUTES) {
+      lines.push(`${pad(a, 16)}${ROUTES.map((b) => pad(r.matrix[a][b], 8)).join("")}`);
+    }
+    const pct = ((100 * r.agreed) / r.total).toFixed(1);
+    const delta = `${r.meanDelta >= 0 ? "+" : ""}${r.meanDelta.toFixed(2)}`;
+    lines.push(`Agreement ${r.agreed}/${r.total} (${pct}%), mean score change ${delta}`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = { fetchShadowScores, confusionMatrix, formatConfusionMatrix };
@@ -0,0 +1,389 @@
+/**
+ * @file Off-chain trainer for guardian networks of any supported topology.
+ *
+ * Trains in floating point with the same ReLU hidden layers and fast-sigmoid
+ * output (0.5 + 0.5 * x / (1 + |x|)) as the contract, then quantises to the
+ * 1e18 layout consumed by `updateModel()`.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const {
+  INPUT_SIZE,
+  MAX_RISK,
+  FEATURE_NAMES,
+  DEFAULT_MODEL,
+  layerShapes,
+  parameterCounts,
+  assertTopology,
+  toFloatModel,
+  toFixed,
+  toFixedModel,
+  routeFor,
+} = require("./model");
+const { forwardPass } = require("./reference");
+
+const ROUTES = ["low", "medium", "high"];
+const EPS = 1e-7;
+
+// ================================================================
+//                          DATASET
+// ================================================================
+
+function parseLabel(raw, where) {
+  const v = String(raw).trim().toLowerCase();
+  if (v === "1" || v === "true" || v === "fraud") return 1;
+  if (v === "0" || v === "false" || v === "legit") return 0;
+  throw new Error(`${where}: invalid label "${raw}"`);
+}
+
+function parseFeature(raw, name, where) {
+  const v = Number(raw);
+  if (raw === "" || raw === undefined || !Number.isFinite(v)) {
+    throw new Error(`${where}: invalid ${name} "${raw}"`);
+  }
+  return v;
+}
+
+function toSample(obj, where) {
+  const labelKey = "label" in obj ? "label" : "fraud";
+  if (!(labelKey in obj)) throw new Error(`${where}: missing label column`);
+  let x;
+  if (Array.isArray(obj.features)) {
+    if (obj.features.length === 0 || obj.features.length > INPUT_SIZE) {
+      throw new Error(`${where}: expected 1 to ${INPUT_SIZE} features`);
+    }
+    x = obj.features.map((v, i) => parseFeature(v, FEATURE_NAMES[i], where));
+  } else {
+    // Leading features only, so datasets that predate newer features stay usable
+    let n = 0;
+    while (n < INPUT_SIZE && FEATURE_NAMES[n] in obj) n++;
+    if (n === 0) throw new Error(`${where}: missing ${FEATURE_NAMES[0]} column`);
+    x = FEATURE_NAMES.slice(0, n).map((name) => parseFeature(obj[name], name, where));
+  }
+  return { x, y: parseLabel(obj[labelKey], where) };
+}
+
+/**
+ * Parse a CSV dataset. The header must name a leading run of the features
+ * (at least as many as the model's input layer) and a `label` (or `fraud`)
+ * column; column order is free.
+ * @param {string} text
+ * @returns {{x: number[], y: number}[]}
+ */
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim() && !l.startsWith("#"));
+  if (lines.length === 0) return [];
+  const header = lines[0].split(",").map((h) => h.trim());
+  return lines.slice(1).map((line, i) => {
+    const cells = line.split(",");
+    const row = {};
+    header.forEach((h, j) => (row[h] = cells[j] === undefined ? "" : cells[j].trim()));
+    return toSample(row, `line ${i + 2}`);
+  });
+}
+
+/**
+ * Parse a JSON dataset: an array of `{amountRatio, ..., label}` objects or
+ * `{features: [...], label}` objects.
+ */
+function parseJson(text) {
+  const data = JSON.parse(text);
+  if (!Array.isArray(data)) throw new Error("JSON dataset must be an array");
+  return data.map((obj, i) => toSample(obj, `entry ${i}`));
+}
+
+/** Load a `.csv` or `.json` dataset from disk. */
+function loadDataset(file) {
+  const text = fs.readFileSync(file, "utf8");
+  return path.extname(file).toLowerCase() === ".json" ? parseJson(text) : parseCsv(text);
+}
+
+/** Deterministic PRNG (mulberry32) so runs are reproducible. */
+function createRng(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(arr, rng) {
+  const out = arr.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/** Shuffle and split samples into train / validation sets. */
+function splitDataset(samples, valFraction = 0.2, seed = 1) {
+  const shuffled = shuffle(samples, createRng(seed));
+  const nVal = Math.round(shuffled.length * valFraction);
+  return { train: shuffled.slice(nVal), validation: shuffled.slice(0, nVal) };
+}
+
+// ================================================================
+//                       FLOAT NETWORK
+// ================================================================
+
+function fastSigmoid(z) {
+  return 0.5 + (0.5 * z) / (1 + Math.abs(z));
+}
+
+/** Forward pass in floats; returns intermediates needed for backprop. */
+function forwardFloat(m, x) {
+  const shapes = layerShapes(m.layers);
+  const acts = [x.slice(0, m.layers[0])];
+  const pres = [];
+  let z = 0;
+  shapes.forEach(({ fanIn, size, weightOffset, biasOffset }, l) => {
+    const input = acts[l];
+    const pre = new Array(size);
+    for (let i = 0; i < size; i++) {
+      let s = m.biases[biasOffset + i];
+      for (let j = 0; j < fanIn; j++) s += input[j] * m.weights[weightOffset + i * fanIn + j];
+      pre[i] = s;
+    }
+    pres.push(pre);
+    if (l === shapes.length - 1) z = pre[0];
+    else acts.push(pre.map((v) => (v > 0 ? v : 0)));
+  });
+  return { acts, pres, z, p: fastSigmoid(z) };
+}
+
+function bce(p, y) {
+  const q = Math.min(1 - EPS, Math.max(EPS, p));
+  return -(y * Math.log(q) + (1 - y) * Math.log(1 - q));
+}
+
+/** Mean binary cross-entropy of a float model over `samples`. */
+function meanLoss(m, samples) {
+  if (samples.length === 0) return NaN;
+  let total = 0;
+  for (const s of samples) total += bce(forwardFloat(m, s.x).p, s.y);
+  return total / samples.length;
+}
+
+function zerosLike(m) {
+  return {
+    layers: m.layers,
+    weights: new Array(m.weights.length).fill(0),
+    biases: new Array(m.biases.length).fill(0),
+  };
+}
+
+function accumulateGradient(m, g, x, y) {
+  const { acts, pres, z, p } = forwardFloat(m, x);
+  const q = Math.min(1 - EPS, Math.max(EPS, p));
+  // dL/dp for BCE, times the fast-sigmoid derivative 0.5 / (1 + |z|)^2
+  const denom = 1 + Math.abs(z);
+  let delta = [((q - y) / (q * (1 - q))) * (0.5 / (denom * denom))];
+
+  const shapes = layerShapes(m.layers);
+  for (let l = shapes.length - 1; l >= 0; l--) {
+    const { fanIn, size, weightOffset, biasOffset } = shapes[l];
+    const input = acts[l];
+    const back = new Array(fanIn).fill(0);
+    for (let i = 0; i < size; i++) {
+      if (delta[i] === 0) continue;
+      g.biases[biasOffset + i] += delta[i];
+      const base = weightOffset + i * fanIn;
+      for (let j = 0; j < fanIn; j++) {
+        g.weights[base + j] += delta[i] * input[j];
+        back[j] += delta[i] * m.weights[base + j];
+      }
+    }
+    // ReLU gate of the layer below (the input layer has none and needs no delta)
+    if (l > 0) delta = back.map((d, j) => (pres[l - 1][j] > 0 ? d : 0));
+  }
+}
+
+/**
+ * Train a float model with mini-batch Adam.
+ *
+ * @param {{x: number[], y: number}[]} trainSet
+ * @param {object} [opts]
+ * @param {object} [opts.init]      Fixed-point starting model (e.g. DEFAULT_MODEL)
+ * @param {number[]} [opts.layers]  Topology of a randomly initialised model
+ *                                  when `init` is not given (default 4-8-1)
+ * @param {number} [opts.epochs=200]
+ * @param {number} [opts.learningRate=0.01]
+ * @param {number} [opts.batchSize=32]
+ * @param {number} [opts.l2=0]      L2 penalty on weights (not biases)
+ * @param {number} [opts.seed=1]
+ * @param {{x: number[], y: number}[]} [opts.validation]
+ * @param {(epoch: number, trainLoss: number, valLoss: number) => void} [opts.onEpoch]
+ * @returns {{model: object, history: {epoch: number, trainLoss: number, valLoss: number}[]}}
+ *          `model` is the quantised 1e18 model ready for `updateModel()`.
+ */
+function train(trainSet, opts = {}) {
+  const {
+    init,
+    layers = DEFAULT_MODEL.layers,
+    epochs = 200,
+    learningRate = 0.01,
+    batchSize = 32,
+    l2 = 0,
+    seed = 1,
+    validation = [],
+    onEpoch,
+  } = opts;
+  if (trainSet.length === 0) throw new Error("Training set is empty");
+  const inputs = init ? init.layers[0] : layers[0];
+  const short = [...trainSet, ...validation].find((s) => s.x.length < inputs);
+  if (short) throw new Error(`Model reads ${inputs} features but a sample has ${short.x.length}`);
+
+  const rng = createRng(seed);
+  const m = init ? toFloatModel(init) : randomModel(rng, layers);
+  const mom = zerosLike(m);
+  const vel = zerosLike(m);
+  const b1 = 0.9;
+  const b2 = 0.999;
+  let step = 0;
+
+  const update = (g, scale) => {
+    step++;
+    const c1 = 1 - b1 ** step;
+    const c2 = 1 - b2 ** step;
+    for (const key of ["weights", "biases"]) {
+      for (let i = 0; i < m[key].length; i++) {
+        let grad = g[key][i] * scale;
+        if (key === "weights") grad += l2 * m[key][i];
+        mom[key][i] = b1 * mom[key][i] + (1 - b1) * grad;
+        vel[key][i] = b2 * vel[key][i] + (1 - b2) * grad * grad;
+        m[key][i] -= (learningRate * (mom[key][i] / c1)) / (Math.sqrt(vel[key][i] / c2) + 1e-8);
+      }
+    }
+  };
+
+  const history = [];
+  for (let epoch = 1; epoch <= epochs; epoch++) {
+    const order = shuffle(trainSet, rng);
+    for (let start = 0; start < order.length; start += batchSize) {
+      const batch = order.slice(start, start + batchSize);
+      const g = zerosLike(m);
+      for (const s of batch) accumulateGradient(m, g, s.x, s.y);
+      update(g, 1 / batch.length);
+    }
+    const entry = {
+      epoch,
+      trainLoss: meanLoss(m, trainSet),
+      valLoss: meanLoss(m, validation),
+    };
+    history.push(entry);
+    if (onEpoch) onEpoch(entry.epoch, entry.trainLoss, entry.valLoss);
+  }
+
+  return { model: toFixedModel(m), history };
+}
+
+function randomModel(rng, layers) {
+  assertTopology(layers);
+  // He-style initialisation for the ReLU layers
+  const r = (scale) => (rng() * 2 - 1) * scale;
+  const shapes = layerShapes(layers);
+  const weights = [];
+  shapes.forEach(({ fanIn, size }, l) => {
+    const gain = l === shapes.length - 1 ? 1 : 2;
+    for (let i = 0; i < size * fanIn; i++) weights.push(r(Math.sqrt(gain / fanIn)));
+  });
+  return { layers: [...layers], weights, biases: new Array(parameterCounts(layers).biases).fill(0) };
+}
+
+// ================================================================
+//                        EVALUATION
+// ================================================================
+
+/**
+ * Float approximation of the risk score in [0, 100], truncated the same way
+ * the contract maps its sigmoid output. Use `reference.forwardPass` when the
+ * exact on-chain value matters.
+ */
+function riskScoreFloat(model, x) {
+  return scoreFloat(toFloatModel(model), x);
+}
+
+function scoreFloat(m, x) {
+  const { p } = forwardFloat(m, x);
+  return Math.min(MAX_RISK, Math.max(0, Math.floor(p * MAX_RISK)));
+}
+
+/**
+ * Compare how two models route the same samples.
+ *
+ * @returns {{
+ *   transitions: Record<string, Record<string, number>>,
+ *   byLabel: {current: object, candidate: object},
+ *   changed: number,
+ *   total: number
+ * }} `transitions[current][candidate]` counts samples per route pair;
+ *    `byLabel.*[route]` is `{fraud, legit}` counts per route.
+ */
+function compareRouting(currentModel, candidateModel, samples, thresholds = {}) {
+  const { lowThreshold = 30, highThreshold = 70 } = thresholds;
+  const transitions = {};
+  const byLabel = { current: {}, candidate: {} };
+  for (const a of ROUTES) {
+    transitions[a] = {};
+    for (const b of ROUTES) transitions[a][b] = 0;
+    byLabel.current[a] = { fraud: 0, legit: 0 };
+    byLabel.candidate[a] = { fraud: 0, legit: 0 };
+  }
+
+  let changed = 0;
+  for (const s of samples) {
+    // Score with the contract's integer math so routing matches on-chain
+    const x = s.x.map(toFixed);
+    const a = routeFor(forwardPass(currentModel, x), lowThreshold, highThreshold);
+    const b = routeFor(forwardPass(candidateModel, x), lowThreshold, highThreshold);
+    transitions[a][b]++;
+    const bucket = s.y === 1 ? "fraud" : "legit";
+    byLabel.current[a][bucket]++;
+    byLabel.candidate[b][bucket]++;
+    if (a !== b) changed++;
+  }
+  return { transitions, byLabel, changed, total: samples.length };
+}
+
+/** Render a `compareRouting` result as a plain-text table. */
+function formatRoutingReport(report) {
+  const pad = (s, n) => String(s).padStart(n);
+  const lines = [];
+  lines.push("Routing transitions (rows = current model, columns = candidate):");
+  lines.push(`${pad("", 8)}${ROUTES.map((r) => pad(r, 8)).join("")}`);
+  for (const a of ROUTES) {
+    lines.push(`${pad(a, 8)}${ROUTES.map((b) => pad(report.transitions[a][b], 8)).join("")}`);
+  }
+  lines.push("");
+  lines.push("Route by label (fraud / legit):");
+  lines.push(`${pad("", 8)}${pad("current", 14)}${pad("candidate", 14)}`);
+  for (const r of ROUTES) {
+    const c = report.byLabel.current[r];
+    const n = report.byLabel.candidate[r];
+    lines.push(`${pad(r, 8)}${pad(`${c.fraud} / ${c.legit}`, 14)}${pad(`${n.fraud} / ${n.legit}`, 14)}`);
+  }
+  lines.push("");
+  lines.push(`${report.changed} of ${report.total} samples change route`);
+  return lines.join("\n");
+}
+
+module.exports = {
+  parseCsv,
+  parseJson,
+  loadDataset,
+  splitDataset,
+  createRng,
+  fastSigmoid,
+  forwardFloat,
+  meanLoss,
+  train,
+  riskScoreFloat,
+  compareRouting,
+  formatRoutingReport,
+};
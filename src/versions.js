@@ -0,0 +1,198 @@
+/**
+ * @file Tooling for on-chain model versions.
+ *
+ * Every weight set the guardian has run is stored as a numbered version
+ * together with `keccak256(abi.encode(layers, weights, biases))`, and every
+ * `RiskAssessed` event records the version that scored it. These helpers
+ * compute the same hash off-chain, diff two versions parameter by
+ * parameter and replay indexed transfers through both to show which ones
+ * would have been routed differently.
+ */
+
+const { AbiCoder, keccak256 } = require("ethers");
+
+const {
+  FEATURE_NAMES,
+  NEURON_LABELS,
+  layerShapes,
+  neuronLabels,
+  formatTopology,
+  fromFixed,
+  fromContractWeights,
+  routeFor,
+} = require("./model");
+const { forwardPass } = require("./reference");
+
+const ROUTES = ["low", "medium", "high"];
+
+/** `weightsHash` of a model as stored by `_recordModel`. */
+function modelHash(model) {
+  const encoded = AbiCoder.defaultAbiCoder().encode(
+    ["uint256[]", "int256[]", "int256[]"],
+    [model.layers, model.weights, model.biases]
+  );
+  return keccak256(encoded);
+}
+
+/**
+ * Read every recorded version with its status.
+ * @returns {Promise<{version: bigint, layers: number[], weightsHash: string, proposedAt: bigint,
+ *                    activatesAt: bigint, activatedAt: bigint,
+ *                    status: "active"|"previous"|"pending"|"ready"|"retired"}[]>}
+ */
+async function listVersions(contract) {
+  const count = await contract.modelVersionCount();
+  const active = await contract.activeModelVersion();
+  const previous = await contract.previousModelVersion();
+  const now = BigInt((await contract.runner.provider.getBlock("latest")).timestamp);
+
+  const out = [];
+  for (let v = 1n; v <= count; v++) {
+    const m = await contract.getModelVersion(v);
+    let status;
+    if (v === active) status = "active";
+    else if (v === previous) status = "previous";
+    else if (m.activatedAt !== 0n) status = "retired";
+    else status = now < m.activatesAt ? "pending" : "ready";
+    const [layers] = await contract.getModelVersionWeights(v);
+    out.push({
+      version: v,
+      layers: [...layers].map(Number),
+      weightsHash: m.weightsHash,
+      proposedAt: m.proposedAt,
+      activatesAt: m.activatesAt,
+      activatedAt: m.activatedAt,
+      status,
+    });
+  }
+  return out;
+}
+
+/** Weights of a recorded version as a bigint model. */
+async function versionWeights(contract, version) {
+  return fromContractWeights(await contract.getModelVersionWeights(version));
+}
+
+/**
+ * Human names of every weight and bias of a topology, in array order.
+ * The last hidden layer uses the roles from `neuronLabels`.
+ * @returns {{weights: string[], biases: string[]}}
+ */
+function paramNames(layers) {
+  const labels = neuronLabels(layers);
+  const last = layers.length - 2;
+  const roles = labels === NEURON_LABELS;
+  const neuron = (l, i) => {
+    if (l === 0) return FEATURE_NAMES[i];
+    if (l === last && roles) return `H${i} ${labels[i]}`;
+    return `L${l} N${i}`;
+  };
+
+  const weights = [];
+  const biases = [];
+  layerShapes(layers).forEach(({ fanIn, size }, idx) => {
+    const l = idx + 1;
+    const target = (i) => (l > last ? "output" : neuron(l, i));
+    for (let i = 0; i < size; i++) {
+      for (let j = 0; j < fanIn; j++) weights.push(`${target(i)} <- ${neuron(l - 1, j)}`);
+      biases.push(`${target(i)} bias`);
+    }
+  });
+  return { weights, biases };
+}
+
+/**
+ * Parameters that differ between two models. Models with different
+ * topologies are not comparable weight by weight; the result is then a
+ * single `layers` entry with the two topologies as strings.
+ * @returns {{param: string, from: bigint|string, to: bigint|string}[]}
+ */
+function diffModels(a, b) {
+  if (formatTopology(a.layers) !== formatTopology(b.layers)) {
+    return [{ param: "layers", from: formatTopology(a.layers), to: formatTopology(b.layers) }];
+  }
+  const names = paramNames(a.layers);
+  const out = [];
+  for (const key of ["weights", "biases"]) {
+    for (let i = 0; i < a[key].length; i++) {
+      if (a[key][i] !== b[key][i]) {
+        out.push({ param: `${key}[${i}] ${names[key][i]}`, from: a[key][i], to: b[key][i] });
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Re-score historical assessments with two models using their recorded
+ * features and the contract's integer math.
+ *
+ * @param {object[]} assessments  `GuardianIndexer#assessments()` records
+ * @param {object} fromModel
+ * @param {object} toModel
+ * @param {{lowThreshold?: number, highThreshold?: number}} [thresholds]
+ * @returns {{transitions: object, changed: object[], total: number}}
+ *          `changed` lists the assessments whose route differs, with both scores.
+ */
+function rerouteHistory(assessments, fromModel, toModel, thresholds = {}) {
+  const { lowThreshold = 30, highThreshold = 70 } = thresholds;
+  const transitions = {};
+  for (const a of ROUTES) {
+    transitions[a] = {};
+    for (const b of ROUTES) transitions[a][b] = 0;
+  }
+
+  const changed = [];
+  for (const r of assessments) {
+    const fromScore = forwardPass(fromModel, r.features);
+    const toScore = forwardPass(toModel, r.features);
+    const fromRoute = routeFor(fromScore, lowThreshold, highThreshold);
+    const toRoute = routeFor(toScore, lowThreshold, highThreshold);
+    transitions[fromRoute][toRoute]++;
+    if (fromRoute !== toRoute) {
+      changed.push({ ...r, fromScore, toScore, fromRoute, toRoute });
+    }
+  }
+  return { transitions, changed, total: assessments.length };
+}
+
+/** Plain-text rendering of `diffModels` + `rerouteHistory` output. */
+function formatVersionDiff(from, to, params, reroute) {
+  const pad = (s, n) => String(s).padStart(n);
+  const lines = [`Model v${from} -> v${to}: ${params.length} parameter(s) changed`];
+  for (const p of params) {
+    if (typeof p.from === "string") {
+      lines.push(`  ${p.param.padEnd(48)} ${p.from} -> ${p.to}`);
+      continue;
+    }
+    const d = fromFixed(p.to - p.from);
+    lines.push(`  ${p.param.padEnd(48)} ${fromFixed(p.from).toFixed(4)} -> ${fromFixed(p.to).toFixed(4)}` +
+      `  (${d >= 0 ? "+" : ""}${d.toFixed(4)})`);
+  }
+  if (!reroute) return lines.join("\n");
+
+  lines.push("", `Routing of ${reroute.total} historical transfer(s) (rows = v${from}, columns = v${to}):`);
+  lines.push(`${pad("", 8)}${ROUTES.map((r) => pad(r, 8)).join("")}`);
+  for (const a of ROUTES) {
+    lines.push(`${pad(a, 8)}${ROUTES.map((b) => pad(reroute.transitions[a][b], 8)).join("")}`);
+  }
+  if (reroute.changed.length) {
+    lines.push("", "Transfers that change route:");
+    for (const c of reroute.changed) {
+      lines.push(
+        `  block ${c.blockNumber}  ${c.sender} -> ${c.recipient}  ` +
+          `${c.fromRoute} (${c.fromScore}) -> ${c.toRoute} (${c.toScore})  tx ${c.transactionHash}`
+      );
+    }
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  modelHash,
+  listVersions,
+  versionWeights,
+  diffModels,
+  rerouteHistory,
+  formatVersionDiff,
+};
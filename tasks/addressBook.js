@@ -0,0 +1,49 @@
+const fs = require("fs");
+const { task } = require("hardhat/config");
+
+/**
+ * npx hardhat address-book --guardian 0x...
+ *   [--user 0xUser] [--export book.csv] [--import book.json] [--prune] [--from 0xSigner]
+ *
+ * Lists the trusted recipients of --user (default: the signer), marking
+ * those still waiting out the activation delay. --export writes them as
+ * JSON or CSV (by extension); --import trusts every address in the file
+ * that is not trusted yet, and with --prune revokes the ones it leaves out.
+ * Imports are sent from the signer and so change the signer's own list.
+ */
+task("address-book", "Show, export or import a user's trusted recipients")
+  .addParam("guardian", "Guardian contract address")
+  .addOptionalParam("user", "Whose list to show or export (default: the signer)")
+  .addOptionalParam("export", "Write the list to this .json or .csv file")
+  .addOptionalParam("import", "Trust the addresses in this .json or .csv file")
+  .addFlag("prune", "With --import, revoke trusted addresses missing from the file")
+  .addOptionalParam("from", "Signer address (default: first account)")
+  .setAction(async (args, hre) => {
+    const {
+      bookFormat,
+      parseAddressBook,
+      serializeAddressBook,
+      importAddressBook,
+      formatAddressBook,
+    } = require("../src/addressBook");
+    const { GuardianClient } = require("../src/sdk");
+
+    const signer = args.from ? await hre.ethers.getSigner(args.from) : (await hre.ethers.getSigners())[0];
+    const client = GuardianClient.connect(args.guardian, signer);
+
+    let imported;
+    if (args.import) {
+      const book = parseAddressBook(fs.readFileSync(args.import, "utf8"), bookFormat(args.import));
+      imported = await importAddressBook(client, book, { prune: args.prune });
+      console.log(`Trusted ${imported.trust.length}, revoked ${imported.revoke.length} for ${signer.address}`);
+    }
+
+    const user = args.user || signer.address;
+    const entries = await client.getTrustedRecipients(user);
+    console.log(`\nTrusted by ${user}: ${formatAddressBook(entries)}`);
+    if (args.export) {
+      fs.writeFileSync(args.export, serializeAddressBook(entries, bookFormat(args.export)));
+      console.log(`\nWrote ${args.export}`);
+    }
+    return { entries, imported };
+  });
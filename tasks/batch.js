@@ -0,0 +1,38 @@
+const fs = require("fs");
+const { task } = require("hardhat/config");
+
+/**
+ * npx hardhat batch-transfer --guardian 0x... --file payees.csv
+ *   [--dry-run] [--from 0xSigner]
+ *
+ * Pays every `recipient,amount` row of the CSV in one `batchTransfer`.
+ * The batch is always simulated with staticCall first and the rows the
+ * guardian would hold are reported; --dry-run stops there.
+ */
+task("batch-transfer", "Pay a CSV of recipients through batchTransfer")
+  .addParam("guardian", "Guardian contract address")
+  .addParam("file", "CSV with recipient,amount rows (amount in USDC, e.g. 250.5)")
+  .addFlag("dryRun", "Simulate with staticCall only, send nothing")
+  .addOptionalParam("from", "Signer address (default: first account)")
+  .setAction(async (args, hre) => {
+    const { parsePayees, simulateBatch, formatBatchReport } = require("../src/batch");
+    const { GuardianClient } = require("../src/sdk");
+
+    const signer = args.from ? await hre.ethers.getSigner(args.from) : (await hre.ethers.getSigners())[0];
+    const contract = await hre.ethers.getContractAt("NeuralUSDCGuardian", args.guardian, signer);
+    const payees = parsePayees(fs.readFileSync(args.file, "utf8"));
+
+    const report = await simulateBatch(contract, payees);
+    console.log(formatBatchReport(report));
+    if (args.dryRun) {
+      console.log("\nDry run: nothing sent.");
+      return report;
+    }
+
+    const result = await GuardianClient.connect(args.guardian, signer).batchTransfer(payees);
+    console.log(`\nBatch #${result.batchId} sent (tx ${result.receipt.hash})`);
+    for (const [i, row] of result.rows.entries()) {
+      if (row.kind !== "autoApproved") console.log(`  line ${payees[i].line}: pending #${row.txId} (${row.kind})`);
+    }
+    return result;
+  });
@@ -0,0 +1,45 @@
+const fs = require("fs");
+const { task } = require("hardhat/config");
+
+/**
+ * npx hardhat explain-risk --guardian 0x... --sender 0x... --recipient 0x...
+ *   --amount 500 [--out site/explain.json]
+ *
+ * Calls `explainRisk` and prints which hidden neurons and input features
+ * drove the score. --out writes the float view the landing page animates
+ * (open index.html?explain=explain.json).
+ */
+task("explain-risk", "Explain the risk score of a hypothetical transfer")
+  .addParam("guardian", "Guardian contract address")
+  .addParam("sender", "Sender address")
+  .addParam("recipient", "Recipient address")
+  .addParam("amount", "Amount in USDC (decimal, e.g. 250.5)")
+  .addOptionalParam("out", "Write the landing-page view JSON here")
+  .setAction(async (args, hre) => {
+    const { fromContractWeights } = require("../src/model");
+    const { fromExplainRisk, attribute, formatAttribution, toView } = require("../src/explain");
+
+    const { ethers } = hre;
+    const guardian = await ethers.getContractAt("NeuralUSDCGuardian", args.guardian);
+    const amount = ethers.parseUnits(args.amount, 6);
+
+    const explanation = fromExplainRisk(await guardian.explainRisk(args.sender, args.recipient, amount));
+    const model = fromContractWeights(await guardian.getModelWeights());
+    const report = attribute(model, explanation);
+    console.log(formatAttribution(report));
+
+    if (args.out) {
+      const short = (a) => `${a.slice(0, 6)}...${a.slice(-4)}`;
+      const view = toView(explanation, {
+        from: short(args.sender),
+        to: short(args.recipient),
+        amount: `${args.amount} USDC`,
+        lowThreshold: Number(await guardian.lowThreshold()),
+        highThreshold: Number(await guardian.highThreshold()),
+        layers: model.layers,
+      });
+      fs.writeFileSync(args.out, JSON.stringify(view, null, 2) + "\n");
+      console.log(`\nView written to ${args.out}`);
+    }
+    return report;
+  });
@@ -0,0 +1,68 @@
+const path = require("path");
+const { task, types } = require("hardhat/config");
+
+/**
+ * npx hardhat guardian-console --guardian 0x... [list|approve|execute]
+ *   [--ids 3,4] [--all] [--dry-run] [--from 0xSigner]
+ *
+ * Guardian view of the multi-sig queue. `list` (default) shows every open
+ * multi-sig transfer that has not expired together with the features and
+ * hidden activations behind the score. `approve` / `execute` act on the
+ * given ids, or with --all on every tx the caller can act on; each call is
+ * simulated with staticCall first and only clean ones are sent.
+ */
+task("guardian-console", "List and act on the guardian multi-sig queue")
+  .addPositionalParam("action", "list | approve | execute", "list")
+  .addParam("guardian", "Guardian contract address")
+  .addOptionalParam("ids", "Comma-separated pending tx ids")
+  .addFlag("all", "Act on every eligible tx in the queue")
+  .addFlag("dryRun", "Simulate with staticCall only, send nothing")
+  .addOptionalParam("from", "Signer address (default: first account)")
+  .addOptionalParam("store", "Index file (default .indexer/<network>-<address>.json)")
+  .addOptionalParam("fromBlock", "Deployment block to start scanning from", 0, types.int)
+  .setAction(async (args, hre) => {
+    const { GuardianIndexer, JsonStore } = require("../src/indexer");
+    const { loadQueue, runBulk, formatQueue, formatBulk } = require("../src/guardianConsole");
+
+    const actions = { list: null, approve: "approvePending", execute: "executePending" };
+    if (!(args.action in actions)) throw new Error(`Unknown action "${args.action}" (list, approve, execute)`);
+    if (args.action !== "list" && !args.ids === !args.all) throw new Error("Pass exactly one of --ids or --all");
+
+    const signer = args.from ? await hre.ethers.getSigner(args.from) : (await hre.ethers.getSigners())[0];
+    const contract = await hre.ethers.getContractAt("NeuralUSDCGuardian", args.guardian, signer);
+
+    const file =
+      args.store ||
+      path.join(hre.config.paths.root, ".indexer", `${hre.network.name}-${args.guardian.toLowerCase()}.json`);
+    const indexer = new GuardianIndexer({
+      address: args.guardian,
+      provider: hre.ethers.provider,
+      store: new JsonStore(file),
+      fromBlock: args.fromBlock,
+    });
+    await indexer.sync();
+
+    const queue = await loadQueue({ contract, indexer, caller: signer.address });
+    if (args.action === "list") {
+      console.log(`Guardian queue for ${signer.address} (${queue.length}):\n`);
+      console.log(formatQueue(queue));
+      return queue;
+    }
+
+    let ids;
+    if (args.ids) {
+      ids = args.ids.split(",").map((s) => BigInt(s.trim()));
+    } else if (args.action === "approve") {
+      ids = queue.filter((r) => !r.hasApproved && !r.executable).map((r) => r.txId);
+    } else {
+      ids = queue.filter((r) => r.executable).map((r) => r.txId);
+    }
+    if (ids.length === 0) {
+      console.log(`Nothing to ${args.action}.`);
+      return [];
+    }
+
+    const results = await runBulk(contract, actions[args.action], ids, { dryRun: args.dryRun });
+    console.log(formatBulk(actions[args.action], results, { dryRun: args.dryRun }));
+    return results;
+  });
@@ -0,0 +1,96 @@
+const path = require("path");
+const { task, types } = require("hardhat/config");
+
+/**
+ * npx hardhat index-events --guardian 0x... [--from-block N]
+ *   [--awaiting 0xGuardian] [--history 0xUser] [--trusted 0xUser] [--recoveries]
+ *   [--policy 0xUser]
+ *
+ * Syncs the local event index and answers queries from it. With no query
+ * flag, lists all open pending transfers.
+ */
+task("index-events", "Sync the guardian event index and query it")
+  .addParam("guardian", "Guardian contract address")
+  .addOptionalParam("store", "Index file (default .indexer/<network>-<address>.json)")
+  .addOptionalParam("fromBlock", "Deployment block to start scanning from", 0, types.int)
+  .addOptionalParam("confirmations", "Only index blocks this deep", 0, types.int)
+  .addOptionalParam("awaiting", "List open multi-sig txs this guardian has not approved")
+  .addOptionalParam("history", "Show the risk history of this sender")
+  .addOptionalParam("trusted", "Show the trusted-recipient list of this user")
+  .addFlag("recoveries", "List scheduled, cancelled and executed account recoveries")
+  .addOptionalParam("policy", "Show the personal risk policy and owner override of this user")
+  .setAction(async (args, hre) => {
+    const { GuardianIndexer, JsonStore } = require("../src/indexer");
+
+    const file =
+      args.store ||
+      path.join(hre.config.paths.root, ".indexer", `${hre.network.name}-${args.guardian.toLowerCase()}.json`);
+    const indexer = new GuardianIndexer({
+      address: args.guardian,
+      provider: hre.ethers.provider,
+      store: new JsonStore(file),
+      fromBlock: args.fromBlock,
+      confirmations: args.confirmations,
+    });
+
+    const res = await indexer.sync();
+    console.log(
+      `Indexed blocks ${res.fromBlock}..${res.toBlock}: ${res.events} new events` +
+        (res.reorged ? `, ${res.reorged} rolled back by reorg` : "")
+    );
+
+    const fmt = (p) =>
+      `#${p.txId}  ${p.sender} ${p.withdrawal ? "withdrawing to" : "->"} ${p.recipient}` +
+      `  ${hre.ethers.formatUnits(p.amount, 6)} USDC` +
+      `  risk ${p.riskScore}  ${p.requiresMultiSig ? `multisig (${p.approvals.length} approvals)` : "timelock"}` +
+      (p.reason && p.reason !== "riskScore" ? `  held: ${p.reason}` : "");
+
+    if (args.awaiting) {
+      const list = indexer.awaitingApproval(args.awaiting);
+      console.log(`\n${list.length} multi-sig transfer(s) awaiting ${args.awaiting}:`);
+      list.forEach((p) => console.log(`  ${fmt(p)}`));
+    }
+    if (args.history) {
+      const list = indexer.riskHistory(args.history);
+      console.log(`\nRisk history of ${args.history} (${list.length}):`);
+      for (const r of list) {
+        const f = r.features.map((v) => (Number(v) / 1e18).toFixed(3)).join(", ");
+        console.log(`  block ${r.blockNumber}  -> ${r.recipient}  risk ${r.riskScore}  [${f}]`);
+      }
+    }
+    if (args.trusted) {
+      const list = indexer.trustedEntries(args.trusted);
+      console.log(`\nTrusted by ${args.trusted} (${list.length}):`);
+      for (const e of list) {
+        console.log(`  ${e.address}  active from ${new Date(Number(e.activeAt) * 1000).toISOString()}`);
+      }
+    }
+    if (args.recoveries) {
+      const list = indexer.recoveries();
+      console.log(`\n${list.length} account recover${list.length === 1 ? "y" : "ies"}:`);
+      for (const r of list) {
+        const when =
+          r.status === "scheduled" ? `  ready at ${new Date(Number(r.readyAt) * 1000).toISOString()}` : "";
+        console.log(`  ${r.user} -> ${r.newAddress}  ${r.status}${when}`);
+      }
+    }
+    if (args.policy) {
+      const { personal, override, queued } = indexer.riskPolicy(args.policy);
+      const fmtPolicy = (p) =>
+        `auto < ${p.lowThreshold}, multisig >= ${p.highThreshold}, ` +
+        `timelock ${p.timelockDuration}s, ${p.minApprovals} approvals`;
+      console.log(`
+Risk policy of ${args.policy}:`);
+      console.log(`  override: ${override ? fmtPolicy(override) : "none (global policy)"}`);
+      console.log(`  personal: ${personal ? fmtPolicy(personal) : "none"}`);
+      if (queued) {
+        const at = new Date(Number(queued.effectiveAt) * 1000).toISOString();
+        console.log(`  queued:   ${queued.cleared ? "clear" : fmtPolicy(queued)} from ${at}`);
+      }
+    }
+    if (!args.awaiting && !args.history && !args.trusted && !args.recoveries && !args.policy) {
+      const list = indexer.openPending();
+      console.log(`\n${list.length} open pending transfer(s):`);
+      list.forEach((p) => console.log(`  ${fmt(p)}`));
+    }
+  });
@@ -0,0 +1,140 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+
+/**
+ * npx hardhat model-versions --guardian 0x... [list|diff|propose|activate|rollback|shadow]
+ *   diff:     --from 1 --to 3   (default: previous -> active, or active -> newest)
+ *   propose:  --weights weights.json
+ *   activate: --id 3
+ *   shadow:   --id 3            (--id 0 stops shadow scoring)
+ *
+ * Lists recorded model versions, diffs two of them (weights and the routing
+ * of every indexed historical transfer) and drives the propose / shadow /
+ * activate / rollback lifecycle from the owner account.
+ */
+task("model-versions", "List, diff and roll out guardian model versions")
+  .addPositionalParam("action", "list | diff | propose | activate | rollback | shadow", "list")
+  .addParam("guardian", "Guardian contract address")
+  .addOptionalParam("from", "diff: base version", undefined, types.int)
+  .addOptionalParam("to", "diff: candidate version", undefined, types.int)
+  .addOptionalParam("weights", "propose: serialised weights file")
+  .addOptionalParam("id", "activate / shadow: version id", undefined, types.int)
+  .addOptionalParam("store", "Index file for diff (default .indexer/<network>-<address>.json)")
+  .addOptionalParam("fromBlock", "Deployment block to start scanning from", 0, types.int)
+  .setAction(async (args, hre) => {
+    const { parseModel, toUpdateModelArgs, formatTopology } = require("../src/model");
+    const { withDecodedErrors } = require("../src/errors");
+    const {
+      listVersions,
+      versionWeights,
+      diffModels,
+      rerouteHistory,
+      formatVersionDiff,
+    } = require("../src/versions");
+
+    const guardian = await hre.ethers.getContractAt("NeuralUSDCGuardian", args.guardian);
+    const send = async (label, fn) => {
+      const receipt = await withDecodedErrors(async () => (await fn()).wait());
+      console.log(`${label} (tx ${receipt.hash})`);
+    };
+    const date = (t) => new Date(Number(t) * 1000).toISOString();
+
+    switch (args.action) {
+      case "list": {
+        const versions = await listVersions(guardian);
+        for (const v of versions) {
+          const when = v.activatedAt ? `activated ${date(v.activatedAt)}` : `activates ${date(v.activatesAt)}`;
+          console.log(
+            `v${v.version}  ${v.status.padEnd(8)}  ${formatTopology(v.layers).padEnd(10)}  ${v.weightsHash}  ${when}`
+          );
+        }
+        return versions;
+      }
+
+      case "diff": {
+        const active = await guardian.activeModelVersion();
+        const previous = await guardian.previousModelVersion();
+        const count = await guardian.modelVersionCount();
+        const from = BigInt(args.from ?? (count > active ? active : previous));
+        const to = BigInt(args.to ?? (count > active ? count : active));
+        if (from === 0n) throw new Error("Nothing to diff against; pass --from and --to");
+
+        const { GuardianIndexer, JsonStore } = require("../src/indexer");
+        const file =
+          args.store ||
+          path.join(hre.config.paths.root, ".indexer", `${hre.network.name}-${args.guardian.toLowerCase()}.json`);
+        const indexer = new GuardianIndexer({
+          address: args.guardian,
+          provider: hre.ethers.provider,
+          store: new JsonStore(file),
+          fromBlock: args.fromBlock,
+        });
+        await indexer.sync();
+
+        const a = await versionWeights(guardian, from);
+        const b = await versionWeights(guardian, to);
+        const reroute = rerouteHistory(indexer.assessments(), a, b, {
+          lowThreshold: Number(await guardian.lowThreshold()),
+          highThreshold: Number(await guardian.highThreshold()),
+        });
+        console.log(formatVersionDiff(from, to, diffModels(a, b), reroute));
+        return reroute;
+      }
+
+      case "propose": {
+        if (!args.weights) throw new Error("propose needs --weights");
+        const model = parseModel(JSON.parse(fs.readFileSync(args.weights, "utf8")));
+        await send("proposeModel(...)", () => guardian.proposeModel(...toUpdateModelArgs(model)));
+        const version = await guardian.modelVersionCount();
+        const { activatesAt } = await guardian.getModelVersion(version);
+        console.log(`Recorded v${version}; activatable from ${date(activatesAt)}`);
+        return version;
+      }
+
+      case "activate":
+        if (args.id === undefined) throw new Error("activate needs --id");
+        await send(`activateModel(${args.id})`, () => guardian.activateModel(args.id));
+        return BigInt(args.id);
+
+      case "rollback": {
+        const to = await guardian.previousModelVersion();
+        await send(`rollbackModel() -> v${to}`, () => guardian.rollbackModel());
+        return to;
+      }
+
+      case "shadow":
+        if (args.id === undefined) throw new Error("shadow needs --id (0 to stop)");
+        await send(`setShadowModel(${args.id})`, () => guardian.setShadowModel(args.id));
+        return BigInt(args.id);
+
+      default:
+        throw new Error(`Unknown action "${args.action}" (list, diff, propose, activate, rollback, shadow)`);
+    }
+  });
+
+/**
+ * npx hardhat shadow-report --guardian 0x... [--from-block N] [--to-block M]
+ *
+ * Confusion matrix of active vs shadow routing decisions from the
+ * ShadowRiskAssessed events in the block range.
+ */
+task("shadow-report", "Compare active and shadow model routing on live transfers")
+  .addParam("guardian", "Guardian contract address")
+  .addOptionalParam("fromBlock", "First block of the range", 0, types.int)
+  .addOptionalParam("toBlock", "Last block of the range (default: latest)", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { fetchShadowScores, confusionMatrix, formatConfusionMatrix } = require("../src/shadow");
+
+    const guardian = await hre.ethers.getContractAt("NeuralUSDCGuardian", args.guardian);
+    const scores = await fetchShadowScores(guardian, {
+      fromBlock: args.fromBlock,
+      toBlock: args.toBlock ?? "latest",
+    });
+    const reports = confusionMatrix(scores, {
+      lowThreshold: Number(await guardian.lowThreshold()),
+      highThreshold: Number(await guardian.highThreshold()),
+    });
+    console.log(formatConfusionMatrix(reports));
+    return reports;
+  });
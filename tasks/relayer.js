@@ -0,0 +1,27 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * npx hardhat relayer --guardian 0x... [--port 8546] [--from 0xSigner]
+ *   --network localhost
+ *
+ * Serves the signed-intent relayer until interrupted, paying gas from the
+ * chosen account. See src/relayer.js for the HTTP API.
+ */
+task("relayer", "Relay EIP-712 signed guardian intents over HTTP")
+  .addParam("guardian", "Guardian contract address")
+  .addOptionalParam("port", "Port to listen on", 8546, types.int)
+  .addOptionalParam("host", "Interface to bind", "127.0.0.1")
+  .addOptionalParam("from", "Relayer signer address (default: first account)")
+  .setAction(async (args, hre) => {
+    const { GuardianClient } = require("../src/sdk");
+    const { createRelayer } = require("../src/relayer");
+
+    const signer = args.from ? await hre.ethers.getSigner(args.from) : (await hre.ethers.getSigners())[0];
+    const client = GuardianClient.connect(args.guardian, signer);
+    const server = await createRelayer({ client, log: (line) => console.log(line) });
+
+    await new Promise((resolve) => server.listen(args.port, args.host, resolve));
+    console.log(`Relaying intents for ${args.guardian} on http://${args.host}:${args.port} as ${signer.address}`);
+    // Keep the task alive until the process is interrupted
+    await new Promise((resolve) => server.on("close", resolve));
+  });
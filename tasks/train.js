@@ -0,0 +1,105 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+
+/**
+ * npx hardhat train-model --data samples.csv --out weights.json
+ *   [--guardian 0x...] [--layers 4,16,8,1] [--network sepolia]
+ *
+ * Trains a network on a labelled dataset and writes weights in the
+ * updateModel() layout. With --guardian the current on-chain weights and
+ * thresholds are used as the baseline; otherwise the constructor defaults.
+ * Training starts from the baseline (or --init) unless --layers asks for a
+ * different topology, which starts from random weights.
+ */
+task("train-model", "Train guardian weights from a labelled dataset")
+  .addParam("data", "Labelled dataset (.csv or .json)")
+  .addOptionalParam("out", "Where to write the exported weights", "weights.json")
+  .addOptionalParam("guardian", "Deployed guardian to compare against")
+  .addOptionalParam("init", "Starting weights file (default: current model)")
+  .addOptionalParam("layers", "Layer sizes for a fresh model, e.g. 4,16,8,1")
+  .addOptionalParam("epochs", "Training epochs", 200, types.int)
+  .addOptionalParam("lr", "Adam learning rate", 0.01, types.float)
+  .addOptionalParam("batch", "Mini-batch size", 32, types.int)
+  .addOptionalParam("l2", "L2 weight penalty", 0, types.float)
+  .addOptionalParam("val", "Validation fraction", 0.2, types.float)
+  .addOptionalParam("seed", "RNG seed for split and shuffling", 1, types.int)
+  .setAction(async (args, hre) => {
+    const {
+      DEFAULT_MODEL,
+      parseTopology,
+      formatTopology,
+      parseModel,
+      serializeModel,
+      fromContractWeights,
+      toFloatModel,
+    } = require("../src/model");
+    const {
+      loadDataset,
+      splitDataset,
+      train,
+      meanLoss,
+      compareRouting,
+      formatRoutingReport,
+    } = require("../src/training");
+
+    let current = DEFAULT_MODEL;
+    let thresholds = { lowThreshold: 30, highThreshold: 70 };
+    if (args.guardian) {
+      const guardian = await hre.ethers.getContractAt("NeuralUSDCGuardian", args.guardian);
+      current = fromContractWeights(await guardian.getModelWeights());
+      thresholds = {
+        lowThreshold: Number(await guardian.lowThreshold()),
+        highThreshold: Number(await guardian.highThreshold()),
+      };
+    }
+    let init = args.init
+      ? parseModel(JSON.parse(fs.readFileSync(args.init, "utf8")))
+      : current;
+    const layers = args.layers ? parseTopology(args.layers) : init.layers;
+    if (formatTopology(layers) !== formatTopology(init.layers)) init = undefined;
+    console.log(`Topology ${formatTopology(layers)}${init ? "" : " (random initialisation)"}`);
+
+    const samples = loadDataset(args.data);
+    const { train: trainSet, validation } = splitDataset(samples, args.val, args.seed);
+    console.log(`Loaded ${samples.length} samples (${trainSet.length} train / ${validation.length} validation)`);
+
+    const baseline = toFloatModel(current);
+    console.log(
+      `Current model  train loss ${meanLoss(baseline, trainSet).toFixed(4)}` +
+        `  val loss ${meanLoss(baseline, validation).toFixed(4)}`
+    );
+
+    const every = Math.max(1, Math.floor(args.epochs / 10));
+    const { model, history } = train(trainSet, {
+      init,
+      layers,
+      epochs: args.epochs,
+      learningRate: args.lr,
+      batchSize: args.batch,
+      l2: args.l2,
+      seed: args.seed,
+      validation,
+      onEpoch: (epoch, trainLoss, valLoss) => {
+        if (epoch % every === 0 || epoch === args.epochs) {
+          console.log(`epoch ${String(epoch).padStart(5)}  train ${trainLoss.toFixed(4)}  val ${valLoss.toFixed(4)}`);
+        }
+      },
+    });
+
+    // Report on the quantised weights, which are what the contract will run
+    const exported = toFloatModel(model);
+    const last = history[history.length - 1];
+    console.log(
+      `Trained model  train loss ${meanLoss(exported, trainSet).toFixed(4)}` +
+        `  val loss ${meanLoss(exported, validation).toFixed(4)}` +
+        ` (float ${last.trainLoss.toFixed(4)} / ${last.valLoss.toFixed(4)})`
+    );
+
+    console.log("");
+    console.log(`Thresholds: low < ${thresholds.lowThreshold} <= medium < ${thresholds.highThreshold} <= high`);
+    const evalSet = validation.length > 0 ? validation : trainSet;
+    console.log(formatRoutingReport(compareRouting(current, model, evalSet, thresholds)));
+
+    fs.writeFileSync(args.out, JSON.stringify(serializeModel(model), null, 2) + "\n");
+    console.log(`\nWeights written to ${args.out}`);
+  });
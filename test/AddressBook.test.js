@@ -0,0 +1,123 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { GuardianClient } = require("../src/sdk");
+const {
+  bookFormat,
+  parseAddressBook,
+  serializeAddressBook,
+  planImport,
+  importAddressBook,
+  formatAddressBook,
+} = require("../src/addressBook");
+const { trustImmediately } = require("./helpers");
+
+const { ethers } = hre;
+
+describe("Address book", function () {
+  let guardian, address, client;
+  let user, alice, bob, carol;
+
+  const DAY = 24 * 3600;
+
+  beforeEach(async function () {
+    [, user, alice, bob, carol] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    const usdc = await MockUSDC.deploy();
+    const Guardian = await ethers.getContractFactory("NeuralUSDCGuardian");
+    guardian = await Guardian.deploy(await usdc.getAddress(), 24 * 3600);
+    address = await guardian.getAddress();
+    client = GuardianClient.connect(address, user);
+  });
+
+  // ================================================================
+  //  PARSING
+  // ================================================================
+
+  describe("parseAddressBook()", function () {
+    it("Should read CSV with any address column and JSON strings or objects", function () {
+      const csv = ["# payees", "status,address", `active,${alice.address.toLowerCase()}`, "", `pending,${bob.address}`];
+      expect(parseAddressBook(csv.join("\n"), "csv")).to.deep.equal([alice.address, bob.address]);
+      const json = JSON.stringify([alice.address, { address: bob.address, status: "pending" }]);
+      expect(parseAddressBook(json, "json")).to.deep.equal([alice.address, bob.address]);
+    });
+
+    it("Should name the first malformed or duplicate entry", function () {
+      expect(() => parseAddressBook(`address\n${alice.address}\n0x1234`, "csv")).to.throw(/line 3: invalid address/);
+      expect(() => parseAddressBook(JSON.stringify([alice.address, alice.address.toLowerCase()]), "json")).to.throw(
+        /entry 1: duplicate address/
+      );
+      expect(() => parseAddressBook("{}", "json")).to.throw(/must be an array/);
+      expect(() => bookFormat("book.txt")).to.throw(/Unknown address book format "txt"/);
+    });
+  });
+
+  // ================================================================
+  //  ON-CHAIN
+  // ================================================================
+
+  it("Should export pending and active entries and import them back", async function () {
+    await trustImmediately(guardian);
+    await client.setTrustedRecipient(alice.address, true);
+    await guardian.setTrustActivationDelay(DAY);
+    await client.setTrustedRecipients([bob.address], true);
+
+    const entries = await client.getTrustedRecipients(user.address);
+    expect(entries.map((e) => [e.address, e.active])).to.deep.equal([
+      [alice.address, true],
+      [bob.address, false],
+    ]);
+    expect(formatAddressBook(entries)).to.match(/^2 trusted \(1 active, 1 pending\)/);
+    expect(formatAddressBook(entries)).to.include(`${bob.address}  pending until`);
+
+    for (const format of ["csv", "json"]) {
+      expect(parseAddressBook(serializeAddressBook(entries, format), format)).to.deep.equal([
+        alice.address,
+        bob.address,
+      ]);
+    }
+
+    expect(planImport(entries, [bob.address, carol.address])).to.deep.equal({ trust: [carol.address], revoke: [] });
+    const result = await importAddressBook(client, [bob.address, carol.address], { prune: true });
+    expect(result).to.deep.include({ trust: [carol.address], revoke: [alice.address] });
+    expect(result.receipts).to.have.length(2);
+    expect((await client.getTrustedRecipients(user.address)).map((e) => e.address).sort()).to.deep.equal(
+      [bob.address, carol.address].sort()
+    );
+
+    await time.increase(DAY);
+    expect((await client.getTrustedRecipients(user.address)).every((e) => e.active)).to.be.true;
+  });
+
+  it("Should import and export from the task", async function () {
+    await trustImmediately(guardian);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "guardian-book-"));
+    const log = console.log;
+    console.log = () => {};
+    try {
+      const input = path.join(dir, "in.json");
+      const output = path.join(dir, "out.csv");
+      fs.writeFileSync(input, JSON.stringify([alice.address, bob.address]));
+
+      const { entries, imported } = await hre.run("address-book", {
+        guardian: address,
+        import: input,
+        export: output,
+        from: user.address,
+      });
+      expect(imported.trust).to.deep.equal([alice.address, bob.address]);
+      expect(entries).to.have.length(2);
+      const lines = fs.readFileSync(output, "utf8").trim().split("\n");
+      expect(lines[0]).to.equal("address,status,activeAt");
+      expect(lines[1]).to.match(new RegExp(`^${alice.address},active,\\d+$`));
+    } finally {
+      console.log = log;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,133 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { parsePayees, simulateBatch, formatBatchReport } = require("../src/batch");
+const { InsufficientBalanceError } = require("../src/errors");
+
+const { ethers } = hre;
+
+describe("Batch transfers", function () {
+  let guardian, usdc, address;
+  let sender, trustedR, riskyR, other;
+
+  const toUSDC = (n) => ethers.parseUnits(n.toString(), 6);
+  const ONE_HOUR = 3600;
+
+  beforeEach(async function () {
+    [, sender, trustedR, riskyR, other] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const Guardian = await ethers.getContractFactory("NeuralUSDCGuardian");
+    guardian = await Guardian.deploy(await usdc.getAddress(), 24 * 3600);
+    address = await guardian.getAddress();
+
+    await usdc.mint(sender.address, toUSDC(100000));
+    await usdc.connect(sender).approve(address, ethers.MaxUint256);
+    await guardian.connect(sender).register();
+    await guardian.connect(sender).deposit(toUSDC(50000));
+
+    // Small trusted history so the trusted payee passes and a large new one does not
+    await guardian.connect(sender).setTrustedRecipient(trustedR.address, true);
+    await time.increase(await guardian.trustActivationDelay());
+    for (let i = 0; i < 5; i++) {
+      await time.increase(ONE_HOUR + 1);
+      await guardian.connect(sender).transfer(trustedR.address, toUSDC(10));
+    }
+    await time.increase(ONE_HOUR + 1);
+  });
+
+  const csv = () =>
+    ["recipient,amount", `${trustedR.address},10`, "", "# contractor", `${riskyR.address.toLowerCase()},500.5`].join(
+      "\n"
+    );
+
+  // ================================================================
+  //  CSV
+  // ================================================================
+
+  describe("parsePayees()", function () {
+    it("Should parse rows with their line numbers", function () {
+      expect(parsePayees(csv())).to.deep.equal([
+        { line: 2, recipient: trustedR.address, amount: toUSDC(10) },
+        { line: 5, recipient: riskyR.address, amount: toUSDC("500.5") },
+      ]);
+      expect(parsePayees(`${other.address},1.5`, { decimals: 18 })[0].amount).to.equal(ethers.parseEther("1.5"));
+    });
+
+    it("Should name the first malformed line", function () {
+      expect(() => parsePayees(`recipient,amount\n0x1234,10`)).to.throw(/line 2: invalid recipient/);
+      expect(() => parsePayees(`${other.address},ten`)).to.throw(/line 1: invalid amount/);
+      expect(() => parsePayees(`${other.address},0`)).to.throw(/line 1: amount must be positive/);
+      expect(() => parsePayees(`${other.address}`)).to.throw(/line 1: expected "recipient,amount"/);
+      expect(() => parsePayees("recipient,amount\n")).to.throw(/No payees/);
+    });
+  });
+
+  // ================================================================
+  //  SIMULATION
+  // ================================================================
+
+  describe("simulateBatch()", function () {
+    it("Should report which rows would be held without sending", async function () {
+      const report = await simulateBatch(guardian.connect(sender), parsePayees(csv()));
+
+      expect(report.batchId).to.equal(0n);
+      expect(report.total).to.equal(toUSDC("510.5"));
+      expect(report.rows.map((r) => [r.line, r.held, r.reason])).to.deep.equal([
+        [2, false, "none"],
+        [5, true, "riskScore"],
+      ]);
+      expect(report.rows[1].riskScore).to.be.gte(30);
+      expect(await guardian.batchCount()).to.equal(0);
+      expect(await guardian.balances(sender.address)).to.equal(toUSDC(49950));
+
+      const text = formatBatchReport(report);
+      expect(text).to.contain("2 rows, 510.5 USDC, 1 auto-approved, 1 held");
+      expect(text).to.contain(`line 5  ${riskyR.address}  500.5 USDC`);
+      expect(text).to.contain("HELD (riskScore)");
+    });
+
+    it("Should surface reverts as typed errors", async function () {
+      let err;
+      try {
+        await simulateBatch(guardian.connect(sender), [{ recipient: other.address, amount: toUSDC(60000) }]);
+      } catch (e) {
+        err = e;
+      }
+      expect(err).to.be.instanceOf(InsufficientBalanceError);
+      expect(err.required).to.equal(toUSDC(60000));
+    });
+  });
+
+  // ================================================================
+  //  TASK
+  // ================================================================
+
+  it("Should simulate, then pay the CSV from the task", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "guardian-batch-"));
+    const file = path.join(dir, "payees.csv");
+    fs.writeFileSync(file, csv());
+    const log = console.log;
+    console.log = () => {};
+    try {
+      const common = { guardian: address, file, from: sender.address };
+      const report = await hre.run("batch-transfer", { ...common, dryRun: true });
+      expect(report.rows.filter((r) => r.held)).to.have.length(1);
+      expect(await guardian.batchCount()).to.equal(0);
+
+      const result = await hre.run("batch-transfer", common);
+      expect(result.batchId).to.equal(0n);
+      expect(result.rows.map((r) => r.kind)).to.deep.equal(["autoApproved", "multisig"]);
+      expect(await guardian.balances(trustedR.address)).to.equal(toUSDC(60));
+      expect((await guardian.getPendingTx(result.rows[1].txId)).amount).to.equal(toUSDC("500.5"));
+    } finally {
+      console.log = log;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
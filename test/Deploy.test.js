@@ -0,0 +1,200 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ethers } = hre;
+
+const { DEFAULT_MODEL, serializeModel, fromContractWeights, outputBias } = require("../src/model");
+const { DEFAULT_MODEL_ACTIVATION_DELAY, loadConfig, configHash, deploy, readManifest } = require("../src/deployment");
+
+describe("Deployment", function () {
+  let dir, manifestPath;
+  let guardian1, guardian2, guardian3;
+
+  const writeJson = (name, obj) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(obj));
+    return file;
+  };
+
+  const countTxs = async (from) => ethers.provider.getTransactionCount(from);
+  const withOutputBias = (bO) => ({ ...DEFAULT_MODEL, biases: [...DEFAULT_MODEL.biases.slice(0, -1), bO] });
+
+  beforeEach(async function () {
+    [, guardian1, guardian2, guardian3] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "guardian-deploy-"));
+    manifestPath = path.join(dir, "deployments", "hardhat.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should deploy MockUSDC and the guardian and apply the config", async function () {
+    const cfg = loadConfig(
+      writeJson("config.json", {
+        guardians: [guardian1.address, guardian2.address, guardian3.address],
+        lowThreshold: 20,
+        highThreshold: 80,
+        timelockDuration: 7200,
+        minApprovals: 3,
+        pendingExpiry: 2 * 86400,
+        approvalValidity: 86400,
+        amountHalfLife: 14 * 86400,
+        frequencyHalfLife: 1800,
+        recoveryDelay: 86400,
+        trustActivationDelay: 3600,
+        policyBounds: { lowThreshold: 25, highThreshold: 60, timelockDuration: 7200, minApprovals: 2 },
+      })
+    );
+    const manifest = await deploy(hre, cfg, { manifest: manifestPath });
+
+    const guardian = await ethers.getContractAt(
+      "NeuralUSDCGuardian",
+      manifest.contracts.NeuralUSDCGuardian.address
+    );
+    expect(await guardian.usdc()).to.equal(manifest.contracts.MockUSDC.address);
+    expect(await guardian.guardianCount()).to.equal(3);
+    expect(await guardian.lowThreshold()).to.equal(20);
+    expect(await guardian.highThreshold()).to.equal(80);
+    expect(await guardian.timelockDuration()).to.equal(7200);
+    expect(await guardian.minApprovals()).to.equal(3);
+    expect(await guardian.pendingExpiry()).to.equal(2 * 86400);
+    expect(await guardian.approvalValidity()).to.equal(86400);
+    expect(await guardian.amountHalfLife()).to.equal(14 * 86400);
+    expect(await guardian.frequencyHalfLife()).to.equal(1800);
+    expect(await guardian.recoveryDelay()).to.equal(86400);
+    // Shorter than the 1-day default, so queued behind it
+    const [delay, queuedDelay] = await guardian.getTrustActivationDelay();
+    expect([delay, queuedDelay]).to.deep.equal([86400n, 3600n]);
+    expect(await guardian.policyBounds()).to.deep.equal([25n, 60n, 7200n, 2n]);
+    // Not configured, so the guardian starts with the default
+    expect(await guardian.modelActivationDelay()).to.equal(DEFAULT_MODEL_ACTIVATION_DELAY);
+
+    expect(readManifest(manifestPath)).to.deep.equal(manifest);
+    expect(manifest.chainId).to.equal("31337");
+    expect(manifest.contracts.NeuralUSDCGuardian.block).to.be.a("number");
+    expect(manifest.configHash).to.match(/^0x[0-9a-f]{64}$/);
+  });
+
+  it("Should be a no-op when re-run with the same config", async function () {
+    const [deployer] = await ethers.getSigners();
+    const cfg = loadConfig(writeJson("config.json", { guardians: [guardian1.address], trustActivationDelay: 3600 }));
+    const first = await deploy(hre, cfg, { manifest: manifestPath });
+
+    const nonce = await countTxs(deployer.address);
+    const second = await deploy(hre, cfg, { manifest: manifestPath });
+
+    expect(await countTxs(deployer.address)).to.equal(nonce);
+    expect(second.contracts).to.deep.equal(first.contracts);
+    expect(second.configHash).to.equal(first.configHash);
+  });
+
+  it("Should only send the changes when the config is edited", async function () {
+    const [deployer] = await ethers.getSigners();
+    await deploy(hre, loadConfig(writeJson("a.json", { guardians: [guardian1.address] })), {
+      manifest: manifestPath,
+    });
+
+    const nonce = await countTxs(deployer.address);
+    const manifest = await deploy(
+      hre,
+      loadConfig(writeJson("b.json", { guardians: [guardian1.address, guardian2.address], minApprovals: 1 })),
+      { manifest: manifestPath }
+    );
+
+    // addGuardian(guardian2) + setMinApprovals(1)
+    expect(await countTxs(deployer.address)).to.equal(nonce + 2);
+    const guardian = await ethers.getContractAt(
+      "NeuralUSDCGuardian",
+      manifest.contracts.NeuralUSDCGuardian.address
+    );
+    expect(await guardian.guardianCount()).to.equal(2);
+  });
+
+  it("Should push a weights file through updateModel", async function () {
+    const model = withOutputBias(outputBias(DEFAULT_MODEL) - 10n ** 17n);
+    writeJson("weights.json", serializeModel(model));
+    const cfg = loadConfig(writeJson("config.json", { weights: "weights.json", modelActivationDelay: 0 }));
+
+    const manifest = await deploy(hre, cfg, { manifest: manifestPath });
+    const guardian = await ethers.getContractAt(
+      "NeuralUSDCGuardian",
+      manifest.contracts.NeuralUSDCGuardian.address
+    );
+    const onChain = fromContractWeights(await guardian.getModelWeights());
+    expect(serializeModel(onChain)).to.deep.equal(serializeModel(model));
+
+    // Same weights again must not hit the update cooldown
+    await deploy(hre, cfg, { manifest: manifestPath });
+  });
+
+  it("Should stage weights once an activation delay is set", async function () {
+    const ONE_DAY = 86400;
+    writeJson("w.json", serializeModel(DEFAULT_MODEL));
+    const initial = loadConfig(writeJson("a.json", { weights: "w.json", modelActivationDelay: ONE_DAY }));
+    const first = await deploy(hre, initial, { manifest: manifestPath });
+    const guardian = await ethers.getContractAt("NeuralUSDCGuardian", first.contracts.NeuralUSDCGuardian.address);
+    expect(await guardian.modelActivationDelay()).to.equal(ONE_DAY);
+
+    const model = withOutputBias(0n);
+    writeJson("w.json", serializeModel(model));
+    const cfg = loadConfig(writeJson("a.json", { weights: "w.json", modelActivationDelay: ONE_DAY }));
+
+    await deploy(hre, cfg, { manifest: manifestPath });
+    expect(await guardian.modelVersionCount()).to.equal(2);
+    expect(await guardian.activeModelVersion()).to.equal(1);
+
+    // Too early: nothing is sent
+    const [deployer] = await ethers.getSigners();
+    const before = await countTxs(deployer.address);
+    await deploy(hre, cfg, { manifest: manifestPath });
+    expect(await countTxs(deployer.address)).to.equal(before);
+
+    await time.increase(ONE_DAY);
+    await deploy(hre, cfg, { manifest: manifestPath });
+    expect(await guardian.activeModelVersion()).to.equal(2);
+    expect(serializeModel(fromContractWeights(await guardian.getModelWeights()))).to.deep.equal(
+      serializeModel(model)
+    );
+  });
+
+  it("Should use a configured token instead of deploying MockUSDC", async function () {
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    const usdc = await MockUSDC.deploy();
+    const cfg = loadConfig(writeJson("config.json", { usdc: await usdc.getAddress() }));
+
+    const manifest = await deploy(hre, cfg, { manifest: manifestPath });
+    expect(manifest.contracts.MockUSDC).to.be.undefined;
+  });
+
+  it("Should require enough guardians for the quorum outside dev networks", async function () {
+    const live = { ...hre, network: { ...hre.network, name: "sepolia" } };
+    const shipped = loadConfig(path.join(__dirname, "..", "config", "sepolia.json"));
+    const err = await deploy(live, shipped).catch((e) => e);
+    expect(err.message).to.match(/at least 2 guardians \(minApprovals\) on network sepolia/);
+
+    const usdc = await (await ethers.getContractFactory("MockUSDC")).deploy();
+    const cfg = { ...shipped, usdc: await usdc.getAddress(), guardians: [guardian1.address, guardian2.address] };
+    const manifest = await deploy(live, cfg);
+    const guardian = await ethers.getContractAt("NeuralUSDCGuardian", manifest.contracts.NeuralUSDCGuardian.address);
+    expect(await guardian.guardianCount()).to.equal(2);
+  });
+
+  it("Should reject unknown config keys and half-set thresholds", function () {
+    expect(() => loadConfig(writeJson("bad.json", { lowTreshold: 10 }))).to.throw(/Unknown config key/);
+    expect(() => loadConfig(writeJson("half.json", { lowThreshold: 10 }))).to.throw(/set together/);
+    expect(() => loadConfig(writeJson("expiry.json", { pendingExpiry: 86400 }))).to.throw(/set together/);
+  });
+
+  it("Should change the config hash when weights change", async function () {
+    writeJson("w1.json", serializeModel(DEFAULT_MODEL));
+    writeJson("w2.json", serializeModel(withOutputBias(0n)));
+    const a = await deploy(hre, loadConfig(writeJson("a.json", { weights: "w1.json" })));
+    expect(configHash(ethers, loadConfig(writeJson("b.json", { weights: "w2.json" })))).to.not.equal(
+      a.configHash
+    );
+  });
+});
@@ -0,0 +1,194 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const {
+  DEFAULT_MODEL,
+  INPUT_SIZE,
+  NEURON_LABELS,
+  parameterCounts,
+  outputBias,
+  toUpdateModelArgs,
+  fromFixed,
+} = require("../src/model");
+const { createRng } = require("../src/training");
+const { explainFeatures, fromExplainRisk, attribute, formatAttribution, toView } = require("../src/explain");
+const { GuardianClient } = require("../src/sdk");
+const { trustImmediately } = require("./helpers");
+
+const { ethers } = hre;
+
+describe("Risk explanations", function () {
+  let guardian, usdc, address;
+  let sender, known, stranger;
+
+  const toUSDC = (n) => ethers.parseUnits(n.toString(), 6);
+  const ONE_HOUR = 3600;
+
+  beforeEach(async function () {
+    [, sender, known, stranger] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const Guardian = await ethers.getContractFactory("NeuralUSDCGuardian");
+    guardian = await Guardian.deploy(await usdc.getAddress(), 0);
+    address = await guardian.getAddress();
+
+    await usdc.mint(sender.address, toUSDC(100000));
+    await usdc.connect(sender).approve(address, ethers.MaxUint256);
+    await guardian.connect(sender).register();
+    await guardian.connect(sender).deposit(toUSDC(50000));
+
+    await guardian.connect(sender).setTrustedRecipient(known.address, true);
+    for (let i = 0; i < 5; i++) {
+      await time.increase(ONE_HOUR + 1);
+      await guardian.connect(sender).transfer(known.address, toUSDC(10));
+    }
+    await time.increase(ONE_HOUR + 1);
+  });
+
+  const explainOnChain = async (recipient, amount) =>
+    fromExplainRisk(await guardian.explainRisk(sender.address, recipient, amount));
+
+  // ================================================================
+  //  explainRisk VIEW
+  // ================================================================
+
+  it("Should agree with assessRisk and decompose the pre-activation", async function () {
+    for (const [recipient, amount] of [
+      [known.address, toUSDC(10)],
+      [stranger.address, toUSDC(10)],
+      [stranger.address, toUSDC(500)],
+    ]) {
+      const e = await explainOnChain(recipient, amount);
+      const [riskScore, features] = await guardian.assessRisk(sender.address, recipient, amount);
+      expect(e.riskScore).to.equal(Number(riskScore));
+      expect(e.features).to.deep.equal([...features]);
+      expect(e.contributions.reduce((a, b) => a + b, outputBias(DEFAULT_MODEL))).to.equal(e.output);
+    }
+  });
+
+  it("Should match the reference for random models", async function () {
+    const rng = createRng(7);
+    const w = () => BigInt(Math.round((rng() * 10 - 5) * 1e6)) * 10n ** 12n;
+    for (const layers of [[4, 8, 1], [4, 6, 5, 1], [3, 4, 4, 4, 1]]) {
+      const counts = parameterCounts(layers);
+      const model = {
+        layers,
+        weights: Array.from({ length: counts.weights }, w),
+        biases: Array.from({ length: counts.biases }, w),
+      };
+      await time.increase(ONE_HOUR + 1);
+      await guardian.updateModel(...toUpdateModelArgs(model));
+
+      const amount = toUSDC(1 + Math.floor(rng() * 2000));
+      const onChain = await explainOnChain(stranger.address, amount);
+      expect(explainFeatures(model, onChain.features)).to.deep.equal(onChain);
+    }
+  });
+
+  // ================================================================
+  //  ATTRIBUTION
+  // ================================================================
+
+  it("Should attribute a multi-sig routing to the amount and recipient neurons", async function () {
+    const e = await explainOnChain(stranger.address, toUSDC(500));
+    expect(e.riskScore).to.be.gte(70);
+
+    const report = attribute(DEFAULT_MODEL, e);
+    expect(report.neurons[0].label).to.equal("Large-amount detector");
+    const alarm = report.neurons.find((n) => n.label === "Unknown-recipient alarm");
+    expect(alarm.active).to.be.true;
+    expect(alarm.contribution).to.be.gt(0);
+    expect(report.neurons.find((n) => n.label === "Trust safety net").active).to.be.false;
+
+    // Neuron and feature views both add up to the pre-activation
+    const neuronSum = report.neurons.reduce((a, n) => a + n.contribution, fromFixed(outputBias(DEFAULT_MODEL)));
+    const featureSum = report.features.reduce((a, f) => a + f.contribution, report.baseline);
+    expect(neuronSum).to.be.closeTo(report.output, 1e-9);
+    expect(featureSum).to.be.closeTo(report.output, 1e-9);
+
+    // Untrusted recipient: trust is 0 and gets no credit either way
+    expect(report.features.find((f) => f.name === "recipientTrust").contribution).to.equal(0);
+
+    const text = formatAttribution(report);
+    expect(text).to.include(`Risk ${e.riskScore}`);
+    expect(text).to.include("Unknown-recipient alarm");
+  });
+
+  it("Should credit trust for lowering the score of a known recipient", async function () {
+    await trustImmediately(guardian);
+    const report = attribute(DEFAULT_MODEL, await explainOnChain(known.address, toUSDC(10)));
+    const safetyNet = report.neurons.find((n) => n.label === "Trust safety net");
+    expect(safetyNet.active).to.be.true;
+    expect(safetyNet.contribution).to.be.lt(0);
+    expect(report.features.find((f) => f.name === "recipientTrust").contribution).to.be.lt(0);
+  });
+
+  it("Should decompose a model with two hidden layers exactly", async function () {
+    const rng = createRng(11);
+    const w = () => BigInt(Math.round((rng() * 4 - 2) * 1e6)) * 10n ** 12n;
+    const layers = [4, 6, 5, 1];
+    const counts = parameterCounts(layers);
+    const model = {
+      layers,
+      weights: Array.from({ length: counts.weights }, w),
+      biases: Array.from({ length: counts.biases }, w),
+    };
+    await guardian.updateModel(...toUpdateModelArgs(model));
+
+    const report = attribute(model, await explainOnChain(stranger.address, toUSDC(300)));
+    expect(report.neurons.map((n) => n.label).sort()).to.deep.equal(["L2 N0", "L2 N1", "L2 N2", "L2 N3", "L2 N4"]);
+    const featureSum = report.features.reduce((a, f) => a + f.contribution, report.baseline);
+    expect(featureSum).to.be.closeTo(report.output, 1e-9);
+  });
+
+  it("Should build the landing-page view", async function () {
+    const explanation = await explainOnChain(stranger.address, toUSDC(500));
+    const view = toView(explanation, { amount: "500 USDC" });
+    expect(view.route).to.equal("high");
+    expect(view.hidden).to.have.length(NEURON_LABELS.length);
+    expect(view.layers).to.deep.equal([INPUT_SIZE, NEURON_LABELS.length, 1]);
+
+    // The page sizes its columns from the model's topology when it is known
+    expect(toView(explanation, { layers: DEFAULT_MODEL.layers }).layers).to.deep.equal(DEFAULT_MODEL.layers);
+    expect(view.features.every((v) => typeof v === "number")).to.be.true;
+    expect(JSON.parse(JSON.stringify(view))).to.deep.equal(view);
+  });
+
+  // ================================================================
+  //  SDK & TASK
+  // ================================================================
+
+  it("Should expose explainRisk through the SDK", async function () {
+    const client = GuardianClient.connect(address, ethers.provider);
+    const e = await client.explainRisk(sender.address, stranger.address, toUSDC(500));
+    expect(e).to.deep.equal(await explainOnChain(stranger.address, toUSDC(500)));
+  });
+
+  it("Should write the view from the task", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "guardian-explain-"));
+    const out = path.join(dir, "explain.json");
+    const log = console.log;
+    console.log = () => {};
+    try {
+      const report = await hre.run("explain-risk", {
+        guardian: address,
+        sender: sender.address,
+        recipient: stranger.address,
+        amount: "500",
+        out,
+      });
+      const view = JSON.parse(fs.readFileSync(out, "utf8"));
+      expect(view.riskScore).to.equal(report.riskScore);
+      expect(view.amount).to.equal("500 USDC");
+      expect(view.layers).to.deep.equal(DEFAULT_MODEL.layers);
+    } finally {
+      console.log = log;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,212 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { GuardianIndexer } = require("../src/indexer");
+const { loadQueue, runBulk, formatQueue } = require("../src/guardianConsole");
+const { InsufficientApprovalsError, AlreadyApprovedError } = require("../src/errors");
+const { NEURON_LABELS, DEFAULT_MODEL, toUpdateModelArgs } = require("../src/model");
+const { forward } = require("../src/reference");
+
+const { ethers } = hre;
+
+describe("Guardian console", function () {
+  let guardian, usdc, address, deployBlock;
+  let sender, trustedR, riskyR, guardian1, guardian2;
+  let highIds, lowId;
+
+  const toUSDC = (n) => ethers.parseUnits(n.toString(), 6);
+  const ONE_HOUR = 3600;
+
+  async function pendingIdFrom(tx) {
+    const receipt = await tx.wait();
+    for (const log of receipt.logs) {
+      const parsed = guardian.interface.parseLog(log);
+      if (parsed?.name === "TransferPending") return parsed.args.txId;
+    }
+    return undefined;
+  }
+
+  async function syncedIndexer() {
+    const indexer = new GuardianIndexer({ address, provider: ethers.provider, fromBlock: deployBlock });
+    await indexer.sync();
+    return indexer;
+  }
+
+  beforeEach(async function () {
+    [, sender, trustedR, riskyR, guardian1, guardian2] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const Guardian = await ethers.getContractFactory("NeuralUSDCGuardian");
+    guardian = await Guardian.deploy(await usdc.getAddress(), 24 * 3600);
+    address = await guardian.getAddress();
+    deployBlock = (await guardian.deploymentTransaction().wait()).blockNumber;
+
+    await guardian.addGuardian(guardian1.address);
+    await guardian.addGuardian(guardian2.address);
+
+    await usdc.mint(sender.address, toUSDC(100000));
+    await usdc.connect(sender).approve(address, ethers.MaxUint256);
+    await guardian.connect(sender).register();
+    await guardian.connect(sender).deposit(toUSDC(50000));
+
+    // Small trusted history, then two large untrusted transfers (multisig)
+    await guardian.connect(sender).setTrustedRecipient(trustedR.address, true);
+    for (let i = 0; i < 5; i++) {
+      await time.increase(ONE_HOUR + 1);
+      await guardian.connect(sender).transfer(trustedR.address, toUSDC(10));
+    }
+    highIds = [];
+    for (const amount of [500, 800]) {
+      await time.increase(ONE_HOUR + 1);
+      highIds.push(await pendingIdFrom(await guardian.connect(sender).transfer(riskyR.address, toUSDC(amount))));
+    }
+    // A timelocked (medium-risk) one that must not show up
+    await guardian.connect(sender).setTrustedRecipient(trustedR.address, false);
+    await time.increase(ONE_HOUR + 1);
+    lowId = await pendingIdFrom(await guardian.connect(sender).transfer(trustedR.address, toUSDC(10)));
+  });
+
+  // ================================================================
+  //  QUEUE
+  // ================================================================
+
+  it("Should list only high-risk open transfers with context", async function () {
+    await guardian.connect(guardian1).approvePending(highIds[0]);
+
+    const rows = await loadQueue({ contract: guardian, indexer: await syncedIndexer(), caller: guardian1.address });
+    expect(rows.map((r) => r.txId)).to.deep.equal(highIds);
+    expect(lowId).to.not.be.undefined;
+    expect(rows.map((r) => r.txId)).to.not.include(lowId);
+
+    const [first, second] = rows;
+    expect(first.sender).to.equal(sender.address);
+    expect(first.recipient).to.equal(riskyR.address);
+    expect(first.amount).to.equal(toUSDC(500));
+    expect(first.riskScore).to.be.gte(70);
+    expect(first.approvalCount).to.equal(1);
+    expect(first.requiredApprovals).to.equal(2);
+    expect(first.hasApproved).to.be.true;
+    expect(second.hasApproved).to.be.false;
+
+    // Features are the ones emitted on-chain; activations come from the model
+    expect(first.features).to.have.length(8);
+    expect(first.hidden).to.have.length(8);
+    expect(first.hidden.some((h) => h > 0n)).to.be.true;
+
+    const text = formatQueue(rows);
+    expect(text).to.include("500.0 USDC");
+    expect(text).to.include("approvals 1/2");
+    expect(text).to.include(NEURON_LABELS[first.hidden.findIndex((h) => h > 0n)]);
+  });
+
+  it("Should explain each row with the model version that scored it", async function () {
+    const candidate = { ...DEFAULT_MODEL, weights: DEFAULT_MODEL.weights.map((w) => w / 2n) };
+    await guardian.proposeModel(...toUpdateModelArgs(candidate));
+    await time.increase(24 * 3600);
+    await guardian.activateModel(2);
+
+    const [first] = await loadQueue({ contract: guardian, indexer: await syncedIndexer(), caller: guardian1.address });
+    expect(first.modelVersion).to.equal(1);
+    expect(first.hidden).to.deep.equal(forward(DEFAULT_MODEL, first.features).hidden);
+    expect(first.hidden).to.not.deep.equal(forward(candidate, first.features).hidden);
+  });
+
+  it("Should show each row's amount in its own token", async function () {
+    const dai = await (await ethers.getContractFactory("MockToken")).deploy("Dai Stablecoin", "DAI", 18);
+    await guardian.addSupportedToken(dai.target);
+    await dai.mint(sender.address, ethers.parseEther("5000"));
+    await dai.connect(sender).approve(address, ethers.MaxUint256);
+    await guardian.connect(sender).depositToken(dai.target, ethers.parseEther("5000"));
+    await time.increase(ONE_HOUR + 1);
+    const daiId = await pendingIdFrom(
+      await guardian.connect(sender).transferToken(dai.target, riskyR.address, ethers.parseEther("900.5"))
+    );
+    await guardian.connect(sender).escalatePending(daiId);
+
+    const rows = await loadQueue({ contract: guardian, indexer: await syncedIndexer(), caller: guardian1.address });
+    const row = rows.find((r) => r.txId === daiId);
+    expect(row).to.include({ token: dai.target, decimals: 18, symbol: "DAI" });
+    expect(rows.find((r) => r.txId === highIds[0])).to.include({ token: usdc.target, decimals: 6, symbol: "USDC" });
+    expect(formatQueue([row])).to.include("900.5 DAI");
+  });
+
+  it("Should show each batch row with its own features", async function () {
+    await time.increase(ONE_HOUR + 1);
+    const receipt = await (
+      await guardian.connect(sender).batchTransfer([riskyR.address, guardian1.address], [toUSDC(600), toUSDC(700)])
+    ).wait();
+    const assessed = receipt.logs
+      .map((l) => guardian.interface.parseLog(l))
+      .filter((l) => l?.name === "RiskAssessed");
+
+    const queue = await loadQueue({ contract: guardian, indexer: await syncedIndexer(), caller: guardian1.address });
+    const rows = queue.filter((r) => !highIds.includes(r.txId));
+    expect(rows.map((r) => r.recipient)).to.deep.equal([riskyR.address, guardian1.address]);
+    expect(rows[0].features).to.deep.equal([...assessed[0].args.features]);
+    expect(rows[1].features).to.deep.equal([...assessed[1].args.features]);
+  });
+
+  it("Should drop transfers that closed after the index was built", async function () {
+    const indexer = await syncedIndexer();
+    await guardian.connect(sender).cancelPending(highIds[1]);
+
+    const rows = await loadQueue({ contract: guardian, indexer, caller: guardian1.address });
+    expect(rows.map((r) => r.txId)).to.deep.equal([highIds[0]]);
+  });
+
+  // ================================================================
+  //  BULK ACTIONS
+  // ================================================================
+
+  it("Should not send anything in dry-run mode", async function () {
+    const results = await runBulk(guardian.connect(guardian1), "approvePending", highIds, { dryRun: true });
+    expect(results.every((r) => r.simulated && !r.sent)).to.be.true;
+    expect(await guardian.hasApproved(highIds[0], guardian1.address)).to.be.false;
+  });
+
+  it("Should send only the calls that simulate cleanly", async function () {
+    await guardian.connect(guardian1).approvePending(highIds[0]);
+
+    const results = await runBulk(guardian.connect(guardian1), "approvePending", highIds);
+    expect(results[0].sent).to.be.false;
+    expect(results[0].error).to.be.instanceOf(AlreadyApprovedError);
+    expect(results[1].sent).to.be.true;
+    expect(await guardian.hasApproved(highIds[1], guardian1.address)).to.be.true;
+  });
+
+  it("Should report typed errors when executing short of quorum", async function () {
+    await guardian.connect(guardian1).approvePending(highIds[0]);
+    await guardian.connect(guardian2).approvePending(highIds[0]);
+
+    const results = await runBulk(guardian, "executePending", highIds);
+    expect(results[0].sent).to.be.true;
+    expect(results[1].error).to.be.instanceOf(InsufficientApprovalsError);
+    expect((await guardian.getPendingTx(highIds[0])).executed).to.be.true;
+  });
+
+  // ================================================================
+  //  TASK
+  // ================================================================
+
+  it("Should approve the whole queue from the task", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "guardian-console-"));
+    const log = console.log;
+    console.log = () => {};
+    try {
+      const common = { guardian: address, store: path.join(dir, "index.json"), fromBlock: deployBlock };
+      await hre.run("guardian-console", { ...common, action: "approve", all: true, from: guardian1.address });
+      await hre.run("guardian-console", { ...common, action: "approve", all: true, from: guardian2.address });
+      const executed = await hre.run("guardian-console", { ...common, action: "execute", all: true });
+      expect(executed.map((r) => r.txId)).to.deep.equal(highIds);
+      expect(await guardian.balances(riskyR.address)).to.equal(toUSDC(1300));
+    } finally {
+      console.log = log;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,428 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { createRng } = require("../src/training");
+const { GuardianIndexer, MemoryStore, JsonStore } = require("../src/indexer");
+const { trustImmediately } = require("./helpers");
+
+describe("GuardianIndexer", function () {
+  let guardian, usdc, address, deployBlock;
+  let owner, users, guardian1, guardian2, guardian3;
+
+  const toUSDC = (n) => ethers.parseUnits(n.toString(), 6);
+  const ONE_HOUR = 3600;
+
+  const newIndexer = (store = new MemoryStore()) =>
+    new GuardianIndexer({ address, provider: ethers.provider, store, fromBlock: deployBlock });
+
+  async function pendingIdFrom(tx) {
+    const receipt = await tx.wait();
+    for (const log of receipt.logs) {
+      const parsed = guardian.interface.parseLog(log);
+      if (parsed?.name === "TransferPending" || parsed?.name === "WithdrawalPending") return parsed.args.txId;
+    }
+    return undefined;
+  }
+
+  beforeEach(async function () {
+    const signers = await ethers.getSigners();
+    [owner, guardian1, guardian2, guardian3] = signers;
+    users = signers.slice(4, 8);
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const Guardian = await ethers.getContractFactory("NeuralUSDCGuardian");
+    guardian = await Guardian.deploy(await usdc.getAddress(), 0);
+    address = await guardian.getAddress();
+    deployBlock = (await guardian.deploymentTransaction().wait()).blockNumber;
+
+    for (const g of [guardian1, guardian2, guardian3]) await guardian.addGuardian(g.address);
+    for (const u of users) {
+      await usdc.mint(u.address, toUSDC(100000));
+      await usdc.connect(u).approve(address, ethers.MaxUint256);
+      await guardian.connect(u).register();
+      await guardian.connect(u).deposit(toUSDC(20000));
+    }
+  });
+
+  // ================================================================
+  //  REPLAY
+  // ================================================================
+
+  it("Should match on-chain state after a random replay", async function () {
+    this.timeout(120000);
+    const rng = createRng(99);
+    const pick = (arr) => arr[Math.floor(rng() * arr.length)];
+    const pendingIds = [];
+    // Short windows so approvals lapse and transfers expire within the replay
+    await guardian.setExpiryWindows(6 * ONE_HOUR, 3 * ONE_HOUR);
+    // Some withdrawals are held too
+    await guardian.connect(users[0]).setWithdrawalReview(toUSDC(100));
+
+    for (let step = 0; step < 80; step++) {
+      const u = pick(users);
+      const other = pick(users.filter((x) => x !== u));
+      const action = rng();
+      try {
+        if (action < 0.45) {
+          const id = await pendingIdFrom(
+            await guardian.connect(u).transfer(other.address, toUSDC(1 + Math.floor(rng() * 3000)))
+          );
+          if (id !== undefined) pendingIds.push(id);
+        } else if (action < 0.55) {
+          await guardian.connect(u).setTrustedRecipient(other.address, rng() < 0.7);
+        } else if (action < 0.65) {
+          await guardian.connect(u).deposit(toUSDC(1 + Math.floor(rng() * 500)));
+        } else if (action < 0.72) {
+          const amount = toUSDC(1 + Math.floor(rng() * 200));
+          const id = await pendingIdFrom(
+            rng() < 0.5
+              ? await guardian.connect(u).withdraw(amount)
+              : await guardian.connect(u).withdrawTo(other.address, amount)
+          );
+          if (id !== undefined) pendingIds.push(id);
+        } else if (action < 0.8 && pendingIds.length) {
+          await guardian.executePending(pick(pendingIds));
+        } else if (action < 0.87 && pendingIds.length) {
+          const id = pick(pendingIds);
+          const ptx = await guardian.getPendingTx(id);
+          const sender = users.find((x) => x.address === ptx.sender);
+          await guardian.connect(sender).cancelPending(id);
+        } else if (action < 0.93 && pendingIds.length) {
+          await guardian.connect(pick([guardian1, guardian2, guardian3])).approvePending(pick(pendingIds));
+        } else if (action < 0.97 && pendingIds.length) {
+          await guardian.connect(pick([guardian1, guardian2, guardian3])).vetoPending(pick(pendingIds), rng() < 0.5);
+        } else if (action < 0.985 && pendingIds.length) {
+          const id = pick(pendingIds);
+          const ptx = await guardian.getPendingTx(id);
+          await guardian.connect(users.find((x) => x.address === ptx.sender)).escalatePending(id);
+        } else if (pendingIds.length) {
+          await guardian.connect(u).reclaimExpired(pick(pendingIds));
+        }
+      } catch {
+        // Reverted actions (closed txs, timelocks, balances) are part of the mix
+      }
+      if (rng() < 0.3) await time.increase(Math.floor(rng() * 2 * ONE_HOUR));
+    }
+
+    const indexer = newIndexer();
+    await indexer.sync();
+
+    const count = await guardian.pendingTxCount();
+    expect(count).to.be.gt(0n);
+    for (let id = 0n; id < count; id++) {
+      const onChain = await guardian.getPendingTx(id);
+      const indexed = indexer.getPending(id);
+      expect(indexed.sender).to.equal(onChain.sender);
+      expect(indexed.amount).to.equal(onChain.amount);
+      expect(indexed.approvals.length).to.equal(Number(onChain.approvalCount));
+      expect(indexed.vetoes.length).to.equal(Number(onChain.vetoCount));
+      // The chain records a reclaimed transfer as cancelled
+      const status = indexed.status === "expired" ? "cancelled" : indexed.status;
+      expect(status).to.equal(
+        onChain.executed ? "executed" : onChain.vetoed ? "vetoed" : onChain.cancelled ? "cancelled" : "open"
+      );
+      expect(indexed.createdAt).to.equal(Number(onChain.createdAt));
+    }
+
+    for (const u of users) {
+      expect(indexer.balanceOf(u.address)).to.equal(await guardian.balances(u.address));
+      expect(indexer.frozenAccounts().includes(u.address.toLowerCase())).to.equal(await guardian.frozen(u.address));
+      const profile = await guardian.getProfile(u.address);
+      expect(indexer.riskHistory(u.address).length).to.equal(Number(profile.totalTransactions));
+
+      const trusted = [];
+      for (const other of users) {
+        if (await guardian.trustedRecipients(u.address, other.address)) trusted.push(other.address);
+      }
+      expect(indexer.trustedList(u.address).sort()).to.deep.equal(trusted.sort());
+    }
+  });
+
+  // ================================================================
+  //  QUERIES
+  // ================================================================
+
+  describe("Queries", function () {
+    let sender, highTxId;
+
+    beforeEach(async function () {
+      sender = users[0];
+      await trustImmediately(guardian);
+      await guardian.connect(sender).setTrustedRecipient(users[1].address, true);
+      for (let i = 0; i < 5; i++) {
+        await time.increase(ONE_HOUR + 1);
+        await guardian.connect(sender).transfer(users[1].address, toUSDC(10));
+      }
+      await time.increase(ONE_HOUR + 1);
+      highTxId = await pendingIdFrom(await guardian.connect(sender).transfer(users[2].address, toUSDC(500)));
+    });
+
+    it("Should list multisig txs awaiting a guardian's approval", async function () {
+      await guardian.connect(guardian1).approvePending(highTxId);
+
+      const indexer = newIndexer();
+      await indexer.sync();
+
+      expect(indexer.awaitingApproval(guardian1.address)).to.have.length(0);
+      const forG2 = indexer.awaitingApproval(guardian2.address);
+      expect(forG2).to.have.length(1);
+      expect(forG2[0].txId).to.equal(highTxId);
+      expect(forG2[0].requiresMultiSig).to.be.true;
+    });
+
+    it("Should list lapsed approvals again and drop expired transfers", async function () {
+      await guardian.connect(guardian1).approvePending(highTxId);
+      const indexer = newIndexer();
+      await indexer.sync();
+      expect(indexer.awaitingApproval(guardian1.address)).to.have.length(0);
+
+      await time.increase(3 * 24 * ONE_HOUR);
+      await indexer.sync();
+      expect(indexer.awaitingApproval(guardian1.address).map((p) => p.txId)).to.deep.equal([highTxId]);
+
+      // Shorter windows apply to transfers created afterwards
+      await guardian.setExpiryWindows(2 * ONE_HOUR, ONE_HOUR);
+      const laterId = await pendingIdFrom(await guardian.connect(sender).transfer(users[2].address, toUSDC(600)));
+      await time.increase(2 * ONE_HOUR);
+      await indexer.sync();
+      expect(indexer.getPending(laterId).requiresMultiSig).to.be.true;
+      expect(indexer.getPending(laterId).expiresAt).to.equal(indexer.getPending(laterId).createdAt + 2 * ONE_HOUR);
+      expect(indexer.awaitingApproval(guardian2.address).map((p) => p.txId)).to.deep.equal([highTxId]);
+
+      await time.increase(4 * 24 * ONE_HOUR);
+      await indexer.sync();
+      expect(indexer.awaitingApproval(guardian2.address)).to.have.length(0);
+      expect(indexer.openPending().map((p) => p.txId)).to.include(highTxId);
+    });
+
+    it("Should track vetoes, escalations and frozen senders", async function () {
+      await time.increase(ONE_HOUR + 1);
+      const mediumId = await pendingIdFrom(await guardian.connect(sender).transfer(users[3].address, toUSDC(10)));
+      await guardian.connect(sender).escalatePending(mediumId);
+      await guardian.connect(guardian1).vetoPending(highTxId, true);
+
+      const indexer = newIndexer();
+      await indexer.sync();
+      expect(indexer.getPending(mediumId).requiresMultiSig).to.be.true;
+      expect(indexer.getPending(mediumId).escalated).to.be.true;
+      expect(indexer.awaitingApproval(guardian1.address).map((p) => p.txId)).to.deep.equal([mediumId]);
+
+      await guardian.connect(guardian2).vetoPending(highTxId, true);
+      await indexer.sync();
+      expect(indexer.getPending(highTxId).status).to.equal("vetoed");
+      expect(indexer.getPending(highTxId).vetoes).to.have.length(2);
+      expect(indexer.balanceOf(sender.address)).to.equal(await guardian.balances(sender.address));
+      expect(indexer.frozenAccounts()).to.deep.equal([sender.address.toLowerCase()]);
+
+      await guardian.unfreezeAccount(sender.address);
+      await indexer.sync();
+      expect(indexer.frozenAccounts()).to.deep.equal([]);
+    });
+
+    it("Should record reclaimed transfers and renewed approvals once", async function () {
+      await guardian.connect(guardian1).approvePending(highTxId);
+      await time.increase(3 * 24 * ONE_HOUR);
+      await guardian.connect(guardian1).approvePending(highTxId);
+
+      const indexer = newIndexer();
+      await indexer.sync();
+      expect(indexer.getPending(highTxId).approvals).to.deep.equal([guardian1.address]);
+
+      await time.increase(4 * 24 * ONE_HOUR);
+      await guardian.connect(guardian2).reclaimExpired(highTxId);
+      await indexer.sync();
+      expect(indexer.getPending(highTxId).status).to.equal("expired");
+      expect(indexer.openPending()).to.have.length(0);
+      expect(indexer.balanceOf(sender.address)).to.equal(await guardian.balances(sender.address));
+    });
+
+    it("Should follow held withdrawals and recovered accounts", async function () {
+      const heir = ethers.Wallet.createRandom().address;
+      await guardian.updateModel([4, 8, 1], new Array(40).fill(0n), new Array(9).fill(0n)); // risk 50
+      await guardian.connect(users[3]).setWithdrawalReview(toUSDC(100));
+      const withdrawalId = await pendingIdFrom(await guardian.connect(users[3]).withdraw(toUSDC(1000)));
+      await time.increase(ONE_HOUR);
+      await guardian.executePending(withdrawalId);
+
+      await guardian.connect(guardian1).supportRecovery(sender.address, heir);
+      await guardian.connect(guardian2).supportRecovery(sender.address, heir);
+      await time.increase(3 * 24 * ONE_HOUR);
+      await guardian.executeRecovery(sender.address);
+      // Refunds of the old address land with the new one
+      await guardian.connect(sender).cancelPending(highTxId);
+
+      const indexer = newIndexer();
+      await indexer.sync();
+      const withdrawal = indexer.getPending(withdrawalId);
+      expect(withdrawal.withdrawal).to.be.true;
+      expect(withdrawal.status).to.equal("executed");
+      expect(indexer.balanceOf(users[3].address)).to.equal(await guardian.balances(users[3].address));
+
+      expect(indexer.balanceOf(sender.address)).to.equal(0n);
+      expect(indexer.balanceOf(heir)).to.equal(await guardian.balances(heir));
+      expect(indexer.trustedList(heir)).to.deep.equal([users[1].address]);
+      expect(indexer.trustedList(sender.address)).to.deep.equal([]);
+      expect(indexer.currentAccount(sender.address)).to.equal(heir.toLowerCase());
+      const [recovery] = indexer.recoveries();
+      expect(recovery.newAddress).to.equal(heir);
+      expect(recovery.status).to.equal("executed");
+    });
+
+    it("Should keep vault balances and listings per token", async function () {
+      const toDAI = (n) => ethers.parseUnits(n.toString(), 18);
+      const [a, b] = [users[2], users[3]];
+      const dai = await (await ethers.getContractFactory("MockToken")).deploy("Dai Stablecoin", "DAI", 18);
+      await guardian.addSupportedToken(dai.target);
+      await dai.mint(a.address, toDAI(500));
+      await dai.connect(a).approve(address, ethers.MaxUint256);
+      await guardian.connect(a).depositToken(dai.target, toDAI(500));
+      const held = await pendingIdFrom(await guardian.connect(a).transferToken(dai.target, b.address, toDAI(100)));
+      await guardian.connect(a).withdrawToken(dai.target, a.address, toDAI(50));
+      await guardian.removeSupportedToken(dai.target);
+
+      const indexer = newIndexer();
+      await indexer.sync();
+      expect(indexer.getPending(held).token).to.equal(dai.target);
+      expect(indexer.balanceOf(a.address, dai.target)).to.equal(await guardian.tokenBalance(a.address, dai.target));
+      expect(indexer.balanceOf(a.address, dai.target)).to.equal(toDAI(350));
+      // Without a token: USDC, which the constructor listed first
+      expect(indexer.balanceOf(a.address)).to.equal(await guardian.balances(a.address));
+      expect(indexer.tokens()).to.deep.equal([
+        { address: usdc.target, decimals: 6, supported: true },
+        { address: dai.target, decimals: 18, supported: false },
+      ]);
+    });
+
+    it("Should keep per-user risk history with features", async function () {
+      const indexer = newIndexer();
+      await indexer.sync();
+
+      const history = indexer.riskHistory(sender.address);
+      expect(history).to.have.length(6);
+      expect(history[5].riskScore).to.be.gte(70);
+      expect(history[5].features).to.have.length(8);
+    });
+
+    it("Should track trust revocation", async function () {
+      await guardian.connect(sender).setTrustedRecipient(users[3].address, true);
+      await guardian.connect(sender).setTrustedRecipient(users[1].address, false);
+
+      const indexer = newIndexer();
+      await indexer.sync();
+      expect(indexer.trustedList(sender.address)).to.deep.equal([users[3].address]);
+      expect(indexer.trustedEntries(sender.address)).to.deep.equal([
+        { address: users[3].address, activeAt: await guardian.trustActiveAt(sender.address, users[3].address) },
+      ]);
+    });
+
+    it("Should track personal policies, owner overrides and bounds", async function () {
+      const other = users[3];
+      await guardian.connect(sender).setRiskPolicy(20, 60, 2 * ONE_HOUR, 3);
+      await guardian.connect(sender).setRiskPolicy(0, 0, 0, 0);
+      await guardian.setPolicyBounds(40, 80, 600, 1);
+      await guardian.setPolicyOverride(other.address, 40, 80, 600, 1);
+
+      const indexer = newIndexer();
+      await indexer.sync();
+      const policy = indexer.riskPolicy(sender.address);
+      expect(policy.personal).to.deep.equal({
+        lowThreshold: 20,
+        highThreshold: 60,
+        timelockDuration: BigInt(2 * ONE_HOUR),
+        minApprovals: 3,
+      });
+      expect(policy.queued.cleared).to.be.true;
+      expect(policy.override).to.be.undefined;
+      expect(indexer.policyBounds()).to.deep.equal({
+        lowThreshold: 40,
+        highThreshold: 80,
+        timelockDuration: 600n,
+        minApprovals: 1,
+      });
+      expect(indexer.policyOverrides()).to.deep.equal([
+        { user: other.address.toLowerCase(), ...indexer.policyBounds() },
+      ]);
+
+      await guardian.setPolicyOverride(other.address, 0, 0, 0, 0);
+      await indexer.sync();
+      expect(indexer.policyOverrides()).to.deep.equal([]);
+    });
+
+    it("Should sync incrementally", async function () {
+      const indexer = newIndexer();
+      await indexer.sync();
+      expect(indexer.openPending()).to.have.length(1);
+
+      await guardian.connect(guardian1).approvePending(highTxId);
+      await guardian.connect(guardian2).approvePending(highTxId);
+      await guardian.executePending(highTxId);
+
+      const res = await indexer.sync();
+      expect(res.events).to.equal(3);
+      expect(indexer.openPending()).to.have.length(0);
+      expect(indexer.getPending(highTxId).status).to.equal("executed");
+      expect(indexer.balanceOf(users[2].address)).to.equal(toUSDC(20500));
+    });
+  });
+
+  // ================================================================
+  //  PERSISTENCE & REORGS
+  // ================================================================
+
+  describe("Persistence and reorgs", function () {
+    it("Should resume from a JSON store", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "guardian-index-"));
+      const file = path.join(dir, "index.json");
+      try {
+        await time.increase(ONE_HOUR + 1);
+        await guardian.connect(users[0]).transfer(users[1].address, toUSDC(100));
+
+        const first = newIndexer(new JsonStore(file));
+        await first.sync();
+
+        const second = newIndexer(new JsonStore(file));
+        expect(second.lastBlock).to.equal(first.lastBlock);
+        expect(second.openPending()).to.have.length(1);
+        expect(second.openPending()[0].amount).to.equal(toUSDC(100));
+        expect((await second.sync()).events).to.equal(0);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("Should roll back events from reorged blocks", async function () {
+      const indexer = newIndexer();
+      await indexer.sync();
+
+      const snapshot = await network.provider.send("evm_snapshot");
+      await time.increase(ONE_HOUR + 1);
+      await guardian.connect(users[0]).transfer(users[1].address, toUSDC(100));
+      await indexer.sync();
+      expect(indexer.openPending()).to.have.length(1);
+
+      // Replace those blocks with a different history of the same height
+      await network.provider.send("evm_revert", [snapshot]);
+      await guardian.connect(users[2]).setTrustedRecipient(users[3].address, true);
+      await guardian.connect(users[2]).setTrustedRecipient(users[0].address, true);
+
+      const res = await indexer.sync();
+      expect(res.reorged).to.be.gt(0);
+      expect(indexer.openPending()).to.have.length(0);
+      expect(indexer.balanceOf(users[0].address)).to.equal(await guardian.balances(users[0].address));
+      expect(indexer.trustedList(users[2].address)).to.have.length(2);
+    });
+
+    it("Should refuse a store that belongs to another contract", async function () {
+      const store = new MemoryStore();
+      await newIndexer(store).sync();
+      expect(
+        () => new GuardianIndexer({ address: owner.address, provider: ethers.provider, store })
+      ).to.throw(/Store belongs to/);
+    });
+  });
+});
@@ -0,0 +1,351 @@
+/**
+ * @file Property-based fuzzing of vault accounting. Random sequences of
+ * deposits, withdrawals, transfers, guardian approvals, executions,
+ * cancellations, model swaps and time jumps run against the Hardhat network,
+ * and the invariants below are checked after every step. A failing sequence
+ * is shrunk and printed as a script that replays it.
+ *
+ * Runs are seeded, so a failure reproduces from its seed:
+ *
+ *   FUZZ_SEED=7 FUZZ_RUNS=200 FUZZ_STEPS=40 npx hardhat test test/Invariants.test.js
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { createRng } = require("../src/training");
+const { decodeGuardianError } = require("../src/errors");
+
+const RUNS = Number(process.env.FUZZ_RUNS || 10);
+const STEPS = Number(process.env.FUZZ_STEPS || 25);
+const SEED = Number(process.env.FUZZ_SEED || 1);
+
+const toUSDC = (n) => ethers.parseUnits(n.toString(), 6);
+const SCALE = ethers.parseEther("1");
+const ONE_HOUR = 3600;
+const DAY = 24 * ONE_HOUR;
+
+/** Output bias -> risk score: 0, 50 and 100 with zero weights */
+const RISK_BIAS = { 0: -100n * SCALE, 50: 0n, 100: 100n * SCALE };
+const flat = (bO) => [[4, 8, 1], new Array(40).fill(0n), [...new Array(8).fill(0n), bO]];
+
+// ================================================================
+//  ACTIONS
+// ================================================================
+
+/** Relative weights of each action kind in generated sequences */
+const WEIGHTS = { deposit: 3, withdraw: 2, transfer: 4, approve: 2, execute: 2, cancel: 1, setRisk: 1, wait: 2 };
+const WAITS = [60, ONE_HOUR, ONE_HOUR + 1, DAY, 8 * DAY];
+
+function genAction(rng, users) {
+  const pick = (arr) => arr[Math.floor(rng() * arr.length)];
+  const user = Math.floor(rng() * users);
+  const amount = toUSDC(1 + Math.floor(rng() * 2000));
+  const txId = Math.floor(rng() * 6);
+
+  let r = rng() * Object.values(WEIGHTS).reduce((a, b) => a + b, 0);
+  const kind = Object.keys(WEIGHTS).find((k) => (r -= WEIGHTS[k]) < 0);
+  switch (kind) {
+    case "deposit":
+    case "withdraw":
+      return { kind, user, amount };
+    case "transfer":
+      return { kind, user, to: (user + 1 + Math.floor(rng() * (users - 1))) % users, amount };
+    case "approve":
+      return { kind, guardian: Math.floor(rng() * 3), txId };
+    case "execute":
+    case "cancel":
+      return { kind, user, txId };
+    case "setRisk":
+      return { kind, risk: pick([0, 50, 100]) };
+    default:
+      return { kind: "wait", seconds: pick(WAITS) };
+  }
+}
+
+/**
+ * A contract call as `{caller, method, args}`: the caller is `["users", i]`
+ * or `["guardians", i]` and an address argument is `{user: i}`.
+ */
+function callOf(a) {
+  const user = ["users", a.user];
+  switch (a.kind) {
+    case "deposit":
+      return { caller: user, method: "deposit", args: [a.amount] };
+    case "withdraw":
+      return { caller: user, method: "withdraw", args: [a.amount] };
+    case "transfer":
+      return { caller: user, method: "transfer", args: [{ user: a.to }, a.amount] };
+    case "approve":
+      return { caller: ["guardians", a.guardian], method: "approvePending", args: [a.txId] };
+    case "execute":
+      return { caller: user, method: "executePending", args: [a.txId] };
+    default:
+      return { caller: user, method: "cancelPending", args: [a.txId] };
+  }
+}
+
+/**
+ * Apply one action. Reverts the contract explains with a custom error are
+ * expected and return its name; anything else (a panic, a bare revert) throws.
+ */
+async function applyAction(ctx, a) {
+  if (a.kind === "wait") {
+    await time.increase(a.seconds);
+    return undefined;
+  }
+  if (a.kind === "setRisk") {
+    await time.increase(ONE_HOUR + 1);
+    await ctx.guardian.updateModel(...flat(RISK_BIAS[a.risk]));
+    return undefined;
+  }
+  const { caller, method, args } = callOf(a);
+  const signer = ctx[caller[0]][caller[1]];
+  const values = args.map((v) => (typeof v === "object" ? ctx.users[v.user].address : v));
+  try {
+    await ctx.guardian.connect(signer)[method](...values);
+    return undefined;
+  } catch (err) {
+    const decoded = decodeGuardianError(err);
+    if (!decoded) throw err;
+    return decoded.errorName;
+  }
+}
+
+/**
+ * A sequence as a script for a test body with the fixture's `guardian`,
+ * `users` and `guardians` and the network helpers' `time`. Model updates are
+ * spelled out rather than going through `flat`, so the script needs nothing else.
+ */
+function toScript(actions, reverts = []) {
+  const arg = (v) => (typeof v === "object" ? `users[${v.user}].address` : `${v}n`);
+  return actions
+    .map((a, i) => {
+      if (a.kind === "wait") return `await time.increase(${a.seconds});`;
+      if (a.kind === "setRisk") {
+        const [layers, weights, biases] = flat(RISK_BIAS[a.risk]);
+        const hidden = `[...new Array(${biases.length - 1}).fill(0n), ${biases.at(-1)}n]`;
+        const model = `[${layers.join(", ")}], new Array(${weights.length}).fill(0n), ${hidden}`;
+        const update = `await guardian.updateModel(${model}); // risk ${a.risk}`;
+        return `await time.increase(${ONE_HOUR + 1});\n${update}`;
+      }
+      const { caller, method, args } = callOf(a);
+      const call = `guardian.connect(${caller[0]}[${caller[1]}]).${method}(${args.map(arg).join(", ")})`;
+      return reverts[i] ? `await ${call}.catch(() => {}); // reverts ${reverts[i]}` : `await ${call};`;
+    })
+    .join("\n");
+}
+
+// ================================================================
+//  INVARIANTS
+// ================================================================
+
+/**
+ * Vault accounting: user balances plus the amounts of pending transfers that
+ * neither executed nor were cancelled equal the USDC the guardian holds.
+ */
+async function checkAccounting(ctx) {
+  let owed = 0n;
+  for (const u of ctx.users) owed += await ctx.guardian.balances(u.address);
+  for (const ptx of ctx.pending) if (!ptx.executed && !ptx.cancelled) owed += ptx.amount;
+  const held = await ctx.usdc.balanceOf(ctx.guardian.target);
+  if (owed !== held) return `balances + open pending = ${owed}, guardian holds ${held}`;
+  const liabilities = await ctx.guardian.vaultLiabilities(ctx.usdc.target);
+  if (liabilities !== held) return `vaultLiabilities = ${liabilities}, guardian holds ${held}`;
+  return undefined;
+}
+
+/** A pending transfer never both executes and cancels, and never reopens. */
+function checkPendingFinality(ctx, prev) {
+  for (const [id, ptx] of ctx.pending.entries()) {
+    if (ptx.executed && ptx.cancelled) return `pending tx ${id} is both executed and cancelled`;
+    const before = prev.pending[id];
+    if (before && ((before.executed && !ptx.executed) || (before.cancelled && !ptx.cancelled))) {
+      return `pending tx ${id} reopened`;
+    }
+  }
+  return undefined;
+}
+
+/** Profile totals and timestamps only grow; registration is never undone. */
+function checkProfiles(ctx, prev) {
+  const FIELDS = ["totalTransactions", "totalVolume", "lastTransactionTime", "registeredAt"];
+  for (const [i, p] of ctx.profiles.entries()) {
+    const before = prev.profiles[i];
+    if (!before) continue;
+    for (const f of FIELDS) {
+      if (p[f] < before[f]) return `users[${i}].${f} fell from ${before[f]} to ${p[f]}`;
+    }
+    if (before.isRegistered && !p.isRegistered) return `users[${i}] lost its registration`;
+  }
+  return undefined;
+}
+
+const INVARIANTS = [checkAccounting, checkPendingFinality, checkProfiles];
+
+// ================================================================
+//  RUNNER AND SHRINKER
+// ================================================================
+
+async function snapshot(ctx) {
+  ctx.pending = [];
+  for (let id = 0n; id < (await ctx.guardian.pendingTxCount()); id++) {
+    ctx.pending.push(await ctx.guardian.getPendingTx(id));
+  }
+  ctx.profiles = [];
+  for (const u of ctx.users) ctx.profiles.push(await ctx.guardian.getProfile(u.address));
+}
+
+/**
+ * Run `actions` from a fresh fixture, checking `invariants` after each step.
+ * @returns {Promise<{step: number, message: string, reverts: string[]} | undefined>} the first violation
+ */
+async function runSequence(fixture, actions, invariants = INVARIANTS) {
+  const ctx = { ...(await loadFixture(fixture)) };
+  const reverts = [];
+  await snapshot(ctx);
+  for (let step = 0; step < actions.length; step++) {
+    const prev = { pending: ctx.pending, profiles: ctx.profiles };
+    try {
+      reverts.push(await applyAction(ctx, actions[step]));
+    } catch (err) {
+      return { step, message: `unexpected revert: ${err.shortMessage || err.message}`, reverts };
+    }
+    await snapshot(ctx);
+    for (const check of invariants) {
+      const message = await check(ctx, prev);
+      if (message) return { step, message, reverts };
+    }
+  }
+  return undefined;
+}
+
+/** Smaller versions of one action: half the amount or wait, or an earlier txId. */
+function simpler(a) {
+  const out = [];
+  if (a.amount > 1n) out.push({ ...a, amount: a.amount / 2n });
+  if (a.seconds > 1) out.push({ ...a, seconds: Math.floor(a.seconds / 2) });
+  if (a.txId > 0) out.push({ ...a, txId: a.txId - 1 });
+  return out;
+}
+
+/**
+ * Shrink a failing sequence: cut everything after the failing step, then
+ * drop single actions and simplify the rest while it still fails.
+ */
+async function shrink(fixture, actions, failure, invariants = INVARIANTS) {
+  let best = actions.slice(0, failure.step + 1);
+  let bestFailure = failure;
+  const attempt = async (candidate) => {
+    const f = await runSequence(fixture, candidate, invariants);
+    if (!f) return false;
+    best = candidate.slice(0, f.step + 1);
+    bestFailure = f;
+    return true;
+  };
+
+  let progress = true;
+  while (progress) {
+    progress = false;
+    for (let i = best.length - 1; i >= 0; i--) {
+      if (await attempt(best.filter((_, j) => j !== i))) progress = true;
+    }
+    for (let i = 0; i < best.length; i++) {
+      for (const s of simpler(best[i])) {
+        if (await attempt(best.map((a, j) => (j === i ? s : a)))) {
+          progress = true;
+          break;
+        }
+      }
+    }
+  }
+  return { actions: best, failure: bestFailure };
+}
+
+// ================================================================
+//  TESTS
+// ================================================================
+
+describe("Vault invariants (fuzz)", function () {
+  this.timeout(0);
+
+  async function deployFixture() {
+    const signers = await ethers.getSigners();
+    const guardians = signers.slice(1, 4);
+    const users = signers.slice(4, 7);
+
+    const usdc = await (await ethers.getContractFactory("MockUSDC")).deploy();
+    const guardian = await (await ethers.getContractFactory("NeuralUSDCGuardian")).deploy(usdc.target, 0);
+    for (const g of guardians) await guardian.addGuardian(g.address);
+    for (const u of users) {
+      await usdc.mint(u.address, toUSDC(1000000));
+      await usdc.connect(u).approve(guardian.target, ethers.MaxUint256);
+      await guardian.connect(u).register();
+    }
+    return { guardian, usdc, users, guardians };
+  }
+
+  const sequence = (seed) => {
+    const rng = createRng(seed);
+    return Array.from({ length: STEPS }, () => genAction(rng, 3));
+  };
+
+  it(`Should hold the accounting, finality and profile invariants (${RUNS} runs x ${STEPS} steps)`, async function () {
+    for (let run = 0; run < RUNS; run++) {
+      const seed = SEED + run;
+      const actions = sequence(seed);
+      const failure = await runSequence(deployFixture, actions);
+      if (!failure) continue;
+
+      const shrunk = await shrink(deployFixture, actions, failure);
+      expect.fail(
+        `Invariant violated (FUZZ_SEED=${seed} FUZZ_RUNS=1 FUZZ_STEPS=${STEPS}): ${shrunk.failure.message}\n` +
+          `Minimal sequence (${shrunk.actions.length} of ${failure.step + 1} steps):\n` +
+          toScript(shrunk.actions, shrunk.failure.reverts)
+      );
+    }
+  });
+
+  it("Should shrink a failing sequence to a replayable script", async function () {
+    // A deliberately false property: no vault balance above 1,500 USDC
+    const capped = async (ctx) => {
+      for (const [i, u] of ctx.users.entries()) {
+        if ((await ctx.guardian.balances(u.address)) > toUSDC(1500)) return `users[${i}] holds over 1,500 USDC`;
+      }
+      return undefined;
+    };
+    const actions = [
+      { kind: "wait", seconds: DAY },
+      { kind: "deposit", user: 1, amount: toUSDC(1000) },
+      { kind: "withdraw", user: 0, amount: toUSDC(5) },
+      { kind: "deposit", user: 1, amount: toUSDC(1000) },
+      { kind: "transfer", user: 1, to: 2, amount: toUSDC(10) },
+    ];
+
+    const failure = await runSequence(deployFixture, actions, [capped]);
+    expect(failure).to.include({ step: 3, message: "users[1] holds over 1,500 USDC" });
+
+    const shrunk = await shrink(deployFixture, actions, failure, [capped]);
+    expect(shrunk.actions).to.have.length(2);
+    expect(shrunk.actions.map((a) => a.kind)).to.deep.equal(["deposit", "deposit"]);
+    expect(shrunk.actions[0].amount + shrunk.actions[1].amount).to.be.gt(toUSDC(1500));
+
+    const script = toScript(actions, ["", "", "InsufficientBalance"]);
+    expect(script.split("\n")).to.deep.equal([
+      `await time.increase(${DAY});`,
+      `await guardian.connect(users[1]).deposit(${toUSDC(1000)}n);`,
+      `await guardian.connect(users[0]).withdraw(${toUSDC(5)}n).catch(() => {}); // reverts InsufficientBalance`,
+      `await guardian.connect(users[1]).deposit(${toUSDC(1000)}n);`,
+      `await guardian.connect(users[1]).transfer(users[2].address, ${toUSDC(10)}n);`,
+    ]);
+
+    // The script runs as it stands, model updates included
+    const { guardian, users, guardians } = await deployFixture();
+    const AsyncFunction = (async () => {}).constructor;
+    const body = toScript([{ kind: "setRisk", risk: 0 }, ...shrunk.actions]);
+    await new AsyncFunction("guardian", "users", "guardians", "time", body)(guardian, users, guardians, time);
+    expect(await guardian.computeRisk(new Array(8).fill(0n))).to.equal(0);
+    expect(await guardian.balances(users[1].address)).to.be.gt(toUSDC(1500));
+  });
+});
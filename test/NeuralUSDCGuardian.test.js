@@ -2,6 +2,10 @@ const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
+const { decay } = require("../src/reference");
+const { INTENT_METHODS, intentDomain, signIntent, intentArgs } = require("../src/intents");
+const { trustImmediately } = require("./helpers");
+
 describe("NeuralUSDCGuardian", function () {
   let guardian, usdc;
   let owner, user1, user2, user3, guardian1, guardian2, guardian3, attacker;
@@ -10,6 +14,9 @@ describe("NeuralUSDCGuardian", function () {
   const toUSDC = (n) => ethers.parseUnits(n.toString(), USDC_DECIMALS);
   const SCALE = ethers.parseEther("1"); // 1e18
   const ONE_HOUR = 3600;
+  // Behavioural features 4-7, zeroed so features 0-3 alone drive the risk
+  const BEHAVIOURAL_OFF = [0n, 0n, 0n, 0n];
+  const padFeatures = (f) => [...f, ...BEHAVIOURAL_OFF];
 
   beforeEach(async function () {
     [owner, user1, user2, user3, guardian1, guardian2, guardian3, attacker] =
@@ -19,7 +26,7 @@ describe("NeuralUSDCGuardian", function () {
     usdc = await MockUSDC.deploy();
 
     const Guardian = await ethers.getContractFactory("NeuralUSDCGuardian");
-    guardian = await Guardian.deploy(await usdc.getAddress());
+    guardian = await Guardian.deploy(await usdc.getAddress(), 0);
 
     // Setup guardians
     await guardian.addGuardian(guardian1.address);
@@ -56,17 +63,53 @@ describe("NeuralUSDCGuardian", function () {
     });
 
     it("Should initialise model weights", async function () {
+      const [, weights, biases] = await guardian.getModelWeights();
       // Neuron 0 amountRatio weight = 2 * SCALE
-      expect(await guardian.weightsHidden(0)).to.equal(SCALE * 2n);
+      expect(weights[0]).to.equal(SCALE * 2n);
       // Output bias = -0.30
-      expect(await guardian.biasOutput()).to.equal((SCALE * -3n) / 10n);
+      expect(biases[8]).to.equal((SCALE * -3n) / 10n);
       // Trust safety net weight = -0.70
-      expect(await guardian.weightsOutput(6)).to.equal((SCALE * -70n) / 100n);
+      expect(weights[32 + 6]).to.equal((SCALE * -70n) / 100n);
+    });
+
+    it("Should initialise a 4-8-1 model topology", async function () {
+      const [layers] = await guardian.getModelWeights();
+      expect([...layers]).to.deep.equal([4n, 8n, 1n]);
+    });
+
+    it("Should record the default model as version 1 through the modules", async function () {
+      const [layers, weights, biases] = await guardian.getModelWeights();
+      const hash = ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(["uint256[]", "int256[]", "int256[]"], [layers, weights, biases])
+      );
+      expect(await guardian.modelVersionCount()).to.equal(1);
+      expect(await guardian.activeModelVersion()).to.equal(1);
+      expect((await guardian.getModelVersion(1)).weightsHash).to.equal(hash);
+      // The module's events are emitted by the guardian itself
+      await expect(guardian.deploymentTransaction()).to.emit(guardian, "ModelUpdated").withArgs(1, 0, hash);
+    });
+
+    it("Should not let anyone install the default model again", async function () {
+      const modules = new ethers.Interface(["function installDefaultModel()"]);
+      await expect(
+        attacker.sendTransaction({ to: guardian.target, data: modules.encodeFunctionData("installDefaultModel") })
+      ).to.be.reverted;
+      expect(await guardian.modelVersionCount()).to.equal(1);
+    });
+
+    it("Should start with the model activation delay given to the constructor", async function () {
+      const G = await ethers.getContractFactory("NeuralUSDCGuardian");
+      const delayed = await G.deploy(usdc.target, ONE_HOUR);
+      expect(await delayed.modelActivationDelay()).to.equal(ONE_HOUR);
+      await expect(delayed.updateModel([4, 8, 1], new Array(40).fill(0n), new Array(9).fill(0n)))
+        .to.be.revertedWithCustomError(delayed, "ModelActivationDelayActive")
+        .withArgs(ONE_HOUR);
+      expect(await guardian.modelActivationDelay()).to.equal(0);
     });
 
     it("Should revert with zero USDC address", async function () {
       const G = await ethers.getContractFactory("NeuralUSDCGuardian");
-      await expect(G.deploy(ethers.ZeroAddress)).to.be.revertedWithCustomError(
+      await expect(G.deploy(ethers.ZeroAddress, 0)).to.be.revertedWithCustomError(
         guardian,
         "ZeroAddress"
       );
@@ -107,7 +150,7 @@ describe("NeuralUSDCGuardian", function () {
     it("Should deposit USDC", async function () {
       await expect(guardian.connect(user1).deposit(toUSDC(1000)))
         .to.emit(guardian, "Deposited")
-        .withArgs(user1.address, toUSDC(1000));
+        .withArgs(user1.address, usdc.target, toUSDC(1000));
 
       expect(await guardian.balances(user1.address)).to.equal(toUSDC(1000));
     });
@@ -130,7 +173,7 @@ describe("NeuralUSDCGuardian", function () {
       const balBefore = await usdc.balanceOf(user1.address);
       await expect(guardian.connect(user1).withdraw(toUSDC(500)))
         .to.emit(guardian, "Withdrawn")
-        .withArgs(user1.address, toUSDC(500));
+        .withArgs(user1.address, usdc.target, toUSDC(500));
 
       expect(await guardian.balances(user1.address)).to.equal(toUSDC(500));
       expect(await usdc.balanceOf(user1.address)).to.equal(
@@ -152,6 +195,120 @@ describe("NeuralUSDCGuardian", function () {
     });
   });
 
+  // ================================================================
+  //  PERMIT DEPOSITS
+  // ================================================================
+
+  describe("Permit Deposits", function () {
+    let token, vault;
+
+    beforeEach(async function () {
+      token = await (await ethers.getContractFactory("MockUSDCPermit")).deploy();
+      vault = await (await ethers.getContractFactory("NeuralUSDCGuardian")).deploy(await token.getAddress(), 0);
+      await token.mint(user1.address, toUSDC(1000));
+      await vault.connect(user1).register();
+    });
+
+    // EIP-2612 permit for `vault` to pull `value` from `signer`
+    async function permit(signer, value, deadline) {
+      const domain = {
+        name: "USD Coin",
+        version: "2",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await token.getAddress(),
+      };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      const message = {
+        owner: signer.address,
+        spender: await vault.getAddress(),
+        value,
+        nonce: await token.nonces(signer.address),
+        deadline,
+      };
+      return ethers.Signature.from(await signer.signTypedData(domain, types, message));
+    }
+
+    it("Should deposit with a permit and no prior approve", async function () {
+      const deadline = (await time.latest()) + ONE_HOUR;
+      const { v, r, s } = await permit(user1, toUSDC(400), deadline);
+
+      await expect(vault.connect(user1).depositWithPermit(toUSDC(400), deadline, v, r, s))
+        .to.emit(vault, "Deposited")
+        .withArgs(user1.address, token.target, toUSDC(400));
+
+      expect(await vault.balances(user1.address)).to.equal(toUSDC(400));
+      expect(await token.balanceOf(user1.address)).to.equal(toUSDC(600));
+      expect(await token.allowance(user1.address, await vault.getAddress())).to.equal(0);
+      expect(await token.nonces(user1.address)).to.equal(1);
+    });
+
+    it("Should still deposit when the permit was front-run", async function () {
+      const deadline = (await time.latest()) + ONE_HOUR;
+      const { v, r, s } = await permit(user1, toUSDC(400), deadline);
+      await token
+        .connect(attacker)
+        .permit(user1.address, await vault.getAddress(), toUSDC(400), deadline, v, r, s);
+
+      await expect(vault.connect(user1).depositWithPermit(toUSDC(400), deadline, v, r, s))
+        .to.emit(vault, "Deposited")
+        .withArgs(user1.address, token.target, toUSDC(400));
+    });
+
+    it("Should revert on the missing allowance when the permit is invalid", async function () {
+      const deadline = (await time.latest()) + ONE_HOUR;
+      const signed = await permit(user1, toUSDC(100), deadline);
+      await expect(
+        vault.connect(user1).depositWithPermit(toUSDC(400), deadline, signed.v, signed.r, signed.s)
+      ).to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+
+      // Expired
+      const lapsed = await permit(user1, toUSDC(400), deadline);
+      await time.increaseTo(deadline + 1);
+      await expect(
+        vault.connect(user1).depositWithPermit(toUSDC(400), deadline, lapsed.v, lapsed.r, lapsed.s)
+      ).to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+    });
+
+    it("Should not let a permit deposit for someone else", async function () {
+      const deadline = (await time.latest()) + ONE_HOUR;
+      const { v, r, s } = await permit(user1, toUSDC(400), deadline);
+      await vault.connect(user2).register();
+
+      // The guardian claims the permit for the caller, so user1's signature does not verify
+      await expect(
+        vault.connect(user2).depositWithPermit(toUSDC(400), deadline, v, r, s)
+      ).to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+      expect(await token.nonces(user1.address)).to.equal(0);
+    });
+
+    it("Should fall back to an existing allowance on tokens without permit", async function () {
+      await guardian.connect(user1).register();
+      const deadline = (await time.latest()) + ONE_HOUR;
+      await expect(
+        guardian.connect(user1).depositWithPermit(toUSDC(100), deadline, 27, ethers.ZeroHash, ethers.ZeroHash)
+      )
+        .to.emit(guardian, "Deposited")
+        .withArgs(user1.address, usdc.target, toUSDC(100));
+    });
+
+    it("Should revert while paused", async function () {
+      const deadline = (await time.latest()) + ONE_HOUR;
+      const { v, r, s } = await permit(user1, toUSDC(400), deadline);
+      await vault.pause();
+      await expect(
+        vault.connect(user1).depositWithPermit(toUSDC(400), deadline, v, r, s)
+      ).to.be.revertedWithCustomError(vault, "EnforcedPause");
+    });
+  });
+
   // ================================================================
   //  NEURAL NETWORK - PURE FORWARD PASS
   // ================================================================
@@ -165,6 +322,7 @@ describe("NeuralUSDCGuardian", function () {
           (SCALE * 2n) / 10n, // txFreq = 0.2
           SCALE, // trusted
           (SCALE * 3n) / 10n, // recency = 0.3
+          ...BEHAVIOURAL_OFF,
         ];
         const risk = await guardian.computeRisk(features);
         expect(risk).to.be.lte(25);
@@ -178,6 +336,7 @@ describe("NeuralUSDCGuardian", function () {
           0n, // no recent tx
           0n, // untrusted
           0n, // not recent
+          ...BEHAVIOURAL_OFF,
         ];
         const risk = await guardian.computeRisk(features);
         expect(risk).to.be.gte(50);
@@ -191,6 +350,7 @@ describe("NeuralUSDCGuardian", function () {
           0n,
           0n,
           0n,
+          ...BEHAVIOURAL_OFF,
         ];
         const risk = await guardian.computeRisk(features);
         expect(risk).to.be.gte(80);
@@ -203,6 +363,7 @@ describe("NeuralUSDCGuardian", function () {
           SCALE * 2n,
           0n,
           (SCALE * 95n) / 100n,
+          ...BEHAVIOURAL_OFF,
         ];
         const risk = await guardian.computeRisk(features);
         expect(risk).to.be.gte(90);
@@ -215,13 +376,14 @@ describe("NeuralUSDCGuardian", function () {
           (SCALE * 2n) / 10n,
           SCALE, // trusted
           (SCALE * 3n) / 10n,
+          ...BEHAVIOURAL_OFF,
         ];
         const risk = await guardian.computeRisk(features);
         expect(risk).to.be.lte(40);
       });
 
       it("Zero features -> moderate risk (no trust)", async function () {
-        const features = [0n, 0n, 0n, 0n];
+        const features = padFeatures([0n, 0n, 0n, 0n]);
         const risk = await guardian.computeRisk(features);
         // Only untrusted-recipient alarm fires (bias = 2*SCALE)
         expect(risk).to.be.gte(30);
@@ -234,6 +396,7 @@ describe("NeuralUSDCGuardian", function () {
           SCALE * 2n, // max freq
           0n, // untrusted
           SCALE, // max recency
+          ...BEHAVIOURAL_OFF,
         ];
         const risk = await guardian.computeRisk(features);
         expect(risk).to.be.gte(93);
@@ -247,12 +410,14 @@ describe("NeuralUSDCGuardian", function () {
           SCALE * 2n,
           0n,
           SCALE,
+          ...BEHAVIOURAL_OFF,
         ]);
         const lowRisk = await guardian.computeRisk([
           SCALE,
           0n,
           SCALE,
           0n,
+          ...BEHAVIOURAL_OFF,
         ]);
         expect(highRisk).to.be.gt(lowRisk);
         expect(highRisk).to.be.gte(90);
@@ -306,6 +471,7 @@ describe("NeuralUSDCGuardian", function () {
 
     describe("Low risk (auto-approve)", function () {
       it("Should auto-approve transfer to trusted recipient", async function () {
+        await trustImmediately(guardian);
         await guardian
           .connect(user1)
           .setTrustedRecipient(user2.address, true);
@@ -446,6 +612,16 @@ describe("NeuralUSDCGuardian", function () {
       txId = guardian.interface.parseLog(ev).args.txId;
     });
 
+    it("Should expose the pending transaction through the pendingTxs getter", async function () {
+      const ptx = await guardian.getPendingTx(txId);
+      const fields = await guardian.pendingTxs(txId);
+      expect(fields.sender).to.equal(user1.address);
+      expect(fields.recipient).to.equal(user2.address);
+      expect(fields.amount).to.equal(toUSDC(100));
+      expect(fields.token).to.equal(usdc.target);
+      expect([...fields]).to.deep.equal([...ptx]);
+    });
+
     describe("Timelock execution", function () {
       it("Should revert before timelock expires", async function () {
         await expect(
@@ -475,6 +651,19 @@ describe("NeuralUSDCGuardian", function () {
           guardian.executePending(txId)
         ).to.be.revertedWithCustomError(guardian, "TxAlreadyExecuted");
       });
+
+      it("Should keep the timelock and gate fixed at creation", async function () {
+        await guardian.setTimelockDuration(6 * ONE_HOUR);
+        // Would make the pending tx high risk if routing were re-evaluated
+        await guardian.setThresholds(10, 20);
+
+        const ptx = await guardian.getPendingTx(txId);
+        expect(ptx.readyAt).to.equal(ptx.createdAt + BigInt(ONE_HOUR));
+        expect(ptx.requiresMultiSig).to.be.false;
+
+        await time.increase(ONE_HOUR + 1);
+        await expect(guardian.executePending(txId)).to.emit(guardian, "TransferExecuted");
+      });
     });
 
     describe("Cancellation", function () {
@@ -590,6 +779,359 @@ describe("NeuralUSDCGuardian", function () {
           guardian.executePending(highRiskTxId)
         ).to.be.revertedWithCustomError(guardian, "InsufficientApprovals");
       });
+
+      it("Should keep the quorum fixed at creation", async function () {
+        await guardian.setThresholds(30, 100);
+        await guardian.setMinApprovals(3);
+        expect((await guardian.getPendingTx(highRiskTxId)).requiredApprovals).to.equal(2);
+
+        await time.increase(ONE_HOUR + 1);
+        await expect(guardian.executePending(highRiskTxId))
+          .to.be.revertedWithCustomError(guardian, "InsufficientApprovals")
+          .withArgs(0, 2);
+        await guardian.connect(guardian1).approvePending(highRiskTxId);
+        await guardian.connect(guardian2).approvePending(highRiskTxId);
+        await expect(guardian.executePending(highRiskTxId)).to.emit(guardian, "TransferExecuted");
+      });
+
+      it("Should stop counting approvals older than approvalValidity", async function () {
+        await guardian.connect(guardian1).approvePending(highRiskTxId);
+        await time.increase(3 * 24 * ONE_HOUR);
+        await guardian.connect(guardian2).approvePending(highRiskTxId);
+
+        expect(await guardian.hasApproved(highRiskTxId, guardian1.address)).to.be.false;
+        expect(await guardian.validApprovals(highRiskTxId)).to.equal(1);
+        await expect(guardian.executePending(highRiskTxId))
+          .to.be.revertedWithCustomError(guardian, "InsufficientApprovals")
+          .withArgs(1, 2);
+
+        // A lapsed approval can be renewed without double counting
+        await guardian.connect(guardian1).approvePending(highRiskTxId);
+        expect((await guardian.getPendingTx(highRiskTxId)).approvalCount).to.equal(2);
+        await expect(guardian.executePending(highRiskTxId)).to.emit(guardian, "TransferExecuted");
+      });
+    });
+
+    describe("Guardian veto", function () {
+      it("Should hold execution from the first veto vote", async function () {
+        await expect(guardian.connect(guardian1).vetoPending(txId, false))
+          .to.emit(guardian, "VetoCast")
+          .withArgs(txId, guardian1.address, false);
+        expect(await guardian.hasVetoed(txId, guardian1.address)).to.be.true;
+        expect((await guardian.getPendingTx(txId)).vetoCount).to.equal(1);
+
+        await time.increase(ONE_HOUR + 1);
+        await expect(guardian.executePending(txId))
+          .to.be.revertedWithCustomError(guardian, "VetoInProgress")
+          .withArgs(1, 2);
+      });
+
+      it("Should refund the sender once a quorum vetoes", async function () {
+        await guardian.connect(guardian1).vetoPending(txId, false);
+        await expect(guardian.connect(guardian2).vetoPending(txId, false))
+          .to.emit(guardian, "TransferVetoed")
+          .withArgs(txId, false)
+          .and.not.to.emit(guardian, "AccountFrozen");
+
+        const ptx = await guardian.getPendingTx(txId);
+        expect(ptx.vetoed).to.be.true;
+        expect(ptx.cancelled).to.be.true;
+        expect(await guardian.balances(user1.address)).to.equal(toUSDC(50000));
+        expect(await guardian.frozen(user1.address)).to.be.false;
+      });
+
+      it("Should freeze the sender only when a quorum asks for it", async function () {
+        // A second pending transfer that must not go through while frozen
+        await guardian.connect(user1).transfer(user3.address, toUSDC(200));
+        const otherId = txId + 1n;
+        await guardian.connect(guardian3).approvePending(otherId);
+        await guardian.connect(guardian2).approvePending(otherId);
+
+        await guardian.connect(guardian1).vetoPending(txId, true);
+        await expect(guardian.connect(guardian2).vetoPending(txId, true))
+          .to.emit(guardian, "AccountFrozen")
+          .withArgs(user1.address, txId)
+          .and.to.emit(guardian, "TransferVetoed")
+          .withArgs(txId, true);
+        expect(await guardian.frozen(user1.address)).to.be.true;
+
+        await time.increase(ONE_HOUR + 1);
+        await expect(guardian.executePending(otherId))
+          .to.be.revertedWithCustomError(guardian, "SenderFrozen")
+          .withArgs(user1.address);
+        await expect(guardian.connect(user1).withdraw(1)).to.be.revertedWithCustomError(guardian, "SenderFrozen");
+        await expect(guardian.connect(user1).transfer(user2.address, 1)).to.be.revertedWithCustomError(
+          guardian,
+          "SenderFrozen"
+        );
+        await expect(guardian.connect(user1).batchTransfer([user2.address], [1])).to.be.revertedWithCustomError(
+          guardian,
+          "SenderFrozen"
+        );
+
+        await expect(guardian.connect(attacker).unfreezeAccount(user1.address)).to.be.revertedWithCustomError(
+          guardian,
+          "OwnableUnauthorizedAccount"
+        );
+        await expect(guardian.unfreezeAccount(user1.address))
+          .to.emit(guardian, "AccountUnfrozen")
+          .withArgs(user1.address);
+        await expect(guardian.unfreezeAccount(user1.address))
+          .to.be.revertedWithCustomError(guardian, "NotFrozen")
+          .withArgs(user1.address);
+        await expect(guardian.executePending(otherId)).to.emit(guardian, "TransferExecuted");
+      });
+
+      it("Should not freeze on a split freeze vote", async function () {
+        await guardian.connect(guardian1).vetoPending(txId, true);
+        await expect(guardian.connect(guardian2).vetoPending(txId, false))
+          .to.emit(guardian, "TransferVetoed")
+          .withArgs(txId, false);
+        expect(await guardian.frozen(user1.address)).to.be.false;
+      });
+
+      it("Should reject non-guardians, repeat votes and approve-and-veto", async function () {
+        await expect(guardian.connect(attacker).vetoPending(txId, false)).to.be.revertedWithCustomError(
+          guardian,
+          "NotGuardian"
+        );
+        await expect(guardian.connect(guardian1).vetoPending(99, false)).to.be.revertedWithCustomError(
+          guardian,
+          "TxDoesNotExist"
+        );
+
+        await guardian.connect(guardian1).vetoPending(txId, false);
+        await expect(guardian.connect(guardian1).vetoPending(txId, false)).to.be.revertedWithCustomError(
+          guardian,
+          "AlreadyVetoed"
+        );
+        await expect(guardian.connect(guardian1).approvePending(txId)).to.be.revertedWithCustomError(
+          guardian,
+          "AlreadyVetoed"
+        );
+
+        await guardian.connect(guardian2).approvePending(txId);
+        await expect(guardian.connect(guardian2).vetoPending(txId, false)).to.be.revertedWithCustomError(
+          guardian,
+          "AlreadyApproved"
+        );
+      });
+
+      it("Should let an approval quorum override a single veto", async function () {
+        await guardian.connect(guardian3).vetoPending(txId, false);
+        await time.increase(ONE_HOUR + 1);
+        await guardian.connect(guardian1).approvePending(txId);
+        await expect(guardian.executePending(txId))
+          .to.be.revertedWithCustomError(guardian, "VetoInProgress")
+          .withArgs(1, 2);
+
+        await guardian.connect(guardian2).approvePending(txId);
+        await expect(guardian.executePending(txId)).to.emit(guardian, "TransferExecuted");
+      });
+
+      it("Should execute a multi-sig transfer whose quorum outweighs a later veto", async function () {
+        await guardian.connect(user1).escalatePending(txId);
+        await guardian.connect(guardian1).approvePending(txId);
+        await guardian.connect(guardian2).approvePending(txId);
+        await guardian.connect(guardian3).vetoPending(txId, false);
+
+        await expect(guardian.executePending(txId)).to.emit(guardian, "TransferExecuted");
+      });
+
+      describe("Races with cancel and execute", function () {
+        it("Should reject a veto after execution", async function () {
+          await time.increase(ONE_HOUR + 1);
+          await guardian.executePending(txId);
+          await expect(guardian.connect(guardian1).vetoPending(txId, true)).to.be.revertedWithCustomError(
+            guardian,
+            "TxAlreadyExecuted"
+          );
+        });
+
+        it("Should reject a veto after the sender cancelled", async function () {
+          await guardian.connect(user1).cancelPending(txId);
+          await expect(guardian.connect(guardian1).vetoPending(txId, true)).to.be.revertedWithCustomError(
+            guardian,
+            "TxAlreadyCancelled"
+          );
+        });
+
+        it("Should refund exactly once when the sender cancels mid-veto", async function () {
+          await guardian.connect(guardian1).vetoPending(txId, true);
+          await guardian.connect(user1).cancelPending(txId);
+          await expect(guardian.connect(guardian2).vetoPending(txId, true)).to.be.revertedWithCustomError(
+            guardian,
+            "TxAlreadyCancelled"
+          );
+          expect(await guardian.balances(user1.address)).to.equal(toUSDC(50000));
+          expect(await guardian.frozen(user1.address)).to.be.false;
+        });
+
+        it("Should reject cancel and execute after a veto", async function () {
+          await guardian.connect(guardian1).vetoPending(txId, false);
+          await guardian.connect(guardian2).vetoPending(txId, false);
+          await time.increase(ONE_HOUR + 1);
+
+          await expect(guardian.executePending(txId)).to.be.revertedWithCustomError(guardian, "TxAlreadyCancelled");
+          await expect(guardian.connect(user1).cancelPending(txId)).to.be.revertedWithCustomError(
+            guardian,
+            "TxAlreadyCancelled"
+          );
+          expect(await guardian.balances(user1.address)).to.equal(toUSDC(50000));
+          expect(await guardian.balances(user2.address)).to.equal(0);
+        });
+      });
+    });
+
+    describe("Sender escalation", function () {
+      it("Should move a time-locked transfer to guardian approval", async function () {
+        await expect(guardian.connect(user1).escalatePending(txId))
+          .to.emit(guardian, "TransferEscalated")
+          .withArgs(txId);
+        expect((await guardian.getPendingTx(txId)).requiresMultiSig).to.be.true;
+
+        // The timelock alone no longer releases it
+        await time.increase(ONE_HOUR + 1);
+        await expect(guardian.executePending(txId))
+          .to.be.revertedWithCustomError(guardian, "InsufficientApprovals")
+          .withArgs(0, 2);
+        await guardian.connect(guardian1).approvePending(txId);
+        await guardian.connect(guardian2).approvePending(txId);
+        await expect(guardian.executePending(txId)).to.emit(guardian, "TransferExecuted");
+      });
+
+      it("Should only let the sender escalate an open time-locked transfer", async function () {
+        await expect(guardian.connect(user2).escalatePending(txId)).to.be.revertedWithCustomError(
+          guardian,
+          "NotPendingTxSender"
+        );
+        await guardian.connect(user1).escalatePending(txId);
+        await expect(guardian.connect(user1).escalatePending(txId)).to.be.revertedWithCustomError(
+          guardian,
+          "AlreadyMultiSig"
+        );
+
+        await guardian.connect(user1).transfer(user3.address, toUSDC(100));
+        await guardian.connect(user1).cancelPending(txId + 1n);
+        await expect(guardian.connect(user1).escalatePending(txId + 1n)).to.be.revertedWithCustomError(
+          guardian,
+          "TxAlreadyCancelled"
+        );
+      });
+    });
+
+    describe("Expiry", function () {
+      const WEEK = 7 * 24 * ONE_HOUR;
+
+      it("Should only allow reclaiming once the pending tx has expired", async function () {
+        const { expiresAt } = await guardian.getPendingTx(txId);
+        await expect(guardian.connect(attacker).reclaimExpired(txId))
+          .to.be.revertedWithCustomError(guardian, "TxNotExpired")
+          .withArgs(expiresAt);
+
+        await time.increaseTo(expiresAt);
+        await expect(guardian.executePending(txId))
+          .to.be.revertedWithCustomError(guardian, "TxExpired")
+          .withArgs(expiresAt);
+        await expect(guardian.connect(guardian1).approvePending(txId)).to.be.revertedWithCustomError(
+          guardian,
+          "TxExpired"
+        );
+      });
+
+      it("Should let anyone return an expired transfer to the sender", async function () {
+        const before = await guardian.balances(user1.address);
+        await time.increase(WEEK);
+
+        await expect(guardian.connect(attacker).reclaimExpired(txId))
+          .to.emit(guardian, "TransferExpired")
+          .withArgs(txId);
+        expect(await guardian.balances(user1.address)).to.equal(before + toUSDC(100));
+        expect((await guardian.getPendingTx(txId)).cancelled).to.be.true;
+
+        await expect(guardian.reclaimExpired(txId)).to.be.revertedWithCustomError(guardian, "TxAlreadyCancelled");
+        await expect(guardian.reclaimExpired(txId + 1n)).to.be.revertedWithCustomError(guardian, "TxDoesNotExist");
+      });
+
+      it("Should use the expiry window in force when the transfer was held", async function () {
+        await guardian.setExpiryWindows(2 * WEEK, 3 * 24 * ONE_HOUR);
+        const { createdAt, expiresAt } = await guardian.getPendingTx(txId);
+        expect(expiresAt).to.equal(createdAt + BigInt(WEEK));
+
+        await guardian.connect(user1).transfer(user3.address, toUSDC(100));
+        const later = await guardian.getPendingTx(txId + 1n);
+        expect(later.expiresAt).to.equal(later.createdAt + BigInt(2 * WEEK));
+      });
+    });
+  });
+
+  // ================================================================
+  //  BEHAVIOURAL FEATURES
+  // ================================================================
+
+  describe("Behavioural Features", function () {
+    const DAY = 24 * ONE_HOUR;
+
+    beforeEach(async function () {
+      await guardian.connect(user1).register();
+      await guardian.connect(user2).register();
+      await guardian.connect(user1).deposit(toUSDC(1000));
+    });
+
+    const featuresOf = async (recipient, amount) =>
+      (await guardian.assessRisk(user1.address, recipient, amount))[1];
+
+    it("Should flag a recipient as novel until the first payment", async function () {
+      expect((await featuresOf(user2.address, toUSDC(10)))[4]).to.equal(SCALE);
+      await guardian.connect(user1).transfer(user2.address, toUSDC(10));
+      expect(await guardian.recipientTransferCount(user1.address, user2.address)).to.equal(1);
+      expect((await featuresOf(user2.address, toUSDC(10)))[4]).to.equal(0n);
+      expect((await featuresOf(user3.address, toUSDC(10)))[4]).to.equal(SCALE);
+    });
+
+    it("Should keep novelty independent of trust", async function () {
+      await trustImmediately(guardian);
+      await guardian.connect(user1).setTrustedRecipient(user2.address, true);
+      const f = await featuresOf(user2.address, toUSDC(10));
+      expect(f[2]).to.equal(SCALE);
+      expect(f[4]).to.equal(SCALE);
+    });
+
+    it("Should express the amount as a fraction of the vault balance", async function () {
+      expect((await featuresOf(user2.address, toUSDC(250)))[5]).to.equal(SCALE / 4n);
+      expect((await featuresOf(user2.address, toUSDC(1000)))[5]).to.equal(SCALE);
+      expect((await featuresOf(user2.address, toUSDC(5000)))[5]).to.equal(SCALE);
+      // Empty vault scores as a full drain
+      expect((await guardian.assessRisk(user3.address, user2.address, 1))[1][5]).to.equal(SCALE);
+    });
+
+    it("Should grow account age over 30 days and clamp at 1.0", async function () {
+      const { registeredAt } = await guardian.getProfile(user1.address);
+      await time.setNextBlockTimestamp(Number(registeredAt) + 15 * DAY);
+      await ethers.provider.send("evm_mine", []);
+      expect((await featuresOf(user2.address, toUSDC(10)))[6]).to.equal(SCALE / 2n);
+
+      await time.increase(30 * DAY);
+      expect((await featuresOf(user2.address, toUSDC(10)))[6]).to.equal(SCALE);
+      // Unregistered senders have no age
+      expect((await guardian.assessRisk(user3.address, user2.address, 1))[1][6]).to.equal(0n);
+    });
+
+    it("Should score the hour of day against the sender's active hours", async function () {
+      const start = Math.ceil(((await time.latest()) + 1) / DAY) * DAY + 10 * ONE_HOUR;
+      expect((await featuresOf(user2.address, toUSDC(10)))[7]).to.equal(0n);
+
+      await time.setNextBlockTimestamp(start);
+      await guardian.connect(user1).transfer(user2.address, toUSDC(10));
+      expect((await guardian.getProfile(user1.address)).activeHours).to.equal(1n << 10n);
+
+      await time.setNextBlockTimestamp(start + 3 * ONE_HOUR);
+      await ethers.provider.send("evm_mine", []);
+      expect((await featuresOf(user2.address, toUSDC(10)))[7]).to.equal((3n * SCALE) / 12n);
+
+      await time.setNextBlockTimestamp(start + 12 * ONE_HOUR);
+      await ethers.provider.send("evm_mine", []);
+      expect((await featuresOf(user2.address, toUSDC(10)))[7]).to.equal(SCALE);
     });
   });
 
@@ -599,11 +1141,14 @@ describe("NeuralUSDCGuardian", function () {
 
   describe("Trusted Recipients", function () {
     it("Should set trusted recipient", async function () {
+      await trustImmediately(guardian);
+      const now = (await time.latest()) + 1;
+      await time.setNextBlockTimestamp(now);
       await expect(
         guardian.connect(user1).setTrustedRecipient(user2.address, true)
       )
         .to.emit(guardian, "TrustedRecipientSet")
-        .withArgs(user1.address, user2.address, true);
+        .withArgs(user1.address, user2.address, true, now);
 
       expect(
         await guardian.trustedRecipients(user1.address, user2.address)
@@ -624,82 +1169,1288 @@ describe("NeuralUSDCGuardian", function () {
         guardian.connect(user1).setTrustedRecipient(ethers.ZeroAddress, true)
       ).to.be.revertedWithCustomError(guardian, "ZeroAddress");
     });
-  });
 
-  // ================================================================
-  //  ADMIN: GUARDIANS
-  // ================================================================
+    describe("Activation delay", function () {
+      const DAY = 24 * ONE_HOUR;
+      const trustFeature = async () => (await guardian.explainRisk(user1.address, user2.address, toUSDC(10))).features[2];
 
-  describe("Admin - Guardians", function () {
-    it("Should add a guardian", async function () {
-      const newG = attacker; // reusing signer
-      await expect(guardian.addGuardian(newG.address))
-        .to.emit(guardian, "GuardianAdded")
-        .withArgs(newG.address);
+      beforeEach(async function () {
+        await guardian.connect(user1).register();
+        await guardian.connect(user1).deposit(toUSDC(1000));
+        await expect(guardian.setTrustActivationDelay(DAY))
+          .to.emit(guardian, "TrustActivationDelayUpdated")
+          .withArgs(DAY);
+      });
 
-      expect(await guardian.guardians(newG.address)).to.be.true;
-      expect(await guardian.guardianCount()).to.equal(4);
-    });
+      it("Should only lower risk once the delay has passed", async function () {
+        const now = (await time.latest()) + 1;
+        await time.setNextBlockTimestamp(now);
+        await expect(guardian.connect(user1).setTrustedRecipient(user2.address, true))
+          .to.emit(guardian, "TrustedRecipientSet")
+          .withArgs(user1.address, user2.address, true, now + DAY);
+        expect(await guardian.trustedRecipients(user1.address, user2.address)).to.be.true;
+        expect(await guardian.trustActiveAt(user1.address, user2.address)).to.equal(now + DAY);
+        expect(await trustFeature()).to.equal(0);
+
+        await time.increaseTo(now + DAY);
+        expect(await trustFeature()).to.equal(SCALE);
+        // Trusting again does not restart the delay
+        await guardian.connect(user1).setTrustedRecipient(user2.address, true);
+        expect(await guardian.trustActiveAt(user1.address, user2.address)).to.equal(now + DAY);
+      });
 
-    it("Should revert adding duplicate guardian", async function () {
-      await expect(
-        guardian.addGuardian(guardian1.address)
-      ).to.be.revertedWithCustomError(guardian, "AlreadyGuardian");
+      it("Should revoke at once and restart the delay when trusted again", async function () {
+        await guardian.connect(user1).setTrustedRecipient(user2.address, true);
+        await time.increase(DAY);
+        await expect(guardian.connect(user1).setTrustedRecipient(user2.address, false))
+          .to.emit(guardian, "TrustedRecipientSet")
+          .withArgs(user1.address, user2.address, false, 0);
+        expect(await trustFeature()).to.equal(0);
+
+        await guardian.connect(user1).setTrustedRecipient(user2.address, true);
+        expect(await trustFeature()).to.equal(0);
+        expect(await guardian.trustActiveAt(user1.address, user2.address)).to.equal((await time.latest()) + DAY);
+      });
+
+      it("Should default to one day", async function () {
+        const fresh = await (await ethers.getContractFactory("NeuralUSDCGuardian")).deploy(usdc.target, 0);
+        expect(await fresh.trustActivationDelay()).to.equal(DAY);
+      });
+
+      it("Should queue a shorter delay until the one in force has passed", async function () {
+        const now = (await time.latest()) + 1;
+        await time.setNextBlockTimestamp(now);
+        await expect(guardian.setTrustActivationDelay(0))
+          .to.emit(guardian, "TrustActivationDelayQueued")
+          .withArgs(0, now + DAY)
+          .and.not.to.emit(guardian, "TrustActivationDelayUpdated");
+        expect([...(await guardian.getTrustActivationDelay())]).to.deep.equal([BigInt(DAY), 0n, BigInt(now + DAY)]);
+
+        // Trust added meanwhile still waits the full day
+        await guardian.connect(user1).setTrustedRecipient(user2.address, true);
+        expect(await guardian.trustActiveAt(user1.address, user2.address)).to.equal((await time.latest()) + DAY);
+
+        await time.increaseTo(now + DAY);
+        expect([...(await guardian.getTrustActivationDelay())]).to.deep.equal([0n, 0n, 0n]);
+        await expect(guardian.connect(user1).setTrustedRecipient(user3.address, true))
+          .to.emit(guardian, "TrustActivationDelayUpdated")
+          .withArgs(0);
+        expect(await guardian.trustActiveAt(user1.address, user3.address)).to.equal(await time.latest());
+      });
+
+      it("Should apply a longer delay at once and drop a queued shorter one", async function () {
+        await guardian.setTrustActivationDelay(ONE_HOUR);
+        await expect(guardian.setTrustActivationDelay(2 * DAY))
+          .to.emit(guardian, "TrustActivationDelayUpdated")
+          .withArgs(2 * DAY);
+        expect([...(await guardian.getTrustActivationDelay())]).to.deep.equal([BigInt(2 * DAY), 0n, 0n]);
+      });
+
+      it("Should only let the owner change the delay", async function () {
+        await expect(guardian.connect(attacker).setTrustActivationDelay(0)).to.be.revertedWithCustomError(
+          guardian,
+          "OwnableUnauthorizedAccount"
+        );
+      });
     });
 
-    it("Should revert adding zero address guardian", async function () {
-      await expect(
-        guardian.addGuardian(ethers.ZeroAddress)
-      ).to.be.revertedWithCustomError(guardian, "ZeroAddress");
+    describe("Bulk updates", function () {
+      it("Should trust and revoke several recipients in one call", async function () {
+        await trustImmediately(guardian);
+        const recipients = [user2.address, user3.address, guardian1.address];
+        await expect(guardian.connect(user1).setTrustedRecipients(recipients, true))
+          .to.emit(guardian, "TrustedRecipientSet")
+          .withArgs(user1.address, user3.address, true, await time.latest() + 1);
+        expect(await guardian.getTrustedRecipients(user1.address)).to.deep.equal(recipients);
+
+        await guardian.connect(user1).setTrustedRecipients([user2.address, guardian1.address], false);
+        expect(await guardian.getTrustedRecipients(user1.address)).to.deep.equal([user3.address]);
+        expect(await guardian.trustedRecipients(user1.address, user2.address)).to.be.false;
+      });
+
+      it("Should reject empty, oversized and zero-address batches", async function () {
+        await expect(guardian.connect(user1).setTrustedRecipients([], true))
+          .to.be.revertedWithCustomError(guardian, "InvalidBatchSize")
+          .withArgs(0, 100);
+        const tooMany = Array.from({ length: 101 }, () => ethers.Wallet.createRandom().address);
+        await expect(guardian.connect(user1).setTrustedRecipients(tooMany, true))
+          .to.be.revertedWithCustomError(guardian, "InvalidBatchSize")
+          .withArgs(101, 100);
+        await expect(
+          guardian.connect(user1).setTrustedRecipients([user2.address, ethers.ZeroAddress], true)
+        ).to.be.revertedWithCustomError(guardian, "ZeroAddress");
+        expect(await guardian.getTrustedRecipients(user1.address)).to.deep.equal([]);
+      });
     });
+  });
 
-    it("Should remove a guardian", async function () {
-      await expect(guardian.removeGuardian(guardian3.address))
-        .to.emit(guardian, "GuardianRemoved")
-        .withArgs(guardian3.address);
+  // ================================================================
+  //  SPENDING LIMITS
+  // ================================================================
 
-      expect(await guardian.guardians(guardian3.address)).to.be.false;
-      expect(await guardian.guardianCount()).to.equal(2);
+  describe("Spending Limits", function () {
+    const DAY = 24 * ONE_HOUR;
+    const REASON = { None: 0, RiskScore: 1, DailyLimit: 2, WeeklyLimit: 3, VelocityLimit: 4 };
+    // Zero weights: the score comes from the output bias alone
+    const flat = (bO) => [[4, 8, 1], new Array(40).fill(0n), [...new Array(8).fill(0n), bO]];
+
+    beforeEach(async function () {
+      await guardian.connect(user1).register();
+      await guardian.connect(user2).register();
+      await guardian.connect(user1).deposit(toUSDC(50000));
+      // Risk 0 for every transfer, so only the limits can hold one
+      await guardian.updateModel(...flat(-100n * SCALE));
     });
 
-    it("Should revert removing non-guardian", async function () {
-      await expect(
-        guardian.removeGuardian(attacker.address)
-      ).to.be.revertedWithCustomError(guardian, "NotGuardian");
+    const send = (amount) => guardian.connect(user1).transfer(user2.address, amount);
+    const setLimits = (...args) => guardian.connect(user1).setSpendingLimits(...args);
+
+    it("Should apply tighter limits immediately", async function () {
+      await expect(setLimits(toUSDC(5000), 0, 0, 0, false))
+        .to.emit(guardian, "SpendingLimitsUpdated")
+        .withArgs(user1.address, toUSDC(5000), 0, 0, 0, false);
+      await expect(setLimits(toUSDC(1000), toUSDC(3000), 5, ONE_HOUR, true))
+        .to.emit(guardian, "SpendingLimitsUpdated")
+        .withArgs(user1.address, toUSDC(1000), toUSDC(3000), 5, ONE_HOUR, true);
+
+      const [active, , effectiveAt] = await guardian.getSpendingLimits(user1.address);
+      expect(active.dailyLimit).to.equal(toUSDC(1000));
+      expect(active.weeklyLimit).to.equal(toUSDC(3000));
+      expect(active.maxTxPerWindow).to.equal(5);
+      expect(active.velocityWindow).to.equal(ONE_HOUR);
+      expect(active.multiSigOnBreach).to.be.true;
+      expect(effectiveAt).to.equal(0);
     });
 
-    it("Should revert removing when at minimum", async function () {
-      // Remove until at minApprovals (2), then try to remove one more
-      await guardian.removeGuardian(guardian3.address); // 3 -> 2
-      await expect(
-        guardian.removeGuardian(guardian2.address)
-      ).to.be.revertedWithCustomError(guardian, "CannotRemoveLastGuardian");
+    it("Should queue looser limits until the cooldown has passed", async function () {
+      await setLimits(toUSDC(1000), 0, 0, 0, false);
+
+      const now = (await time.latest()) + 1;
+      await time.setNextBlockTimestamp(now);
+      await expect(setLimits(toUSDC(5000), 0, 0, 0, false))
+        .to.emit(guardian, "SpendingLimitsQueued")
+        .withArgs(user1.address, toUSDC(5000), 0, 0, 0, false, now + DAY);
+
+      let [active, queued, effectiveAt] = await guardian.getSpendingLimits(user1.address);
+      expect(active.dailyLimit).to.equal(toUSDC(1000));
+      expect(queued.dailyLimit).to.equal(toUSDC(5000));
+      expect(effectiveAt).to.equal(now + DAY);
+      await expect(send(toUSDC(2000)))
+        .to.emit(guardian, "TransferPending")
+        .withArgs(0, user1.address, user2.address, usdc.target, toUSDC(2000), 0, false, REASON.DailyLimit);
+
+      await time.increaseTo(now + DAY);
+      [active, , effectiveAt] = await guardian.getSpendingLimits(user1.address);
+      expect(active.dailyLimit).to.equal(toUSDC(5000));
+      expect(effectiveAt).to.equal(0);
+      await expect(send(toUSDC(2000)))
+        .to.emit(guardian, "SpendingLimitsUpdated")
+        .withArgs(user1.address, toUSDC(5000), 0, 0, 0, false)
+        .and.to.emit(guardian, "TransferAutoApproved");
     });
 
-    it("Should restrict guardian management to owner", async function () {
-      await expect(
-        guardian.connect(user1).addGuardian(attacker.address)
-      ).to.be.revertedWithCustomError(guardian, "OwnableUnauthorizedAccount");
+    it("Should treat removing a limit or dropping multi-sig as loosening", async function () {
+      await setLimits(toUSDC(1000), 0, 2, ONE_HOUR, true);
+      await expect(setLimits(0, 0, 2, ONE_HOUR, true)).to.emit(guardian, "SpendingLimitsQueued");
+      await expect(setLimits(toUSDC(1000), 0, 2, ONE_HOUR, false)).to.emit(guardian, "SpendingLimitsQueued");
+      await expect(setLimits(toUSDC(1000), 0, 2, ONE_HOUR - 1, true)).to.emit(guardian, "SpendingLimitsQueued");
+      await expect(setLimits(toUSDC(1000), 0, 3, ONE_HOUR, true)).to.emit(guardian, "SpendingLimitsQueued");
     });
-  });
 
-  // ================================================================
-  //  ADMIN: MODEL UPDATES
-  // ================================================================
+    it("Should drop a queued increase when limits are set no looser again", async function () {
+      await setLimits(toUSDC(1000), 0, 0, 0, false);
+      await setLimits(toUSDC(5000), 0, 0, 0, false);
+      await expect(setLimits(toUSDC(1000), 0, 0, 0, false)).to.emit(guardian, "SpendingLimitsUpdated");
 
-  describe("Admin - Model Updates", function () {
-    it("Should update model weights", async function () {
-      const wH = new Array(32).fill(SCALE);
-      const bH = new Array(8).fill(0n);
-      const wO = new Array(8).fill(SCALE / 10n);
-      const bO = 0n;
+      await time.increase(DAY);
+      const [active, , effectiveAt] = await guardian.getSpendingLimits(user1.address);
+      expect(active.dailyLimit).to.equal(toUSDC(1000));
+      expect(effectiveAt).to.equal(0);
+    });
 
-      await expect(guardian.updateModel(wH, bH, wO, bO)).to.emit(
+    it("Should reject a velocity cap without a window and vice versa", async function () {
+      await expect(setLimits(0, 0, 3, 0, false)).to.be.revertedWithCustomError(guardian, "InvalidSpendingLimits");
+      await expect(setLimits(0, 0, 0, ONE_HOUR, false)).to.be.revertedWithCustomError(
         guardian,
-        "ModelUpdated"
+        "InvalidSpendingLimits"
       );
+    });
 
-      expect(await guardian.weightsHidden(0)).to.equal(SCALE);
+    it("Should hold a transfer the model passes once the daily limit is exceeded", async function () {
+      await setLimits(toUSDC(5000), 0, 10, DAY, false);
+      await expect(send(toUSDC(3000))).to.emit(guardian, "TransferAutoApproved");
+      await expect(send(toUSDC(2000))).to.emit(guardian, "TransferAutoApproved");
+
+      await expect(send(1))
+        .to.emit(guardian, "TransferPending")
+        .withArgs(0, user1.address, user2.address, usdc.target, 1, 0, false, REASON.DailyLimit);
+      const ptx = await guardian.getPendingTx(0);
+      expect(ptx.reason).to.equal(REASON.DailyLimit);
+      expect(ptx.requiresMultiSig).to.be.false;
+      expect([...(await guardian.getSpendingUsage(user1.address))]).to.deep.equal([
+        toUSDC(5000) + 1n,
+        toUSDC(5000) + 1n,
+        3n,
+      ]);
+
+      // Ordinary timelock
+      await time.increase(ONE_HOUR);
+      await expect(guardian.executePending(0)).to.emit(guardian, "TransferExecuted");
+
+      await time.increase(DAY);
+      expect((await guardian.getSpendingUsage(user1.address))[0]).to.equal(0);
+      await expect(send(toUSDC(5000))).to.emit(guardian, "TransferAutoApproved");
+    });
+
+    it("Should enforce the weekly limit across daily windows", async function () {
+      await setLimits(0, toUSDC(3000), 0, 0, false);
+      for (let day = 0; day < 3; day++) {
+        await expect(send(toUSDC(1000))).to.emit(guardian, "TransferAutoApproved");
+        await time.increase(DAY);
+      }
+      await expect(send(toUSDC(1000)))
+        .to.emit(guardian, "TransferPending")
+        .withArgs(0, user1.address, user2.address, usdc.target, toUSDC(1000), 0, false, REASON.WeeklyLimit);
+
+      await time.increase(4 * DAY);
+      await expect(send(toUSDC(1000))).to.emit(guardian, "TransferAutoApproved");
+    });
+
+    it("Should cap transfers per velocity window", async function () {
+      await setLimits(0, 0, 2, ONE_HOUR, false);
+      await expect(send(toUSDC(1))).to.emit(guardian, "TransferAutoApproved");
+      await expect(send(toUSDC(1))).to.emit(guardian, "TransferAutoApproved");
+      expect(await guardian.checkSpendingLimits(user1.address, 1)).to.equal(REASON.VelocityLimit);
+      await expect(send(toUSDC(1)))
+        .to.emit(guardian, "TransferPending")
+        .withArgs(0, user1.address, user2.address, usdc.target, toUSDC(1), 0, false, REASON.VelocityLimit);
+
+      await time.increase(ONE_HOUR);
+      expect(await guardian.checkSpendingLimits(user1.address, 1)).to.equal(REASON.None);
+      await expect(send(toUSDC(1))).to.emit(guardian, "TransferAutoApproved");
+    });
+
+    it("Should escalate breaches to multi-sig when the user opts in", async function () {
+      await setLimits(toUSDC(100), 0, 0, 0, true);
+      await expect(send(toUSDC(200)))
+        .to.emit(guardian, "TransferPending")
+        .withArgs(0, user1.address, user2.address, usdc.target, toUSDC(200), 0, true, REASON.DailyLimit);
+      expect((await guardian.getPendingTx(0)).requiresMultiSig).to.be.true;
+
+      // The timelock alone is not enough
+      await time.increase(ONE_HOUR + 1);
+      await expect(guardian.executePending(0))
+        .to.be.revertedWithCustomError(guardian, "InsufficientApprovals")
+        .withArgs(0, 2);
+      await guardian.connect(guardian1).approvePending(0);
+      await guardian.connect(guardian2).approvePending(0);
+      await expect(guardian.executePending(0)).to.emit(guardian, "TransferExecuted");
+    });
+
+    it("Should keep the model as the reason unless a limit makes the gate stricter", async function () {
+      await time.increase(ONE_HOUR + 1);
+      await guardian.updateModel(...flat(0n)); // risk 50: timelock
+
+      await setLimits(toUSDC(100), 0, 0, 0, false);
+      await expect(send(toUSDC(200)))
+        .to.emit(guardian, "TransferPending")
+        .withArgs(0, user1.address, user2.address, usdc.target, toUSDC(200), 50, false, REASON.RiskScore);
+
+      await setLimits(toUSDC(100), 0, 0, 0, true);
+      await expect(send(toUSDC(200)))
+        .to.emit(guardian, "TransferPending")
+        .withArgs(1, user1.address, user2.address, usdc.target, toUSDC(200), 50, true, REASON.DailyLimit);
+    });
+  });
+
+  // ================================================================
+  //  WITHDRAWAL REVIEW
+  // ================================================================
+
+  describe("Withdrawal Review", function () {
+    const DAY = 24 * ONE_HOUR;
+    const REASON = { None: 0, RiskScore: 1, DailyLimit: 2, WeeklyLimit: 3, VelocityLimit: 4 };
+    const flat = (bO) => [[4, 8, 1], new Array(40).fill(0n), [...new Array(8).fill(0n), bO]];
+
+    beforeEach(async function () {
+      await guardian.connect(user1).register();
+      await guardian.connect(user1).deposit(toUSDC(10000));
+      await guardian.updateModel(...flat(0n)); // risk 50: timelock
+      await guardian.connect(user1).setWithdrawalReview(toUSDC(1000));
+    });
+
+    const withdraw = (amount) => guardian.connect(user1).withdraw(amount);
+
+    it("Should pay out withdrawals below the minimum without scoring them", async function () {
+      await expect(withdraw(toUSDC(999)))
+        .to.emit(guardian, "Withdrawn")
+        .withArgs(user1.address, usdc.target, toUSDC(999))
+        .and.not.to.emit(guardian, "RiskAssessed");
+    });
+
+    it("Should count small withdrawals against spending limits and hold the one that breaches them", async function () {
+      await time.increase(ONE_HOUR + 1);
+      await guardian.updateModel(...flat(-100n * SCALE)); // risk 0
+      await guardian.connect(user1).setSpendingLimits(toUSDC(1500), 0, 0, 0, false);
+
+      await expect(withdraw(toUSDC(999))).to.emit(guardian, "Withdrawn").and.not.to.emit(guardian, "RiskAssessed");
+      expect((await guardian.getSpendingUsage(user1.address)).daySpent).to.equal(toUSDC(999));
+      // Each part is under the review minimum; together they breach the daily limit
+      await expect(withdraw(toUSDC(999)))
+        .to.emit(guardian, "WithdrawalPending")
+        .withArgs(0, user1.address, user1.address, usdc.target, toUSDC(999), 0, false, REASON.DailyLimit)
+        .and.not.to.emit(guardian, "Withdrawn");
+      expect(await guardian.balances(user1.address)).to.equal(toUSDC(8002));
+    });
+
+    it("Should only review breaching withdrawals for users who route breaches to multi-sig", async function () {
+      // user2 never turned on withdrawal review
+      await guardian.connect(user2).register();
+      await guardian.connect(user2).deposit(toUSDC(1000));
+      await guardian.connect(user2).setSpendingLimits(toUSDC(100), 0, 0, 0, false);
+
+      await expect(guardian.connect(user2).withdraw(toUSDC(150)))
+        .to.emit(guardian, "Withdrawn")
+        .withArgs(user2.address, usdc.target, toUSDC(150))
+        .and.not.to.emit(guardian, "RiskAssessed");
+      expect((await guardian.getSpendingUsage(user2.address)).daySpent).to.equal(toUSDC(150));
+
+      await guardian.connect(user2).setSpendingLimits(toUSDC(100), 0, 0, 0, true);
+      await expect(guardian.connect(user2).withdraw(toUSDC(10)))
+        .to.emit(guardian, "WithdrawalPending")
+        .withArgs(0, user2.address, user2.address, usdc.target, toUSDC(10), 50, true, REASON.DailyLimit)
+        .and.not.to.emit(guardian, "Withdrawn");
+    });
+
+    it("Should require registration to review a withdrawal", async function () {
+      await time.increase(ONE_HOUR + 1);
+      await guardian.updateModel(...flat(-100n * SCALE)); // risk 0
+      await guardian.connect(user1).transfer(user3.address, toUSDC(50));
+      await guardian.connect(user3).setWithdrawalReview(toUSDC(10));
+
+      await expect(guardian.connect(user3).withdraw(toUSDC(50))).to.be.revertedWithCustomError(
+        guardian,
+        "NotRegistered"
+      );
+      expect((await guardian.getProfile(user3.address)).totalTransactions).to.equal(0);
+    });
+
+    it("Should hold a risky withdrawal and pay it out from executePending", async function () {
+      await expect(withdraw(toUSDC(1000)))
+        .to.emit(guardian, "WithdrawalPending")
+        .withArgs(0, user1.address, user1.address, usdc.target, toUSDC(1000), 50, false, REASON.RiskScore)
+        .and.not.to.emit(guardian, "Withdrawn");
+      expect(await guardian.balances(user1.address)).to.equal(toUSDC(9000));
+      const ptx = await guardian.getPendingTx(0);
+      expect(ptx.withdrawal).to.be.true;
+      expect(ptx.recipient).to.equal(user1.address);
+
+      await time.increase(ONE_HOUR);
+      const before = await usdc.balanceOf(user1.address);
+      await expect(guardian.executePending(0)).to.emit(guardian, "TransferExecuted").withArgs(0);
+      expect(await usdc.balanceOf(user1.address)).to.equal(before + toUSDC(1000));
+      // Paid out of the vault rather than credited back
+      expect(await guardian.balances(user1.address)).to.equal(toUSDC(9000));
+    });
+
+    it("Should return a cancelled withdrawal to the vault", async function () {
+      await withdraw(toUSDC(2000));
+      await guardian.connect(user1).cancelPending(0);
+      expect(await guardian.balances(user1.address)).to.equal(toUSDC(10000));
+    });
+
+    it("Should pay out a low-risk reviewed withdrawal at once", async function () {
+      await time.increase(ONE_HOUR + 1);
+      await guardian.updateModel(...flat(-100n * SCALE));
+      const before = await usdc.balanceOf(user1.address);
+      await expect(withdraw(toUSDC(2000)))
+        .to.emit(guardian, "RiskAssessed")
+        .and.to.emit(guardian, "Withdrawn")
+        .withArgs(user1.address, usdc.target, toUSDC(2000));
+      expect(await usdc.balanceOf(user1.address)).to.equal(before + toUSDC(2000));
+    });
+
+    it("Should pay an external address directly when review does not apply", async function () {
+      const before = await usdc.balanceOf(user3.address);
+      await expect(guardian.connect(user1).withdrawTo(user3.address, toUSDC(999)))
+        .to.emit(guardian, "WithdrawnTo")
+        .withArgs(user1.address, user3.address, usdc.target, toUSDC(999))
+        .and.not.to.emit(guardian, "RiskAssessed");
+      expect(await usdc.balanceOf(user3.address)).to.equal(before + toUSDC(999));
+      expect(await guardian.balances(user1.address)).to.equal(toUSDC(9001));
+    });
+
+    it("Should score withdrawTo with the external address as the recipient", async function () {
+      await trustImmediately(guardian);
+      await guardian.connect(user1).setTrustedRecipient(user3.address, true);
+      const tx = guardian.connect(user1).withdrawTo(user3.address, toUSDC(2000));
+      await expect(tx)
+        .to.emit(guardian, "WithdrawalPending")
+        .withArgs(0, user1.address, user3.address, usdc.target, toUSDC(2000), 50, false, REASON.RiskScore);
+      const assessed = (await (await tx).wait()).logs
+        .map((l) => guardian.interface.parseLog(l))
+        .find((l) => l?.name === "RiskAssessed");
+      expect(assessed.args.recipient).to.equal(user3.address);
+      expect(assessed.args.features[2]).to.equal(SCALE); // recipientTrust
+      expect(assessed.args.features[4]).to.equal(SCALE); // recipientNovelty
+      expect(await guardian.recipientTransferCount(user1.address, user3.address)).to.equal(1);
+
+      await time.increase(ONE_HOUR);
+      const before = await usdc.balanceOf(user3.address);
+      await guardian.executePending(0);
+      expect(await usdc.balanceOf(user3.address)).to.equal(before + toUSDC(2000));
+      expect(await guardian.balances(user3.address)).to.equal(0);
+    });
+
+    it("Should reject withdrawTo the zero address", async function () {
+      await expect(
+        guardian.connect(user1).withdrawTo(ethers.ZeroAddress, toUSDC(1))
+      ).to.be.revertedWithCustomError(guardian, "ZeroAddress");
+    });
+
+    it("Should lower the minimum at once and queue raising it or turning review off", async function () {
+      await expect(guardian.connect(user1).setWithdrawalReview(toUSDC(500)))
+        .to.emit(guardian, "WithdrawalReviewUpdated")
+        .withArgs(user1.address, toUSDC(500));
+
+      const now = (await time.latest()) + 1;
+      await time.setNextBlockTimestamp(now);
+      await expect(guardian.connect(user1).setWithdrawalReview(0))
+        .to.emit(guardian, "WithdrawalReviewQueued")
+        .withArgs(user1.address, 0, now + DAY);
+      expect([...(await guardian.getWithdrawalReview(user1.address))]).to.deep.equal([
+        toUSDC(500),
+        0n,
+        BigInt(now + DAY),
+      ]);
+      await expect(withdraw(toUSDC(500))).to.emit(guardian, "WithdrawalPending");
+
+      await time.increaseTo(now + DAY);
+      await expect(withdraw(toUSDC(500)))
+        .to.emit(guardian, "WithdrawalReviewUpdated")
+        .withArgs(user1.address, 0)
+        .and.to.emit(guardian, "Withdrawn");
+      expect(await guardian.withdrawalReviewMin(user1.address)).to.equal(0);
+    });
+  });
+
+  // ================================================================
+  //  RISK POLICY
+  // ================================================================
+
+  describe("Risk Policy", function () {
+    const DAY = 24 * ONE_HOUR;
+    const flat = (bO) => [[4, 8, 1], new Array(40).fill(0n), [...new Array(8).fill(0n), bO]];
+    const GLOBAL = [30n, 70n, BigInt(ONE_HOUR), 2n];
+    const UNSET = [0n, 0n, 0n, 0n];
+
+    beforeEach(async function () {
+      await guardian.connect(user1).register();
+      await guardian.connect(user2).register();
+      await guardian.connect(user1).deposit(toUSDC(10000));
+      await guardian.updateModel(...flat(0n)); // risk 50: timelock under the global policy
+    });
+
+    const send = () => guardian.connect(user1).transfer(user2.address, toUSDC(100));
+    const policyOf = async (user) => {
+      const [effective, personal, queued, effectiveAt] = await guardian.getRiskPolicy(user);
+      return { effective: [...effective], personal: [...personal], queued: [...queued], effectiveAt };
+    };
+
+    it("Should tighten the personal policy at once and queue loosening it", async function () {
+      await expect(guardian.connect(user1).setRiskPolicy(20, 50, 2 * ONE_HOUR, 3))
+        .to.emit(guardian, "RiskPolicyUpdated")
+        .withArgs(user1.address, 20, 50, 2 * ONE_HOUR, 3);
+      expect(await policyOf(user1.address)).to.deep.equal({
+        effective: [20n, 50n, BigInt(2 * ONE_HOUR), 3n],
+        personal: [20n, 50n, BigInt(2 * ONE_HOUR), 3n],
+        queued: UNSET,
+        effectiveAt: 0n,
+      });
+      await expect(send()).to.emit(guardian, "TransferPending");
+      const ptx = await guardian.getPendingTx(0);
+      expect(ptx.requiresMultiSig).to.be.true;
+      expect(ptx.requiredApprovals).to.equal(3);
+
+      const now = (await time.latest()) + 1;
+      await time.setNextBlockTimestamp(now);
+      await expect(guardian.connect(user1).setRiskPolicy(0, 0, 0, 0))
+        .to.emit(guardian, "RiskPolicyQueued")
+        .withArgs(user1.address, 0, 0, 0, 0, now + DAY);
+      expect((await policyOf(user1.address)).effectiveAt).to.equal(now + DAY);
+      expect((await guardian.getRiskPolicy(user1.address)).effective.highThreshold).to.equal(50);
+
+      await time.increaseTo(now + DAY);
+      expect(await policyOf(user1.address)).to.deep.equal({
+        effective: GLOBAL,
+        personal: UNSET,
+        queued: UNSET,
+        effectiveAt: 0n,
+      });
+      await send();
+      expect((await guardian.getPendingTx(1)).requiresMultiSig).to.be.false;
+    });
+
+    it("Should only let the personal policy tighten the global one", async function () {
+      await guardian.connect(user1).setRiskPolicy(40, 90, 600, 1);
+      expect((await policyOf(user1.address)).effective).to.deep.equal([30n, 70n, BigInt(ONE_HOUR), 2n]);
+      // Raising the high threshold is looser than the policy in force
+      await expect(guardian.connect(user1).setRiskPolicy(40, 95, 600, 1)).to.emit(guardian, "RiskPolicyQueued");
+    });
+
+    it("Should let the owner loosen a user's routing within the bounds", async function () {
+      await expect(guardian.setPolicyOverride(user1.address, 60, 90, 600, 1)).to.be.revertedWithCustomError(
+        guardian,
+        "InvalidRiskPolicy"
+      );
+      await expect(guardian.setPolicyBounds(60, 90, 600, 1))
+        .to.emit(guardian, "PolicyBoundsUpdated")
+        .withArgs(60, 90, 600, 1);
+      await expect(guardian.setPolicyOverride(user1.address, 60, 90, 600, 1))
+        .to.emit(guardian, "PolicyOverrideSet")
+        .withArgs(user1.address, 60, 90, 600, 1);
+      expect([...(await guardian.policyOverrides(user1.address))]).to.deep.equal([60n, 90n, 600n, 1n]);
+
+      await expect(send()).to.emit(guardian, "TransferAutoApproved");
+      // Other accounts keep the global policy
+      await guardian.connect(user2).deposit(toUSDC(100));
+      await guardian.connect(user2).transfer(user1.address, toUSDC(100));
+      expect((await guardian.getPendingTx(0)).sender).to.equal(user2.address);
+
+      // The user's own policy still tightens the override
+      await guardian.connect(user1).setRiskPolicy(40, 95, 900, 1);
+      const now = (await time.latest()) + 1;
+      await time.setNextBlockTimestamp(now);
+      await expect(send()).to.emit(guardian, "TransferPending");
+      expect((await guardian.getPendingTx(1)).readyAt).to.equal(now + 900);
+
+      await guardian.setPolicyOverride(user1.address, 0, 0, 0, 0);
+      expect((await policyOf(user1.address)).effective).to.deep.equal([30n, 70n, BigInt(ONE_HOUR), 2n]);
+    });
+
+    it("Should escalate with the sender's effective quorum", async function () {
+      await guardian.connect(user1).setRiskPolicy(30, 70, ONE_HOUR, 3);
+      await send();
+      await guardian.connect(user1).escalatePending(0);
+      expect((await guardian.getPendingTx(0)).requiredApprovals).to.equal(3);
+    });
+
+    it("Should reject policies a held transfer could not satisfy", async function () {
+      const bad = [
+        [50, 50, ONE_HOUR, 2], // low must be below high
+        [30, 101, ONE_HOUR, 2], // high above MAX_RISK
+        [30, 70, 7 * DAY, 2], // timelock outlasting pendingExpiry
+        [30, 70, ONE_HOUR, 0], // no quorum
+        [30, 70, ONE_HOUR, 4], // more approvals than guardians
+      ];
+      for (const args of bad) {
+        await expect(guardian.connect(user1).setRiskPolicy(...args)).to.be.revertedWithCustomError(
+          guardian,
+          "InvalidRiskPolicy"
+        );
+      }
+      await expect(guardian.setPolicyBounds(30, 70, ONE_HOUR, 0)).to.be.revertedWithCustomError(
+        guardian,
+        "InvalidRiskPolicy"
+      );
+      await expect(guardian.setPolicyOverride(ethers.ZeroAddress, 20, 70, ONE_HOUR, 2)).to.be.revertedWithCustomError(
+        guardian,
+        "ZeroAddress"
+      );
+      await expect(
+        guardian.connect(attacker).setPolicyOverride(user1.address, 20, 70, ONE_HOUR, 2)
+      ).to.be.revertedWithCustomError(guardian, "OwnableUnauthorizedAccount");
+      await expect(
+        guardian.connect(attacker).setPolicyBounds(60, 90, 600, 1)
+      ).to.be.revertedWithCustomError(guardian, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  // ================================================================
+  //  BATCH TRANSFERS
+  // ================================================================
+
+  describe("Batch Transfers", function () {
+    const DAY = 24 * ONE_HOUR;
+    const REASON = { None: 0, RiskScore: 1, DailyLimit: 2, WeeklyLimit: 3, VelocityLimit: 4 };
+    const flat = (bO) => [[4, 8, 1], new Array(40).fill(0n), [...new Array(8).fill(0n), bO]];
+
+    beforeEach(async function () {
+      await guardian.connect(user1).register();
+      await guardian.connect(user1).deposit(toUSDC(10000));
+    });
+
+    const batch = (recipients, amounts) => guardian.connect(user1).batchTransfer(recipients, amounts);
+
+    it("Should auto-approve low-risk rows and emit the batch id", async function () {
+      await guardian.updateModel(...flat(-100n * SCALE));
+      const recipients = [user2.address, user3.address];
+      const amounts = [toUSDC(1000), toUSDC(500)];
+
+      const [batchId, txIds, riskScores, reasons] = await guardian
+        .connect(user1)
+        .batchTransfer.staticCall(recipients, amounts);
+      expect(batchId).to.equal(0);
+      expect([...riskScores]).to.deep.equal([0n, 0n]);
+      expect([...reasons]).to.deep.equal([0n, 0n]);
+      expect([...txIds]).to.deep.equal([0n, 0n]);
+
+      await expect(batch(recipients, amounts))
+        .to.emit(guardian, "BatchSubmitted")
+        .withArgs(0, user1.address, 2, toUSDC(1500), 2)
+        .and.to.emit(guardian, "TransferAutoApproved")
+        .withArgs(user1.address, user3.address, usdc.target, toUSDC(500), 0);
+      expect(await guardian.batchCount()).to.equal(1);
+      expect(await guardian.balances(user1.address)).to.equal(toUSDC(8500));
+      expect(await guardian.balances(user2.address)).to.equal(toUSDC(1000));
+      expect(await guardian.balances(user3.address)).to.equal(toUSDC(500));
+    });
+
+    it("Should route each row on its own score and report pending ids", async function () {
+      await trustImmediately(guardian);
+      await guardian.connect(user1).setTrustedRecipient(user2.address, true);
+      await time.increase(ONE_HOUR + 1);
+      await guardian.connect(user1).transfer(user2.address, toUSDC(100));
+      await time.increase(ONE_HOUR + 1);
+
+      const recipients = [user2.address, user3.address];
+      const amounts = [toUSDC(100), toUSDC(100)];
+      const [, txIds, riskScores, reasons] = await guardian
+        .connect(user1)
+        .batchTransfer.staticCall(recipients, amounts);
+      expect(riskScores[0]).to.be.lt(30);
+      expect(riskScores[1]).to.be.gte(30);
+      expect([...reasons]).to.deep.equal([BigInt(REASON.None), BigInt(REASON.RiskScore)]);
+      expect(txIds[1]).to.equal(await guardian.pendingTxCount());
+
+      await expect(batch(recipients, amounts))
+        .to.emit(guardian, "BatchSubmitted")
+        .withArgs(0, user1.address, 2, toUSDC(200), 1);
+      const ptx = await guardian.getPendingTx(txIds[1]);
+      expect(ptx.recipient).to.equal(user3.address);
+      expect(ptx.reason).to.equal(REASON.RiskScore);
+    });
+
+    it("Should score every row against the profile from before the batch", async function () {
+      await guardian.connect(user1).transfer(user2.address, toUSDC(100));
+      await time.increase(ONE_HOUR / 2);
+      const before = await guardian.getProfile(user1.address);
+
+      const receipt = await (await batch([user3.address, attacker.address], [toUSDC(100), toUSDC(100)])).wait();
+      const assessed = receipt.logs
+        .map((l) => guardian.interface.parseLog(l))
+        .filter((l) => l && l.name === "RiskAssessed");
+      expect(assessed).to.have.length(2);
+
+      // Identical rows see identical features; balanceFraction covers the whole batch
+      expect([...assessed[1].args.features]).to.deep.equal([...assessed[0].args.features]);
+      expect(assessed[0].args.features[3]).to.be.gt(0n); // recent relative to the earlier transfer only
+      expect(assessed[0].args.features[5]).to.equal((toUSDC(200) * SCALE) / toUSDC(9900));
+
+      // Both rows count towards the amount average, the batch once towards frequency
+      const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+      const elapsed = BigInt(timestamp) - before.lastTransactionTime;
+      const after = await guardian.getProfile(user1.address);
+      expect(after.totalTransactions).to.equal(before.totalTransactions + 2n);
+      expect(after.decayedTxCount).to.equal(decay(before.decayedTxCount, elapsed, 7n * 24n * 3600n) + 2n * SCALE);
+      expect(after.decayedTxRate).to.equal(decay(before.decayedTxRate, elapsed, 3600n) + SCALE);
+    });
+
+    it("Should apply daily limits row by row and velocity once per batch", async function () {
+      await guardian.updateModel(...flat(-100n * SCALE));
+      await guardian.connect(user1).setSpendingLimits(toUSDC(1000), 0, 1, ONE_HOUR, false);
+
+      await expect(batch([user2.address, user3.address, attacker.address], [toUSDC(400), toUSDC(400), toUSDC(400)]))
+        .to.emit(guardian, "BatchSubmitted")
+        .withArgs(0, user1.address, 3, toUSDC(1200), 2)
+        .and.to.emit(guardian, "TransferPending")
+        .withArgs(0, user1.address, attacker.address, usdc.target, toUSDC(400), 0, false, REASON.DailyLimit);
+      expect([...(await guardian.getSpendingUsage(user1.address))]).to.deep.equal([
+        toUSDC(1200),
+        toUSDC(1200),
+        1n,
+      ]);
+
+      await time.increase(DAY);
+      await guardian.connect(user1).transfer(user2.address, toUSDC(1));
+      const [, , , reasons] = await guardian
+        .connect(user1)
+        .batchTransfer.staticCall([user2.address, user3.address], [toUSDC(1), toUSDC(1)]);
+      expect([...reasons]).to.deep.equal([BigInt(REASON.VelocityLimit), BigInt(REASON.VelocityLimit)]);
+    });
+
+    it("Should reject malformed batches", async function () {
+      await expect(batch([user2.address], [])).to.be.revertedWithCustomError(guardian, "BatchLengthMismatch")
+        .withArgs(1, 0);
+      await expect(batch([], [])).to.be.revertedWithCustomError(guardian, "InvalidBatchSize").withArgs(0, 100);
+      const many = new Array(101).fill(user2.address);
+      await expect(batch(many, new Array(101).fill(1n)))
+        .to.be.revertedWithCustomError(guardian, "InvalidBatchSize")
+        .withArgs(101, 100);
+      await expect(batch([user2.address, user1.address], [1, 1])).to.be.revertedWithCustomError(
+        guardian,
+        "SelfTransferNotAllowed"
+      );
+      await expect(batch([user2.address, ethers.ZeroAddress], [1, 1])).to.be.revertedWithCustomError(
+        guardian,
+        "ZeroAddress"
+      );
+      await expect(batch([user2.address, user3.address], [1, 0])).to.be.revertedWithCustomError(guardian, "ZeroAmount");
+      await expect(batch([user2.address, user3.address], [toUSDC(6000), toUSDC(5000)]))
+        .to.be.revertedWithCustomError(guardian, "InsufficientBalance")
+        .withArgs(toUSDC(10000), toUSDC(11000));
+      await expect(
+        guardian.connect(user2).batchTransfer([user3.address], [1])
+      ).to.be.revertedWithCustomError(guardian, "NotRegistered");
+
+      await guardian.pause();
+      await expect(batch([user2.address], [1])).to.be.revertedWithCustomError(guardian, "EnforcedPause");
+    });
+  });
+
+  // ================================================================
+  //  MULTI-TOKEN VAULTS
+  // ================================================================
+
+  describe("Multi-token Vaults", function () {
+    const REASON = { None: 0, RiskScore: 1, DailyLimit: 2, WeeklyLimit: 3, VelocityLimit: 4 };
+    const flat = (bO) => [[4, 8, 1], new Array(40).fill(0n), [...new Array(8).fill(0n), bO]];
+    const toDAI = (n) => ethers.parseUnits(n.toString(), 18);
+    let eurc, dai;
+
+    beforeEach(async function () {
+      const MockToken = await ethers.getContractFactory("MockToken");
+      eurc = await MockToken.deploy("Euro Coin", "EURC", 6);
+      dai = await MockToken.deploy("Dai Stablecoin", "DAI", 18);
+      await guardian.addSupportedToken(eurc.target);
+      await guardian.addSupportedToken(dai.target);
+      for (const [token, amount] of [
+        [eurc, toUSDC(10000)],
+        [dai, toDAI(10000)],
+      ]) {
+        await token.mint(user1.address, amount);
+        await token.connect(user1).approve(guardian.target, ethers.MaxUint256);
+      }
+      await guardian.connect(user1).register();
+      await guardian.connect(user2).register();
+      await guardian.updateModel(...flat(-100n * SCALE)); // risk 0
+    });
+
+    const featuresOf = async (tx) =>
+      (await (await tx).wait()).logs
+        .map((l) => guardian.interface.parseLog(l))
+        .find((l) => l?.name === "RiskAssessed").args.features;
+
+    it("Should list USDC at deployment and let the owner manage other tokens", async function () {
+      expect(await guardian.getTokens()).to.deep.equal([usdc.target, eurc.target, dai.target]);
+      expect(await guardian.tokenDecimals(usdc.target)).to.equal(6);
+      expect(await guardian.tokenDecimals(dai.target)).to.equal(18);
+
+      await expect(guardian.addSupportedToken(dai.target))
+        .to.be.revertedWithCustomError(guardian, "TokenAlreadySupported")
+        .withArgs(dai.target);
+      await expect(guardian.addSupportedToken(ethers.ZeroAddress)).to.be.revertedWithCustomError(
+        guardian,
+        "ZeroAddress"
+      );
+      await expect(guardian.connect(user1).removeSupportedToken(dai.target)).to.be.revertedWithCustomError(
+        guardian,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(guardian.removeSupportedToken(usdc.target))
+        .to.be.revertedWithCustomError(guardian, "UnsupportedToken")
+        .withArgs(usdc.target);
+
+      await expect(guardian.removeSupportedToken(dai.target)).to.emit(guardian, "TokenRemoved").withArgs(dai.target);
+      expect(await guardian.supportedTokens(dai.target)).to.be.false;
+      await expect(guardian.addSupportedToken(dai.target)).to.emit(guardian, "TokenAdded").withArgs(dai.target, 18);
+      // Listed once, however often it is re-added
+      expect(await guardian.getTokens()).to.have.length(3);
+    });
+
+    it("Should keep a separate balance per token", async function () {
+      await guardian.connect(user1).deposit(toUSDC(1000));
+      await guardian.connect(user1).depositToken(eurc.target, toUSDC(500));
+      await expect(guardian.connect(user1).depositToken(dai.target, toDAI(250)))
+        .to.emit(guardian, "Deposited")
+        .withArgs(user1.address, dai.target, toDAI(250));
+
+      expect(await guardian.balances(user1.address)).to.equal(toUSDC(1000));
+      expect(await guardian.tokenBalance(user1.address, usdc.target)).to.equal(toUSDC(1000));
+      expect(await guardian.tokenBalance(user1.address, eurc.target)).to.equal(toUSDC(500));
+      expect(await guardian.tokenBalance(user1.address, dai.target)).to.equal(toDAI(250));
+
+      await expect(guardian.connect(user1).withdrawToken(dai.target, user3.address, toDAI(100)))
+        .to.emit(guardian, "WithdrawnTo")
+        .withArgs(user1.address, user3.address, dai.target, toDAI(100));
+      expect(await dai.balanceOf(user3.address)).to.equal(toDAI(100));
+      await expect(guardian.connect(user1).withdrawToken(eurc.target, user1.address, toUSDC(501)))
+        .to.be.revertedWithCustomError(guardian, "InsufficientBalance")
+        .withArgs(toUSDC(500), toUSDC(501));
+
+      const other = await (await ethers.getContractFactory("MockToken")).deploy("Other", "OTH", 6);
+      await expect(guardian.connect(user1).depositToken(other.target, 1))
+        .to.be.revertedWithCustomError(guardian, "UnsupportedToken")
+        .withArgs(other.target);
+    });
+
+    it("Should compare amountRatio with the sender's average in the same token", async function () {
+      await guardian.connect(user1).deposit(toUSDC(1000));
+      await guardian.connect(user1).depositToken(dai.target, toDAI(1000));
+      const send = (token, amount) => guardian.connect(user1).transferToken(token.target, user2.address, amount);
+
+      await send(usdc, toUSDC(100));
+      // USDC history says nothing about DAI amounts
+      expect((await featuresOf(send(dai, toDAI(100))))[0]).to.equal(2n * SCALE);
+      expect((await featuresOf(send(dai, toDAI(50))))[0]).to.equal(SCALE / 2n);
+      // 18-decimal DAI transfers leave the USDC average alone
+      expect((await featuresOf(send(usdc, toUSDC(100))))[0]).to.be.closeTo(SCALE, SCALE / 1000n);
+
+      const activity = await guardian.getTokenActivity(user1.address, dai.target);
+      expect(activity.decayedVolume).to.be.closeTo(toDAI(150), toDAI(1));
+      // Volume across tokens in USDC units
+      expect((await guardian.getProfile(user1.address)).totalVolume).to.equal(toUSDC(350));
+      expect(await guardian.tokenBalance(user2.address, dai.target)).to.equal(toDAI(150));
+    });
+
+    it("Should apply spending limits and withdrawal review in USDC units", async function () {
+      await guardian.connect(user1).depositToken(dai.target, toDAI(5000));
+      await guardian.connect(user1).setSpendingLimits(toUSDC(1100), 0, 0, 0, false);
+      await guardian.connect(user1).setWithdrawalReview(toUSDC(1000));
+
+      await expect(guardian.connect(user1).withdrawToken(dai.target, user1.address, toDAI(999)))
+        .to.emit(guardian, "Withdrawn")
+        .withArgs(user1.address, dai.target, toDAI(999))
+        .and.not.to.emit(guardian, "RiskAssessed");
+      await expect(guardian.connect(user1).transferToken(dai.target, user2.address, toDAI(150)))
+        .to.emit(guardian, "TransferPending")
+        .withArgs(0, user1.address, user2.address, dai.target, toDAI(150), 0, false, REASON.DailyLimit);
+      expect((await guardian.getPendingTx(0)).token).to.equal(dai.target);
+      expect((await guardian.getSpendingUsage(user1.address)).daySpent).to.equal(toUSDC(1149));
+
+      await expect(guardian.connect(user1).withdrawToken(dai.target, user1.address, toDAI(1000)))
+        .to.emit(guardian, "WithdrawalPending")
+        .withArgs(1, user1.address, user1.address, dai.target, toDAI(1000), 0, false, REASON.DailyLimit);
+    });
+
+    it("Should settle, cancel and veto held transfers in their own token", async function () {
+      await time.increase(ONE_HOUR + 1);
+      await guardian.updateModel(...flat(0n)); // risk 50: timelock
+      await guardian.connect(user1).deposit(toUSDC(1000));
+      await guardian.connect(user1).depositToken(eurc.target, toUSDC(1000));
+      const send = (amount) => guardian.connect(user1).transferToken(eurc.target, user2.address, amount);
+
+      await send(toUSDC(300));
+      await send(toUSDC(200));
+      await send(toUSDC(100));
+      expect(await guardian.tokenBalance(user1.address, eurc.target)).to.equal(toUSDC(400));
+
+      await time.increase(ONE_HOUR);
+      await guardian.executePending(0);
+      await guardian.connect(user1).cancelPending(1);
+      await guardian.connect(guardian1).vetoPending(2, false);
+      await guardian.connect(guardian2).vetoPending(2, false);
+
+      expect(await guardian.tokenBalance(user2.address, eurc.target)).to.equal(toUSDC(300));
+      expect(await guardian.tokenBalance(user1.address, eurc.target)).to.equal(toUSDC(700));
+      // USDC balances untouched
+      expect(await guardian.balances(user1.address)).to.equal(toUSDC(1000));
+      expect(await guardian.balances(user2.address)).to.equal(0);
+    });
+
+    it("Should keep a removed token withdrawable but stop deposits and transfers", async function () {
+      await guardian.connect(user1).depositToken(dai.target, toDAI(100));
+      await guardian.removeSupportedToken(dai.target);
+
+      for (const tx of [
+        guardian.connect(user1).depositToken(dai.target, toDAI(1)),
+        guardian.connect(user1).transferToken(dai.target, user2.address, toDAI(1)),
+      ]) {
+        await expect(tx).to.be.revertedWithCustomError(guardian, "UnsupportedToken").withArgs(dai.target);
+      }
+      await guardian.connect(user1).withdrawToken(dai.target, user1.address, toDAI(100));
+      expect(await dai.balanceOf(user1.address)).to.equal(toDAI(10000));
+    });
+
+    it("Should move every token's balance in a recovery", async function () {
+      await guardian.connect(user1).deposit(toUSDC(100));
+      await guardian.connect(user1).depositToken(dai.target, toDAI(40));
+      await guardian.connect(user1).transferToken(dai.target, user2.address, toDAI(10));
+
+      await guardian.connect(guardian1).supportRecovery(user1.address, user3.address);
+      await guardian.connect(guardian2).supportRecovery(user1.address, user3.address);
+      await time.increase(await guardian.recoveryDelay());
+      await guardian.executeRecovery(user1.address);
+
+      expect(await guardian.balances(user3.address)).to.equal(toUSDC(100));
+      expect(await guardian.tokenBalance(user3.address, dai.target)).to.equal(toDAI(30));
+      expect(await guardian.tokenBalance(user1.address, dai.target)).to.equal(0);
+      expect((await guardian.getTokenActivity(user3.address, dai.target)).decayedTxCount).to.equal(SCALE);
+    });
+  });
+
+  describe("Fee-on-transfer Tokens", function () {
+    const flat = (bO) => [[4, 8, 1], new Array(40).fill(0n), [...new Array(8).fill(0n), bO]];
+    let fee;
+
+    beforeEach(async function () {
+      fee = await (await ethers.getContractFactory("MockFeeToken")).deploy(100); // 1%
+      await guardian.addSupportedToken(fee.target);
+      await fee.mint(user1.address, toUSDC(10000));
+      await fee.connect(user1).approve(guardian.target, ethers.MaxUint256);
+      await guardian.connect(user1).register();
+      await guardian.connect(user2).register();
+      await guardian.updateModel(...flat(-100n * SCALE)); // risk 0
+    });
+
+    // Balances plus open pending amounts: what the vault owes in `fee`
+    const owed = async () => {
+      let total = 0n;
+      for (const u of [user1, user2]) total += await guardian.tokenBalance(u.address, fee.target);
+      for (let id = 0n; id < (await guardian.pendingTxCount()); id++) {
+        const ptx = await guardian.getPendingTx(id);
+        if (ptx.token === fee.target && !ptx.executed && !ptx.cancelled) total += ptx.amount;
+      }
+      return total;
+    };
+    const expectInvariant = async () => {
+      const total = await owed();
+      expect(await guardian.vaultLiabilities(fee.target)).to.equal(total);
+      expect(await fee.balanceOf(guardian.target)).to.be.gte(total);
+      expect(await guardian.isSolvent(fee.target)).to.be.true;
+    };
+
+    it("Should credit deposits with the amount that actually arrived", async function () {
+      await expect(guardian.connect(user1).depositToken(fee.target, toUSDC(1000)))
+        .to.emit(guardian, "Deposited")
+        .withArgs(user1.address, fee.target, toUSDC(990));
+      expect(await guardian.tokenBalance(user1.address, fee.target)).to.equal(toUSDC(990));
+      expect(await fee.balanceOf(guardian.target)).to.equal(toUSDC(990));
+      await expectInvariant();
+
+      await fee.setFeeBps(10000); // everything burnt on the way in
+      await expect(
+        guardian.connect(user1).depositToken(fee.target, toUSDC(100))
+      ).to.be.revertedWithCustomError(guardian, "ZeroAmount");
+    });
+
+    it("Should keep liabilities within holdings through transfers and withdrawals", async function () {
+      await guardian.connect(user1).depositToken(fee.target, toUSDC(1000));
+      await guardian.connect(user1).transferToken(fee.target, user2.address, toUSDC(100));
+      await expectInvariant();
+
+      await time.increase(ONE_HOUR + 1);
+      await guardian.updateModel(...flat(0n)); // risk 50: timelock
+      await guardian.connect(user1).transferToken(fee.target, user2.address, toUSDC(200));
+      await guardian.connect(user1).transferToken(fee.target, user2.address, toUSDC(50));
+      await guardian.connect(user1).withdrawToken(fee.target, user3.address, toUSDC(40));
+      await expectInvariant();
+
+      await time.increase(ONE_HOUR);
+      await guardian.executePending(0);
+      await guardian.connect(user1).cancelPending(1);
+      await expectInvariant();
+
+      // Payouts debit the full amount; the recipient bears the fee
+      await guardian.connect(user2).withdrawToken(fee.target, user2.address, toUSDC(300));
+      expect(await fee.balanceOf(user2.address)).to.equal(toUSDC(297));
+      expect(await fee.balanceOf(user3.address)).to.equal(toUSDC(39.6));
+      await guardian.connect(user1).withdrawToken(fee.target, user1.address, toUSDC(650));
+      await expectInvariant();
+      expect(await guardian.vaultLiabilities(fee.target)).to.equal(0);
+      expect(await fee.balanceOf(guardian.target)).to.equal(0);
+    });
+
+    it("Should refuse deposits into a short vault but still pay out", async function () {
+      await guardian.connect(user1).depositToken(fee.target, toUSDC(1000));
+      await fee.slash(guardian.target, toUSDC(10)); // negative rebase
+      expect(await guardian.isSolvent(fee.target)).to.be.false;
+
+      await expect(guardian.connect(user1).depositToken(fee.target, toUSDC(100)))
+        .to.be.revertedWithCustomError(guardian, "VaultInsolvent")
+        .withArgs(fee.target, toUSDC(1089), toUSDC(1079));
+
+      await guardian.connect(user1).withdrawToken(fee.target, user1.address, toUSDC(500));
+      expect(await guardian.tokenBalance(user1.address, fee.target)).to.equal(toUSDC(490));
+    });
+  });
+
+  // ================================================================
+  //  ACCOUNT RECOVERY
+  // ================================================================
+
+  describe("Account Recovery", function () {
+    const DAY = 24 * ONE_HOUR;
+    const flat = (bO) => [[4, 8, 1], new Array(40).fill(0n), [...new Array(8).fill(0n), bO]];
+
+    // user1 lost their key; user3 is the unregistered replacement
+    beforeEach(async function () {
+      await guardian.connect(user1).register();
+      await guardian.connect(user1).deposit(toUSDC(1000));
+      await guardian.connect(user1).setTrustedRecipient(user2.address, true);
+    });
+
+    const support = (g, newAddress = user3.address) =>
+      guardian.connect(g).supportRecovery(user1.address, newAddress);
+
+    it("Should schedule a recovery once a quorum of global guardians supports it", async function () {
+      await expect(support(guardian1))
+        .to.emit(guardian, "RecoverySupported")
+        .withArgs(user1.address, user3.address, guardian1.address, 1)
+        .and.not.to.emit(guardian, "RecoveryScheduled");
+
+      const now = (await time.latest()) + 1;
+      await time.setNextBlockTimestamp(now);
+      await expect(support(guardian2))
+        .to.emit(guardian, "RecoveryScheduled")
+        .withArgs(user1.address, user3.address, now + 3 * DAY);
+      expect([...(await guardian.getRecovery(user1.address))]).to.deep.equal([user3.address, BigInt(now + 3 * DAY)]);
+
+      await expect(guardian.executeRecovery(user1.address))
+        .to.be.revertedWithCustomError(guardian, "RecoveryNotReady")
+        .withArgs(now + 3 * DAY);
+      await expect(support(guardian3))
+        .to.be.revertedWithCustomError(guardian, "RecoveryInProgress")
+        .withArgs(user3.address, now + 3 * DAY);
+    });
+
+    it("Should move balance, profile and trusted recipients to the new address", async function () {
+      const trustActiveAt = await guardian.trustActiveAt(user1.address, user2.address);
+      await support(guardian1);
+      await support(guardian2);
+      await time.increase(3 * DAY);
+
+      await expect(guardian.connect(attacker).executeRecovery(user1.address))
+        .to.emit(guardian, "AccountRecovered")
+        .withArgs(user1.address, user3.address, toUSDC(1000));
+      expect(await guardian.recoveredTo(user1.address)).to.equal(user3.address);
+      expect(await guardian.balances(user1.address)).to.equal(0);
+      expect(await guardian.balances(user3.address)).to.equal(toUSDC(1000));
+      expect((await guardian.getProfile(user1.address)).isRegistered).to.be.false;
+      expect((await guardian.getProfile(user3.address)).isRegistered).to.be.true;
+      expect(await guardian.getTrustedRecipients(user1.address)).to.deep.equal([]);
+      expect(await guardian.getTrustedRecipients(user3.address)).to.deep.equal([user2.address]);
+      expect(await guardian.trustedRecipients(user3.address, user2.address)).to.be.true;
+      expect(await guardian.trustActiveAt(user3.address, user2.address)).to.equal(trustActiveAt);
+      expect([...(await guardian.getRecovery(user1.address))]).to.deep.equal([ethers.ZeroAddress, 0n]);
+
+      // The old key cannot come back, the new one owns the funds
+      await expect(guardian.connect(user1).register())
+        .to.be.revertedWithCustomError(guardian, "AccountMigrated")
+        .withArgs(user3.address);
+      await expect(guardian.connect(user3).withdraw(toUSDC(1000))).to.emit(guardian, "Withdrawn");
+    });
+
+    it("Should carry limits, review, risk policies and trusted transfer counts to the new address", async function () {
+      await guardian.updateModel(...flat(-100n * SCALE));
+      await guardian.connect(user1).setSpendingLimits(0, toUSDC(500), 0, 0, false);
+      await guardian.connect(user1).setWithdrawalReview(toUSDC(200));
+      await guardian.connect(user1).setRiskPolicy(20, 60, 2 * ONE_HOUR, 2);
+      await guardian.setPolicyOverride(user1.address, 30, 70, ONE_HOUR, 3);
+      await guardian.connect(user1).transfer(user2.address, toUSDC(300));
+      await guardian.connect(user1).transfer(owner.address, toUSDC(50));
+      const limits = await guardian.getSpendingLimits(user1.address);
+      const policy = await guardian.getRiskPolicy(user1.address);
+
+      await support(guardian1);
+      await support(guardian2);
+      await time.increase(3 * DAY);
+      await guardian.executeRecovery(user1.address);
+
+      expect(await guardian.getSpendingLimits(user3.address)).to.deep.equal(limits);
+      expect(await guardian.getSpendingUsage(user3.address)).to.deep.equal([0n, toUSDC(350), 0n]);
+      expect(await guardian.getWithdrawalReview(user3.address)).to.deep.equal([toUSDC(200), 0n, 0n]);
+      expect(await guardian.getRiskPolicy(user3.address)).to.deep.equal(policy);
+      expect(await guardian.checkSpendingLimits(user3.address, toUSDC(200))).to.equal(3); // WeeklyLimit
+
+      // Counts move with trust; other recipients read as new again
+      expect(await guardian.recipientTransferCount(user3.address, user2.address)).to.equal(1);
+      expect(await guardian.recipientTransferCount(user3.address, owner.address)).to.equal(0);
+    });
+
+    it("Should credit transfers and refunds for the old address to the new one", async function () {
+      await guardian.updateModel(...flat(-100n * SCALE));
+      await guardian.connect(user2).register();
+      await guardian.connect(user2).deposit(toUSDC(1000));
+      await guardian.connect(user1).setSpendingLimits(toUSDC(100), 0, 0, 0, false);
+      await guardian.connect(user1).transfer(user2.address, toUSDC(400)); // held: daily limit
+
+      await support(guardian1);
+      await support(guardian2);
+      await time.increase(3 * DAY);
+      await guardian.executeRecovery(user1.address);
+      expect(await guardian.balances(user3.address)).to.equal(toUSDC(600));
+
+      await guardian.connect(user2).transfer(user1.address, toUSDC(50));
+      expect(await guardian.balances(user3.address)).to.equal(toUSDC(650));
+      await time.increase(7 * DAY);
+      await guardian.reclaimExpired(0);
+      expect(await guardian.balances(user3.address)).to.equal(toUSDC(1050));
+      expect(await guardian.balances(user1.address)).to.equal(0);
+    });
+
+    it("Should use the user's own recovery guardians and threshold", async function () {
+      await expect(guardian.connect(user1).setRecoveryGuardians([user2.address, guardian1.address], 1))
+        .to.emit(guardian, "RecoveryGuardiansSet")
+        .withArgs(user1.address, [user2.address, guardian1.address], 1);
+      const [list, threshold] = await guardian.getRecoveryGuardians(user1.address);
+      expect([...list]).to.deep.equal([user2.address, guardian1.address]);
+      expect(threshold).to.equal(1);
+
+      await expect(support(guardian2)).to.be.revertedWithCustomError(guardian, "NotRecoveryGuardian");
+      await expect(support(user2)).to.emit(guardian, "RecoveryScheduled");
+    });
+
+    it("Should fall back to the global guardians with an empty list", async function () {
+      const [list, threshold] = await guardian.getRecoveryGuardians(user1.address);
+      expect([...list]).to.deep.equal([]);
+      expect(threshold).to.equal(await guardian.minApprovals());
+      expect(await guardian.isRecoveryGuardian(user1.address, guardian3.address)).to.be.true;
+      await expect(support(user2)).to.be.revertedWithCustomError(guardian, "NotRecoveryGuardian");
+    });
+
+    it("Should reject invalid recovery guardian sets", async function () {
+      const set = (list, threshold) => guardian.connect(user1).setRecoveryGuardians(list, threshold);
+      const tooMany = Array.from({ length: 11 }, () => ethers.Wallet.createRandom().address);
+      for (const [list, threshold] of [
+        [[user2.address], 2],
+        [[user2.address], 0],
+        [[user1.address], 1],
+        [[ethers.ZeroAddress], 1],
+        [[user2.address, user2.address], 1],
+        [tooMany, 1],
+      ]) {
+        await expect(set(list, threshold)).to.be.revertedWithCustomError(guardian, "InvalidRecoveryConfig");
+      }
+      await expect(
+        guardian.connect(user2).setRecoveryGuardians([user3.address], 1)
+      ).to.be.revertedWithCustomError(guardian, "NotRegistered");
+    });
+
+    it("Should reject repeat votes and unusable new addresses", async function () {
+      await support(guardian1);
+      await expect(support(guardian1)).to.be.revertedWithCustomError(guardian, "AlreadySupported");
+
+      await guardian.connect(user2).register();
+      for (const bad of [ethers.ZeroAddress, user1.address, user2.address]) {
+        await expect(support(guardian2, bad)).to.be.revertedWithCustomError(guardian, "InvalidRecoveryAddress");
+      }
+    });
+
+    it("Should let the current key cancel a recovery and discard its votes", async function () {
+      await support(guardian1);
+      await support(guardian2);
+      await expect(guardian.connect(user1).cancelRecovery())
+        .to.emit(guardian, "RecoveryCancelled")
+        .withArgs(user1.address);
+      expect(await guardian.recoverySupport(user1.address, user3.address)).to.equal(0);
+
+      await time.increase(3 * DAY);
+      await expect(guardian.executeRecovery(user1.address)).to.be.revertedWithCustomError(
+        guardian,
+        "NoRecoveryScheduled"
+      );
+      await expect(support(guardian1))
+        .to.emit(guardian, "RecoverySupported")
+        .withArgs(user1.address, user3.address, guardian1.address, 1);
+    });
+
+    it("Should not execute onto an address that registered during the delay", async function () {
+      await support(guardian1);
+      await support(guardian2);
+      await guardian.connect(user3).register();
+      await time.increase(3 * DAY);
+      await expect(guardian.executeRecovery(user1.address)).to.be.revertedWithCustomError(
+        guardian,
+        "InvalidRecoveryAddress"
+      );
+    });
+
+    it("Should discard votes when the recovery guardians change", async function () {
+      await support(guardian1);
+      expect(await guardian.recoverySupport(user1.address, user3.address)).to.equal(1);
+      expect(await guardian.recoveryRound(user1.address)).to.equal(0);
+      await guardian.connect(user1).setRecoveryGuardians([user2.address], 1);
+      expect(await guardian.recoveryRound(user1.address)).to.equal(1);
+      expect(await guardian.recoverySupport(user1.address, user3.address)).to.equal(0);
+    });
+  });
+
+  // ================================================================
+  //  ADMIN: GUARDIANS
+  // ================================================================
+
+  describe("Admin - Guardians", function () {
+    it("Should add a guardian", async function () {
+      const newG = attacker; // reusing signer
+      await expect(guardian.addGuardian(newG.address))
+        .to.emit(guardian, "GuardianAdded")
+        .withArgs(newG.address);
+
+      expect(await guardian.guardians(newG.address)).to.be.true;
+      expect(await guardian.guardianCount()).to.equal(4);
+    });
+
+    it("Should revert adding duplicate guardian", async function () {
+      await expect(
+        guardian.addGuardian(guardian1.address)
+      ).to.be.revertedWithCustomError(guardian, "AlreadyGuardian");
+    });
+
+    it("Should revert adding zero address guardian", async function () {
+      await expect(
+        guardian.addGuardian(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(guardian, "ZeroAddress");
+    });
+
+    it("Should remove a guardian", async function () {
+      await expect(guardian.removeGuardian(guardian3.address))
+        .to.emit(guardian, "GuardianRemoved")
+        .withArgs(guardian3.address);
+
+      expect(await guardian.guardians(guardian3.address)).to.be.false;
+      expect(await guardian.guardianCount()).to.equal(2);
+    });
+
+    it("Should revert removing non-guardian", async function () {
+      await expect(
+        guardian.removeGuardian(attacker.address)
+      ).to.be.revertedWithCustomError(guardian, "NotGuardian");
+    });
+
+    it("Should revert removing when at minimum", async function () {
+      // Remove until at minApprovals (2), then try to remove one more
+      await guardian.removeGuardian(guardian3.address); // 3 -> 2
+      await expect(
+        guardian.removeGuardian(guardian2.address)
+      ).to.be.revertedWithCustomError(guardian, "CannotRemoveLastGuardian");
+    });
+
+    it("Should restrict guardian management to owner", async function () {
+      await expect(
+        guardian.connect(user1).addGuardian(attacker.address)
+      ).to.be.revertedWithCustomError(guardian, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  // ================================================================
+  //  ADMIN: MODEL UPDATES
+  // ================================================================
+
+  describe("Admin - Model Updates", function () {
+    it("Should update model weights", async function () {
+      const wH = new Array(32).fill(SCALE);
+      const bH = new Array(8).fill(0n);
+      const wO = new Array(8).fill(SCALE / 10n);
+      const bO = 0n;
+
+      await expect(guardian.updateModel([4, 8, 1], [...wH, ...wO], [...bH, bO])).to.emit(
+        guardian,
+        "ModelUpdated"
+      );
+
+      const [, weights] = await guardian.getModelWeights();
+      expect(weights[0]).to.equal(SCALE);
     });
 
     it("Should enforce cooldown between updates", async function () {
@@ -708,10 +2459,10 @@ describe("NeuralUSDCGuardian", function () {
       const wO = new Array(8).fill(0n);
       const bO = 0n;
 
-      await guardian.updateModel(wH, bH, wO, bO);
+      await guardian.updateModel([4, 8, 1], [...wH, ...wO], [...bH, bO]);
 
       await expect(
-        guardian.updateModel(wH, bH, wO, bO)
+        guardian.updateModel([4, 8, 1], [...wH, ...wO], [...bH, bO])
       ).to.be.revertedWithCustomError(guardian, "ModelUpdateTooFrequent");
     });
 
@@ -721,9 +2472,9 @@ describe("NeuralUSDCGuardian", function () {
       const wO = new Array(8).fill(0n);
       const bO = 0n;
 
-      await guardian.updateModel(wH, bH, wO, bO);
+      await guardian.updateModel([4, 8, 1], [...wH, ...wO], [...bH, bO]);
       await time.increase(ONE_HOUR + 1);
-      await expect(guardian.updateModel(wH, bH, wO, bO)).to.not.be.reverted;
+      await expect(guardian.updateModel([4, 8, 1], [...wH, ...wO], [...bH, bO])).to.not.be.reverted;
     });
 
     it("Should restrict model updates to owner", async function () {
@@ -733,11 +2484,292 @@ describe("NeuralUSDCGuardian", function () {
       const bO = 0n;
 
       await expect(
-        guardian.connect(user1).updateModel(wH, bH, wO, bO)
+        guardian.connect(user1).updateModel([4, 8, 1], [...wH, ...wO], [...bH, bO])
       ).to.be.revertedWithCustomError(guardian, "OwnableUnauthorizedAccount");
     });
   });
 
+  // ================================================================
+  //  ADMIN: MODEL TOPOLOGY
+  // ================================================================
+
+  describe("Admin - Model Topology", function () {
+    // Zero weights with the output bias set to `bO`
+    const sized = (layers, bO = 0n) => {
+      let weights = 0;
+      let biases = 0;
+      for (let l = 1; l < layers.length; l++) {
+        weights += layers[l] * layers[l - 1];
+        biases += layers[l];
+      }
+      const b = new Array(biases).fill(0n);
+      b[biases - 1] = bO;
+      return [layers, new Array(weights).fill(0n), b];
+    };
+
+    it("Should run a model with two hidden layers", async function () {
+      // 4-2-3-1: layer 1 copies amountRatio and recipientTrust,
+      // layer 2 neuron 0 fires on amountRatio - trust, output weight 1.0
+      const [layers, weights, biases] = sized([4, 2, 3, 1]);
+      weights[0] = SCALE;             // L1 N0 <- amountRatio
+      weights[4 + 2] = SCALE;         // L1 N1 <- recipientTrust
+      weights[8] = SCALE;             // L2 N0 <- L1 N0
+      weights[9] = -SCALE;            // L2 N0 <- L1 N1
+      weights[14] = SCALE;            // output <- L2 N0
+      await guardian.updateModel(layers, weights, biases);
+
+      // amountRatio 2.0, untrusted: output 2.0 -> sigmoid 0.8333
+      expect(await guardian.computeRisk(padFeatures([SCALE * 2n, 0n, 0n, 0n]))).to.equal(83);
+      const [, , hidden, contributions, output] = await guardian.explainRisk(
+        user1.address,
+        user2.address,
+        toUSDC(10)
+      );
+      expect(hidden.length).to.equal(3);
+      expect(contributions.length).to.equal(3);
+      expect(output).to.equal(SCALE * 2n);
+    });
+
+    it("Should let a model read only the first features", async function () {
+      const [layers, weights, biases] = sized([1, 1, 1]);
+      weights[0] = SCALE;
+      weights[1] = SCALE;
+      await guardian.updateModel(layers, weights, biases);
+
+      // Trust (feature 2) is ignored: output equals amountRatio
+      expect(await guardian.computeRisk(padFeatures([SCALE, 0n, SCALE, 0n]))).to.equal(75);
+      const [got] = await guardian.getModelWeights();
+      expect([...got]).to.deep.equal([1n, 1n, 1n]);
+    });
+
+    it("Should reject topologies outside the limits", async function () {
+      for (const layers of [
+        [4, 1],                  // no hidden layer
+        [4, 8, 8, 8, 8, 1],      // more than MAX_LAYERS
+        [9, 8, 1],               // more inputs than features
+        [4, 8, 2],               // output must be one neuron
+        [4, 0, 1],               // empty hidden layer
+        [4, 17, 1],              // above MAX_LAYER_SIZE
+        [4, 16, 16, 16, 1],      // above MAX_PARAMETERS
+      ]) {
+        await expect(guardian.updateModel(...sized(layers)))
+          .to.be.revertedWithCustomError(guardian, "InvalidTopology");
+      }
+    });
+
+    it("Should reject arrays that do not match the topology", async function () {
+      const [layers, weights, biases] = sized([4, 16, 1]);
+      await expect(guardian.proposeModel(layers, weights.slice(1), biases))
+        .to.be.revertedWithCustomError(guardian, "ModelShapeMismatch")
+        .withArgs(80, 17);
+      await expect(guardian.updateModel(layers, weights, [...biases, 0n]))
+        .to.be.revertedWithCustomError(guardian, "ModelShapeMismatch")
+        .withArgs(80, 17);
+    });
+
+    it("Should keep each version's topology across activation and rollback", async function () {
+      await guardian.updateModel(...sized([4, 16, 1], SCALE));
+      expect([...(await guardian.getModelWeights())[0]]).to.deep.equal([4n, 16n, 1n]);
+      expect(await guardian.computeRisk(padFeatures([0n, 0n, 0n, 0n]))).to.equal(75);
+
+      await guardian.rollbackModel();
+      expect([...(await guardian.getModelWeights())[0]]).to.deep.equal([4n, 8n, 1n]);
+      expect((await guardian.getModelVersionWeights(2))[1].length).to.equal(80);
+    });
+  });
+
+  // ================================================================
+  //  ADMIN: MODEL VERSIONS
+  // ================================================================
+
+  describe("Admin - Model Versions", function () {
+    // 4-8-1 model with zero weights and output bias `bO`
+    const biased = (bO) => [[4, 8, 1], new Array(40).fill(0n), [...new Array(8).fill(0n), bO]];
+    const zeros = () => biased(0n);
+    const hashOf = (w) =>
+      ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["uint256[]", "int256[]", "int256[]"], w));
+    const outputBias = async () => {
+      const [, , biases] = await guardian.getModelWeights();
+      return biases[biases.length - 1];
+    };
+
+    it("Should record the constructor model as version 1", async function () {
+      expect(await guardian.modelVersionCount()).to.equal(1);
+      expect(await guardian.activeModelVersion()).to.equal(1);
+      expect(await guardian.previousModelVersion()).to.equal(0);
+
+      const [layers, weights, biases] = await guardian.getModelWeights();
+      const v1 = await guardian.getModelVersion(1);
+      expect(v1.weightsHash).to.equal(hashOf([[...layers], [...weights], [...biases]]));
+      expect(v1.activatedAt).to.be.gt(0);
+    });
+
+    it("Should version updateModel and emit what changed", async function () {
+      const w = biased(SCALE);
+      await expect(guardian.updateModel(...w))
+        .to.emit(guardian, "ModelUpdated")
+        .withArgs(2, 1, hashOf(w));
+      expect(await guardian.activeModelVersion()).to.equal(2);
+      expect(await guardian.previousModelVersion()).to.equal(1);
+    });
+
+    it("Should only activate proposals after the activation delay", async function () {
+      await expect(guardian.setModelActivationDelay(ONE_HOUR * 24))
+        .to.emit(guardian, "ModelActivationDelayUpdated")
+        .withArgs(ONE_HOUR * 24);
+
+      await expect(guardian.updateModel(...zeros()))
+        .to.be.revertedWithCustomError(guardian, "ModelActivationDelayActive")
+        .withArgs(ONE_HOUR * 24);
+
+      await expect(guardian.proposeModel(...zeros())).to.emit(guardian, "ModelProposed");
+      const { activatesAt } = await guardian.getModelVersion(2);
+      expect(await guardian.activeModelVersion()).to.equal(1);
+
+      await expect(guardian.activateModel(2))
+        .to.be.revertedWithCustomError(guardian, "ModelNotReady")
+        .withArgs(activatesAt);
+
+      await time.increaseTo(activatesAt);
+      await guardian.activateModel(2);
+      expect(await guardian.activeModelVersion()).to.equal(2);
+      expect(await outputBias()).to.equal(0);
+    });
+
+    it("Should keep a lowered activation delay in force until the old one has passed", async function () {
+      const DAY = ONE_HOUR * 24;
+      await guardian.setModelActivationDelay(DAY);
+
+      const now = (await time.latest()) + 1;
+      await time.setNextBlockTimestamp(now);
+      await expect(guardian.setModelActivationDelay(0))
+        .to.emit(guardian, "ModelActivationDelayQueued")
+        .withArgs(0, now + DAY)
+        .and.not.to.emit(guardian, "ModelActivationDelayUpdated");
+      expect([...(await guardian.getModelActivationDelay())]).to.deep.equal([BigInt(DAY), 0n, BigInt(now + DAY)]);
+      // No same-block swap
+      await expect(guardian.updateModel(...zeros()))
+        .to.be.revertedWithCustomError(guardian, "ModelActivationDelayActive")
+        .withArgs(DAY);
+      await guardian.proposeModel(...zeros());
+      expect((await guardian.getModelVersion(2)).activatesAt).to.equal((await time.latest()) + DAY);
+
+      await time.increaseTo(now + DAY);
+      await expect(guardian.updateModel(...biased(SCALE)))
+        .to.emit(guardian, "ModelActivationDelayUpdated")
+        .withArgs(0)
+        .and.to.emit(guardian, "ModelUpdated");
+      expect(await guardian.modelActivationDelay()).to.equal(0);
+    });
+
+    it("Should reject unknown or already active versions", async function () {
+      await expect(guardian.activateModel(5))
+        .to.be.revertedWithCustomError(guardian, "ModelVersionNotFound")
+        .withArgs(5);
+      await expect(guardian.activateModel(1))
+        .to.be.revertedWithCustomError(guardian, "ModelAlreadyActive")
+        .withArgs(1);
+      await expect(guardian.getModelVersionWeights(0)).to.be.revertedWithCustomError(
+        guardian,
+        "ModelVersionNotFound"
+      );
+    });
+
+    it("Should roll back through the activation history without cooldown", async function () {
+      await expect(guardian.rollbackModel()).to.be.revertedWithCustomError(guardian, "NoPreviousModel");
+
+      await guardian.updateModel(...biased(SCALE));
+      await time.increase(ONE_HOUR + 1);
+      await guardian.updateModel(...biased(2n * SCALE));
+
+      await expect(guardian.rollbackModel()).to.emit(guardian, "ModelRolledBack").withArgs(3, 2);
+      expect(await outputBias()).to.equal(SCALE);
+      await guardian.rollbackModel();
+      expect(await guardian.activeModelVersion()).to.equal(1);
+      expect(await outputBias()).to.equal((SCALE * -3n) / 10n);
+      await expect(guardian.rollbackModel()).to.be.revertedWithCustomError(guardian, "NoPreviousModel");
+    });
+
+    it("Should record the model version on pending transfers", async function () {
+      await guardian.connect(user1).register();
+      await guardian.connect(user1).deposit(toUSDC(1000));
+
+      // Strongly positive output bias routes everything to multi-sig
+      await guardian.updateModel(...biased(100n * SCALE));
+      await expect(guardian.connect(user1).transfer(user2.address, toUSDC(10)))
+        .to.emit(guardian, "RiskAssessed")
+        .withArgs(user1.address, user2.address, toUSDC(10), 99, 2, (f) => f.length === 8);
+      expect((await guardian.getPendingTx(0)).modelVersion).to.equal(2);
+    });
+
+    it("Should restrict versioning to owner", async function () {
+      await expect(guardian.connect(user1).proposeModel(...zeros())).to.be.revertedWithCustomError(
+        guardian,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(guardian.connect(user1).rollbackModel()).to.be.revertedWithCustomError(
+        guardian,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(guardian.connect(user1).setModelActivationDelay(0)).to.be.revertedWithCustomError(
+        guardian,
+        "OwnableUnauthorizedAccount"
+      );
+    });
+  });
+
+  // ================================================================
+  //  ADMIN: SHADOW MODEL
+  // ================================================================
+
+  describe("Admin - Shadow Model", function () {
+    // Strongly positive output bias scores every transfer 99
+    const alarmist = () => [[4, 8, 1], new Array(40).fill(0n), [...new Array(8).fill(0n), 100n * SCALE]];
+
+    beforeEach(async function () {
+      await guardian.connect(user1).register();
+      await guardian.connect(user1).deposit(toUSDC(1000));
+      await guardian.connect(user1).setTrustedRecipient(user2.address, true);
+      await guardian.setModelActivationDelay(ONE_HOUR);
+      await guardian.proposeModel(...alarmist());
+    });
+
+    it("Should score with the shadow model without changing routing", async function () {
+      await trustImmediately(guardian);
+      await expect(guardian.setShadowModel(2)).to.emit(guardian, "ShadowModelSet").withArgs(2);
+
+      const tx = guardian.connect(user1).transfer(user2.address, toUSDC(10));
+      await expect(tx).to.emit(guardian, "TransferAutoApproved");
+      await expect(tx)
+        .to.emit(guardian, "ShadowRiskAssessed")
+        .withArgs(user1.address, user2.address, 1, 2, (r) => r < 30n, 99);
+    });
+
+    it("Should not emit shadow scores when no shadow model is set", async function () {
+      await expect(guardian.connect(user1).transfer(user2.address, toUSDC(10))).to.not.emit(
+        guardian,
+        "ShadowRiskAssessed"
+      );
+    });
+
+    it("Should stop shadowing once the shadow version is activated", async function () {
+      await guardian.setShadowModel(2);
+      await time.increase(ONE_HOUR);
+      await expect(guardian.activateModel(2)).to.emit(guardian, "ShadowModelSet").withArgs(0);
+      expect(await guardian.shadowModelVersion()).to.equal(0);
+    });
+
+    it("Should reject unknown versions and non-owners", async function () {
+      await expect(guardian.setShadowModel(3))
+        .to.be.revertedWithCustomError(guardian, "ModelVersionNotFound")
+        .withArgs(3);
+      await expect(guardian.connect(user1).setShadowModel(2)).to.be.revertedWithCustomError(
+        guardian,
+        "OwnableUnauthorizedAccount"
+      );
+    });
+  });
+
   // ================================================================
   //  ADMIN: CONFIGURATION
   // ================================================================
@@ -772,6 +2804,61 @@ describe("NeuralUSDCGuardian", function () {
       expect(await guardian.timelockDuration()).to.equal(7200);
     });
 
+    it("Should update the recovery delay", async function () {
+      expect(await guardian.recoveryDelay()).to.equal(3 * 24 * ONE_HOUR);
+      await expect(guardian.setRecoveryDelay(ONE_HOUR))
+        .to.emit(guardian, "RecoveryDelayUpdated")
+        .withArgs(ONE_HOUR);
+      expect(await guardian.recoveryDelay()).to.equal(ONE_HOUR);
+
+      await expect(guardian.setRecoveryDelay(0)).to.be.revertedWithCustomError(guardian, "ZeroAmount");
+      await expect(
+        guardian.connect(attacker).setRecoveryDelay(ONE_HOUR)
+      ).to.be.revertedWithCustomError(guardian, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should update the expiry windows", async function () {
+      expect(await guardian.pendingExpiry()).to.equal(7 * 24 * ONE_HOUR);
+      expect(await guardian.approvalValidity()).to.equal(3 * 24 * ONE_HOUR);
+
+      await expect(guardian.setExpiryWindows(2 * ONE_HOUR, ONE_HOUR))
+        .to.emit(guardian, "ExpiryWindowsUpdated")
+        .withArgs(2 * ONE_HOUR, ONE_HOUR);
+      expect(await guardian.pendingExpiry()).to.equal(2 * ONE_HOUR);
+      expect(await guardian.approvalValidity()).to.equal(ONE_HOUR);
+    });
+
+    it("Should keep the timelock shorter than the expiry", async function () {
+      await expect(guardian.setExpiryWindows(ONE_HOUR, ONE_HOUR)).to.be.revertedWithCustomError(
+        guardian,
+        "InvalidExpiry"
+      );
+      await expect(guardian.setExpiryWindows(2 * ONE_HOUR, 0)).to.be.revertedWithCustomError(
+        guardian,
+        "InvalidExpiry"
+      );
+      await expect(guardian.setTimelockDuration(7 * 24 * ONE_HOUR)).to.be.revertedWithCustomError(
+        guardian,
+        "InvalidExpiry"
+      );
+      await expect(
+        guardian.connect(attacker).setExpiryWindows(2 * ONE_HOUR, ONE_HOUR)
+      ).to.be.revertedWithCustomError(guardian, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should keep the shortest override timelock shorter than the expiry", async function () {
+      await guardian.setPolicyBounds(30, 70, 2 * ONE_HOUR, 2);
+      await expect(guardian.setExpiryWindows(2 * ONE_HOUR, ONE_HOUR)).to.be.revertedWithCustomError(
+        guardian,
+        "InvalidExpiry"
+      );
+      await guardian.setExpiryWindows(3 * ONE_HOUR, ONE_HOUR);
+      await expect(guardian.setPolicyBounds(30, 70, 3 * ONE_HOUR, 2)).to.be.revertedWithCustomError(
+        guardian,
+        "InvalidExpiry"
+      );
+    });
+
     it("Should update minApprovals", async function () {
       await expect(guardian.setMinApprovals(3))
         .to.emit(guardian, "MinApprovalsUpdated")
@@ -785,6 +2872,162 @@ describe("NeuralUSDCGuardian", function () {
         guardian.setMinApprovals(0)
       ).to.be.revertedWithCustomError(guardian, "ZeroAmount");
     });
+
+    it("Should update decay half-lives", async function () {
+      expect(await guardian.amountHalfLife()).to.equal(7 * 24 * ONE_HOUR);
+      expect(await guardian.frequencyHalfLife()).to.equal(ONE_HOUR);
+
+      await expect(guardian.setDecayHalfLives(30 * 24 * ONE_HOUR, 600))
+        .to.emit(guardian, "DecayHalfLivesUpdated")
+        .withArgs(30 * 24 * ONE_HOUR, 600);
+
+      expect(await guardian.amountHalfLife()).to.equal(30 * 24 * ONE_HOUR);
+      expect(await guardian.frequencyHalfLife()).to.equal(600);
+    });
+
+    it("Should revert a zero half-life", async function () {
+      await expect(guardian.setDecayHalfLives(0, ONE_HOUR)).to.be.revertedWithCustomError(
+        guardian,
+        "InvalidHalfLife"
+      );
+      await expect(guardian.setDecayHalfLives(ONE_HOUR, 0)).to.be.revertedWithCustomError(
+        guardian,
+        "InvalidHalfLife"
+      );
+      await expect(
+        guardian.connect(attacker).setDecayHalfLives(ONE_HOUR, ONE_HOUR)
+      ).to.be.revertedWithCustomError(guardian, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  // ================================================================
+  //  SIGNED INTENTS
+  // ================================================================
+
+  describe("Signed Intents", function () {
+    const flat = (bO) => [[4, 8, 1], new Array(40).fill(0n), [...new Array(8).fill(0n), bO]];
+    let domain, relayer;
+
+    beforeEach(async function () {
+      relayer = attacker; // pays the gas, acts for nobody
+      domain = intentDomain(await guardian.getAddress(), (await ethers.provider.getNetwork()).chainId);
+      await guardian.connect(user1).register();
+      await guardian.connect(user1).deposit(toUSDC(10000));
+      await guardian.updateModel(...flat(-100n * SCALE)); // risk 0
+    });
+
+    const deadlineIn = async (s) => BigInt((await time.latest()) + s);
+    const signTransfer = async (signer, overrides = {}) =>
+      signIntent(signer, domain, "Transfer", {
+        sender: user1.address,
+        recipient: user2.address,
+        amount: toUSDC(100),
+        nonce: await guardian.nonces(user1.address),
+        deadline: await deadlineIn(ONE_HOUR),
+        ...overrides,
+      });
+    const relay = (intent) => guardian.connect(relayer)[INTENT_METHODS[intent.type]](...intentArgs(intent));
+
+    it("Should expose the EIP-712 domain separator", async function () {
+      expect(await guardian.DOMAIN_SEPARATOR()).to.equal(ethers.TypedDataEncoder.hashDomain(domain));
+    });
+
+    it("Should transfer for the signer while the relayer pays the gas", async function () {
+      const intent = await signTransfer(user1);
+      await expect(relay(intent))
+        .to.emit(guardian, "IntentRelayed")
+        .withArgs(user1.address, relayer.address, 0)
+        .and.to.emit(guardian, "TransferAutoApproved")
+        .withArgs(user1.address, user2.address, usdc.target, toUSDC(100), 0);
+
+      expect(await guardian.nonces(user1.address)).to.equal(1);
+      expect(await guardian.balances(user1.address)).to.equal(toUSDC(9900));
+      expect(await guardian.balances(user2.address)).to.equal(toUSDC(100));
+      // The signer's profile learns from it, the relayer has none
+      expect((await guardian.getProfile(user1.address)).totalTransactions).to.equal(1);
+      expect((await guardian.getProfile(relayer.address)).isRegistered).to.be.false;
+    });
+
+    it("Should route a signed transfer through the signer's gates", async function () {
+      await time.increase(ONE_HOUR + 1);
+      await guardian.updateModel(...flat(0n)); // risk 50: timelock
+      await expect(relay(await signTransfer(user1)))
+        .to.emit(guardian, "TransferPending")
+        .withArgs(0, user1.address, user2.address, usdc.target, toUSDC(100), 50, false, 1);
+      expect((await guardian.getPendingTx(0)).sender).to.equal(user1.address);
+    });
+
+    it("Should reject replayed, tampered, foreign and expired intents", async function () {
+      const intent = await signTransfer(user1);
+      await relay(intent);
+      await expect(relay(intent)).to.be.revertedWithCustomError(guardian, "InvalidSignature");
+
+      const fresh = await signTransfer(user1);
+      const tampered = { ...fresh, message: { ...fresh.message, amount: toUSDC(9000) } };
+      await expect(relay(tampered)).to.be.revertedWithCustomError(guardian, "InvalidSignature");
+      await expect(relay(await signTransfer(user2))).to.be.revertedWithCustomError(guardian, "InvalidSignature");
+      await expect(relay({ ...fresh, signature: "0x1234" })).to.be.revertedWithCustomError(
+        guardian,
+        "InvalidSignature"
+      );
+
+      const deadline = await deadlineIn(60);
+      const late = await signTransfer(user1, { deadline });
+      await time.increaseTo(deadline + 1n);
+      await expect(relay(late)).to.be.revertedWithCustomError(guardian, "IntentExpired").withArgs(deadline);
+      expect(await guardian.nonces(user1.address)).to.equal(1);
+    });
+
+    it("Should set trust and cancel a pending transfer for the signer", async function () {
+      await trustImmediately(guardian);
+      const nonce = () => guardian.nonces(user1.address);
+      const trust = await signIntent(user1, domain, "SetTrustedRecipient", {
+        user: user1.address,
+        recipient: user2.address,
+        trusted: true,
+        nonce: await nonce(),
+        deadline: await deadlineIn(ONE_HOUR),
+      });
+      const now = (await time.latest()) + 1;
+      await time.setNextBlockTimestamp(now);
+      await expect(relay(trust))
+        .to.emit(guardian, "TrustedRecipientSet")
+        .withArgs(user1.address, user2.address, true, now);
+      expect(await guardian.getTrustedRecipients(user1.address)).to.deep.equal([user2.address]);
+
+      await time.increase(ONE_HOUR + 1);
+      await guardian.updateModel(...flat(0n));
+      await guardian.connect(user1).transfer(user3.address, toUSDC(500));
+      const cancelAs = async (signer, sender) =>
+        signIntent(signer, domain, "CancelPending", {
+          sender,
+          txId: 0n,
+          nonce: await guardian.nonces(sender),
+          deadline: await deadlineIn(ONE_HOUR),
+        });
+      await expect(relay(await cancelAs(user2, user2.address))).to.be.revertedWithCustomError(
+        guardian,
+        "NotPendingTxSender"
+      );
+      await expect(relay(await cancelAs(user1, user1.address)))
+        .to.emit(guardian, "TransferCancelled")
+        .withArgs(0);
+      expect(await guardian.balances(user1.address)).to.equal(toUSDC(10000));
+    });
+
+    it("Should not attribute a direct call to an address appended to its calldata", async function () {
+      const data = guardian.interface.encodeFunctionData("transfer", [user2.address, toUSDC(100)]);
+      await expect(
+        attacker.sendTransaction({ to: await guardian.getAddress(), data: ethers.concat([data, user1.address]) })
+      ).to.be.revertedWithCustomError(guardian, "NotRegistered");
+    });
+
+    it("Should respect the pause for relayed intents", async function () {
+      const intent = await signTransfer(user1);
+      await guardian.pause();
+      await expect(relay(intent)).to.be.revertedWithCustomError(guardian, "EnforcedPause");
+      expect(await guardian.nonces(user1.address)).to.equal(0);
+    });
   });
 
   // ================================================================
@@ -838,12 +3081,13 @@ describe("NeuralUSDCGuardian", function () {
 
   describe("View Helpers", function () {
     it("Should return full model weights", async function () {
-      const [wH, bH, wO, bO] = await guardian.getModelWeights();
-      expect(wH.length).to.equal(32);
-      expect(bH.length).to.equal(8);
-      expect(wO.length).to.equal(8);
-      expect(wH[0]).to.equal(SCALE * 2n);
-      expect(bO).to.equal((SCALE * -3n) / 10n);
+      const [, weights, biases] = await guardian.getModelWeights();
+      // 32 hidden + 8 output weights, 8 hidden + 1 output biases
+      expect(weights.length).to.equal(32 + 8);
+      expect(biases.length).to.equal(8 + 1);
+      expect(weights[0]).to.equal(SCALE * 2n);
+      expect(biases[8]).to.equal((SCALE * -3n) / 10n);
+
     });
 
     it("assessRisk should return score and features", async function () {
@@ -855,7 +3099,7 @@ describe("NeuralUSDCGuardian", function () {
       );
       expect(risk).to.be.gte(0);
       expect(risk).to.be.lte(100);
-      expect(features.length).to.equal(4);
+      expect(features.length).to.equal(8);
     });
   });
 
@@ -883,6 +3127,7 @@ describe("NeuralUSDCGuardian", function () {
     });
 
     it("Unregistered user can still receive and withdraw", async function () {
+      await trustImmediately(guardian);
       // user3 is not registered but can receive via internal transfer
       await guardian
         .connect(user1)
@@ -911,10 +3156,13 @@ describe("NeuralUSDCGuardian", function () {
       const profile = await guardian.getProfile(user1.address);
       expect(profile.totalTransactions).to.equal(3);
       expect(profile.totalVolume).to.equal(toUSDC(600));
-      expect(profile.recentTxCount).to.equal(3);
+      // Seconds apart, so the decayed sums barely differ from the totals
+      expect(profile.decayedTxRate).to.be.lte(3n * SCALE).and.gt((29n * SCALE) / 10n);
+      expect(profile.decayedTxCount).to.be.lte(3n * SCALE).and.gt((299n * SCALE) / 100n);
+      expect(profile.decayedVolume).to.be.lte(toUSDC(600)).and.gt(toUSDC(599));
     });
 
-    it("Recent window resets after 1 hour", async function () {
+    it("Transaction rate halves every frequencyHalfLife instead of resetting", async function () {
       await guardian
         .connect(user1)
         .setTrustedRecipient(user2.address, true);
@@ -923,15 +3171,13 @@ describe("NeuralUSDCGuardian", function () {
       await guardian.connect(user1).transfer(user2.address, toUSDC(100));
       await guardian.connect(user1).transfer(user2.address, toUSDC(100));
 
-      let profile = await guardian.getProfile(user1.address);
-      expect(profile.recentTxCount).to.equal(2);
-
-      // Wait > 1 hour
-      await time.increase(ONE_HOUR + 1);
+      const { lastTransactionTime } = await guardian.getProfile(user1.address);
+      await time.setNextBlockTimestamp(Number(lastTransactionTime) + ONE_HOUR);
       await guardian.connect(user1).transfer(user2.address, toUSDC(100));
 
-      profile = await guardian.getProfile(user1.address);
-      expect(profile.recentTxCount).to.equal(1); // reset
+      const profile = await guardian.getProfile(user1.address);
+      // ~2 transfers halved to ~1, plus this one
+      expect(profile.decayedTxRate).to.be.lte(2n * SCALE).and.gt((199n * SCALE) / 100n);
       expect(profile.totalTransactions).to.equal(3); // cumulative
     });
   });
@@ -0,0 +1,487 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { DEFAULT_MODEL, INPUT_SIZE, parameterCounts, toUpdateModelArgs } = require("../src/model");
+const { createRng } = require("../src/training");
+const {
+  MAX_AMOUNT_RATIO,
+  MAX_FREQUENCY,
+  ACCOUNT_AGE_HORIZON,
+  mulFP,
+  forwardPass,
+  extractFeatures,
+  updateProfile,
+  updateTokenActivity,
+  hourDeviation,
+  decay,
+  replay,
+  DEFAULT_HALF_LIVES,
+} = require("../src/reference");
+const { trustImmediately } = require("./helpers");
+
+describe("Reference implementation", function () {
+  let guardian, usdc;
+  let owner, user1, user2, user3;
+
+  const toUSDC = (n) => ethers.parseUnits(n.toString(), 6);
+  const SCALE = ethers.parseEther("1");
+  const ONE_HOUR = 3600;
+
+  // Random 1e18-scaled value in [lo, hi) with full 18-decimal precision
+  function randomFixed(rng, lo, hi) {
+    const whole = BigInt(Math.floor(rng() * 1e9));
+    const frac = BigInt(Math.floor(rng() * 1e9));
+    const unit = whole * 10n ** 9n + frac; // [0, 1e18)
+    return lo + ((hi - lo) * unit) / SCALE;
+  }
+
+  // Mix of realistic feature vectors, boundary values and out-of-range input
+  function randomFeatures(rng) {
+    const kind = rng();
+    if (kind < 0.6) {
+      return [
+        randomFixed(rng, 0n, MAX_AMOUNT_RATIO),
+        randomFixed(rng, 0n, MAX_FREQUENCY),
+        rng() < 0.5 ? SCALE : 0n,
+        randomFixed(rng, 0n, SCALE),
+        rng() < 0.5 ? SCALE : 0n,
+        randomFixed(rng, 0n, SCALE),
+        randomFixed(rng, 0n, SCALE),
+        (BigInt(Math.floor(rng() * 13)) * SCALE) / 12n,
+      ];
+    }
+    if (kind < 0.8) {
+      const edges = [0n, 1n, -1n, SCALE, SCALE / 2n, SCALE - 1n, MAX_FREQUENCY, MAX_AMOUNT_RATIO];
+      return Array.from({ length: INPUT_SIZE }, () => edges[Math.floor(rng() * edges.length)]);
+    }
+    return Array.from({ length: INPUT_SIZE }, () => randomFixed(rng, -1000n * SCALE, 1000n * SCALE));
+  }
+
+  function randomModel(rng, layers) {
+    const w = () => randomFixed(rng, -5n * SCALE, 5n * SCALE);
+    const counts = parameterCounts(layers);
+    return {
+      layers,
+      weights: Array.from({ length: counts.weights }, w),
+      biases: Array.from({ length: counts.biases }, w),
+    };
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2, user3] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+
+    const Guardian = await ethers.getContractFactory("NeuralUSDCGuardian");
+    guardian = await Guardian.deploy(await usdc.getAddress(), 0);
+  });
+
+  // ================================================================
+  //  FORWARD PASS
+  // ================================================================
+
+  describe("forwardPass vs computeRisk", function () {
+    this.timeout(120000);
+
+    it("Should match the default model on 3000 fuzzed vectors", async function () {
+      const rng = createRng(2024);
+      for (let i = 0; i < 3000; i++) {
+        const f = randomFeatures(rng);
+        const onChain = await guardian.computeRisk(f);
+        if (BigInt(forwardPass(DEFAULT_MODEL, f)) !== onChain) {
+          expect.fail(`Mismatch for [${f.join(", ")}]: reference ${forwardPass(DEFAULT_MODEL, f)}, chain ${onChain}`);
+        }
+      }
+    });
+
+    it("Should match random models of several topologies on fuzzed vectors", async function () {
+      const rng = createRng(77);
+      const topologies = [[4, 8, 1], [8, 8, 1], [4, 16, 8, 1], [3, 5, 4, 2, 1], [6, 16, 1], [4, 1, 1]];
+      for (let m = 0; m < topologies.length; m++) {
+        const model = randomModel(rng, topologies[m]);
+        await guardian.updateModel(...toUpdateModelArgs(model));
+        for (let i = 0; i < 200; i++) {
+          const f = randomFeatures(rng);
+          const onChain = await guardian.computeRisk(f);
+          if (BigInt(forwardPass(model, f)) !== onChain) {
+            expect.fail(`Model ${m} mismatch for [${f.join(", ")}]: reference ${forwardPass(model, f)}, chain ${onChain}`);
+          }
+        }
+        await time.increase(ONE_HOUR + 1);
+      }
+    });
+
+    it("Should truncate toward zero like Solidity", function () {
+      // -1.5e-18 truncates to -1e-18, where flooring would give -2e-18
+      expect(mulFP(-3n, SCALE / 2n)).to.equal(-1n);
+      expect(mulFP(3n, SCALE / 2n)).to.equal(1n);
+    });
+  });
+
+  // ================================================================
+  //  FEATURE EXTRACTION
+  // ================================================================
+
+  describe("extractFeatures vs RiskAssessed", function () {
+    this.timeout(120000);
+
+    beforeEach(async function () {
+      for (const u of [user1, user2]) {
+        await guardian.connect(u).register();
+        await usdc.mint(u.address, toUSDC(1000000));
+        await usdc.connect(u).approve(await guardian.getAddress(), ethers.MaxUint256);
+        await guardian.connect(u).deposit(toUSDC(1000000));
+      }
+    });
+
+    // Random transfers from user1, checking every RiskAssessed event and the
+    // resulting profile against the reference
+    async function checkSequence(rng, gaps, halfLives = DEFAULT_HALF_LIVES) {
+      const recipients = [user2.address, user3.address, owner.address];
+      await trustImmediately(guardian);
+      await guardian.connect(user1).setTrustedRecipient(user2.address, true);
+
+      let profile = await guardian.getProfile(user1.address);
+      let balance = await guardian.balances(user1.address);
+      let now = await time.latest();
+      const sent = new Map();
+
+      for (let i = 0; i < 60; i++) {
+        now += gaps[Math.floor(rng() * gaps.length)];
+        const recipient = recipients[Math.floor(rng() * recipients.length)];
+        const amount = toUSDC(1 + Math.floor(rng() * 5000));
+        const trusted = await guardian.trustedRecipients(user1.address, recipient);
+        const priorTransfers = sent.get(recipient) || 0;
+
+        const features = extractFeatures(profile, {
+          amount,
+          trusted,
+          now,
+          balance,
+          priorTransfers,
+          frequencyHalfLife: halfLives.frequencyHalfLife,
+        });
+        const riskScore = forwardPass(DEFAULT_MODEL, features);
+
+        await time.setNextBlockTimestamp(now);
+        const receipt = await (await guardian.connect(user1).transfer(recipient, amount)).wait();
+        const ev = receipt.logs
+          .map((l) => guardian.interface.parseLog(l))
+          .find((p) => p?.name === "RiskAssessed");
+
+        expect([...ev.args.features]).to.deep.equal(features);
+        expect(ev.args.riskScore).to.equal(riskScore);
+
+        profile = updateProfile(profile, amount, now, halfLives);
+        balance -= amount; // debited whether routed instantly or locked
+        sent.set(recipient, priorTransfers + 1);
+        expect(balance).to.equal(await guardian.balances(user1.address));
+        expect(sent.get(recipient)).to.equal(Number(await guardian.recipientTransferCount(user1.address, recipient)));
+        const onChain = await guardian.getProfile(user1.address);
+        expect(profile.totalTransactions).to.equal(onChain.totalTransactions);
+        expect(profile.totalVolume).to.equal(onChain.totalVolume);
+        expect(profile.decayedVolume).to.equal(onChain.decayedVolume);
+        expect(profile.decayedTxCount).to.equal(onChain.decayedTxCount);
+        expect(profile.decayedTxRate).to.equal(onChain.decayedTxRate);
+        expect(profile.lastTransactionTime).to.equal(onChain.lastTransactionTime);
+        expect(profile.activeHours).to.equal(onChain.activeHours);
+      }
+    }
+
+    it("Should predict features and score for random transfer sequences", async function () {
+      // Gaps straddle the recency boundary and whole frequency half-lives
+      await checkSequence(createRng(5), [1, 60, 1800, ONE_HOUR - 1, ONE_HOUR, ONE_HOUR + 1, 2 * ONE_HOUR]);
+    });
+
+    it("Should follow configured half-lives", async function () {
+      const halfLives = { amountHalfLife: 86400n, frequencyHalfLife: 600n };
+      await guardian.setDecayHalfLives(halfLives.amountHalfLife, halfLives.frequencyHalfLife);
+      await checkSequence(createRng(6), [1, 599, 600, 601, 7200, 43200, 86400, 3 * 86400 + 17], halfLives);
+    });
+
+    it("Should predict batch rows from the profile before the batch", async function () {
+      await trustImmediately(guardian);
+      await guardian.connect(user1).setTrustedRecipient(user2.address, true);
+      await guardian.connect(user1).transfer(user2.address, toUSDC(300));
+      await time.increase(600);
+
+      let profile = await guardian.getProfile(user1.address);
+      const balance = await guardian.balances(user1.address);
+      const now = (await time.latest()) + 60;
+      const rows = [
+        { recipient: user2.address, amount: toUSDC(200), trusted: true, priorTransfers: 1 },
+        { recipient: user3.address, amount: toUSDC(4000), trusted: false, priorTransfers: 0 },
+        { recipient: user2.address, amount: toUSDC(50), trusted: true, priorTransfers: 1 },
+      ];
+      const batchTotal = rows.reduce((sum, r) => sum + r.amount, 0n);
+
+      await time.setNextBlockTimestamp(now);
+      const receipt = await (
+        await guardian.connect(user1).batchTransfer(
+          rows.map((r) => r.recipient),
+          rows.map((r) => r.amount)
+        )
+      ).wait();
+      const events = receipt.logs
+        .map((l) => guardian.interface.parseLog(l))
+        .filter((p) => p?.name === "RiskAssessed");
+
+      for (const [i, row] of rows.entries()) {
+        const features = extractFeatures(profile, { ...row, now, balance, batchTotal });
+        expect([...events[i].args.features]).to.deep.equal(features);
+        expect(events[i].args.riskScore).to.equal(forwardPass(DEFAULT_MODEL, features));
+      }
+      for (const [i, row] of rows.entries()) {
+        profile = updateProfile(profile, row.amount, now, DEFAULT_HALF_LIVES, i === 0);
+      }
+      const onChain = await guardian.getProfile(user1.address);
+      expect(profile.decayedVolume).to.equal(onChain.decayedVolume);
+      expect(profile.decayedTxCount).to.equal(onChain.decayedTxCount);
+      expect(profile.decayedTxRate).to.equal(onChain.decayedTxRate);
+      expect(profile.totalTransactions).to.equal(onChain.totalTransactions);
+    });
+
+    it("Should use the 2.0 default ratio and zero recency for new users", function () {
+      const fresh = {
+        totalTransactions: 0n,
+        totalVolume: 0n,
+        lastTransactionTime: 0n,
+        decayedVolume: 0n,
+        decayedTxCount: 0n,
+        decayedTxRate: 0n,
+        registeredAt: 1000n,
+        activeHours: 0n,
+      };
+      const f = extractFeatures(fresh, { amount: toUSDC(5), trusted: false, now: 1500n, balance: toUSDC(10) });
+      const age = (500n * SCALE) / ACCOUNT_AGE_HORIZON;
+      expect(f).to.deep.equal([2n * SCALE, 0n, 0n, 0n, SCALE, SCALE / 2n, age, 0n]);
+    });
+
+    it("Should clamp amount ratio and frequency", function () {
+      const busy = {
+        totalTransactions: 20n,
+        totalVolume: toUSDC(20),
+        lastTransactionTime: 1000n,
+        decayedVolume: toUSDC(20),
+        decayedTxCount: 20n * SCALE,
+        decayedTxRate: 20n * SCALE,
+        registeredAt: 1n,
+        activeHours: 1n,
+      };
+      const now = 1000n + ACCOUNT_AGE_HORIZON;
+      const f = extractFeatures(busy, {
+        amount: toUSDC(1000),
+        trusted: true,
+        now: 1000n,
+        balance: toUSDC(10),
+        priorTransfers: 3,
+      });
+      expect(f).to.deep.equal([MAX_AMOUNT_RATIO, MAX_FREQUENCY, SCALE, SCALE, 0n, SCALE, (999n * SCALE) / ACCOUNT_AGE_HORIZON, 0n]);
+      const aged = extractFeatures({ ...busy, lastTransactionTime: now }, {
+        amount: toUSDC(1000),
+        trusted: true,
+        now,
+        balance: toUSDC(10),
+        priorTransfers: 3,
+      });
+      expect(aged[6]).to.equal(SCALE);
+    });
+
+    it("Should halve at whole half-lives and interpolate linearly between them", function () {
+      const h = 3600n;
+      expect(decay(SCALE, 0n, h)).to.equal(SCALE);
+      expect(decay(SCALE, h / 2n, h)).to.equal((3n * SCALE) / 4n);
+      expect(decay(SCALE, h, h)).to.equal(SCALE / 2n);
+      expect(decay(SCALE, 3n * h, h)).to.equal(SCALE / 8n);
+      expect(decay(SCALE, 255n * h, h)).to.equal(0n);
+      expect(decay(2n ** 255n, 256n * h, h)).to.equal(0n);
+    });
+
+    it("Should decay the frequency smoothly across the old 1-hour window", function () {
+      const p = {
+        totalTransactions: 5n,
+        totalVolume: 5n,
+        lastTransactionTime: 0n,
+        decayedVolume: 5n,
+        decayedTxCount: 5n * SCALE,
+        decayedTxRate: 5n * SCALE,
+        registeredAt: 0n,
+        activeHours: 0n,
+      };
+      const freq = (now) => extractFeatures(p, { amount: 1n, trusted: false, now, balance: 1n })[1];
+      expect(freq(0n)).to.equal(SCALE);
+      expect(freq(3600n)).to.equal(SCALE / 2n);
+      // Where the bucket used to drop from 1.0 to 0, the rate moves by one second's decay
+      expect(freq(3599n) - freq(3601n)).to.be.lt(SCALE / 3000n);
+      expect(freq(7200n)).to.equal(SCALE / 4n);
+    });
+
+    it("Should measure hour-of-day deviation on a 24-hour circle", function () {
+      const at = (hour) => BigInt(hour) * 3600n + 86400n * 10n;
+      expect(hourDeviation(0n, at(5))).to.equal(0n);
+      expect(hourDeviation(1n << 5n, at(5))).to.equal(0n);
+      expect(hourDeviation(1n << 5n, at(8))).to.equal((3n * SCALE) / 12n);
+      // 23:00 -> 01:00 wraps around midnight
+      expect(hourDeviation(1n << 23n, at(1))).to.equal((2n * SCALE) / 12n);
+      expect(hourDeviation(1n << 5n, at(17))).to.equal(SCALE);
+      expect(hourDeviation((1n << 5n) | (1n << 16n), at(17))).to.equal(SCALE / 12n);
+    });
+  });
+
+  // ================================================================
+  //  DECAYED AVERAGES
+  // ================================================================
+
+  describe("Decayed averages on scripted histories", function () {
+    const DAY = 86400;
+    const START = 1_700_000_000;
+
+    // What amountRatio was when it compared against the lifetime average
+    function lifetimeRatio(history, amount) {
+      const total = history.reduce((sum, t) => sum + t.amount, 0n);
+      const ratio = (amount * SCALE * BigInt(history.length)) / total;
+      return ratio > MAX_AMOUNT_RATIO ? MAX_AMOUNT_RATIO : ratio;
+    }
+
+    // One transfer a day for `days` days, amounts from `amountOn(day)`
+    const daily = (days, amountOn) =>
+      Array.from({ length: days }, (_, d) => ({ amount: amountOn(d), at: START + d * DAY }));
+
+    it("Should track a user who ramps up gradually", function () {
+      // +5% a day for 90 days: 100 USDC -> ~8000 USDC
+      const history = daily(91, (d) => (toUSDC(100) * 105n ** BigInt(d)) / 100n ** BigInt(d));
+      const steps = replay(history);
+      const last = history[history.length - 1];
+
+      const { features, riskScore } = steps[steps.length - 1];
+      const lifetime = lifetimeRatio(history.slice(0, -1), last.amount);
+      expect(features[0]).to.be.lt(2n * SCALE);
+      expect(lifetime).to.be.gt(3n * SCALE);
+      expect(riskScore).to.be.lt(forwardPass(DEFAULT_MODEL, [lifetime, ...features.slice(1)]));
+    });
+
+    it("Should still flag a sudden spike", function () {
+      const history = daily(90, () => toUSDC(100)).concat({ amount: toUSDC(1500), at: START + 90 * DAY });
+      const spike = replay(history).at(-1);
+      expect(spike.features[0]).to.equal(MAX_AMOUNT_RATIO);
+      expect(lifetimeRatio(history.slice(0, -1), toUSDC(1500))).to.equal(MAX_AMOUNT_RATIO);
+
+      // The same final amount after a ramp reads as ordinary
+      const ramp = daily(90, (d) => toUSDC(100 + 16 * d)).concat({ amount: toUSDC(1500), at: START + 90 * DAY });
+      const ramped = replay(ramp).at(-1);
+      expect(ramped.features[0]).to.be.lt((6n * SCALE) / 5n);
+      expect(ramped.riskScore).to.be.lt(spike.riskScore);
+    });
+
+    it("Should forget old habits at the configured half-life", function () {
+      // Months of 1000 USDC transfers, then weekly 50 USDC ones
+      const history = daily(60, () => toUSDC(1000)).concat(
+        Array.from({ length: 8 }, (_, w) => ({ amount: toUSDC(50), at: START + (60 + 7 * w) * DAY }))
+      );
+      const probe = { amount: toUSDC(100), at: START + 120 * DAY };
+      const ratio = (amountHalfLife) => replay(history.concat(probe), { amountHalfLife }).at(-1).features[0];
+
+      expect(lifetimeRatio(history, probe.amount)).to.be.lt(SCALE / 5n);
+      expect(ratio(7 * DAY)).to.be.gt((9n * SCALE) / 10n);
+      expect(ratio(365 * DAY)).to.be.lt(SCALE / 5n);
+    });
+
+    it("Should match the contract on a scripted ramp", async function () {
+      this.timeout(60000);
+      await guardian.connect(user1).register();
+      const registeredAt = (await guardian.getProfile(user1.address)).registeredAt;
+      const start = Number(registeredAt) + DAY;
+      const history = Array.from({ length: 20 }, (_, d) => ({
+        amount: toUSDC(100 + 10 * d),
+        at: start + d * DAY + (d % 3) * 1800,
+        recipient: d % 2 ? user2.address : user3.address,
+      }));
+      const balance = toUSDC(1000000);
+      await usdc.mint(user1.address, balance);
+      await usdc.connect(user1).approve(await guardian.getAddress(), balance);
+      await guardian.connect(user1).deposit(balance);
+
+      const steps = replay(history, { registeredAt, balance });
+      for (let i = 0; i < history.length; i++) {
+        await time.setNextBlockTimestamp(history[i].at);
+        await expect(guardian.connect(user1).transfer(history[i].recipient, history[i].amount))
+          .to.emit(guardian, "RiskAssessed")
+          .withArgs(user1.address, history[i].recipient, history[i].amount, steps[i].riskScore, 1, steps[i].features);
+      }
+    });
+
+    it("Should keep per-token averages like the contract on a mixed-token history", async function () {
+      this.timeout(60000);
+      const MockToken = await ethers.getContractFactory("MockToken");
+      const eurc = await MockToken.deploy("Euro Coin", "EURC", 6);
+      const dai = await MockToken.deploy("Dai Stablecoin", "DAI", 18);
+      await guardian.connect(user1).register();
+      const balance = toUSDC(1000000);
+      await usdc.mint(user1.address, balance);
+      await usdc.connect(user1).approve(guardian.target, balance);
+      await guardian.connect(user1).deposit(balance);
+      const tokens = [undefined];
+      const tokenBalances = {};
+      for (const [token, decimals] of [
+        [eurc, 6],
+        [dai, 18],
+      ]) {
+        const amount = ethers.parseUnits("1000000", decimals);
+        await guardian.addSupportedToken(token.target);
+        await token.mint(user1.address, amount);
+        await token.connect(user1).approve(guardian.target, amount);
+        await guardian.connect(user1).depositToken(token.target, amount);
+        tokens.push({ address: token.target, decimals });
+        tokenBalances[token.target] = amount;
+      }
+
+      const registeredAt = (await guardian.getProfile(user1.address)).registeredAt;
+      const start = Number(registeredAt) + DAY;
+      const history = Array.from({ length: 18 }, (_, i) => {
+        const token = tokens[i % 3];
+        return {
+          amount: ethers.parseUnits(String(100 + 40 * i), token ? token.decimals : 6),
+          at: start + i * 5 * ONE_HOUR + (i % 4) * 600,
+          recipient: i % 2 ? user2.address : user3.address,
+          token,
+        };
+      });
+      const probe = { amount: toUSDC(700), at: history.at(-1).at + 7 * ONE_HOUR, recipient: user2.address };
+      const steps = replay(history.concat(probe), { registeredAt, balance, tokenBalances });
+
+      for (let i = 0; i < history.length; i++) {
+        const { token, recipient, amount, at } = history[i];
+        await time.setNextBlockTimestamp(at);
+        const tx = token
+          ? guardian.connect(user1).transferToken(token.address, recipient, amount)
+          : guardian.connect(user1).transfer(recipient, amount);
+        await expect(tx)
+          .to.emit(guardian, "RiskAssessed")
+          .withArgs(user1.address, recipient, amount, steps[i].riskScore, 1, steps[i].features);
+      }
+
+      // Other tokens decay the profile's USDC average without adding to it
+      const { profile } = steps.at(-1);
+      const onChain = await guardian.getProfile(user1.address);
+      expect(profile.totalVolume).to.equal(onChain.totalVolume);
+      expect(profile.decayedVolume).to.equal(onChain.decayedVolume);
+      expect(profile.decayedTxCount).to.equal(onChain.decayedTxCount);
+      const daiActivity = await guardian.getTokenActivity(user1.address, dai.target);
+      const expected = history
+        .filter((t) => t.token && t.token.address === dai.target)
+        .reduce((a, t) => updateTokenActivity(a, t.amount, t.at), undefined);
+      expect([...daiActivity]).to.deep.equal([
+        expected.decayedVolume,
+        expected.decayedTxCount,
+        expected.lastTransactionTime,
+      ]);
+
+      await time.increaseTo(probe.at);
+      const explained = await guardian.explainRisk(user1.address, probe.recipient, probe.amount);
+      expect([...explained.features]).to.deep.equal(steps.at(-1).features);
+      expect(explained.riskScore).to.equal(steps.at(-1).riskScore);
+    });
+  });
+});
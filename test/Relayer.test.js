@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { GuardianClient } = require("../src/sdk");
+const { encodeIntent } = require("../src/intents");
+const { createRelayer, postIntent } = require("../src/relayer");
+
+describe("Relayer", function () {
+  let guardian, usdc, address, server, url;
+  let relayer, user, payee;
+
+  const toUSDC = (n) => ethers.parseUnits(n.toString(), 6);
+  const flat = (bO) => [[4, 8, 1], new Array(40).fill(0n), [...new Array(8).fill(0n), bO]];
+
+  beforeEach(async function () {
+    [, relayer, user, payee] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const Guardian = await ethers.getContractFactory("NeuralUSDCGuardian");
+    guardian = await Guardian.deploy(await usdc.getAddress(), 0);
+    address = await guardian.getAddress();
+    await guardian.updateModel(...flat(-100n * ethers.parseUnits("1", 18))); // risk 0
+
+    await usdc.mint(user.address, toUSDC(1000));
+    await usdc.connect(user).approve(address, ethers.MaxUint256);
+    await guardian.connect(user).register();
+    await guardian.connect(user).deposit(toUSDC(1000));
+
+    server = await createRelayer({ client: GuardianClient.connect(address, relayer) });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const userClient = () => GuardianClient.connect(address, user);
+  const getJson = async (path) => (await fetch(new URL(path, url))).json();
+
+  it("Should relay a signed transfer on the signer's behalf", async function () {
+    const intent = await userClient().signIntent("Transfer", { recipient: payee.address, amount: toUSDC(100) });
+    const before = await ethers.provider.getBalance(user.address);
+
+    const res = await postIntent(url, intent);
+    expect(res).to.include({ type: "Transfer", signer: user.address, kind: "autoApproved", riskScore: 0 });
+    expect(res.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+
+    expect(await guardian.balances(payee.address)).to.equal(toUSDC(100));
+    expect(await guardian.nonces(user.address)).to.equal(1);
+    // The relayer paid the gas
+    expect(await ethers.provider.getBalance(user.address)).to.equal(before);
+  });
+
+  it("Should serve the signer's nonce and the signing domain", async function () {
+    expect(await getJson(`/nonce/${user.address}`)).to.deep.equal({ address: user.address, nonce: "0" });
+    const domain = await getJson("/domain");
+    expect(domain).to.include({ name: "NeuralUSDCGuardian", version: "1", chainId: "31337", verifyingContract: address });
+  });
+
+  it("Should reject malformed, forged and expired intents before spending gas", async function () {
+    const intent = await userClient().signIntent("Transfer", { recipient: payee.address, amount: toUSDC(100) });
+    const before = await ethers.provider.getBalance(relayer.address);
+
+    const forged = { ...intent, message: { ...intent.message, amount: toUSDC(900) } };
+    expect((await postIntent(url, forged).catch((e) => e)).status).to.equal(400);
+
+    const bad = await fetch(new URL("/intents", url), { method: "POST", body: "{" });
+    expect(bad.status).to.equal(400);
+    const missing = encodeIntent(intent);
+    delete missing.message.deadline;
+    const res = await fetch(new URL("/intents", url), { method: "POST", body: JSON.stringify(missing) });
+    expect(res.status).to.equal(400);
+    expect((await res.json()).message).to.match(/"deadline" is missing/);
+
+    const expired = await userClient().signIntent(
+      "Transfer",
+      { recipient: payee.address, amount: toUSDC(100) },
+      { deadline: 1n }
+    );
+    expect((await postIntent(url, expired).catch((e) => e)).status).to.equal(400);
+
+    expect(await ethers.provider.getBalance(relayer.address)).to.equal(before);
+  });
+
+  it("Should answer an oversized body with 413 before closing the connection", async function () {
+    const res = await fetch(new URL("/intents", url), { method: "POST", body: "x".repeat(256 * 1024) });
+    expect(res.status).to.equal(413);
+    expect(res.headers.get("connection")).to.equal("close");
+    expect((await res.json()).message).to.equal("Request body too large");
+
+    // The relayer keeps serving afterwards
+    expect((await getJson(`/nonce/${user.address}`)).nonce).to.equal("0");
+  });
+
+  it("Should answer a stale nonce with the expected one", async function () {
+    const intent = await userClient().signIntent("Transfer", { recipient: payee.address, amount: toUSDC(1) });
+    await postIntent(url, intent);
+
+    const err = await postIntent(url, intent).catch((e) => e);
+    expect(err.status).to.equal(409);
+    expect(err.body.expectedNonce).to.equal("1");
+  });
+
+  it("Should report guardian reverts with the decoded error", async function () {
+    const intent = await userClient().signIntent("Transfer", { recipient: payee.address, amount: toUSDC(5000) });
+
+    const err = await postIntent(url, intent).catch((e) => e);
+    expect(err.status).to.equal(422);
+    expect(err.body.error).to.equal("InsufficientBalance");
+    expect(err.body.args).to.deep.equal({ available: toUSDC(1000).toString(), required: toUSDC(5000).toString() });
+    expect(await guardian.nonces(user.address)).to.equal(0);
+  });
+
+  it("Should relay trust changes and report their receipt", async function () {
+    const client = userClient();
+    const trust = await client.signIntent("SetTrustedRecipient", { recipient: payee.address, trusted: true });
+    const untrust = await client.signIntent(
+      "SetTrustedRecipient",
+      { recipient: payee.address, trusted: false },
+      { nonce: 1n }
+    );
+
+    const res = await postIntent(url, trust);
+    expect(res).to.include({ type: "SetTrustedRecipient", signer: user.address });
+    expect(res).to.not.have.property("kind");
+    expect(await guardian.trustedRecipients(user.address, payee.address)).to.be.true;
+
+    await postIntent(url, untrust);
+    expect(await guardian.trustedRecipients(user.address, payee.address)).to.be.false;
+    expect(await guardian.nonces(user.address)).to.equal(2);
+  });
+});
@@ -0,0 +1,495 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { GUARDIAN_ABI } = require("../src/abi");
+const {
+  GuardianClient,
+  GuardianError,
+  InsufficientBalanceError,
+  TimelockNotExpiredError,
+  InsufficientApprovalsError,
+  NotGuardianError,
+  SelfTransferNotAllowedError,
+  EnforcedPauseError,
+  AccountMigratedError,
+  ERC20InsufficientAllowanceError,
+  PendingTxClosedError,
+  WaitTimeoutError,
+  decodeGuardianError,
+} = require("../src/sdk");
+const { trustImmediately } = require("./helpers");
+
+describe("GuardianClient SDK", function () {
+  let guardian, usdc, address;
+  let owner, user1, user2, user3, guardian1, guardian2;
+  let client;
+
+  const toUSDC = (n) => ethers.parseUnits(n.toString(), 6);
+  const ONE_HOUR = 3600;
+
+  beforeEach(async function () {
+    [owner, user1, user2, user3, guardian1, guardian2] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const Guardian = await ethers.getContractFactory("NeuralUSDCGuardian");
+    guardian = await Guardian.deploy(await usdc.getAddress(), 0);
+    address = await guardian.getAddress();
+
+    await guardian.addGuardian(guardian1.address);
+    await guardian.addGuardian(guardian2.address);
+
+    await usdc.mint(user1.address, toUSDC(100000));
+    await usdc.connect(user1).approve(address, ethers.MaxUint256);
+
+    client = GuardianClient.connect(address, user1);
+    await client.register();
+    await client.deposit(toUSDC(50000));
+  });
+
+  // Five small trusted transfers so a large untrusted one scores high
+  async function buildHistory() {
+    await client.setTrustedRecipient(user2.address, true);
+    for (let i = 0; i < 5; i++) {
+      await time.increase(ONE_HOUR + 1);
+      await client.transfer(user2.address, toUSDC(10));
+    }
+    await time.increase(ONE_HOUR + 1);
+  }
+
+  describe("ABI", function () {
+    it("Should match the compiled contract", async function () {
+      const compiled = new ethers.Interface((await artifacts.readArtifact("NeuralUSDCGuardian")).abi);
+      const sdk = new ethers.Interface(GUARDIAN_ABI);
+      const sigs = (iface, type) =>
+        iface.fragments.filter((f) => f.type === type).map((f) => f.format("full")).sort();
+
+      // Every SDK function exists on the contract (getters may be omitted)
+      for (const sig of sigs(sdk, "function")) {
+        expect(sigs(compiled, "function")).to.include(sig);
+      }
+      expect(sigs(sdk, "event")).to.deep.equal(sigs(compiled, "event"));
+      // The SDK also knows about errors bubbled up from the token
+      for (const sig of sigs(compiled, "error")) {
+        expect(sigs(sdk, "error")).to.include(sig);
+      }
+    });
+  });
+
+  describe("transfer()", function () {
+    it("Should report auto-approved transfers", async function () {
+      await trustImmediately(guardian);
+      await client.setTrustedRecipient(user2.address, true);
+      await time.increase(ONE_HOUR + 1);
+
+      const result = await client.transfer(user2.address, toUSDC(100));
+      expect(result.kind).to.equal("autoApproved");
+      expect(result.riskScore).to.be.lt(30);
+      expect(result.features).to.have.length(8);
+      expect(result.modelVersion).to.equal(1n);
+      expect(result.txId).to.be.undefined;
+    });
+
+    it("Should report timelocked transfers with readyAt", async function () {
+      await time.increase(ONE_HOUR + 1);
+      const result = await client.transfer(user2.address, toUSDC(100));
+
+      expect(result.kind).to.equal("timelocked");
+      const block = await ethers.provider.getBlock(result.receipt.blockNumber);
+      expect(result.readyAt).to.equal(BigInt(block.timestamp + ONE_HOUR));
+      expect(result.riskScore).to.be.gte(30).and.lt(70);
+      expect((await client.getPending(result.txId)).modelVersion).to.equal(1n);
+    });
+
+    it("Should report multisig transfers with approvals needed", async function () {
+      await buildHistory();
+      const result = await client.transfer(user3.address, toUSDC(500));
+
+      expect(result.kind).to.equal("multisig");
+      expect(result.riskScore).to.be.gte(70);
+      expect(result.approvals).to.equal(0);
+      expect(result.approvalsRequired).to.equal(2);
+    });
+  });
+
+  describe("Spending limits", function () {
+    it("Should report limit breaches as the hold reason", async function () {
+      await trustImmediately(guardian);
+      await client.setTrustedRecipient(user2.address, true);
+      await time.increase(ONE_HOUR + 1);
+      await client.setSpendingLimits({ dailyLimit: toUSDC(50), multiSigOnBreach: true });
+      expect(await client.checkSpendingLimits(user1.address, toUSDC(100))).to.equal("dailyLimit");
+
+      const result = await client.transfer(user2.address, toUSDC(100));
+      expect(result.riskScore).to.be.lt(30);
+      expect(result.kind).to.equal("multisig");
+      expect(result.reason).to.equal("dailyLimit");
+
+      const status = await client.getPending(result.txId);
+      expect(status.gate).to.equal("multisig");
+      expect(status.reason).to.equal("dailyLimit");
+    });
+
+    it("Should report model-held transfers with the riskScore reason", async function () {
+      await time.increase(ONE_HOUR + 1);
+      const result = await client.transfer(user2.address, toUSDC(100));
+      expect(result.kind).to.equal("timelocked");
+      expect(result.reason).to.equal("riskScore");
+    });
+
+    it("Should read active and queued limits with current usage", async function () {
+      await client.setSpendingLimits({ dailyLimit: toUSDC(1000), maxTxPerWindow: 3n, velocityWindow: 600n });
+      await client.setSpendingLimits({ dailyLimit: toUSDC(2000), maxTxPerWindow: 3n, velocityWindow: 600n });
+      await client.transfer(user2.address, toUSDC(100));
+
+      const limits = await client.getSpendingLimits(user1.address);
+      expect(limits.active.dailyLimit).to.equal(toUSDC(1000));
+      expect(limits.active.weeklyLimit).to.equal(0n);
+      expect(limits.queued.dailyLimit).to.equal(toUSDC(2000));
+      expect(limits.queued.effectiveAt).to.be.gt(0n);
+      expect(limits.usage).to.deep.equal({ daySpent: toUSDC(100), weekSpent: toUSDC(100), velocityCount: 1n });
+    });
+  });
+
+  describe("batchTransfer()", function () {
+    it("Should report each row's outcome and the batch id", async function () {
+      await trustImmediately(guardian);
+      await buildHistory();
+      const result = await client.batchTransfer([
+        { recipient: user2.address, amount: toUSDC(10) },
+        { recipient: user3.address, amount: toUSDC(500) },
+      ]);
+
+      expect(result.batchId).to.equal(0n);
+      expect(result.totalAmount).to.equal(toUSDC(510));
+      expect(result.autoApproved).to.equal(1);
+      expect(result.rows.map((r) => r.kind)).to.deep.equal(["autoApproved", "multisig"]);
+      expect(result.rows[0].features[5]).to.equal(result.rows[1].features[5]);
+      expect(result.rows[1].reason).to.equal("riskScore");
+      expect((await client.getPending(result.rows[1].txId)).recipient).to.equal(user3.address);
+    });
+  });
+
+  describe("Veto and escalation", function () {
+    it("Should report veto progress, the veto and a frozen sender", async function () {
+      await time.increase(ONE_HOUR + 1);
+      const { txId } = await client.transfer(user2.address, toUSDC(100));
+      const { txId: otherId } = await client.transfer(user3.address, toUSDC(100));
+      await time.increase(ONE_HOUR + 1);
+
+      await GuardianClient.connect(address, guardian1).vetoPending(txId, { freezeSender: true });
+      const held = await client.getPending(txId);
+      expect(held.status).to.equal("vetoInProgress");
+      expect(held.vetoCount).to.equal(1);
+      expect(held.executable).to.be.false;
+
+      await GuardianClient.connect(address, guardian2).vetoPending(txId, { freezeSender: true });
+      expect((await client.getPending(txId)).status).to.equal("vetoed");
+      expect((await client.getPending(otherId)).status).to.equal("senderFrozen");
+    });
+
+    it("Should report a vetoed transfer ready once an approval quorum overrides the veto", async function () {
+      await time.increase(ONE_HOUR + 1);
+      const [, , , , , , guardian3] = await ethers.getSigners();
+      await guardian.addGuardian(guardian3.address);
+      const { txId } = await client.transfer(user2.address, toUSDC(100));
+      await time.increase(ONE_HOUR + 1);
+
+      await GuardianClient.connect(address, guardian1).vetoPending(txId);
+      await GuardianClient.connect(address, guardian2).approvePending(txId);
+      expect((await client.getPending(txId)).status).to.equal("vetoInProgress");
+
+      await GuardianClient.connect(address, guardian3).approvePending(txId);
+      const status = await client.getPending(txId);
+      expect(status.status).to.equal("ready");
+      expect(status.executable).to.be.true;
+    });
+
+    it("Should escalate a timelocked transfer to the multi-sig gate", async function () {
+      await time.increase(ONE_HOUR + 1);
+      const { txId, kind } = await client.transfer(user2.address, toUSDC(100));
+      expect(kind).to.equal("timelocked");
+
+      await client.escalatePending(txId);
+      const status = await client.getPending(txId);
+      expect(status.gate).to.equal("multisig");
+      expect(status.status).to.equal("awaitingApprovals");
+      expect(status.reason).to.equal("riskScore");
+    });
+  });
+
+  describe("Expiry", function () {
+    it("Should count only live approvals and report expired transfers", async function () {
+      await buildHistory();
+      const { txId, expiresAt } = await client.transfer(user3.address, toUSDC(500));
+      await GuardianClient.connect(address, guardian1).approvePending(txId);
+      await time.increase(3 * 24 * ONE_HOUR);
+
+      const lapsed = await client.getPending(txId);
+      expect(lapsed.approvalCount).to.equal(1);
+      expect(lapsed.validApprovals).to.equal(0);
+      expect(lapsed.status).to.equal("awaitingApprovals");
+
+      await time.increaseTo(expiresAt);
+      expect((await client.getPending(txId)).status).to.equal("expired");
+      const before = await client.balanceOf(user1.address);
+      await GuardianClient.connect(address, guardian2).reclaimExpired(txId);
+      expect(await client.balanceOf(user1.address)).to.equal(before + toUSDC(500));
+      expect((await client.getPending(txId)).status).to.equal("cancelled");
+    });
+  });
+
+  describe("depositWithPermit()", function () {
+    it("Should sign a permit and deposit without an approve", async function () {
+      const token = await (await ethers.getContractFactory("MockUSDCPermit")).deploy();
+      const vault = await (await ethers.getContractFactory("NeuralUSDCGuardian")).deploy(await token.getAddress(), 0);
+      await token.mint(user2.address, toUSDC(1000));
+      const payer = GuardianClient.connect(await vault.getAddress(), user2);
+      await payer.register();
+
+      const receipt = await payer.depositWithPermit(toUSDC(250));
+      expect(payer._parseLogs(receipt).map((l) => l.name)).to.deep.equal(["Deposited"]);
+      expect(await vault.balances(user2.address)).to.equal(toUSDC(250));
+      expect(await token.nonces(user2.address)).to.equal(1);
+
+      const signed = await payer.signPermit(toUSDC(1), { deadline: 123n });
+      expect(signed).to.include({ value: toUSDC(1), deadline: 123n });
+      expect(signed.v).to.be.oneOf([27, 28]);
+    });
+
+    it("Should refuse to sign for a token without permit", async function () {
+      let err;
+      await client.depositWithPermit(toUSDC(1)).catch((e) => (err = e));
+      expect(err.message).to.match(/does not support EIP-2612 permits/);
+    });
+  });
+
+  describe("Withdrawal review", function () {
+    it("Should report plain and held withdrawals", async function () {
+      // Zero weights and bias 0: every assessment scores 50
+      await guardian.updateModel([4, 8, 1], new Array(40).fill(0n), new Array(9).fill(0n));
+      await client.setWithdrawalReview(toUSDC(100));
+      expect(await client.getWithdrawalReview(user1.address)).to.deep.equal({ minAmount: toUSDC(100) });
+
+      expect((await client.withdraw(toUSDC(10))).kind).to.equal("withdrawn");
+      const held = await client.withdraw(toUSDC(500));
+      expect(held.kind).to.equal("timelocked");
+      expect(held.riskScore).to.equal(50);
+      const status = await client.getPending(held.txId);
+      expect(status.withdrawal).to.be.true;
+      expect(status.recipient).to.equal(user1.address);
+
+      const external = await client.withdrawTo(user3.address, toUSDC(500));
+      expect((await client.getPending(external.txId)).recipient).to.equal(user3.address);
+      expect((await client.withdrawTo(user3.address, toUSDC(10))).kind).to.equal("withdrawn");
+
+      await client.setWithdrawalReview(0);
+      const { queued } = await client.getWithdrawalReview(user1.address);
+      expect(queued.minAmount).to.equal(0n);
+      expect(queued.effectiveAt).to.be.gt(0n);
+    });
+  });
+
+  describe("Risk policy", function () {
+    it("Should read the effective, personal, overridden and queued policies", async function () {
+      const strict = { lowThreshold: 20, highThreshold: 50, timelockDuration: 7200n, minApprovals: 2 };
+      await client.setRiskPolicy(strict);
+      await guardian.setPolicyOverride(user1.address, 25, 70, ONE_HOUR, 2);
+      expect(await client.getRiskPolicy(user1.address)).to.deep.equal({
+        effective: strict,
+        override: { lowThreshold: 25, highThreshold: 70, timelockDuration: 3600n, minApprovals: 2 },
+        personal: strict,
+      });
+
+      await client.setRiskPolicy(null);
+      const { personal, queued } = await client.getRiskPolicy(user1.address);
+      expect(personal).to.deep.equal(strict);
+      expect(queued.cleared).to.be.true;
+      expect(queued.effectiveAt).to.be.gt(0n);
+
+      const other = await client.getRiskPolicy(user2.address);
+      expect(other).to.deep.equal({
+        effective: { lowThreshold: 30, highThreshold: 70, timelockDuration: 3600n, minApprovals: 2 },
+      });
+    });
+  });
+
+  describe("Tokens", function () {
+    it("Should move, report and list balances in other tokens", async function () {
+      const toDAI = (n) => ethers.parseUnits(n.toString(), 18);
+      const dai = await (await ethers.getContractFactory("MockToken")).deploy("Dai Stablecoin", "DAI", 18);
+      await guardian.addSupportedToken(dai.target);
+      await dai.mint(user1.address, toDAI(1000));
+      await dai.connect(user1).approve(address, ethers.MaxUint256);
+      expect(await client.getTokens()).to.deep.equal([
+        { address: usdc.target, decimals: 6, supported: true },
+        { address: dai.target, decimals: 18, supported: true },
+      ]);
+
+      await client.depositToken(dai.target, toDAI(1000));
+      // Zero weights and bias 0: every assessment scores 50
+      await guardian.updateModel([4, 8, 1], new Array(40).fill(0n), new Array(9).fill(0n));
+      const held = await client.transferToken(dai.target, user2.address, toDAI(100));
+      expect(held.kind).to.equal("timelocked");
+      const status = await client.getPending(held.txId);
+      expect(status.token).to.equal(dai.target);
+      expect(status.amount).to.equal(toDAI(100));
+      expect(await client.balanceOf(user1.address, dai.target)).to.equal(toDAI(900));
+      expect(await client.balanceOf(user1.address)).to.equal(toUSDC(50000));
+
+      expect((await client.withdrawToken(dai.target, user3.address, toDAI(900))).kind).to.equal("withdrawn");
+      expect(await dai.balanceOf(user3.address)).to.equal(toDAI(900));
+      await guardian.removeSupportedToken(dai.target);
+      expect((await client.getTokens())[1].supported).to.be.false;
+    });
+  });
+
+  describe("Account recovery", function () {
+    it("Should report recovery guardians, the scheduled move and the new address", async function () {
+      await client.setRecoveryGuardians([user2.address, guardian1.address], 2);
+      expect(await client.getRecovery(user1.address)).to.deep.equal({
+        guardians: [user2.address, guardian1.address],
+        threshold: 2,
+      });
+
+      await GuardianClient.connect(address, user2).supportRecovery(user1.address, user3.address);
+      await GuardianClient.connect(address, guardian1).supportRecovery(user1.address, user3.address);
+      const { scheduled } = await client.getRecovery(user1.address);
+      expect(scheduled.newAddress).to.equal(user3.address);
+
+      await time.increaseTo(scheduled.readyAt);
+      await GuardianClient.connect(address, guardian2).executeRecovery(user1.address);
+      const status = await client.getRecovery(user1.address);
+      expect(status.recoveredTo).to.equal(user3.address);
+      expect(status.scheduled).to.be.undefined;
+      expect(await client.balanceOf(user3.address)).to.equal(toUSDC(50000));
+
+      const err = await client.register().catch((e) => e);
+      expect(err).to.be.instanceOf(AccountMigratedError);
+      expect(err.newAddress).to.equal(user3.address);
+    });
+  });
+
+  describe("waitUntilExecutable()", function () {
+    it("Should resolve once the timelock expires", async function () {
+      await time.increase(ONE_HOUR + 1);
+      const { txId, readyAt } = await client.transfer(user2.address, toUSDC(100));
+
+      expect((await client.getPending(txId)).status).to.equal("timelocked");
+
+      const waiting = client.waitUntilExecutable(txId, { pollInterval: 10 });
+      await time.increaseTo(readyAt);
+      const status = await waiting;
+      expect(status.gate).to.equal("timelock");
+      expect(status.status).to.equal("ready");
+
+      await client.executePending(txId);
+      expect(await client.balanceOf(user2.address)).to.equal(toUSDC(100));
+    });
+
+    it("Should resolve once guardian quorum is reached", async function () {
+      await buildHistory();
+      const { txId } = await client.transfer(user3.address, toUSDC(500));
+
+      const before = await client.getPending(txId);
+      expect(before.status).to.equal("awaitingApprovals");
+
+      await GuardianClient.connect(address, guardian1).approvePending(txId);
+      await GuardianClient.connect(address, guardian2).approvePending(txId);
+
+      const status = await client.waitUntilExecutable(txId, { pollInterval: 1 });
+      expect(status.gate).to.equal("multisig");
+      expect(status.approvalCount).to.equal(2);
+    });
+
+    it("Should time out", async function () {
+      await time.increase(ONE_HOUR + 1);
+      const { txId } = await client.transfer(user2.address, toUSDC(100));
+
+      let err;
+      try {
+        await client.waitUntilExecutable(txId, { pollInterval: 5, timeout: 20 });
+      } catch (e) {
+        err = e;
+      }
+      expect(err).to.be.instanceOf(WaitTimeoutError);
+    });
+
+    it("Should fail fast on cancelled transactions", async function () {
+      await time.increase(ONE_HOUR + 1);
+      const { txId } = await client.transfer(user2.address, toUSDC(100));
+      await client.cancelPending(txId);
+
+      let err;
+      try {
+        await client.waitUntilExecutable(txId, { pollInterval: 1 });
+      } catch (e) {
+        err = e;
+      }
+      expect(err).to.be.instanceOf(PendingTxClosedError);
+      expect(err.status).to.equal("cancelled");
+    });
+  });
+
+  describe("Typed errors", function () {
+    async function caught(promise) {
+      try {
+        await promise;
+      } catch (e) {
+        return e;
+      }
+      expect.fail("Expected a revert");
+    }
+
+    it("Should decode InsufficientBalance with its arguments", async function () {
+      const err = await caught(client.transfer(user2.address, toUSDC(999999)));
+      expect(err).to.be.instanceOf(InsufficientBalanceError);
+      expect(err).to.be.instanceOf(GuardianError);
+      expect(err.available).to.equal(toUSDC(50000));
+      expect(err.required).to.equal(toUSDC(999999));
+      expect(err.name).to.equal("InsufficientBalanceError");
+    });
+
+    it("Should decode TimelockNotExpired(readyAt)", async function () {
+      await time.increase(ONE_HOUR + 1);
+      const { txId, readyAt } = await client.transfer(user2.address, toUSDC(100));
+
+      const err = await caught(client.executePending(txId));
+      expect(err).to.be.instanceOf(TimelockNotExpiredError);
+      expect(err.readyAt).to.equal(readyAt);
+    });
+
+    it("Should decode InsufficientApprovals(current, required)", async function () {
+      await buildHistory();
+      const { txId } = await client.transfer(user3.address, toUSDC(500));
+      await GuardianClient.connect(address, guardian1).approvePending(txId);
+
+      const err = await caught(client.executePending(txId));
+      expect(err).to.be.instanceOf(InsufficientApprovalsError);
+      expect(err.current).to.equal(1n);
+      expect(err.required).to.equal(2n);
+    });
+
+    it("Should decode argument-less and inherited errors", async function () {
+      expect(await caught(client.transfer(user1.address, toUSDC(1)))).to.be.instanceOf(
+        SelfTransferNotAllowedError
+      );
+      expect(await caught(client.approvePending(0))).to.be.instanceOf(NotGuardianError);
+
+      await guardian.pause();
+      expect(await caught(client.deposit(toUSDC(1)))).to.be.instanceOf(EnforcedPauseError);
+    });
+
+    it("Should decode token errors bubbled up through deposit", async function () {
+      await usdc.connect(user1).approve(address, 0);
+      const err = await caught(client.deposit(toUSDC(1)));
+      expect(err).to.be.instanceOf(ERC20InsufficientAllowanceError);
+      expect(err.needed).to.equal(toUSDC(1));
+    });
+
+    it("Should leave unrelated errors alone", function () {
+      expect(decodeGuardianError(new Error("network down"))).to.be.undefined;
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { DEFAULT_MODEL, toUpdateModelArgs } = require("../src/model");
+const { forwardPass } = require("../src/reference");
+const { fetchShadowScores, confusionMatrix, formatConfusionMatrix } = require("../src/shadow");
+const { GuardianClient } = require("../src/sdk");
+const { trustImmediately } = require("./helpers");
+
+const { ethers } = hre;
+
+describe("Shadow model", function () {
+  let guardian, usdc, address, client;
+  let sender, known, stranger;
+
+  const toUSDC = (n) => ethers.parseUnits(n.toString(), 6);
+  const ONE_HOUR = 3600;
+
+  // Lenient candidate: unknown-recipient alarm (output weight 34) muted, lower output bias
+  const candidate = {
+    ...DEFAULT_MODEL,
+    weights: DEFAULT_MODEL.weights.map((w, i) => (i === 34 ? 0n : w)),
+    biases: DEFAULT_MODEL.biases.map((b, i) => (i === 8 ? b - 5n * 10n ** 17n : b)),
+  };
+
+  beforeEach(async function () {
+    [, sender, known, stranger] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const Guardian = await ethers.getContractFactory("NeuralUSDCGuardian");
+    guardian = await Guardian.deploy(await usdc.getAddress(), 24 * 3600);
+    address = await guardian.getAddress();
+    client = GuardianClient.connect(address, sender);
+
+    await usdc.mint(sender.address, toUSDC(100000));
+    await usdc.connect(sender).approve(address, ethers.MaxUint256);
+    await guardian.connect(sender).register();
+    await guardian.connect(sender).deposit(toUSDC(50000));
+    await guardian.connect(sender).setTrustedRecipient(known.address, true);
+
+    await guardian.setModelActivationDelay(ONE_HOUR);
+    await guardian.proposeModel(...toUpdateModelArgs(candidate));
+    await guardian.setShadowModel(2);
+  });
+
+  const transferAfterGap = async (recipient, amount) => {
+    await time.increase(ONE_HOUR + 1);
+    return client.transfer(recipient, amount);
+  };
+
+  it("Should score with the candidate while routing with the active model", async function () {
+    for (let i = 0; i < 4; i++) await transferAfterGap(known.address, toUSDC(10));
+    const result = await transferAfterGap(stranger.address, toUSDC(10));
+
+    expect(result.kind).to.equal("timelocked");
+    expect(result.modelVersion).to.equal(1n);
+    expect(result.shadow.version).to.equal(2n);
+    expect(result.shadow.riskScore).to.be.lt(30);
+    expect(result.shadow.riskScore).to.equal(forwardPass(candidate, result.features));
+  });
+
+  it("Should tabulate active vs shadow routing", async function () {
+    await trustImmediately(guardian);
+    for (let i = 0; i < 4; i++) await transferAfterGap(known.address, toUSDC(10));
+    await transferAfterGap(stranger.address, toUSDC(10));
+    await transferAfterGap(stranger.address, toUSDC(20));
+
+    const scores = await fetchShadowScores(guardian);
+    expect(scores).to.have.length(6);
+    expect(scores.every((s) => s.sender === sender.address)).to.be.true;
+
+    const [report] = confusionMatrix(scores);
+    expect(report.modelVersion).to.equal(1n);
+    expect(report.shadowVersion).to.equal(2n);
+    expect(report.total).to.equal(6);
+    expect(report.matrix.low.low).to.equal(4);
+    expect(report.matrix.medium.low).to.equal(1);
+    expect(report.matrix.medium.medium).to.equal(1);
+    expect(report.agreed).to.equal(5);
+    expect(report.meanDelta).to.be.lt(0);
+
+    const text = formatConfusionMatrix([report]);
+    expect(text).to.include("Active v1 vs shadow v2: 6 transfer(s)");
+    expect(text).to.include("Agreement 5/6 (83.3%)");
+    expect(formatConfusionMatrix([])).to.equal("No shadow scores in range.");
+  });
+
+  it("Should start, stop and report shadowing from the tasks", async function () {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      expect(await hre.run("model-versions", { guardian: address, action: "shadow", id: 0 })).to.equal(0n);
+      const stopped = await transferAfterGap(known.address, toUSDC(10));
+      expect(stopped.shadow).to.be.undefined;
+
+      await hre.run("model-versions", { guardian: address, action: "shadow", id: 2 });
+      await transferAfterGap(stranger.address, toUSDC(10));
+
+      const reports = await hre.run("shadow-report", { guardian: address });
+      expect(reports).to.have.length(1);
+      expect(reports[0].total).to.equal(1);
+    } finally {
+      console.log = log;
+    }
+  });
+});
@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+  DEFAULT_MODEL,
+  serializeModel,
+  parseModel,
+  toUpdateModelArgs,
+  fromContractWeights,
+  toFloatModel,
+} = require("../src/model");
+const {
+  parseCsv,
+  parseJson,
+  splitDataset,
+  createRng,
+  train,
+  meanLoss,
+  riskScoreFloat,
+  compareRouting,
+} = require("../src/training");
+
+describe("Off-chain training", function () {
+  // Synthetic ground truth: large untrusted or rapid-fire untrusted = fraud
+  function syntheticDataset(n, seed) {
+    const rng = createRng(seed);
+    const out = [];
+    for (let i = 0; i < n; i++) {
+      const x = [rng() * 10, rng() * 2, rng() < 0.5 ? 1 : 0, rng()];
+      const fraud = x[2] === 0 && (x[0] > 4 || (x[1] > 1 && x[3] > 0.5));
+      out.push({ x, y: fraud ? 1 : 0 });
+    }
+    return out;
+  }
+
+  // ================================================================
+  //  DATASET PARSING
+  // ================================================================
+
+  describe("Dataset parsing", function () {
+    it("Should parse CSV with any column order", function () {
+      const rows = parseCsv(
+        "label,recency,recipientTrust,txFrequency,amountRatio\n" +
+          "1,0.5,0,0.2,3\n" +
+          "0,0,1,0,1\n"
+      );
+      expect(rows).to.deep.equal([
+        { x: [3, 0.2, 0, 0.5], y: 1 },
+        { x: [1, 0, 1, 0], y: 0 },
+      ]);
+    });
+
+    it("Should parse JSON objects and feature arrays", function () {
+      const rows = parseJson(
+        JSON.stringify([
+          { amountRatio: 2, txFrequency: 0, recipientTrust: 0, recency: 0, fraud: true },
+          { features: [1, 0.2, 1, 0.3], label: 0 },
+        ])
+      );
+      expect(rows).to.deep.equal([
+        { x: [2, 0, 0, 0], y: 1 },
+        { x: [1, 0.2, 1, 0.3], y: 0 },
+      ]);
+    });
+
+    it("Should reject malformed rows", function () {
+      expect(() => parseCsv("amountRatio,txFrequency,recipientTrust,recency,label\n1,x,0,0,1")).to.throw(
+        /line 2: invalid txFrequency/
+      );
+      expect(() => parseCsv("amountRatio,txFrequency,recipientTrust,recency\n1,0,0,0")).to.throw(
+        /missing label/
+      );
+    });
+  });
+
+  // ================================================================
+  //  TRAINING
+  // ================================================================
+
+  describe("Training", function () {
+    it("Should reduce validation loss from the default model", function () {
+      const { train: trainSet, validation } = splitDataset(syntheticDataset(600, 7), 0.25, 3);
+      const before = meanLoss(toFloatModel(DEFAULT_MODEL), validation);
+
+      const { model, history } = train(trainSet, {
+        init: DEFAULT_MODEL,
+        epochs: 40,
+        validation,
+      });
+
+      expect(history).to.have.length(40);
+      expect(meanLoss(toFloatModel(model), validation)).to.be.lt(before);
+    });
+
+    it("Should be deterministic for a given seed", function () {
+      const data = syntheticDataset(100, 11);
+      const a = train(data, { epochs: 5, seed: 42 }).model;
+      const b = train(data, { epochs: 5, seed: 42 }).model;
+      expect(serializeModel(a)).to.deep.equal(serializeModel(b));
+    });
+
+    it("Should report routing transitions between models", function () {
+      const data = syntheticDataset(200, 5);
+      const { model } = train(data, { init: DEFAULT_MODEL, epochs: 10 });
+      const report = compareRouting(DEFAULT_MODEL, model, data);
+
+      let total = 0;
+      let unchanged = 0;
+      for (const a of ["low", "medium", "high"]) {
+        for (const b of ["low", "medium", "high"]) {
+          total += report.transitions[a][b];
+          if (a === b) unchanged += report.transitions[a][b];
+        }
+      }
+      expect(total).to.equal(200);
+      expect(report.changed).to.equal(200 - unchanged);
+    });
+
+    it("Should train a model with two hidden layers", function () {
+      const data = syntheticDataset(300, 8);
+      const { train: trainSet, validation } = splitDataset(data, 0.2, 3);
+      const { model, history } = train(trainSet, { layers: [4, 8, 4, 1], epochs: 60, validation, seed: 4 });
+
+      expect(model.layers).to.deep.equal([4, 8, 4, 1]);
+      expect(model.weights).to.have.length(4 * 8 + 8 * 4 + 4);
+      expect(model.biases).to.have.length(8 + 4 + 1);
+      expect(history[history.length - 1].valLoss).to.be.lt(history[0].valLoss);
+    });
+
+    it("Comparing a model with itself should change nothing", function () {
+      const report = compareRouting(DEFAULT_MODEL, DEFAULT_MODEL, syntheticDataset(50, 1));
+      expect(report.changed).to.equal(0);
+    });
+  });
+
+  // ================================================================
+  //  EXPORT LAYOUT
+  // ================================================================
+
+  describe("Weight export", function () {
+    let guardian;
+
+    beforeEach(async function () {
+      const MockUSDC = await ethers.getContractFactory("MockUSDC");
+      const usdc = await MockUSDC.deploy();
+      const Guardian = await ethers.getContractFactory("NeuralUSDCGuardian");
+      guardian = await Guardian.deploy(await usdc.getAddress(), 0);
+    });
+
+    it("DEFAULT_MODEL should match the constructor weights", async function () {
+      const onChain = fromContractWeights(await guardian.getModelWeights());
+      expect(serializeModel(onChain)).to.deep.equal(serializeModel(DEFAULT_MODEL));
+    });
+
+    it("Exported weights should be accepted by updateModel", async function () {
+      const { model } = train(syntheticDataset(100, 2), { init: DEFAULT_MODEL, epochs: 5 });
+      const roundTripped = parseModel(JSON.parse(JSON.stringify(serializeModel(model))));
+
+      await guardian.updateModel(...toUpdateModelArgs(roundTripped));
+
+      const onChain = fromContractWeights(await guardian.getModelWeights());
+      expect(serializeModel(onChain)).to.deep.equal(serializeModel(model));
+    });
+
+    it("Should read weights files from before layer sizes were configurable", function () {
+      const w = DEFAULT_MODEL.weights.map(String);
+      const b = DEFAULT_MODEL.biases.map(String);
+      const legacy = { wH: w.slice(0, 32), bH: b.slice(0, 8), wO: w.slice(32), bO: b[8] };
+      expect(serializeModel(parseModel(legacy))).to.deep.equal(serializeModel(DEFAULT_MODEL));
+    });
+
+    it("Should reject models that do not match their topology", function () {
+      const json = serializeModel(DEFAULT_MODEL);
+      expect(() => parseModel({ ...json, layers: [4, 9, 1] })).to.throw("weights must have 45 entries");
+      expect(() => parseModel({ ...json, layers: [4, 17, 1] })).to.throw("1 to 16 neurons");
+      expect(() => parseModel({ ...json, layers: [4, 8, 2] })).to.throw("exactly 1 neuron");
+    });
+
+    it("Float risk estimate should track computeRisk", async function () {
+      const rng = createRng(9);
+      for (let i = 0; i < 20; i++) {
+        const x = [rng() * 10, rng() * 2, rng() < 0.5 ? 1 : 0, rng()];
+        const fixed = x.map((v) => BigInt(Math.round(v * 1e6)) * 10n ** 12n);
+        const onChain = Number(await guardian.computeRisk([...fixed, 0n, 0n, 0n, 0n]));
+        expect(Math.abs(riskScoreFloat(DEFAULT_MODEL, x) - onChain)).to.be.lte(1);
+      }
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { DEFAULT_MODEL, serializeModel, toUpdateModelArgs } = require("../src/model");
+const { GuardianIndexer } = require("../src/indexer");
+const {
+  modelHash,
+  listVersions,
+  versionWeights,
+  diffModels,
+  rerouteHistory,
+  formatVersionDiff,
+} = require("../src/versions");
+
+const { ethers } = hre;
+
+describe("Model versions", function () {
+  let guardian, usdc, address, deployBlock;
+  let sender, known, stranger;
+
+  const toUSDC = (n) => ethers.parseUnits(n.toString(), 6);
+  const ONE_HOUR = 3600;
+
+  // Lenient candidate: unknown-recipient alarm (output weight 34) muted, lower output bias
+  const candidate = {
+    ...DEFAULT_MODEL,
+    weights: DEFAULT_MODEL.weights.map((w, i) => (i === 34 ? 0n : w)),
+    biases: DEFAULT_MODEL.biases.map((b, i) => (i === 8 ? b - 5n * 10n ** 17n : b)),
+  };
+
+  beforeEach(async function () {
+    [, sender, known, stranger] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const Guardian = await ethers.getContractFactory("NeuralUSDCGuardian");
+    guardian = await Guardian.deploy(await usdc.getAddress(), 0);
+    address = await guardian.getAddress();
+    deployBlock = (await guardian.deploymentTransaction().wait()).blockNumber;
+
+    await usdc.mint(sender.address, toUSDC(100000));
+    await usdc.connect(sender).approve(address, ethers.MaxUint256);
+    await guardian.connect(sender).register();
+    await guardian.connect(sender).deposit(toUSDC(50000));
+
+    await guardian.connect(sender).setTrustedRecipient(known.address, true);
+    await time.increase(await guardian.trustActivationDelay());
+    for (let i = 0; i < 4; i++) {
+      await time.increase(ONE_HOUR + 1);
+      await guardian.connect(sender).transfer(known.address, toUSDC(10));
+    }
+    await time.increase(ONE_HOUR + 1);
+    await guardian.connect(sender).transfer(stranger.address, toUSDC(10));
+  });
+
+  it("Should compute the on-chain weights hash", async function () {
+    expect((await guardian.getModelVersion(1)).weightsHash).to.equal(modelHash(DEFAULT_MODEL));
+    await guardian.updateModel(...toUpdateModelArgs(candidate));
+    expect((await guardian.getModelVersion(2)).weightsHash).to.equal(modelHash(candidate));
+    expect(serializeModel(await versionWeights(guardian, 2))).to.deep.equal(serializeModel(candidate));
+  });
+
+  it("Should report version status", async function () {
+    await guardian.updateModel(...toUpdateModelArgs(candidate));
+    await guardian.setModelActivationDelay(ONE_HOUR);
+    await guardian.proposeModel(...toUpdateModelArgs(DEFAULT_MODEL));
+
+    expect((await listVersions(guardian)).map((v) => v.status)).to.deep.equal(["previous", "active", "pending"]);
+    await time.increase(ONE_HOUR);
+    expect((await listVersions(guardian))[2].status).to.equal("ready");
+  });
+
+  it("Should diff parameters by name", function () {
+    const diff = diffModels(DEFAULT_MODEL, candidate);
+    expect(diff.map((d) => d.param)).to.deep.equal([
+      "weights[34] output <- H2 Unknown-recipient alarm",
+      "biases[8] output bias",
+    ]);
+    expect(diffModels(DEFAULT_MODEL, DEFAULT_MODEL)).to.have.length(0);
+
+    const wide = { layers: [4, 16, 1], weights: new Array(80).fill(0n), biases: new Array(17).fill(0n) };
+    expect(diffModels(DEFAULT_MODEL, wide)).to.deep.equal([{ param: "layers", from: "4-8-1", to: "4-16-1" }]);
+    const deep = { layers: [4, 2, 2, 1], weights: new Array(14).fill(1n), biases: new Array(5).fill(0n) };
+    expect(diffModels(deep, { ...deep, weights: [...deep.weights.slice(0, 8), 0n, ...deep.weights.slice(9)] }))
+      .to.have.length(1)
+      .and.nested.property("[0].param", "weights[8] L2 N0 <- L1 N0");
+  });
+
+  it("Should show which indexed transfers route differently", async function () {
+    await guardian.updateModel(...toUpdateModelArgs(candidate));
+    await time.increase(ONE_HOUR + 1);
+    await guardian.connect(sender).transfer(stranger.address, toUSDC(10));
+
+    const indexer = new GuardianIndexer({ address, provider: ethers.provider, fromBlock: deployBlock });
+    await indexer.sync();
+    expect(indexer.activeModelVersion()).to.equal(2n);
+    expect(indexer.modelVersions().map((m) => m.weightsHash)).to.deep.equal([
+      modelHash(DEFAULT_MODEL),
+      modelHash(candidate),
+    ]);
+
+    const history = indexer.assessments();
+    expect(history).to.have.length(6);
+    expect(indexer.assessments({ modelVersion: 2 })).to.have.length(1);
+
+    // Re-scoring with the recording model reproduces the on-chain scores
+    const v1 = indexer.assessments({ modelVersion: 1 });
+    expect(rerouteHistory(v1, DEFAULT_MODEL, DEFAULT_MODEL).changed).to.have.length(0);
+
+    const result = rerouteHistory(history, DEFAULT_MODEL, candidate);
+    expect(result.total).to.equal(6);
+    expect(result.changed.length).to.be.gt(0);
+    for (const c of result.changed) {
+      expect(c.recipient).to.equal(stranger.address);
+      expect(c.fromRoute).to.equal("medium");
+      expect(c.toRoute).to.equal("low");
+    }
+    const v1Stranger = v1.find((r) => r.recipient === stranger.address);
+    expect(result.changed[0].fromScore).to.equal(v1Stranger.riskScore);
+
+    const text = formatVersionDiff(1n, 2n, diffModels(DEFAULT_MODEL, candidate), result);
+    expect(text).to.include("2 parameter(s) changed");
+    expect(text).to.include("medium (");
+  });
+
+  it("Should drive propose, activate, diff and rollback from the task", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "guardian-models-"));
+    const log = console.log;
+    console.log = () => {};
+    try {
+      const weights = path.join(dir, "weights.json");
+      fs.writeFileSync(weights, JSON.stringify(serializeModel(candidate)));
+      const common = { guardian: address, store: path.join(dir, "index.json"), fromBlock: deployBlock };
+
+      await guardian.setModelActivationDelay(ONE_HOUR);
+      const version = await hre.run("model-versions", { ...common, action: "propose", weights });
+      expect(version).to.equal(2n);
+
+      // Default diff compares the active version with the newest proposal
+      const reroute = await hre.run("model-versions", { ...common, action: "diff" });
+      expect(reroute.changed.length).to.be.gt(0);
+
+      await time.increase(ONE_HOUR);
+      await hre.run("model-versions", { ...common, action: "activate", id: 2 });
+      expect(await guardian.activeModelVersion()).to.equal(2n);
+
+      expect(await hre.run("model-versions", { ...common, action: "rollback" })).to.equal(1n);
+      expect(await guardian.activeModelVersion()).to.equal(1n);
+    } finally {
+      console.log = log;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,18 @@
+/**
+ * @file Helpers shared by the test suites.
+ */
+
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+/**
+ * Makes new trust on `guardian` count at once: queues a zero trust activation delay behind the one in force and
+ * waits that one out.
+ * @param {import("ethers").Contract} guardian
+ */
+async function trustImmediately(guardian) {
+  const delay = await guardian.trustActivationDelay();
+  await guardian.setTrustActivationDelay(0);
+  await time.increase(delay);
+}
+
+module.exports = { trustImmediately };